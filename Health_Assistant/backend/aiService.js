@@ -1,8 +1,8 @@
-const { OpenAI } = require('openai');
-
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-});
+const { getProvider } = require('./providers');
+const { mergeAnalyses } = require('./panels');
+const { recognizeText } = require('@health/shared/ocr');
+const { parseLabelText, groupNutritionFacts, listAllergens } = require('@health/shared/labelText');
+const { logger } = require('@health/shared/logger');
 
 const ANALYSIS_PROMPT = `
 You are a food label analysis tool. Extract the following information from the provided food label image:
@@ -13,6 +13,8 @@ You are a food label analysis tool. Extract the following information from the p
 5. Any certifications (organic, non-GMO, etc.)
 6. Expiration/best before date if visible
 
+Rate how sure you are of each field you filled in, from 0 (guessed) to 1 (clearly legible), in confidenceScores. Use the keys productName, ingredients, nutritionFacts, allergens, certifications and expiryDate, and add "nutritionFacts.macros.<name>" or "nutritionFacts.otherNutrients.<name>" for any single value that was harder to read than the rest (blurry, glare, cut off, folded).
+
 IMPORTANT: You MUST return a valid JSON object. If the image is not a food label or the text is not readable, return:
 {
   "error": "I couldn't read the food label clearly. Please take a clear photo of the label and try again.",
@@ -33,6 +35,7 @@ Otherwise, return a JSON object with this exact structure:
   "certifications": [],
   "expiryDate": "",
   "confidenceScores": {
+    "productName": 0.0,
     "ingredients": 0.0,
     "nutritionFacts": 0.0,
     "allergens": 0.0
@@ -60,77 +63,70 @@ Product Analysis:
 User Question: 
 {question} 
 Answer concisely and factually. If the information isn't available in the analysis, say so.
+If the answer relies on a field listed in confidence.lowConfidence, say that value may have been misread.
 `;
 
 
-async function analyzeImage(imageBase64, mimeType) {
-    console.log('\n===== STARTING IMAGE ANALYSIS =====');
-    console.log(`Image MIME type: ${mimeType}`);
-    console.log(`Image size: ${(imageBase64.length * 3/4).toLocaleString()} bytes (base64)`);
+// Tells the model which face of the pack it's looking at, so it doesn't
+// guess at fields that panel never shows
+const PANEL_HINTS = {
+    front: 'the front of the pack (product name, brand, claims and certification logos)',
+    ingredients: 'the ingredients panel (ingredient list and allergen statements)',
+    nutrition: 'the nutrition facts panel',
+    other: 'another side of the pack'
+};
+
+function panelPrompt(panels) {
+    if (panels.length === 1) {
+        return `${ANALYSIS_PROMPT}
+This photo shows ${PANEL_HINTS[panels[0]]}. Leave fields that are not visible on it empty.`;
+    }
+    const described = panels.map((panel, i) => `Photo ${i + 1} shows ${PANEL_HINTS[panel]}.`).join('\n');
+    return `${ANALYSIS_PROMPT}
+The photos are different sides of the same product:
+${described}
+Combine them into a single JSON object. Take each field from the photo that shows it most clearly.`;
+}
+
+// `panel` (front, ingredients, nutrition, other) is optional and only steers the prompt
+async function analyzeImage(imageBase64, mimeType, panel = null) {
+    return extractLabel([{ base64: imageBase64, mimeType, panel }]);
+}
+
+// One model call for one or more photos ([{ base64, mimeType, panel }])
+async function analyzeLabel(images) {
+    logger.info('Starting image analysis', {
+        images: images.map(({ base64, mimeType, panel }) => ({ panel, mimeType, bytes: Math.round((base64?.length || 0) * 3 / 4) }))
+    });
     
     try {
-        if (!imageBase64 || typeof imageBase64 !== 'string') {
-            throw new Error('Invalid image data: base64 string is empty or not a string');
-        }
+        for (const { base64, mimeType } of images) {
+            if (!base64 || typeof base64 !== 'string') {
+                throw new Error('Invalid image data: base64 string is empty or not a string');
+            }
 
-        if (!mimeType || !mimeType.startsWith('image/')) {
-            throw new Error(`Invalid MIME type: ${mimeType}`);
+            if (!mimeType || !mimeType.startsWith('image/')) {
+                throw new Error(`Invalid MIME type: ${mimeType}`);
+            }
         }
 
-        console.log('Sending request to OpenAI API...');
+        const panels = images.map(image => image.panel).filter(Boolean);
+        const prompt = panels.length === images.length ? panelPrompt(panels) : ANALYSIS_PROMPT;
+        const provider = getProvider();
+        logger.debug('Sending label to the model', { provider: provider.name, model: provider.models.vision });
         const startTime = Date.now();
-        
-        const requestData = {
-            model: "gpt-4.1-mini",
-            messages: [
-                {
-                    role: "user",
-                    content: [
-                        { type: "text", text: ANALYSIS_PROMPT },
-                        {
-                            type: "image_url",
-                            image_url: {
-                                url: `data:${mimeType};base64,${imageBase64}`,
-                                detail: "low" //making it low for testing mode 
-                            }
-                        }
-                    ]
-                }
-            ],
-            max_tokens: 1000
-        };
-
-        console.log('API Request Payload:', JSON.stringify({
-            model: requestData.model,
-            messages: [{
-                role: requestData.messages[0].role,
-                content: [
-                    { type: 'text', text: requestData.messages[0].content[0].text.substring(0, 100) + '...' },
-                    { type: 'image_url', image_url: { url: 'data:image/... (truncated)' } }
-                ]
-            }],
-            max_tokens: requestData.max_tokens
-        }, null, 2));
 
-        const response = await openai.chat.completions.create(requestData);
-        const responseTime = Date.now() - startTime;
-        
-        console.log(`\n===== OPENAI RESPONSE (${responseTime}ms) =====`);
-        console.log('Response status:', response.status);
-        
-        if (!response.choices || !Array.isArray(response.choices) || response.choices.length === 0) {
-            console.error('No choices in response:', JSON.stringify(response, null, 2));
-            throw new Error('No choices in API response');
-        }
-
-        const firstChoice = response.choices[0];
-        if (!firstChoice.message || !firstChoice.message.content) {
-            console.error('Invalid message format in response:', JSON.stringify(firstChoice, null, 2));
-            throw new Error('Invalid message format in API response');
-        }
+        const response = await provider.vision({
+            task: 'extract',
+            prompt,
+            images: images.map(({ base64, mimeType }) => ({ base64, mimeType })),
+            detail: 'low', //making it low for testing mode 
+            maxTokens: 1000
+        });
+        logger.info('Label analysis response', { durationMs: Date.now() - startTime });
 
-        let content = firstChoice.message.content;
-        console.log('Raw response (first 200 chars):', content.substring(0, 200) + '...');
+        let content = response.content;
+        logger.debug('Raw label analysis', { rawResponse: content });
         
         try {
             // Remove markdown code block markers if present
@@ -151,60 +147,215 @@ async function analyzeImage(imageBase64, mimeType) {
                 };
             }
             
-            console.log('Successfully parsed analysis result');
-            console.log('Analysis keys:', Object.keys(analysis));
+            logger.debug('Parsed the label analysis', { fields: Object.keys(analysis) });
             return { success: true, analysis };
         } catch (parseError) {
-            console.error('Failed to parse response as JSON. Raw content:', content);
+            logger.error('Failed to parse the label analysis as JSON', { rawResponse: content });
             throw new Error(`Failed to parse API response: ${parseError.message}`);
         }
         
     } catch (error) {
-        console.error('\n===== ERROR DETAILS =====');
-        console.error('Error type:', error.constructor.name);
-        console.error('Error message:', error.message);
-        
-        if (error.response) {
-            console.error('Error response status:', error.response.status);
-            console.error('Error response data:', JSON.stringify(error.response.data, null, 2));
-        }
-        
-        if (error.stack) {
-            console.error('\nStack trace:');
-            console.error(error.stack);
-        }
+        logger.error('Image analysis failed', {
+            error,
+            ...(error.response && { responseStatus: error.response.status, responseData: error.response.data })
+        });
 
         return { 
             success: false, 
             error: 'Failed to analyze image',
-            details: error.message,
-            stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            details: error.message
+        };
+    }
+}
+
+// When the vision model fails, the label text is read offline with OCR and
+// structured by a text-only model call, or by heuristics when no model answers.
+// OCR_FALLBACK=off returns the vision error instead.
+const OCR_FALLBACK = process.env.OCR_FALLBACK !== 'off';
+// Less text than this is noise on the photo, not a label
+const MIN_OCR_CHARACTERS = 40;
+// How far to trust each parser before OCR confidence is taken into account
+const OCR_PARSER_TRUST = { model: 0.9, heuristic: 0.75 };
+
+async function extractLabel(images) {
+    const result = await analyzeLabel(images);
+    if (result.success || !OCR_FALLBACK) return result;
+
+    const fallback = await analyzeWithOcr(images, result);
+    return fallback.success ? fallback : result;
+}
+
+async function structureWithModel(text) {
+    try {
+        const response = await getProvider().chat({
+            task: 'extractText',
+            messages: [{
+                role: 'user',
+                content: `${ANALYSIS_PROMPT}
+There is no image this time. The label text below was read from the photo by OCR and may contain recognition errors ("O" for "0", "9" for "g", words split across lines). Use only this text and leave out anything it doesn't say.
+
+${text}`
+            }],
+            maxTokens: 1000,
+            temperature: 0
+        });
+
+        const content = response.content.replace(/^```(?:json)?\n|\n```$/g, '').trim();
+        const analysis = JSON.parse(content);
+        return analysis.isError || analysis.error ? null : analysis;
+    } catch (error) {
+        logger.warn('No model available to structure the OCR text', { error: error.message });
+        return null;
+    }
+}
+
+// OCR output is less reliable than the vision model's own reading, so every
+// field's score is scaled down by how sure Tesseract and the parser were
+function discountConfidence(analysis, factor) {
+    const reported = analysis.confidenceScores || {};
+    const fields = ['productName', 'ingredients', 'nutritionFacts', 'allergens', 'certifications', 'expiryDate'];
+    const scores = {};
+    for (const field of new Set([...fields, ...Object.keys(reported)])) {
+        scores[field] = Math.round((reported[field] ?? 1) * factor * 100) / 100;
+    }
+    analysis.confidenceScores = scores;
+}
+
+// The shared heuristic parser keeps nutrients flat and allergens as the
+// label's statements; this app groups the one and lists the other
+function parseLabel(text, nameText) {
+    const label = parseLabelText(text, { nameText });
+    return {
+        productName: label.productName,
+        ingredients: label.ingredients,
+        nutritionFacts: groupNutritionFacts(label.nutritionFacts),
+        allergens: listAllergens(label.allergenStatements),
+        certifications: label.certifications,
+        expiryDate: label.expiryDate,
+        confidenceScores: {},
+        isError: false
+    };
+}
+
+async function analyzeWithOcr(images, visionFailure) {
+    logger.warn('Vision analysis failed, reading the label text offline', { reason: visionFailure.details });
+
+    try {
+        const pages = [];
+        for (const { base64, panel } of images) {
+            const { text, confidence } = await recognizeText(Buffer.from(base64, 'base64'));
+            pages.push({ panel, text: text.trim(), confidence });
+        }
+
+        const text = pages.map(page => page.text).join('\n\n');
+        if (text.replace(/\s/g, '').length < MIN_OCR_CHARACTERS) {
+            return { success: false, error: 'Failed to analyze image', details: 'No readable label text was found in the photo' };
+        }
+        const ocrConfidence = pages.reduce((sum, page) => sum + page.confidence, 0) / pages.length;
+        logger.info('OCR finished', { characters: text.length, confidence: Math.round(ocrConfidence * 100) / 100 });
+
+        let analysis = await structureWithModel(text);
+        const parser = analysis ? 'model' : 'heuristic';
+        if (!analysis) {
+            const nameText = pages.filter(page => page.panel === 'front').map(page => page.text).join('\n');
+            analysis = parseLabel(text, nameText);
+        }
+
+        const facts = analysis.nutritionFacts || {};
+        const nutrientCount = Object.keys(facts.macros || {}).length + Object.keys(facts.otherNutrients || {}).length;
+        if (!analysis.productName && !(analysis.ingredients || []).length && !facts.calories && nutrientCount === 0) {
+            return { success: false, error: 'Failed to analyze image', details: 'The label text could not be read' };
+        }
+
+        discountConfidence(analysis, ocrConfidence * OCR_PARSER_TRUST[parser]);
+        analysis.extraction = {
+            method: 'ocr',
+            parser,
+            ocrConfidence: Math.round(ocrConfidence * 100) / 100,
+            visionError: visionFailure.details
+        };
+        logger.info('Label structured from OCR text', { parser });
+        return { success: true, analysis };
+    } catch (error) {
+        logger.error('OCR fallback failed', { error });
+        return { success: false, error: 'Failed to analyze image', details: error.message };
+    }
+}
+
+/**
+ * Analyze photos of several panels of one pack ([{ base64, mimeType, panel }]).
+ * In `separate` mode each photo is analyzed on its own and the results are
+ * merged field by field (see panels.js); `together` sends every photo in one
+ * call and lets the model combine them. Panels that can't be read are
+ * reported in `panelMerge.failed` as long as at least one panel worked.
+ */
+async function analyzeImages(images, { mode = 'separate' } = {}) {
+    if (images.length === 1 || mode === 'together') {
+        const result = await extractLabel(images);
+        if (result.success && images.length > 1) {
+            result.analysis.panelMerge = {
+                panels: images.map(image => image.panel || 'other'),
+                mode: 'together',
+                fieldSources: {},
+                conflicts: [],
+                failed: []
+            };
+        }
+        return result;
+    }
+
+    const results = await Promise.all(images.map(image => extractLabel([image])));
+    const succeeded = [];
+    const failed = [];
+    results.forEach((result, i) => {
+        if (result.success) {
+            succeeded.push({ panel: images[i].panel || 'other', analysis: result.analysis });
+        } else {
+            failed.push({ panel: images[i].panel || 'other', error: result.error, details: result.details });
+        }
+    });
+
+    if (succeeded.length === 0) {
+        return {
+            success: false,
+            error: results[0].error,
+            details: failed.map(failure => `${failure.panel}: ${failure.details}`).join('; ')
         };
-    } finally {
-        console.log('===== END OF ANALYSIS =====\n');
     }
+
+    const analysis = mergeAnalyses(succeeded);
+    analysis.panelMerge.mode = 'separate';
+    analysis.panelMerge.failed = failed;
+
+    // The merged analysis is only as good as its weakest reading
+    const ocrPanels = succeeded.filter(({ analysis: panelAnalysis }) => panelAnalysis.extraction?.method === 'ocr');
+    if (ocrPanels.length) {
+        analysis.extraction = { ...ocrPanels[0].analysis.extraction, panels: ocrPanels.map(({ panel }) => panel) };
+    }
+    logger.info('Merged panels', { panels: succeeded.length, conflicts: analysis.panelMerge.conflicts.length, unreadable: failed.length });
+    return { success: true, analysis };
 }
 
 async function generateSummary(analysis) {
     try {
-        const response = await openai.chat.completions.create({
-            model: "gpt-3.5-turbo",
+        const response = await getProvider().chat({
+            task: 'summary',
             messages: [
                 {
                     role: "system",
                     content: RESPONSE_PROMPT.replace('{analysis}', JSON.stringify(analysis, null, 2))
                 }
             ],
-            max_tokens: 300,
+            maxTokens: 300,
             temperature: 0.5
         });
 
         return { 
             success: true, 
-            summary: response.choices[0].message.content.trim()
+            summary: response.content.trim()
         };
     } catch (error) {
-        console.error('Error generating summary:', error);
+        logger.error('Error generating summary', { error });
         return { 
             success: false, 
             error: 'Failed to generate summary',
@@ -215,8 +366,8 @@ async function generateSummary(analysis) {
 
 async function handleFollowUp(analysis, question) {
     try {
-        const response = await openai.chat.completions.create({
-            model: "gpt-3.5-turbo",
+        const response = await getProvider().chat({
+            task: 'followUp',
             messages: [
                 {
                     role: "system",
@@ -225,16 +376,16 @@ async function handleFollowUp(analysis, question) {
                         .replace('{question}', question)
                 }
             ],
-            max_tokens: 300,
+            maxTokens: 300,
             temperature: 0.5
         });
 
         return { 
             success: true, 
-            response: response.choices[0].message.content.trim()
+            response: response.content.trim()
         };
     } catch (error) {
-        console.error('Error handling follow-up:', error);
+        logger.error('Error handling follow-up', { error });
         return { 
             success: false, 
             error: 'Failed to process follow-up question',
@@ -244,7 +395,7 @@ async function handleFollowUp(analysis, question) {
 }
 
 /**
- * Generate speech from text using OpenAI's TTS
+ * Generate speech from text using the configured provider's TTS
  * @param {string} text - The text to convert to speech
  * @param {string} [voice='alloy'] - The voice to use (alloy, echo, fable, onyx, nova, or shimmer)
  * @returns {Promise<Buffer>} - Audio buffer containing the generated speech
@@ -256,25 +407,16 @@ async function generateSpeech(text, voice = 'alloy') {
             throw new Error(`Invalid voice. Must be one of: ${validVoices.join(', ')}`);
         }
 
-        const response = await openai.audio.speech.create({
-            model: "tts-1",
-            voice: voice,
-            input: text,
-            response_format: 'mp3',
-            speed: 1.0
-        });
-
-        // Convert the response to a buffer
-        const arrayBuffer = await response.arrayBuffer();
-        return Buffer.from(arrayBuffer);
+        return await getProvider().speech({ task: 'tts', text, voice, speed: 1.0 });
     } catch (error) {
-        console.error('Error generating speech:', error);
+        logger.error('Error generating speech', { error });
         throw new Error(`Failed to generate speech: ${error.message}`);
     }
 }
 
 module.exports = {
     analyzeImage,
+    analyzeImages,
     generateSummary,
     handleFollowUp,
     generateSpeech
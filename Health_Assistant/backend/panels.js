@@ -0,0 +1,191 @@
+// Packaging spreads a product over several faces. Each uploaded photo is
+// tagged with the panel it shows, analyzed, and the results merged field by
+// field: every field comes from the panel that normally carries it, and any
+// panel that read it differently is reported as a conflict.
+
+const PANELS = ['front', 'ingredients', 'nutrition', 'other'];
+
+// Multer fields for /api/analyze. `image` is the single-photo upload and
+// carries no panel tag.
+const UPLOAD_FIELDS = [
+    { name: 'image', maxCount: 1 },
+    { name: 'front', maxCount: 1 },
+    { name: 'ingredients', maxCount: 1 },
+    { name: 'nutrition', maxCount: 1 },
+    { name: 'other', maxCount: 3 }
+];
+
+// Which panel to trust for each kind of field, most trusted first
+const PRIORITY = {
+    identity: ['front', 'other', 'ingredients', 'nutrition'],
+    ingredients: ['ingredients', 'other', 'front', 'nutrition'],
+    nutrition: ['nutrition', 'other', 'front', 'ingredients'],
+    expiry: ['other', 'front', 'ingredients', 'nutrition']
+};
+
+const normalizeText = value => String(value ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+const sameText = (a, b) => normalizeText(a) === normalizeText(b);
+const sameList = (a, b) => a.map(normalizeText).join('|') === b.map(normalizeText).join('|');
+const isZero = value => Number.parseFloat(String(value ?? '').replace(',', '.')) === 0;
+const isEmpty = value => value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+
+// "12 g" and "12g" are the same reading; so are 190 and "190"
+function sameNutrient(a, b) {
+    const pattern = /(\d+(?:[.,]\d+)?)\s*(mg|mcg|µg|g|kcal|kj|%)?/;
+    const left = normalizeText(a).match(pattern);
+    const right = normalizeText(b).match(pattern);
+    if (!left || !right) return sameText(a, b);
+    return parseFloat(left[1].replace(',', '.')) === parseFloat(right[1].replace(',', '.')) &&
+        (left[2] === right[2] || !left[2] || !right[2]);
+}
+
+/**
+ * Group uploaded files by panel, in the order they should be analyzed.
+ * Returns [{ panel, buffer, mimetype }]; `panel` is null for an untagged photo.
+ */
+function collectImages(files = {}) {
+    const images = [];
+    for (const { name } of UPLOAD_FIELDS) {
+        for (const file of files[name] || []) {
+            images.push({ panel: name === 'image' ? null : name, buffer: file.buffer, mimetype: file.mimetype });
+        }
+    }
+    return images;
+}
+
+// A 0 on a front or ingredients panel is the model filling in a nutrient it
+// couldn't see, not a reading, so only the nutrition panel gets to report
+// one. Untagged photos reach the merge as 'other' and may well show the
+// nutrition panel, so their zeros count too
+function nutrientReading(read) {
+    return (analysis, panel) => {
+        const value = read(analysis);
+        if (panel && panel !== 'nutrition' && panel !== 'other' && isZero(value)) return undefined;
+        return value;
+    };
+}
+
+// Pick one field across panels: the first non-empty value in priority order
+function pickField(results, order, read, same) {
+    const candidates = results
+        .map(({ panel, analysis }) => ({ panel, analysis, value: read(analysis, panel) }))
+        .filter(candidate => !isEmpty(candidate.value))
+        .sort((a, b) => order.indexOf(a.panel) - order.indexOf(b.panel));
+
+    if (candidates.length === 0) return null;
+
+    const [chosen, ...others] = candidates;
+    return {
+        value: chosen.value,
+        panel: chosen.panel,
+        analysis: chosen.analysis,
+        disagreeing: others
+            .filter(other => !same(chosen.value, other.value))
+            .map(({ panel, value }) => ({ panel, value }))
+    };
+}
+
+// Lists where every panel adds information (allergens, certifications)
+function unionField(results, read) {
+    const seen = new Set();
+    const merged = [];
+    for (const { analysis } of results) {
+        for (const item of read(analysis) || []) {
+            const key = normalizeText(item);
+            if (key && !seen.has(key)) {
+                seen.add(key);
+                merged.push(item);
+            }
+        }
+    }
+    return merged;
+}
+
+/**
+ * Merge per-panel analyses ([{ panel, analysis }]) into one analysis in the
+ * analyzeImage shape. The result carries `panelMerge`:
+ * { panels, fieldSources, conflicts: [{ field, chosen: { panel, value }, others }] }.
+ */
+function mergeAnalyses(results) {
+    const fieldSources = {};
+    const confidenceScores = {};
+    const conflicts = [];
+
+    // A field keeps the confidence the model gave it on the panel it came from
+    const keepConfidence = (field, analysis) => {
+        const reported = analysis.confidenceScores || {};
+        const score = reported[field] ?? (field.startsWith('nutritionFacts.') ? reported.nutritionFacts : undefined);
+        if (typeof score === 'number') confidenceScores[field] = score;
+    };
+
+    const resolve = (field, order, read, same = sameText) => {
+        const picked = pickField(results, order, read, same);
+        if (!picked) return undefined;
+
+        fieldSources[field] = picked.panel;
+        keepConfidence(field, picked.analysis);
+        if (picked.disagreeing.length) {
+            conflicts.push({
+                field,
+                chosen: { panel: picked.panel, value: picked.value },
+                others: picked.disagreeing
+            });
+        }
+        return picked.value;
+    };
+
+    // Macros and other nutrients are free-form maps, so merge every key any panel read
+    const resolveGroup = group => {
+        const keys = new Set(results.flatMap(({ analysis }) => Object.keys(analysis.nutritionFacts?.[group] || {})));
+        const merged = {};
+        for (const key of keys) {
+            const value = resolve(`nutritionFacts.${group}.${key}`, PRIORITY.nutrition,
+                nutrientReading(analysis => analysis.nutritionFacts?.[group]?.[key]), sameNutrient);
+            if (value !== undefined) merged[key] = value;
+        }
+        return merged;
+    };
+
+    const nutritionFacts = {
+        servingSize: resolve('nutritionFacts.servingSize', PRIORITY.nutrition, analysis => analysis.nutritionFacts?.servingSize) || '',
+        calories: resolve('nutritionFacts.calories', PRIORITY.nutrition,
+            nutrientReading(analysis => analysis.nutritionFacts?.calories), sameNutrient) ?? 0,
+        macros: resolveGroup('macros'),
+        otherNutrients: resolveGroup('otherNutrients')
+    };
+
+    const ingredients = resolve('ingredients', PRIORITY.ingredients, analysis => analysis.ingredients, sameList) || [];
+
+    // Merged lists are as reliable as the best panel that contributed to them
+    for (const field of ['allergens', 'certifications']) {
+        const scores = results
+            .filter(({ analysis }) => !isEmpty(analysis[field]) && typeof analysis.confidenceScores?.[field] === 'number')
+            .map(({ analysis }) => analysis.confidenceScores[field]);
+        if (scores.length) confidenceScores[field] = Math.max(...scores);
+    }
+
+    return {
+        productName: resolve('productName', PRIORITY.identity, analysis => analysis.productName) || '',
+        brandName: resolve('brandName', PRIORITY.identity, analysis => analysis.brandName) || '',
+        ingredients,
+        nutritionFacts,
+        allergens: unionField(results, analysis => analysis.allergens),
+        certifications: unionField(results, analysis => analysis.certifications),
+        expiryDate: resolve('expiryDate', PRIORITY.expiry, analysis => analysis.expiryDate) || '',
+        confidenceScores,
+        isError: false,
+        panelMerge: {
+            panels: results.map(({ panel }) => panel),
+            fieldSources,
+            conflicts
+        }
+    };
+}
+
+module.exports = {
+    PANELS,
+    UPLOAD_FIELDS,
+    collectImages,
+    mergeAnalyses
+};
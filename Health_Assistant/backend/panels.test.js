@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mergeAnalyses } = require('./panels');
+
+const front = {
+    productName: 'Oat Bar',
+    ingredients: [],
+    nutritionFacts: { calories: 0, macros: { totalSugars: '0g', protein: '10g' }, otherNutrients: {} },
+    allergens: [],
+    certifications: ['Organic']
+};
+
+const nutrition = {
+    productName: 'Oat Bar',
+    ingredients: [],
+    nutritionFacts: {
+        servingSize: '40g',
+        calories: 190,
+        macros: { totalSugars: '12g', protein: '4g', transFat: '0g' },
+        otherNutrients: {}
+    },
+    allergens: ['Soy'],
+    confidenceScores: { nutritionFacts: 0.8 }
+};
+
+const ingredients = {
+    productName: 'Oat Bar',
+    ingredients: ['oats', 'honey'],
+    nutritionFacts: { calories: '0 kcal', macros: {}, otherNutrients: { sodium: '0mg' } },
+    allergens: ['soy', 'Tree nuts']
+};
+
+const merge = () => mergeAnalyses([
+    { panel: 'front', analysis: front },
+    { panel: 'nutrition', analysis: nutrition },
+    { panel: 'ingredients', analysis: ingredients }
+]);
+
+test('takes each field from the panel that normally carries it', () => {
+    const merged = merge();
+
+    assert.deepEqual(merged.ingredients, ['oats', 'honey']);
+    assert.equal(merged.nutritionFacts.calories, 190);
+    assert.deepEqual(merged.allergens, ['Soy', 'Tree nuts']);
+    assert.equal(merged.confidenceScores['nutritionFacts.calories'], 0.8);
+    assert.deepEqual(merged.panelMerge.conflicts.map(conflict => conflict.field), ['nutritionFacts.macros.protein']);
+});
+
+test('ignores zeros from panels other than the nutrition panel', () => {
+    const merged = merge();
+
+    assert.equal(merged.nutritionFacts.macros.totalSugars, '12g');
+    assert.equal(merged.nutritionFacts.macros.transFat, '0g');
+    assert.equal(merged.nutritionFacts.otherNutrients.sodium, undefined);
+
+    const untagged = mergeAnalyses([{ panel: null, analysis: ingredients }]);
+    assert.equal(untagged.nutritionFacts.otherNutrients.sodium, '0mg');
+});
+
+test('keeps zeros read from untagged photos, which are merged as "other"', () => {
+    const merged = mergeAnalyses([
+        { panel: 'front', analysis: front },
+        { panel: 'other', analysis: nutrition }
+    ]);
+
+    assert.equal(merged.nutritionFacts.macros.transFat, '0g');
+    assert.equal(merged.panelMerge.fieldSources['nutritionFacts.macros.transFat'], 'other');
+});
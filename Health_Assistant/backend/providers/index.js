@@ -0,0 +1,20 @@
+const path = require('path');
+const { createProviderRegistry, PROVIDERS } = require('@health/shared/providers');
+
+// The provider layer lives in shared/providers; this app keeps its own default
+// OpenAI models and stub fixtures
+const { getProvider, setProvider, createProvider, onUsage } = createProviderRegistry({
+    openAIModels: {
+        chat: 'gpt-3.5-turbo',
+        vision: 'gpt-4.1-mini'
+    },
+    fixturesDir: path.join(__dirname, 'fixtures')
+});
+
+module.exports = {
+    getProvider,
+    setProvider,
+    createProvider,
+    onUsage,
+    PROVIDERS
+};
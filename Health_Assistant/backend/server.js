@@ -4,14 +4,50 @@ const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const { analyzeImage, generateSummary, handleFollowUp } = require('./aiService');
+const { analyzeImages, generateSummary, handleFollowUp } = require('./aiService');
 const { generateSpeech } = require('./ttsService');
-const { storeAnalysis, getAnalysis, hasSession } = require('./sessionManager');
+const { storeAnalysis, getAnalysis, hasSession, getSessionStats } = require('./sessionManager');
+const { normalizeBarcode, decodeBarcode } = require('@health/shared/barcode');
+const { lookupProduct } = require('@health/shared/productCatalog');
+const { groupNutritionFacts } = require('@health/shared/labelText');
+const { UPLOAD_FIELDS, collectImages } = require('./panels');
+const { assessConfidence } = require('@health/shared/confidence');
+const { preprocessImages } = require('@health/shared/imagePreprocess');
+const { getProvider, onUsage } = require('./providers');
+const { takeAllowance, recordSpend, checkSpendBudget, describeLimit, getUsageStats } = require('@health/shared/usageLimits');
+const { CONTENT_TYPE, canReadMetrics, recordModelCall, trackRequests, renderMetrics } = require('@health/shared/metrics');
+const { logger, requestLogging, keepRequestContext } = require('@health/shared/logger');
 
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Longest text /api/tts reads out in one request
+const TTS_MAX_CHARS = Number(process.env.TTS_MAX_CHARS || 1000);
+
+// Behind a proxy or load balancer, set TRUST_PROXY (e.g. 1 for one hop) so
+// rate limits apply to each client's own IP
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' ? true : Number.isNaN(Number(trustProxy)) ? trustProxy : Number(trustProxy));
+}
+
+// Every model call that went through counts towards the daily spend budget,
+// and every call, failed or not, is recorded for /metrics and logged with the
+// ID of the request that made it
+onUsage(usage => {
+    if (usage.outcome !== 'error') recordSpend(usage.cost);
+    recordModelCall(usage);
+    logger.info('Model call', usage);
+});
+
+try {
+    getProvider();
+} catch (error) {
+    logger.error('Model provider is not configured', { error: error.message });
+    process.exit(1);
+}
+
 // Configure multer for file uploads
 const SUPPORTED_IMAGE_TYPES = [
     'image/jpeg',
@@ -33,11 +69,17 @@ const upload = multer({
     }
 });
 
+// Request IDs and one log line per request
+app.use(requestLogging);
+
+// Request counts, errors and durations per route, for /metrics
+app.use(trackRequests);
 
 app.use(cors({
     origin: true,
-    methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-ID']
+    methods: ['GET', 'POST', 'OPTIONS', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-ID', 'X-Request-ID'],
+    exposedHeaders: ['Retry-After', 'X-Request-ID']
 }));
 
 app.use(express.json({ limit: '10mb' }));
@@ -46,8 +88,67 @@ app.use(express.urlencoded({ extended: true }));
 // Helper function to generate a new session ID
 const generateSessionId = () => uuidv4();
 
+// A typed barcode wins over one decoded from the photos
+async function resolveBarcode(req, images) {
+    if (req.body?.barcode) {
+        const normalized = normalizeBarcode(req.body.barcode);
+        return normalized.valid ? { gtin: normalized.gtin, format: normalized.format, from: 'typed' } : { error: normalized.error };
+    }
+
+    for (const image of images) {
+        try {
+            const decoded = await decodeBarcode(image.buffer);
+            if (decoded) {
+                return { gtin: decoded.gtin, format: decoded.format, from: 'image', panel: image.panel };
+            }
+        } catch (error) {
+            logger.warn('Barcode decoding failed', { error: error.message });
+        }
+    }
+
+    return null;
+}
+
+// Catalog records keep nutrients flat and allergen statements alongside the
+// allergens; this app's analyses group the nutrients and skip the statements
+function catalogAnalysis({ allergenStatements, nutritionFacts, ...analysis }) {
+    return {
+        ...analysis,
+        nutritionFacts: groupNutritionFacts(nutritionFacts),
+        // Catalog data isn't read off a photo, so there's nothing to be unsure about
+        confidenceScores: {
+            ingredients: 1,
+            nutritionFacts: 1,
+            allergens: 1
+        }
+    };
+}
+
+// Count the request against the per-client (by IP) and global rate limits and
+// check the daily spend budget. `amounts(req)` adds what else the request
+// uses, e.g. { images: 3 }, or { requests: 0 } when it was already counted.
+const limitUsage = (amounts = () => ({}), { budget = true } = {}) => (req, res, next) => {
+    const clientKey = `ip:${req.ip}`;
+    const spend = budget ? checkSpendBudget() : { allowed: true };
+    const result = spend.allowed ? takeAllowance({ client: clientKey }, { requests: 1, ...amounts(req) }) : spend;
+
+    if (!result.allowed) {
+        logger.warn('Rate limit reached', { clientKey, limit: result.limit, scope: result.scope, retryAfter: result.retryAfter });
+        res.set('Retry-After', String(result.retryAfter));
+        return res.status(429).json({
+            success: false,
+            error: 'Too many requests',
+            details: describeLimit(result),
+            limit: result.limit,
+            scope: result.scope,
+            retryAfter: result.retryAfter
+        });
+    }
+    next();
+};
+
 // Helper middleware to check for valid session
-const validateSession = (req, res, next) => {
+const validateSession = async (req, res, next) => {
     const sessionId = req.headers['x-session-id'];
     
     if (!sessionId) {
@@ -56,40 +157,111 @@ const validateSession = (req, res, next) => {
             error: 'Session ID is required in X-Session-ID header'
         });
     }
+
+    if (!(await hasSession(sessionId))) {
+        return res.status(404).json({
+            success: false,
+            error: 'Session not found or expired. Please scan the product again.'
+        });
+    }
     
     req.sessionId = sessionId;
     next();
 };
 
-// Phase 1: Analyze food label image
-app.post('/api/analyze', upload.single('image'), async (req, res) => {
+// Phase 1: Identify the product by barcode or analyze the food label photos.
+// Photos come as `image` (one untagged photo) and/or one per panel: `front`,
+// `ingredients`, `nutrition` and up to three `other`. `mode=together` analyzes
+// the panels in one model call instead of one call each.
+// The request is counted against the rate limits before the upload is read, so
+// a client over its limit can't make the server buffer photos; the photos are
+// counted once parsed.
+app.post('/api/analyze', limitUsage(), keepRequestContext(upload.fields(UPLOAD_FIELDS)), limitUsage(req => ({ requests: 0, images: collectImages(req.files).length }), { budget: false }), async (req, res) => {
     try {
-        if (!req.file) {
+        const images = collectImages(req.files);
+
+        if (images.length === 0 && !req.body?.barcode) {
             return res.status(400).json({ 
                 success: false, 
-                error: 'No file uploaded or unsupported file type' 
+                error: 'No file uploaded or unsupported file type, and no barcode provided' 
             });
         }
 
-        // Convert image to base64
-        const imageBase64 = req.file.buffer.toString('base64');
-        
-        // Analyze the image using GPT-4 Vision
-        const analysisResult = await analyzeImage(imageBase64, req.file.mimetype);
-        
-        if (!analysisResult.success) {
-            return res.status(500).json({
+        // Check the local product catalog first; a hit skips the vision model
+        const barcode = await resolveBarcode(req, images);
+
+        if (barcode?.error) {
+            return res.status(400).json({
                 success: false,
-                error: analysisResult.error,
-                details: analysisResult.details
+                error: 'Invalid barcode',
+                details: barcode.error
             });
         }
 
+        const catalogResult = barcode ? await lookupProduct(barcode.gtin) : { found: false };
+        let analysisResult;
+        let source;
+
+        if (catalogResult.found) {
+            logger.info('Barcode found in product catalog, skipping image analysis', { barcode: barcode.gtin });
+            analysisResult = { success: true, analysis: catalogAnalysis(catalogResult.analysis) };
+            source = { type: 'catalog', barcode, catalogVersion: catalogResult.catalog.version };
+        } else if (images.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found',
+                details: `No product with barcode ${barcode.gtin} is in the catalog. Please scan the food label instead.`
+            });
+        } else {
+            // Straighten, crop and clean up the photos; reject ones the model couldn't read
+            const prepared = await preprocessImages(images);
+
+            if (prepared.rejected) {
+                const { panel, reason, metrics } = prepared.rejected;
+                logger.info('Photo rejected', { panel, reason });
+                return res.status(422).json({
+                    success: false,
+                    error: 'Photo not usable',
+                    details: reason,
+                    panel,
+                    metrics
+                });
+            }
+            for (const { panel, steps, metrics } of prepared.report) {
+                logger.debug('Photo prepared', { panel, steps, metrics });
+            }
+
+            // Analyze the label photos, one model call per panel unless mode=together
+            analysisResult = await analyzeImages(
+                prepared.images.map(image => ({ base64: image.buffer.toString('base64'), mimeType: image.mimetype, panel: image.panel })),
+                { mode: req.body?.mode === 'together' ? 'together' : 'separate' }
+            );
+            
+            if (!analysisResult.success) {
+                return res.status(500).json({
+                    success: false,
+                    error: analysisResult.error,
+                    details: analysisResult.details
+                });
+            }
+
+            if (barcode) analysisResult.analysis.barcode = barcode.gtin;
+            source = { type: 'label-image', barcode, preprocessing: prepared.report, extraction: analysisResult.analysis.extraction || { method: 'vision' } };
+            if (analysisResult.analysis.panelMerge) {
+                const { panels, mode, conflicts, failed } = analysisResult.analysis.panelMerge;
+                source.panels = { panels, mode, conflicts, failed };
+            }
+        }
+
+        // Score each field so follow-up answers and the client know what to double-check
+        analysisResult.analysis.confidence = assessConfidence(analysisResult.analysis, { verified: source.type === 'catalog', spoken: true });
+        const { guidance } = analysisResult.analysis.confidence;
+
         // Generate a new session ID
         const sessionId = generateSessionId();
         
         // Store the analysis in the session
-        storeAnalysis(sessionId, analysisResult.analysis);
+        await storeAnalysis(sessionId, analysisResult.analysis, null, null, source);
 
         // Generate a user-friendly summary
         let summary = 'Analysis complete';
@@ -98,7 +270,7 @@ app.post('/api/analyze', upload.single('image'), async (req, res) => {
             if (summaryResult.success && summaryResult.summary) {
                 summary = summaryResult.summary;
             } else {
-                console.error('Failed to generate summary, using fallback:', summaryResult.error);
+                logger.warn('Failed to generate summary, using fallback', { sessionId, error: summaryResult.error });
                 // Create a basic summary from the analysis
                 const product = analysisResult.analysis.productName || 'This product';
                 const ingredients = analysisResult.analysis.ingredients?.join(', ') || 'various ingredients';
@@ -109,7 +281,7 @@ app.post('/api/analyze', upload.single('image'), async (req, res) => {
                 }
             }
         } catch (error) {
-            console.error('Error generating summary:', error);
+            logger.error('Error generating summary', { sessionId, error });
             summary = 'Analysis complete. Ask me anything about this product.';
         }
 
@@ -118,21 +290,18 @@ app.post('/api/analyze', upload.single('image'), async (req, res) => {
             success: true,
             sessionId,
             summary,
+            source,
+            guidance,
             hasAnalysis: true,
             analysis: analysisResult.analysis // Include the full analysis for debugging
         };
 
-        console.log('Sending response to client:', JSON.stringify({
-            success: true,
-            sessionId: responseData.sessionId,
-            summary: responseData.summary.substring(0, 100) + '...',
-            hasAnalysis: true
-        }, null, 2));
+        logger.info('Analysis complete', { sessionId, source: source.type });
 
         res.json(responseData);
 
     } catch (error) {
-        console.error('Error in /api/analyze:', error);
+        logger.error('Error in /api/analyze', { error });
         res.status(500).json({
             success: false,
             error: 'Failed to process image',
@@ -142,13 +311,13 @@ app.post('/api/analyze', upload.single('image'), async (req, res) => {
 });
 
 // Phase 2: Get summary or handle follow-up questions
-app.post('/api/chat', validateSession, async (req, res) => {
+app.post('/api/chat', limitUsage(), validateSession, async (req, res) => {
     try {
         const { message, isFollowUp = false } = req.body;
         const { sessionId } = req;
 
         // Get the stored analysis
-        const sessionData = getAnalysis(sessionId);
+        const sessionData = await getAnalysis(sessionId);
         
         if (!sessionData) {
             return res.status(404).json({
@@ -190,7 +359,7 @@ app.post('/api/chat', validateSession, async (req, res) => {
         res.json(response);
 
     } catch (error) {
-        console.error('Error in /api/chat:', error);
+        logger.error('Error in /api/chat', { sessionId: req.headers['x-session-id'], error });
         res.status(500).json({
             success: false,
             error: 'Failed to process request',
@@ -199,14 +368,37 @@ app.post('/api/chat', validateSession, async (req, res) => {
     }
 });
 
+// Health check: session counts, rate limits and today's estimated model spend
+app.get('/api/health', async (req, res) => {
+    res.json({
+        success: true,
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        sessions: await getSessionStats(),
+        usage: getUsageStats()
+    });
+});
+
 // TTS Endpoint
-app.post('/api/tts', express.json(), async (req, res) => {
+// Checked before the rate limit, so rejected text isn't counted
+const validateTtsText = (req, res, next) => {
+    const text = req.body?.text;
+
+    if (!text) {
+        return res.status(400).json({ error: 'Text is required' });
+    }
+    if (typeof text !== 'string' || text.length > TTS_MAX_CHARS) {
+        return res.status(413).json({
+            error: 'Text is too long',
+            details: `Text to read out can be at most ${TTS_MAX_CHARS} characters`
+        });
+    }
+    next();
+};
+
+app.post('/api/tts', express.json(), validateTtsText, limitUsage(req => ({ ttsChars: req.body.text.length })), async (req, res) => {
     try {
         const { text, voice = 'alloy' } = req.body;
-        
-        if (!text) {
-            return res.status(400).json({ error: 'Text is required' });
-        }
 
         // Generate speech using the TTS service
         const audioBuffer = await generateSpeech(text, voice);
@@ -223,7 +415,7 @@ app.post('/api/tts', express.json(), async (req, res) => {
         res.send(audioBuffer);
         
     } catch (error) {
-        console.error('TTS Error:', error);
+        logger.error('TTS error', { error });
         res.status(500).json({ 
             error: 'Failed to generate speech',
             details: error.message 
@@ -231,13 +423,27 @@ app.post('/api/tts', express.json(), async (req, res) => {
     }
 });
 
+// Prometheus metrics: model calls (tokens, latency, outcome and estimated cost
+// by pipeline stage) and requests per route
+app.get('/metrics', (req, res) => {
+    if (!canReadMetrics(req)) {
+        return res.status(401).json({
+            success: false,
+            error: 'Unauthorized',
+            details: 'Send Authorization: Bearer <METRICS_TOKEN>; without METRICS_TOKEN set, metrics are only served to this machine'
+        });
+    }
+    res.type(CONTENT_TYPE).send(renderMetrics());
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
-    console.error('Unhandled error:', err);
+    logger.error('Unhandled error', { error: err });
     res.status(500).json({
         success: false,
         error: 'Internal server error',
-        details: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
+        details: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong',
+        requestId: req.id
     });
 });
 
@@ -262,7 +468,7 @@ app.post('/generate-response', async (req, res) => {
             });
         }
 
-        console.log('Received request with message:', message);
+        logger.info('Generate-response request received', { message });
         const result = await generateResponse(message);
         
         if (result.success) {
@@ -278,7 +484,7 @@ app.post('/generate-response', async (req, res) => {
             });
         }
     } catch (error) {
-        console.error('Error in /generate-response:', error);
+        logger.error('Error in /generate-response', { error });
         res.status(500).json({ 
             success: false, 
             error: 'Internal server error',
@@ -289,8 +495,8 @@ app.post('/generate-response', async (req, res) => {
 
 // Start server
 app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-    console.log('Available endpoints:');
-    console.log('- POST /api/analyze (Image Analysis)');
-    console.log('- POST /api/chat (Follow-up Questions)');
+    logger.info('Health Assistant server started', {
+        port: Number(PORT),
+        endpoints: ['POST /api/analyze', 'POST /api/chat', 'POST /api/tts', 'GET /api/health', 'GET /metrics']
+    });
 });
@@ -1,32 +1,115 @@
-const NodeCache = require('node-cache');
+// Session storage, backed by the store picked with SESSION_STORE (see
+// shared/sessionStore.js). Every call is async so a shared store can sit behind it.
+// A session expires after SESSION_TTL_SECONDS (default 30 minutes) without use.
+const path = require('path');
+const { createSessionStore, TTL_MS } = require('@health/shared/sessionStore');
+const { logger } = require('@health/shared/logger');
 
-// Session cache with 15-minute TTL and check for expired sessions every 5 minutes
-const sessionCache = new NodeCache({ 
-    stdTTL: 15 * 60, // 15 minutes
-    checkperiod: 5 * 60, // 5 minutes
-    useClones: false
+const store = createSessionStore({
+    dbPath: path.join(__dirname, 'data', 'sessions.db'),
+    redisPrefix: 'healthassistant:session:'
 });
 
-// Store product analysis in session
-function storeAnalysis(sessionId, analysis) {
-    return sessionCache.set(sessionId, {
+// Keep only the last 10 messages to bound the session size
+const MAX_HISTORY = 10;
+
+// `source` records where the product data came from: { type: 'catalog' | 'label-image', barcode }
+async function storeAnalysis(sessionId, analysis, webInfo = null, formattedData = null, source = null) {
+    const session = {
         analysis,
-        timestamp: Date.now()
-    });
+        webInfo,
+        formattedData,
+        source,
+        conversationHistory: [],
+        createdAt: Date.now()
+    };
+
+    await store.set(sessionId, session);
+    logger.info('Session created', { sessionId });
+
+    return { ...session, lastAccessed: session.createdAt };
+}
+
+// Reading a session counts as using it and pushes its expiry back
+async function getAnalysis(sessionId) {
+    const entry = await store.get(sessionId);
+    if (!entry) {
+        return null;
+    }
+
+    return { ...entry.session, lastAccessed: entry.expiresAt - TTL_MS };
+}
+
+// Change a stored session with `change(session)`, which returns the new one.
+// Runs against the stored session as it is now, so concurrent changes aren't lost.
+async function changeSession(sessionId, change) {
+    const entry = await store.update(sessionId, change);
+    return entry && { ...entry.session, lastAccessed: entry.expiresAt - TTL_MS };
 }
 
-// Get product analysis from session
-function getAnalysis(sessionId) {
-    return sessionCache.get(sessionId);
+// `updates` is an object to merge in, or a function of the current session
+// returning one, for updates that depend on what the session holds by then
+async function updateSession(sessionId, updates) {
+    return changeSession(sessionId, session => ({
+        ...session,
+        ...(typeof updates === 'function' ? updates(session) : updates)
+    }));
 }
 
-// Check if session exists
-function hasSession(sessionId) {
-    return sessionCache.has(sessionId);
+// `extra` is merged into the entry, e.g. { interrupted: true } for a reply cut short
+async function addToConversationHistory(sessionId, role, content, extra = {}) {
+    return changeSession(sessionId, session => ({
+        ...session,
+        conversationHistory: [
+            ...session.conversationHistory,
+            { role, content, ...extra, timestamp: Date.now() }
+        ].slice(-MAX_HISTORY)
+    }));
+}
+
+// Doesn't count as using the session
+async function hasSession(sessionId) {
+    return store.has(sessionId);
+}
+
+async function deleteSession(sessionId) {
+    const deleted = await store.delete(sessionId);
+    if (deleted) {
+        logger.info('Session deleted', { sessionId });
+    }
+    return deleted;
+}
+
+// Session IDs and owners are only listed with `details`, for admins; without
+// it the store only counts its sessions instead of reading every one
+async function getSessionStats({ details = false } = {}) {
+    const stats = {
+        store: store.name,
+        ttlSeconds: TTL_MS / 1000
+    };
+    if (!details) return { ...stats, totalSessions: await store.count() };
+
+    const entries = await store.list();
+    return {
+        ...stats,
+        totalSessions: entries.length,
+        sessions: entries.map(({ id, session, expiresAt }) => ({
+            id,
+            ownerId: session.ownerId || null,
+            createdAt: new Date(session.createdAt).toISOString(),
+            lastAccessed: new Date(expiresAt - TTL_MS).toISOString(),
+            expiresAt: new Date(expiresAt).toISOString(),
+            messageCount: session.conversationHistory.length
+        }))
+    };
 }
 
 module.exports = {
     storeAnalysis,
     getAnalysis,
-    hasSession
+    updateSession,
+    addToConversationHistory,
+    hasSession,
+    deleteSession,
+    getSessionStats
 };
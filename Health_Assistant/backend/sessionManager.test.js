@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.SESSION_STORE = 'memory';
+
+const {
+    storeAnalysis,
+    getAnalysis,
+    updateSession,
+    addToConversationHistory,
+    hasSession,
+    deleteSession,
+    getSessionStats
+} = require('./sessionManager');
+
+test('stores an analysis and merges updates into the session', async () => {
+    await storeAnalysis('ha-1', { productName: 'Oat Bar' }, null, null, { type: 'catalog', barcode: '4006381333931' });
+    const updated = await updateSession('ha-1', { ownerId: 'device-1' });
+
+    assert.equal(updated.ownerId, 'device-1');
+    const session = await getAnalysis('ha-1');
+    assert.equal(session.analysis.productName, 'Oat Bar');
+    assert.equal(session.source.barcode, '4006381333931');
+    assert.equal(session.ownerId, 'device-1');
+    assert.ok(session.lastAccessed >= session.createdAt);
+
+    assert.equal(await updateSession('missing', { ownerId: 'device-1' }), null);
+    assert.equal(await addToConversationHistory('missing', 'user', 'Hi'), null);
+});
+
+test('keeps the last 10 chat messages', async () => {
+    await storeAnalysis('ha-2', { productName: 'Rice Cake' });
+    for (let i = 1; i <= 12; i++) {
+        await addToConversationHistory('ha-2', 'user', `Question ${i}`, i === 12 ? { interrupted: true } : {});
+    }
+
+    const { conversationHistory } = await getAnalysis('ha-2');
+    assert.equal(conversationHistory.length, 10);
+    assert.equal(conversationHistory[0].content, 'Question 3');
+    assert.equal(conversationHistory[9].interrupted, true);
+});
+
+test('lists session IDs only when details are asked for, and deletes sessions', async () => {
+    const stats = await getSessionStats();
+    assert.equal(stats.store, 'memory');
+    assert.equal(stats.totalSessions, 2);
+    assert.equal(stats.sessions, undefined);
+
+    const { sessions } = await getSessionStats({ details: true });
+    assert.deepEqual(sessions.map(session => session.id).sort(), ['ha-1', 'ha-2']);
+    assert.equal(sessions.find(session => session.id === 'ha-2').messageCount, 10);
+
+    assert.equal(await deleteSession('ha-1'), true);
+    assert.equal(await hasSession('ha-1'), false);
+    assert.equal(await deleteSession('ha-1'), false);
+});
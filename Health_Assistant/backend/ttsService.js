@@ -1,11 +1,8 @@
-const { OpenAI } = require('openai');
-
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-});
+const { getProvider } = require('./providers');
+const { logger } = require('@health/shared/logger');
 
 /**
- * Generate speech from text using OpenAI's TTS
+ * Generate speech from text using the configured provider's TTS
  * @param {string} text - The text to convert to speech
  * @param {string} [voice='alloy'] - The voice to use (alloy, echo, fable, onyx, nova, or shimmer)
  * @returns {Promise<Buffer>} - Audio buffer containing the generated speech
@@ -16,17 +13,14 @@ async function generateSpeech(text, voice = 'alloy') {
     }
 
     try {
-        const mp3 = await openai.audio.speech.create({
-            model: 'tts-1',
+        return await getProvider().speech({
+            task: 'tts',
+            text,
             voice: voice.toLowerCase(),
-            input: text,
-            response_format: 'mp3',
             speed: 1.0
         });
-
-        return Buffer.from(await mp3.arrayBuffer());
     } catch (error) {
-        console.error('Error in TTS generation:', error);
+        logger.error('Error in TTS generation', { error });
         throw new Error('Failed to generate speech');
     }
 }
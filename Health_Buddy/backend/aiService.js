@@ -1,9 +1,25 @@
-const { OpenAI } = require('openai');
-const axios = require('axios');
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+const { getProvider } = require('./providers');
+const { computeHealthScore } = require('./healthScore');
+const { normalizeNutritionFacts, macroEnergySplit } = require('@health/shared/nutrients');
+const { completeStructured } = require('./structuredOutput');
+const { lookupIngredients, lookupIngredient } = require('./knowledgeBase');
+const { detectAllergens, allergenLabels } = require('./allergens');
+const { mergeAnalyses } = require('./panels');
+const { assessConfidence } = require('@health/shared/confidence');
+const { recognizeText } = require('@health/shared/ocr');
+const { parseLabelText } = require('@health/shared/labelText');
+const { evaluateProfile, describeProfile } = require('./profile');
+const { classifyDiets } = require('./dietCompliance');
+const { buildConversationContext, fallbackSummary } = require('./conversationMemory');
+const { logger } = require('@health/shared/logger');
+const {
+  labelAnalysisSchema,
+  webInfoSchema,
+  formattedReportSchema,
+  followUpSchema,
+  comparisonSchema,
+  conversationSummarySchema
+} = require('./schemas');
 
 const ANALYSIS_PROMPT = `
 You are a food label analysis tool. Extract the following information from the provided food label image:
@@ -15,6 +31,12 @@ You are a food label analysis tool. Extract the following information from the p
 5. Any certifications (organic, non-GMO, etc.)
 6. Expiration/best before date if visible
 
+Copy any allergen statements exactly as printed into allergenStatements (for example "Contains: milk, soy" or "May contain traces of nuts. Made in a facility that also processes sesame.").
+
+Copy nutrient values exactly as printed, including units and any % Daily Value (for example "2.5 g (4% DV)" or "<1g").
+
+Rate how sure you are of each field you filled in, from 0 (guessed) to 1 (clearly legible), in fieldConfidence. Use the keys productName, brandName, ingredients, nutritionFacts, allergenStatements, certifications and expiryDate, and add "nutritionFacts.<field>" for any single nutrient value that was harder to read than the rest (blurry, glare, cut off, folded).
+
 IMPORTANT: You MUST return a valid JSON object. If the image is not a food label or the text is not readable, return:
 {
   "error": "Unable to process the image. Please ensure the image is clear and contains a food label.",
@@ -46,40 +68,15 @@ Otherwise, return a JSON object with this exact structure:
     "potassium": ""
   },
   "allergens": [],
+  "allergenStatements": [],
   "certifications": [],
   "expiryDate": "",
-  "isError": false
-}
-`;
-
-const WEB_SEARCH_PROMPT = `
-Based on the product analysis below, search the web for:
-1. Health benefits or concerns about key ingredients
-2. Product reviews and ratings
-3. Comparisons with similar products
-4. Any recalls or safety issues
-5. Nutritional recommendations for this type of product
-
-Product: {productName}
-Ingredients: {ingredients}
-
-Return a JSON object with this structure:
-{
-  "ingredientInfo": [
-    {
-      "ingredient": "",
-      "healthImpact": "",
-      "benefits": [],
-      "concerns": []
-    }
-  ],
-  "productReviews": {
-    "averageRating": 0,
-    "reviewSummary": ""
+  "fieldConfidence": {
+    "productName": 0.0,
+    "ingredients": 0.0,
+    "nutritionFacts": 0.0
   },
-  "comparisons": [],
-  "safetyIssues": [],
-  "recommendations": ""
+  "isError": false
 }
 `;
 
@@ -89,8 +86,17 @@ You are a helpful food label assistant. Create a well-structured, formatted resp
 Product Analysis:
 {analysis}
 
-Additional Web Research:
-{webInfo}
+Ingredient Knowledge Base (cited facts — the only ingredient facts you may rely on):
+{ingredientFacts}
+
+Health Score (already computed from the label with the Nutri-Score algorithm — do not change it):
+{healthScore}
+
+User Profile (the person deciding; null if they haven't set one up):
+{profile}
+
+Profile Checks (already computed from the label for each of the user's constraints — do not contradict them):
+{profileChecks}
 
 Create a comprehensive response with the following sections:
 
@@ -114,13 +120,6 @@ Return a JSON object with this structure:
       "highlights": []
     },
     "nutrition": {
-      "calories": 0,
-      "servingSize": "",
-      "macros": {
-        "fat": { "amount": "", "percentage": 0 },
-        "carbs": { "amount": "", "percentage": 0 },
-        "protein": { "amount": "", "percentage": 0 }
-      },
       "micronutrients": []
     },
     "ingredients": {
@@ -129,11 +128,8 @@ Return a JSON object with this structure:
       "concerning": [],
       "additives": []
     },
-    "allergens": [],
     "certifications": [],
     "healthScore": {
-      "overall": 0,
-      "category": "",
       "pros": [],
       "cons": []
     },
@@ -148,22 +144,45 @@ For the quickVerdict:
 - keyPoints: 3-4 bullet points with the most important facts
 - bestFor: Who should buy this (e.g., "Athletes", "Weight watchers", "Kids")
 - avoidIf: Who should avoid this (e.g., "Diabetics", "Heart disease", "Gluten sensitivity")
+- If there is a user profile, the summary must name which of the user's own constraints the product violates and which it fits, from the profile checks, and keyPoints should start with the violated ones. If an allergy, intolerance or celiac disease is violated, recommendation must be "avoid"
+
+For the nutrition section, calories and macros are calculated from the label separately; only list micronutrients.
+
+Allergens are detected from the ingredient list separately (see allergenReport in the product analysis); don't list them, but take them into account for avoidIf.
+
+Diets (vegan, vegetarian, halal, kosher, Jain, gluten-free, keto...) are classified from the ingredients separately (see dietCompliance in the product analysis); don't contradict them, and only call the product suitable for a diet it is "compliant" with.
+
+For ingredients:
+- Base "beneficial" and "concerning" on the cited knowledge-base facts above; don't add health claims about ingredients that have no fact listed
+- List additives by name with their E-number where one is given
+
+For the healthScore:
+- Do not output a score; it is computed separately and shown next to your text
+- pros and cons must be consistent with the computed components (for example, don't list "low sugar" as a pro if sugars scored high points)
+- If the score could not be computed, base pros and cons on the ingredients and say nothing about a score
 `;
 
 const FOLLOW_UP_PROMPT = `
-You are a helpful food label assistant. Answer the user's question based on the product analysis and web research.
+You are a helpful food label assistant. Answer the user's question based on the product analysis and ingredient research.
 
 Product Analysis:
 {analysis}
 
-Web Research:
+Ingredient Research (each ingredient entry has a "source": "knowledge-base" facts are cited, "model" notes are unverified):
 {webInfo}
 
-Conversation History:
-{history}
+User Profile (null if not set up; keep their constraints in mind and say when the product conflicts with one):
+{profile}
+
+Conversation So Far:
+{conversation}
 
 User Question: {question}
 
+When you rely on a "model" note rather than a cited knowledge-base fact, say that it is general information that has not been verified.
+
+For questions about a diet (vegan, vegetarian, halal, kosher, Jain, gluten-free, keto...), answer from dietCompliance in the product analysis: give its status and name the ingredients that decided it. If it is "uncertain", say what would need checking rather than guessing.
+
 Provide a clear, informative answer. Format your response with proper structure using bullet points and sections where appropriate.
 
 Return a JSON object:
@@ -173,72 +192,162 @@ Return a JSON object:
 }
 `;
 
-async function analyzeImage(imageBase64, mimeType) {
-  console.log('\n===== STARTING IMAGE ANALYSIS =====');
-  console.log(`Image MIME type: ${mimeType}`);
-  console.log(`Image size: ${(imageBase64.length * 3/4).toLocaleString()} bytes (base64)`);
+const COMPARISON_PROMPT = `
+You are a helpful food label assistant. A shopper has scanned these products and wants to know which one suits them better.
+
+Comparison (computed from the labels; values are per 100 g, or per 100 ml for drinks; "best" lists the indexes of the better products for each row — do not change any number):
+{comparison}
+
+User Profile (null if they haven't set one up):
+{profile}
+
+Return a JSON object:
+{
+  "summary": "",
+  "tradeoffs": [],
+  "bestFor": [],
+  "recommendation": ""
+}
+
+- summary: 2-3 sentences on how the products differ overall
+- tradeoffs: 3-5 points, each naming a product and what it gains or gives up against the others, with the numbers
+- bestFor: one entry per product, "<product name>: who it suits best"
+- recommendation: which product to pick and why. If there is a user profile, decide by the profile checks first: never recommend a product that violates an allergy, intolerance or celiac disease
+- Refer to products by name, never by index
+`;
+
+const CONVERSATION_SUMMARY_PROMPT = `
+You keep notes on a chat between a shopper and a food label assistant about one product.
+
+Notes so far (empty at the start):
+{summary}
+
+Facts already recorded about the user:
+{facts}
+
+New messages to add to the notes (oldest first):
+{messages}
+
+Return a JSON object:
+{
+  "summary": "",
+  "facts": []
+}
+
+- summary: the notes so far with the new messages folded in, in at most 8 short bullet lines starting with "- ". Keep what the user asked, what was concluded and anything they said about themselves; drop small talk and details of the label that can be read again
+- facts: only new, lasting things the user said about themselves or the people they shop for (allergies, intolerances, diets, conditions, goals, foods they avoid), each as a short sentence in the third person, for example "Is lactose intolerant". Leave out anything already recorded, and return [] if there is nothing new
+`;
+
+// The streamed reply is plain text so it can be shown as it arrives; the
+// suggested questions come last, after a marker line
+const FOLLOW_UP_STREAM_PROMPT = FOLLOW_UP_PROMPT.slice(0, FOLLOW_UP_PROMPT.indexOf('Return a JSON object')) + `Write the answer as plain text (markdown bullets are fine), not JSON. Then end with a line that says exactly "SUGGESTED QUESTIONS:" followed by three short follow-up questions, one per line, each starting with "- ".
+`;
+
+const SUGGESTIONS_MARKER = /\n[\s*#_]*suggested questions\s*:?[*_]*/i;
+// Text that could be the start of the marker is held back until it's clear it isn't
+const MARKER_HOLD_BACK = 40;
+
+const DEFAULT_SUGGESTED_QUESTIONS = [
+  "What are the main ingredients?",
+  "Is this product healthy?",
+  "What are the allergens?"
+];
+
+// Tells the model which face of the pack it's looking at, so it doesn't
+// guess at fields that panel never shows
+const PANEL_HINTS = {
+  front: 'the front of the pack (product name, brand, claims and certification logos)',
+  ingredients: 'the ingredients panel (ingredient list and allergen statements)',
+  nutrition: 'the nutrition facts panel',
+  other: 'another side of the pack'
+};
+
+function panelPrompt(panels) {
+  if (panels.length === 1) {
+    return `${ANALYSIS_PROMPT}
+This photo shows ${PANEL_HINTS[panels[0]]}. Leave fields that are not visible on it empty.`;
+  }
+  const described = panels.map((panel, i) => `Photo ${i + 1} shows ${PANEL_HINTS[panel]}.`).join('\n');
+  return `${ANALYSIS_PROMPT}
+The photos are different sides of the same product:
+${described}
+Combine them into a single JSON object. Take each field from the photo that shows it most clearly.`;
+}
+
+// Derived data every analysis carries, whether it came from the model or the
+// product catalog. The raw label strings are kept next to the numeric values.
+// Catalog data is `verified`: it wasn't read off a photo, so it's fully trusted.
+function enrichAnalysis(analysis, { verified = false } = {}) {
+  analysis.normalizedNutrition = normalizeNutritionFacts(analysis.nutritionFacts);
+  analysis.allergenReport = detectAllergens(analysis);
+  analysis.dietCompliance = classifyDiets(analysis);
+  analysis.confidence = assessConfidence(analysis, { verified });
+  return analysis;
+}
+
+// `panel` (front, ingredients, nutrition, other) is optional and only steers the prompt
+async function analyzeImage(imageBase64, mimeType, panel = null) {
+  return extractLabel([{ base64: imageBase64, mimeType, panel }]);
+}
+
+// One model call for one or more photos ([{ base64, mimeType, panel }])
+async function analyzeLabel(images) {
+  logger.info('Starting image analysis', {
+    images: images.map(({ base64, mimeType, panel }) => ({ panel, mimeType, bytes: Math.round((base64?.length || 0) * 3 / 4) }))
+  });
 
   try {
-    if (!imageBase64 || typeof imageBase64 !== 'string') {
-      throw new Error('Invalid image data: base64 string is empty or not a string');
-    }
+    for (const { base64, mimeType } of images) {
+      if (!base64 || typeof base64 !== 'string') {
+        throw new Error('Invalid image data: base64 string is empty or not a string');
+      }
 
-    if (!mimeType || !mimeType.startsWith('image/')) {
-      throw new Error(`Invalid MIME type: ${mimeType}`);
+      if (!mimeType || !mimeType.startsWith('image/')) {
+        throw new Error(`Invalid MIME type: ${mimeType}`);
+      }
     }
 
-    console.log('Sending request to OpenAI API...');
+    const panels = images.map(image => image.panel).filter(Boolean);
+    const prompt = panels.length === images.length ? panelPrompt(panels) : ANALYSIS_PROMPT;
+    const provider = getProvider();
+    logger.debug('Sending label to the model', { provider: provider.name });
     const startTime = Date.now();
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        {
-          role: "user",
-          content: [
-            { type: "text", text: ANALYSIS_PROMPT },
-            {
-              type: "image_url",
-              image_url: {
-                url: `data:${mimeType};base64,${imageBase64}`,
-                detail: "high"
-              }
-            }
-          ]
-        }
-      ],
-      max_tokens: 1500
+    const result = await completeStructured({
+      task: 'extract',
+      schema: labelAnalysisSchema,
+      instructions: prompt,
+      request: () => provider.vision({
+        task: 'extract',
+        prompt,
+        images: images.map(({ base64, mimeType }) => ({ base64, mimeType })),
+        detail: 'high',
+        maxTokens: 1500
+      })
     });
 
-    const responseTime = Date.now() - startTime;
-    console.log(`\n===== OPENAI RESPONSE (${responseTime}ms) =====`);
+    logger.info('Label analysis response', { durationMs: Date.now() - startTime, valid: result.success });
 
-    let content = response.choices[0].message.content;
-    
-    // Remove markdown code block markers if present
-    if (content.startsWith('```json')) {
-      content = content.replace(/^```json\n|\n```$/g, '').trim();
-    } else if (content.startsWith('```')) {
-      content = content.replace(/^```\n|\n```$/g, '').trim();
+    if (!result.success) {
+      throw new Error(`Label analysis did not match the expected format: ${result.errors.join('; ')}`);
     }
 
-    const analysis = JSON.parse(content);
-
-    // Check if this is an error response
-    if (analysis.isError || analysis.error) {
+    // The model said the photo isn't a readable food label
+    if (result.data.isError) {
       return {
         success: false,
-        error: analysis.error || 'Failed to analyze the food label',
+        error: result.data.error,
         details: 'The model could not process the image as a food label'
       };
     }
 
-    console.log('Successfully parsed analysis result');
+    const analysis = enrichAnalysis(result.data);
+
+    logger.debug('Parsed the label analysis');
     return { success: true, analysis };
 
   } catch (error) {
-    console.error('\n===== ERROR DETAILS =====');
-    console.error('Error:', error.message);
+    logger.error('Image analysis failed', { error });
     return {
       success: false,
       error: 'Failed to analyze image',
@@ -247,116 +356,427 @@ async function analyzeImage(imageBase64, mimeType) {
   }
 }
 
-async function searchProductInfo(productName, ingredients) {
-  console.log('\n===== SEARCHING WEB FOR PRODUCT INFO =====');
-  
-  try {
-    // Search for product information
-    const searchQuery = `${productName} nutrition health benefits ingredients review`;
-    console.log('Search query:', searchQuery);
-
-    // Use OpenAI to generate web search queries and synthesize information
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        {
-          role: "system",
-          content: `You are a nutrition research assistant. Provide detailed information about food products and their ingredients based on your knowledge. Include health benefits, concerns, and nutritional context.`
-        },
-        {
-          role: "user",
-          content: `Provide detailed information about "${productName}" with these ingredients: ${ingredients.slice(0, 10).join(', ')}. 
+// When the vision model fails, the label text is read offline with OCR and
+// structured by a text-only model call, or by heuristics when no model answers.
+// OCR_FALLBACK=off returns the vision error instead.
+const OCR_FALLBACK = process.env.OCR_FALLBACK !== 'off';
+// Less text than this is noise on the photo, not a label
+const MIN_OCR_CHARACTERS = 40;
+// How far to trust each parser before OCR confidence is taken into account
+const OCR_PARSER_TRUST = { model: 0.9, heuristic: 0.75 };
 
-Include:
-1. Health analysis of key ingredients
-2. Overall nutritional value
-3. Who should or shouldn't consume this
-4. Comparison to similar products
+async function extractLabel(images) {
+  const result = await analyzeLabel(images);
+  if (result.success || !OCR_FALLBACK) return result;
 
-Return as JSON with this structure:
-{
-  "ingredientInfo": [{"ingredient": "", "healthImpact": "", "benefits": [], "concerns": []}],
-  "nutritionalContext": "",
-  "recommendations": "",
-  "comparisons": []
-}`
-        }
-      ],
-      max_tokens: 1000
+  const fallback = await analyzeWithOcr(images, result);
+  return fallback.success ? fallback : result;
+}
+
+async function structureWithModel(text) {
+  const prompt = `${ANALYSIS_PROMPT}
+There is no image this time. The label text below was read from the photo by OCR and may contain recognition errors ("O" for "0", "9" for "g", words split across lines). Use only this text and leave out anything it doesn't say.
+
+${text}`;
+
+  try {
+    const result = await completeStructured({
+      task: 'extractText',
+      schema: labelAnalysisSchema,
+      instructions: prompt,
+      request: () => getProvider().chat({
+        task: 'extractText',
+        messages: [{ role: 'user', content: prompt }],
+        maxTokens: 1500,
+        temperature: 0
+      })
     });
+    return result.success && !result.data.isError ? result.data : null;
+  } catch (error) {
+    logger.warn('No model available to structure the OCR text', { error: error.message });
+    return null;
+  }
+}
 
-    let content = response.choices[0].message.content;
-    
-    // Clean up markdown
-    if (content.startsWith('```json')) {
-      content = content.replace(/^```json\n|\n```$/g, '').trim();
-    } else if (content.startsWith('```')) {
-      content = content.replace(/^```\n|\n```$/g, '').trim();
+// OCR output is less reliable than the vision model's own reading, so every
+// field's score is scaled down by how sure Tesseract and the parser were
+function discountConfidence(analysis, factor) {
+  const reported = analysis.fieldConfidence || {};
+  const fields = ['productName', 'brandName', 'ingredients', 'nutritionFacts', 'allergenStatements', 'certifications', 'expiryDate'];
+  const scores = {};
+  for (const field of new Set([...fields, ...Object.keys(reported)])) {
+    scores[field] = Math.round((reported[field] ?? 1) * factor * 100) / 100;
+  }
+  analysis.fieldConfidence = scores;
+}
+
+async function analyzeWithOcr(images, visionFailure) {
+  logger.warn('Vision analysis failed, reading the label text offline', { reason: visionFailure.details });
+
+  try {
+    const pages = [];
+    for (const { base64, panel } of images) {
+      const { text, confidence } = await recognizeText(Buffer.from(base64, 'base64'));
+      pages.push({ panel, text: text.trim(), confidence });
+    }
+
+    const text = pages.map(page => page.text).join('\n\n');
+    if (text.replace(/\s/g, '').length < MIN_OCR_CHARACTERS) {
+      return { success: false, error: 'Failed to analyze image', details: 'No readable label text was found in the photo' };
+    }
+    const ocrConfidence = pages.reduce((sum, page) => sum + page.confidence, 0) / pages.length;
+    logger.info('OCR finished', { characters: text.length, confidence: Math.round(ocrConfidence * 100) / 100 });
+
+    let analysis = await structureWithModel(text);
+    const parser = analysis ? 'model' : 'heuristic';
+    if (!analysis) {
+      const nameText = pages.filter(page => page.panel === 'front').map(page => page.text).join('\n');
+      analysis = parseLabelText(text, { nameText });
+    }
+
+    const nutrientCount = Object.keys(analysis.nutritionFacts || {}).length;
+    if (!analysis.productName && analysis.ingredients.length === 0 && nutrientCount === 0) {
+      return { success: false, error: 'Failed to analyze image', details: 'The label text could not be read' };
+    }
+
+    discountConfidence(analysis, ocrConfidence * OCR_PARSER_TRUST[parser]);
+    analysis.extraction = {
+      method: 'ocr',
+      parser,
+      ocrConfidence: Math.round(ocrConfidence * 100) / 100,
+      visionError: visionFailure.details
+    };
+    logger.info('Label structured from OCR text', { parser });
+    return { success: true, analysis: enrichAnalysis(analysis) };
+  } catch (error) {
+    logger.error('OCR fallback failed', { error });
+    return { success: false, error: 'Failed to analyze image', details: error.message };
+  }
+}
+
+/**
+ * Analyze photos of several panels of one pack ([{ base64, mimeType, panel }]).
+ * In `separate` mode each photo is analyzed on its own and the results are
+ * merged field by field (see panels.js); `together` sends every photo in one
+ * call and lets the model combine them. Panels that can't be read are
+ * reported in `panelMerge.failed` as long as at least one panel worked.
+ */
+async function analyzeImages(images, { mode = 'separate' } = {}) {
+  if (images.length === 1 || mode === 'together') {
+    const result = await extractLabel(images);
+    if (result.success && images.length > 1) {
+      result.analysis.panelMerge = {
+        panels: images.map(image => image.panel || 'other'),
+        mode: 'together',
+        fieldSources: {},
+        conflicts: [],
+        failed: []
+      };
+    }
+    return result;
+  }
+
+  const results = await Promise.all(images.map(image => extractLabel([image])));
+  const succeeded = [];
+  const failed = [];
+  results.forEach((result, i) => {
+    if (result.success) {
+      succeeded.push({ panel: images[i].panel || 'other', analysis: result.analysis });
+    } else {
+      failed.push({ panel: images[i].panel || 'other', error: result.error, details: result.details });
+    }
+  });
+
+  if (succeeded.length === 0) {
+    return {
+      success: false,
+      error: results[0].error,
+      details: failed.map(failure => `${failure.panel}: ${failure.details}`).join('; ')
+    };
+  }
+
+  const analysis = enrichAnalysis(mergeAnalyses(succeeded));
+  analysis.panelMerge.mode = 'separate';
+  analysis.panelMerge.failed = failed;
+
+  // The merged report is only as good as its weakest reading
+  const ocrPanels = succeeded.filter(({ analysis: panelAnalysis }) => panelAnalysis.extraction?.method === 'ocr');
+  if (ocrPanels.length) {
+    analysis.extraction = { ...ocrPanels[0].analysis.extraction, panels: ocrPanels.map(({ panel }) => panel) };
+  }
+  logger.info('Merged panels', { panels: succeeded.length, conflicts: analysis.panelMerge.conflicts.length, unreadable: failed.length });
+  return { success: true, analysis };
+}
+
+// Ingredient facts come from the bundled knowledge base; the model is only
+// asked about ingredients the knowledge base doesn't cover, and its notes are
+// marked source: 'model'
+async function searchProductInfo(productName, ingredients) {
+  try {
+    const { version, facts, unmatched } = lookupIngredients(ingredients);
+    logger.info('Ingredients looked up', { knowledgeBase: version, matched: facts.length, unmatched: unmatched.length });
+
+    const webInfo = {
+      knowledgeBase: { version, matched: facts.length, unmatched },
+      ingredientInfo: facts,
+      nutritionalContext: '',
+      recommendations: '',
+      comparisons: [],
+      contextSource: null
+    };
+
+    try {
+      Object.assign(webInfo, await researchWithModel(productName, ingredients, unmatched, facts));
+    } catch (error) {
+      // Cited facts are still usable without the model's notes
+      logger.warn('Model research failed', { error: error.message });
     }
 
-    const webInfo = JSON.parse(content);
-    console.log('Web research completed successfully');
-    
     return { success: true, webInfo };
 
   } catch (error) {
-    console.error('Error searching product info:', error.message);
+    logger.error('Error looking up ingredient info', { error });
     return {
       success: false,
       error: 'Failed to fetch additional product information',
       webInfo: {
+        knowledgeBase: null,
         ingredientInfo: [],
         nutritionalContext: 'Additional information unavailable',
         recommendations: 'Consult with a healthcare provider for personalized advice',
-        comparisons: []
+        comparisons: [],
+        contextSource: null
       }
     };
   }
 }
 
-async function generateFormattedSummary(analysis, webInfo) {
-  console.log('\n===== GENERATING FORMATTED SUMMARY =====');
+async function researchWithModel(productName, ingredients, unmatched, facts) {
+  const messages = [
+    {
+      role: "system",
+      content: `You are a nutrition research assistant. Provide detailed information about food products and their ingredients based on your knowledge. Include health benefits, concerns, and nutritional context.`
+    },
+    {
+      role: "user",
+      content: `Provide information about "${productName}" with these ingredients: ${ingredients.slice(0, 10).join(', ')}.
+
+Only describe these ingredients individually (others are already covered): ${unmatched.slice(0, 10).join(', ') || 'none'}.
+
+Include:
+1. Health analysis of the ingredients listed above
+2. Overall nutritional value
+3. Who should or shouldn't consume this
+4. Comparison to similar products
+
+Return as JSON with this structure:
+{
+  "ingredientInfo": [{"ingredient": "", "healthImpact": "", "benefits": [], "concerns": []}],
+  "nutritionalContext": "",
+  "recommendations": "",
+  "comparisons": []
+}`
+    }
+  ];
+
+  const result = await completeStructured({
+    task: 'research',
+    schema: webInfoSchema,
+    instructions: messages[1].content,
+    maxTokens: 1000,
+    request: () => getProvider().chat({ task: 'research', messages, maxTokens: 1000 })
+  });
+
+  if (!result.success) {
+    throw new Error(`Research response did not match the expected format: ${result.errors.join('; ')}`);
+  }
+
+  // Never let the model restate an ingredient the knowledge base already covers
+  const covered = new Set(facts.map(fact => fact.name));
+  const modelInfo = result.data.ingredientInfo
+    .filter(info => !lookupIngredient(info.ingredient).some(entry => covered.has(entry.name)))
+    .map(info => ({ ...info, source: 'model' }));
+
+  return {
+    ingredientInfo: [...facts, ...modelInfo],
+    nutritionalContext: result.data.nutritionalContext,
+    recommendations: result.data.recommendations,
+    comparisons: result.data.comparisons,
+    contextSource: 'model'
+  };
+}
+
+// Only cited knowledge-base facts reach the summary
+function citedFacts(webInfo = {}) {
+  return (webInfo.ingredientInfo || [])
+    .filter(info => info.source === 'knowledge-base')
+    .map(fact => ({
+      ingredient: fact.ingredient,
+      name: fact.name,
+      eNumber: fact.eNumber,
+      functions: fact.functions,
+      benefits: fact.benefits,
+      concerns: fact.concerns,
+      citations: fact.citations
+    }));
+}
+
+function collectReferences(facts) {
+  const references = new Map();
+  for (const fact of facts) {
+    for (const citation of fact.citations) {
+      references.set(citation.id, citation);
+    }
+  }
+  return [...references.values()];
+}
+
+// Calories, macros and the score come from the parsed label, never the model
+function applyComputedNutrition(formatted, analysis) {
+  const normalized = analysis.normalizedNutrition || normalizeNutritionFacts(analysis.nutritionFacts);
+
+  formatted.nutrition = {
+    ...formatted.nutrition,
+    calories: normalized.nutrients.calories?.perServing ?? null,
+    servingSize: analysis.nutritionFacts?.servingSize || formatted.nutrition?.servingSize || 'N/A',
+    macros: macroEnergySplit(normalized),
+    per100Basis: normalized.per100Basis,
+    normalized
+  };
+
+  return formatted;
+}
+
+// Allergens come from the deterministic engine merged with the model's list
+function applyAllergens(formatted, analysis) {
+  const report = analysis.allergenReport || detectAllergens(analysis);
+  formatted.allergens = allergenLabels(report);
+  formatted.allergenReport = report;
+  return formatted;
+}
+
+// Diet badges come from the deterministic classifier, never the model
+function applyDiets(formatted, analysis) {
+  formatted.diets = analysis.dietCompliance || classifyDiets(analysis);
+  return formatted;
+}
+
+// Which values the frontend should mark as uncertain, and what to retake
+function applyConfidence(formatted, analysis) {
+  formatted.confidence = analysis.confidence || assessConfidence(analysis);
+  return formatted;
+}
+
+// The parts of the report that come straight from the label, with no model
+// calls: shown while the ingredient research and verdict are still running
+function formatLabelReport(analysis) {
+  return applyDiets(applyConfidence(applyAllergens(applyComputedNutrition({
+    overview: {
+      productName: analysis.productName || 'Unknown Product',
+      brand: analysis.brandName || 'Unknown Brand',
+      tagline: '',
+      highlights: []
+    },
+    nutrition: {
+      micronutrients: []
+    },
+    ingredients: {
+      main: analysis.ingredients?.slice(0, 5) || [],
+      beneficial: [],
+      concerning: [],
+      additives: [],
+      facts: []
+    },
+    references: [],
+    certifications: analysis.certifications || [],
+    healthScore: {
+      ...computeHealthScore(analysis),
+      pros: [],
+      cons: []
+    }
+  }, analysis), analysis), analysis), analysis);
+}
+
+// Which of the user's own constraints the product violates or fits. A violated
+// allergy or intolerance overrides the model's recommendation.
+function applyProfile(formatted, profileChecks) {
+  if (!profileChecks) return formatted;
+  formatted.quickVerdict.forYou = profileChecks;
+  if (profileChecks.severe) formatted.quickVerdict.recommendation = 'avoid';
+  return formatted;
+}
+
+async function generateFormattedSummary(analysis, webInfo, profile = null) {
+  const healthScore = computeHealthScore(analysis);
+  const profileChecks = evaluateProfile(analysis, profile);
+  logger.debug('Generating formatted summary', {
+    healthScore: healthScore.overall ?? null,
+    category: healthScore.category,
+    ...(profileChecks && { profileViolations: profileChecks.violates.length, profileFits: profileChecks.fits.length })
+  });
+
+  const facts = citedFacts(webInfo);
+  const references = collectReferences(facts);
   
   try {
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        {
-          role: "system",
-          content: "You are a nutrition expert creating comprehensive, well-formatted food product reports with clear, actionable recommendations."
-        },
-        {
-          role: "user",
-          content: RESPONSE_PROMPT
-            .replace('{analysis}', JSON.stringify(analysis, null, 2))
-            .replace('{webInfo}', JSON.stringify(webInfo, null, 2))
-        }
-      ],
-      max_tokens: 2500
+    const messages = [
+      {
+        role: "system",
+        content: "You are a nutrition expert creating comprehensive, well-formatted food product reports with clear, actionable recommendations."
+      },
+      {
+        role: "user",
+        content: RESPONSE_PROMPT
+          .replace('{analysis}', JSON.stringify(analysis, null, 2))
+          .replace('{ingredientFacts}', JSON.stringify({ knowledgeBaseVersion: webInfo.knowledgeBase?.version, facts }, null, 2))
+          .replace('{healthScore}', JSON.stringify(healthScore, null, 2))
+          .replace('{profile}', JSON.stringify(describeProfile(profile), null, 2))
+          .replace('{profileChecks}', JSON.stringify(profileChecks, null, 2))
+      }
+    ];
+
+    const result = await completeStructured({
+      task: 'summarize',
+      schema: formattedReportSchema,
+      instructions: RESPONSE_PROMPT,
+      maxTokens: 2500,
+      request: () => getProvider().chat({ task: 'summarize', messages, maxTokens: 2500 })
     });
 
-    let content = response.choices[0].message.content;
-    
-    // Clean up markdown
-    if (content.startsWith('```json')) {
-      content = content.replace(/^```json\n|\n```$/g, '').trim();
-    } else if (content.startsWith('```')) {
-      content = content.replace(/^```\n|\n```$/g, '').trim();
+    if (!result.success) {
+      throw new Error(`Summary did not match the expected format: ${result.errors.join('; ')}`);
     }
 
-    const formattedData = JSON.parse(content);
-    console.log('Successfully generated formatted summary');
+    const formattedData = result.data;
+
+    // The model only writes the prose around the score
+    formattedData.formatted.healthScore = {
+      ...healthScore,
+      pros: formattedData.formatted.healthScore.pros,
+      cons: formattedData.formatted.healthScore.cons
+    };
+    applyComputedNutrition(formattedData.formatted, analysis);
+    applyAllergens(formattedData.formatted, analysis);
+    applyConfidence(formattedData.formatted, analysis);
+    applyDiets(formattedData.formatted, analysis);
+    applyProfile(formattedData.formatted, profileChecks);
+    formattedData.formatted.ingredients.facts = facts;
+    formattedData.formatted.references = references;
+    logger.info('Formatted summary generated');
     
     return { success: true, data: formattedData };
 
   } catch (error) {
-    console.error('Error generating formatted summary:', error.message);
+    logger.warn('Could not generate the formatted summary, using basic formatting', { error: error.message });
     
     // Fallback to basic formatting
+    const formatted = formatLabelReport(analysis);
     return {
       success: true,
+      fallback: true,
       data: {
-        formatted: {
+        formatted: applyProfile({
+          ...formatted,
           quickVerdict: {
             recommendation: "moderate",
             title: "Review Required",
@@ -366,95 +786,135 @@ async function generateFormattedSummary(analysis, webInfo) {
             avoidIf: ["You have specific dietary restrictions"]
           },
           overview: {
-            productName: analysis.productName || 'Unknown Product',
-            brand: analysis.brandName || 'Unknown Brand',
+            ...formatted.overview,
             tagline: 'Nutritional information available',
             highlights: ['See details below']
           },
-          nutrition: {
-            calories: analysis.nutritionFacts?.calories || 0,
-            servingSize: analysis.nutritionFacts?.servingSize || 'N/A',
-            macros: {
-              fat: { amount: analysis.nutritionFacts?.totalFat || 'N/A', percentage: 0 },
-              carbs: { amount: analysis.nutritionFacts?.totalCarbohydrate || 'N/A', percentage: 0 },
-              protein: { amount: analysis.nutritionFacts?.protein || 'N/A', percentage: 0 }
-            },
-            micronutrients: []
-          },
-          ingredients: {
-            main: analysis.ingredients?.slice(0, 5) || [],
-            beneficial: [],
-            concerning: [],
-            additives: []
-          },
-          allergens: analysis.allergens || [],
-          certifications: analysis.certifications || [],
-          healthScore: {
-            overall: 70,
-            category: 'Moderate',
-            pros: ['Contains essential nutrients'],
-            cons: ['May contain additives']
-          },
+          ingredients: { ...formatted.ingredients, facts },
+          references,
           recommendations: 'Consume in moderation as part of a balanced diet.'
-        }
+        }, profileChecks)
       }
     };
   }
 }
 
-async function handleFollowUp(analysis, webInfo, question, conversationHistory = []) {
-  console.log('\n===== HANDLING FOLLOW-UP QUESTION =====');
-  console.log('Question:', question);
+// `conversation` is { history, memory } from the session (see conversationMemory.js)
+function followUpMessages(prompt, analysis, webInfo, question, conversation, profile) {
+  return [
+    {
+      role: "system",
+      content: "You are a helpful nutrition assistant answering questions about food products. Provide accurate, helpful information based on the product analysis and research data. Format your responses with proper structure using bullet points and sections where helpful."
+    },
+    {
+      role: "user",
+      content: prompt
+        .replace('{analysis}', JSON.stringify(analysis, null, 2))
+        .replace('{webInfo}', JSON.stringify(webInfo, null, 2))
+        .replace('{profile}', JSON.stringify(describeProfile(profile), null, 2))
+        .replace('{conversation}', buildConversationContext(conversation))
+        .replace('{question}', question)
+    }
+  ];
+}
+
+async function handleFollowUp(analysis, webInfo, question, conversation = {}, profile = null) {
+  logger.debug('Handling follow-up question', { question });
   
   try {
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        {
-          role: "system",
-          content: "You are a helpful nutrition assistant answering questions about food products. Provide accurate, helpful information based on the product analysis and research data. Format your responses with proper structure using bullet points and sections where helpful."
-        },
-        {
-          role: "user",
-          content: FOLLOW_UP_PROMPT
-            .replace('{analysis}', JSON.stringify(analysis, null, 2))
-            .replace('{webInfo}', JSON.stringify(webInfo, null, 2))
-            .replace('{history}', JSON.stringify(conversationHistory, null, 2))
-            .replace('{question}', question)
-        }
-      ],
-      max_tokens: 800
+    const messages = followUpMessages(FOLLOW_UP_PROMPT, analysis, webInfo, question, conversation, profile);
+
+    const result = await completeStructured({
+      task: 'followUp',
+      schema: followUpSchema,
+      instructions: FOLLOW_UP_PROMPT,
+      maxTokens: 800,
+      request: () => getProvider().chat({ task: 'followUp', messages, maxTokens: 800 })
     });
 
-    let content = response.choices[0].message.content;
-    
-    // Clean up markdown
-    if (content.startsWith('```json')) {
-      content = content.replace(/^```json\n|\n```$/g, '').trim();
-    } else if (content.startsWith('```')) {
-      content = content.replace(/^```\n|\n```$/g, '').trim();
+    // An unusable reply is not passed off as an answer
+    if (!result.success) {
+      return {
+        success: false,
+        error: 'Failed to process follow-up question',
+        details: `The answer did not match the expected format: ${result.errors.join('; ')}`
+      };
     }
 
-    let responseData;
-    try {
-      responseData = JSON.parse(content);
-    } catch {
-      // If not JSON, treat as plain text answer
-      responseData = {
-        answer: content,
-        suggestedQuestions: [
-          "What are the main ingredients?",
-          "Is this product healthy?",
-          "What are the allergens?"
-        ]
-      };
+    return { success: true, response: result.data };
+
+  } catch (error) {
+    logger.error('Error handling follow-up', { error });
+    return {
+      success: false,
+      error: 'Failed to process follow-up question',
+      details: error.message
+    };
+  }
+}
+
+function parseSuggestedQuestions(text) {
+  const questions = text
+    .split('\n')
+    .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+    .filter(Boolean);
+  return questions.length ? questions : DEFAULT_SUGGESTED_QUESTIONS;
+}
+
+/**
+ * Same as handleFollowUp, but calls `onToken(text)` with each piece of the
+ * answer as the model writes it. Resolves to { success, response } once the
+ * reply is complete. When `signal` aborts, resolves to { success: false,
+ * aborted: true, partialAnswer } with the part of the answer already sent.
+ * `profile` is the user's health profile (see profile.js), or null.
+ */
+async function streamFollowUp(analysis, webInfo, question, conversation = {}, { onToken = () => {}, signal, profile = null } = {}) {
+  logger.debug('Streaming follow-up answer', { question });
+
+  let text = '';
+  let sent = 0;
+  let answerEnd = -1;
+
+  try {
+    const messages = followUpMessages(FOLLOW_UP_STREAM_PROMPT, analysis, webInfo, question, conversation, profile);
+    const stream = getProvider().chatStream({ task: 'followUpStream', messages, maxTokens: 800, signal });
+
+    for await (const piece of stream) {
+      text += piece;
+      if (answerEnd !== -1) continue;
+
+      const marker = text.match(SUGGESTIONS_MARKER);
+      if (marker) answerEnd = marker.index;
+      const safeEnd = marker ? marker.index : text.length - MARKER_HOLD_BACK;
+      if (safeEnd > sent) {
+        onToken(text.slice(sent, safeEnd));
+        sent = safeEnd;
+      }
+    }
+
+    if (answerEnd === -1) {
+      answerEnd = text.length;
+      if (sent < text.length) onToken(text.slice(sent));
+    }
+
+    const answer = text.slice(0, answerEnd).trim();
+    if (!answer) {
+      throw new Error('Model returned an empty answer');
     }
 
-    console.log('Follow-up response generated successfully');
-    return { success: true, response: responseData };
+    const marker = text.match(SUGGESTIONS_MARKER);
+    const suggestedQuestions = marker
+      ? parseSuggestedQuestions(text.slice(marker.index + marker[0].length))
+      : DEFAULT_SUGGESTED_QUESTIONS;
+
+    return { success: true, response: { answer, suggestedQuestions } };
 
   } catch (error) {
-    console.error('Error handling follow-up:', error.message);
+    if (signal?.aborted) {
+      logger.info('Follow-up stream stopped', { charactersSent: sent });
+      return { success: false, aborted: true, partialAnswer: text.slice(0, sent).trim() };
+    }
+    logger.error('Error streaming follow-up', { error });
     return {
       success: false,
       error: 'Failed to process follow-up question',
@@ -463,9 +923,117 @@ async function handleFollowUp(analysis, webInfo, question, conversationHistory =
   }
 }
 
+// Trade-offs in plain words when the model can't write them
+function describeComparison(comparison) {
+  const names = comparison.products.map(product => product.productName);
+  const tradeoffs = comparison.nutrients
+    .filter(row => row.best.length === 1)
+    .map(row => {
+      const direction = row.better === 'lower' ? 'Less' : 'More';
+      const values = row.values.map((value, i) => `${names[i]} ${value === null ? '?' : Math.round(value * 10) / 10} ${row.unit}`).join(', ');
+      return `${direction} ${row.label.toLowerCase()}: ${names[row.best[0]]} (${values})`;
+    });
+
+  const best = comparison.bestScore.length === 1 ? names[comparison.bestScore[0]] : null;
+  return {
+    summary: best
+      ? `${best} has the best health score of the ${names.length} products. Compare the nutrients below per ${comparison.basis === 'mixed' ? '100 g or 100 ml' : comparison.basis}.`
+      : `Compare the nutrients of the ${names.length} products below.`,
+    tradeoffs,
+    bestFor: [],
+    recommendation: ''
+  };
+}
+
+async function explainComparison(comparison, profile = null) {
+  logger.debug('Explaining comparison', { products: comparison.products.length });
+
+  try {
+    const messages = [
+      {
+        role: "system",
+        content: "You are a nutrition expert helping a shopper choose between food products. Be concrete and fair to each product."
+      },
+      {
+        role: "user",
+        content: COMPARISON_PROMPT
+          .replace('{comparison}', JSON.stringify(comparison, null, 2))
+          .replace('{profile}', JSON.stringify(describeProfile(profile), null, 2))
+      }
+    ];
+
+    const result = await completeStructured({
+      task: 'compare',
+      schema: comparisonSchema,
+      instructions: COMPARISON_PROMPT,
+      maxTokens: 1000,
+      request: () => getProvider().chat({ task: 'compare', messages, maxTokens: 1000 })
+    });
+
+    if (!result.success) {
+      throw new Error(`Comparison did not match the expected format: ${result.errors.join('; ')}`);
+    }
+
+    return { success: true, explanation: result.data };
+
+  } catch (error) {
+    logger.warn('Could not explain the comparison, using the rule-based one', { error: error.message });
+    return { success: true, fallback: true, explanation: describeComparison(comparison) };
+  }
+}
+
+/**
+ * Fold `messages` into the running summary of a conversation. Resolves to
+ * { summary, facts } where `facts` are new statements the user made about
+ * themselves. Without a model, the summary lists the questions asked.
+ */
+async function summarizeConversation(memory, messages) {
+  logger.debug('Summarizing conversation', { messages: messages.length });
+
+  try {
+    const prompt = CONVERSATION_SUMMARY_PROMPT
+      .replace('{summary}', memory.summary || '')
+      .replace('{facts}', memory.facts.map(fact => `- ${fact.statement}`).join('\n') || 'None')
+      .replace('{messages}', messages
+        .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+        .join('\n'));
+
+    const result = await completeStructured({
+      task: 'summarizeConversation',
+      schema: conversationSummarySchema,
+      instructions: CONVERSATION_SUMMARY_PROMPT,
+      maxTokens: 500,
+      request: () => getProvider().chat({
+        task: 'summarizeConversation',
+        messages: [
+          { role: "system", content: "You summarize conversations accurately and briefly. Never invent facts about the user." },
+          { role: "user", content: prompt }
+        ],
+        maxTokens: 500
+      })
+    });
+
+    if (!result.success) {
+      throw new Error(`Summary did not match the expected format: ${result.errors.join('; ')}`);
+    }
+
+    return result.data;
+
+  } catch (error) {
+    logger.warn('Could not summarize the conversation, listing the questions instead', { error: error.message });
+    return { summary: fallbackSummary(memory.summary, messages), facts: [] };
+  }
+}
+
 module.exports = {
   analyzeImage,
+  analyzeImages,
+  enrichAnalysis,
   searchProductInfo,
   generateFormattedSummary,
-  handleFollowUp
+  formatLabelReport,
+  handleFollowUp,
+  streamFollowUp,
+  explainComparison,
+  summarizeConversation
 };
\ No newline at end of file
@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+
+const { handleFollowUp, streamFollowUp, enrichAnalysis, generateFormattedSummary, explainComparison, summarizeConversation } = require('./aiService');
+const { replayConversation } = require('./conversationMemory');
+const { compareProducts } = require('./comparison');
+const { normalizeProfile } = require('./profile');
+const { setProvider, createProvider } = require('./providers');
+
+const analysis = { productName: 'Oat Bar', ingredients: ['oats', 'honey', 'soy lecithin'] };
+
+// A provider whose stream yields the given pieces
+function streamingProvider(pieces) {
+  setProvider({
+    name: 'stub',
+    models: { chat: 'stub', vision: 'stub', tts: 'stub' },
+    chatStream: async function* ({ signal }) {
+      for (const piece of pieces) {
+        if (signal?.aborted) throw Object.assign(new Error('Request was aborted'), { name: 'AbortError' });
+        yield piece;
+      }
+    }
+  });
+}
+
+test('streams the answer and keeps the suggested questions out of it', async () => {
+  // The marker arrives split over several pieces
+  streamingProvider(['Yes, it is ', 'fine in moderation.', '\nSUGG', 'ESTED QUEST', 'IONS:\n- Is it vegan?\n', '- How much sugar?']);
+  const tokens = [];
+
+  const result = await streamFollowUp(analysis, {}, 'Is it healthy?', {}, { onToken: text => tokens.push(text) });
+
+  assert.deepEqual(result, {
+    success: true,
+    response: { answer: 'Yes, it is fine in moderation.', suggestedQuestions: ['Is it vegan?', 'How much sugar?'] }
+  });
+  assert.equal(tokens.join(''), 'Yes, it is fine in moderation.');
+});
+
+test('falls back to default questions when the model leaves them out', async () => {
+  streamingProvider(['Oats ', 'and honey.']);
+  const tokens = [];
+
+  const result = await streamFollowUp(analysis, {}, 'What is in it?', {}, { onToken: text => tokens.push(text) });
+
+  assert.equal(result.response.answer, 'Oats and honey.');
+  assert.equal(result.response.suggestedQuestions.length, 3);
+  assert.equal(tokens.join(''), 'Oats and honey.');
+});
+
+test('reports an empty answer as a failure', async () => {
+  streamingProvider(['\nSUGGESTED QUESTIONS:\n- Why?']);
+  const result = await streamFollowUp(analysis, {}, 'Is it healthy?');
+
+  assert.equal(result.success, false);
+  assert.equal(result.details, 'Model returned an empty answer');
+});
+
+test('returns what was already sent when the client goes away', async () => {
+  const controller = new AbortController();
+  const filler = ' '.repeat(50);
+  streamingProvider([`It has oats.${filler}`, `And honey.${filler}`, 'And soy.']);
+
+  const result = await streamFollowUp(analysis, {}, 'What is in it?', {}, {
+    signal: controller.signal,
+    onToken: text => {
+      if (text.includes('oats')) controller.abort();
+    }
+  });
+
+  assert.deepEqual(result, { success: false, aborted: true, partialAnswer: 'It has oats.' });
+});
+
+test('replays the stub fixture as a stream', async () => {
+  setProvider(createProvider('stub'));
+  const tokens = [];
+
+  const result = await streamFollowUp(analysis, {}, 'Is it healthy?', {}, { onToken: text => tokens.push(text) });
+
+  assert.equal(result.success, true);
+  assert.ok(tokens.length > 10);
+  assert.equal(tokens.join('').trim(), result.response.answer);
+  assert.deepEqual(result.response.suggestedQuestions, ['Is this good for kids?', 'How much sugar is too much?', 'What is soy lecithin?']);
+});
+
+test('a violated allergy in the profile makes the verdict "avoid"', async () => {
+  const prompts = [];
+  const stub = createProvider('stub');
+  setProvider({
+    ...stub,
+    chat: async options => {
+      prompts.push(options.messages[1].content);
+      return stub.chat(options);
+    }
+  });
+
+  const label = enrichAnalysis({
+    productName: 'Oat Bar',
+    ingredients: ['oats', 'peanuts', 'sugar'],
+    nutritionFacts: { servingSize: '40g', calories: 190, totalSugars: '12g', saturatedFat: '1g', sodium: '95mg' }
+  });
+  const profile = normalizeProfile({ allergies: ['peanut'], goals: ['moreFiber'] }).profile;
+
+  const result = await generateFormattedSummary(label, {}, profile);
+
+  const { quickVerdict } = result.data.formatted;
+  assert.equal(quickVerdict.recommendation, 'avoid');
+  assert.deepEqual(quickVerdict.forYou.violates.map(entry => entry.key), ['peanuts']);
+  assert.equal(quickVerdict.forYou.severe, true);
+  assert.match(prompts[0], /"allergies": \[\s*"Peanuts"\s*\]/);
+});
+
+test('explains a comparison, falling back to the rule-based one', async () => {
+  const comparison = compareProducts([
+    { sessionId: 'a', analysis: { productName: 'Oat Bar', ingredients: ['oats'], nutritionFacts: { servingSize: '40g', calories: 190, totalSugars: '12g' } } },
+    { sessionId: 'b', analysis: { productName: 'Rice Cake', ingredients: ['rice'], nutritionFacts: { servingSize: '10g', calories: 38, totalSugars: '0g' } } }
+  ]);
+
+  setProvider(createProvider('stub'));
+  const explained = await explainComparison(comparison);
+  assert.equal(explained.success, true);
+  assert.equal(explained.fallback, undefined);
+  assert.ok(explained.explanation.recommendation);
+
+  setProvider({
+    name: 'stub',
+    models: { chat: 'stub', vision: 'stub', tts: 'stub' },
+    chat: async () => { throw new Error('Model is down'); }
+  });
+  const fallback = await explainComparison(comparison);
+  assert.equal(fallback.fallback, true);
+  assert.deepEqual(fallback.explanation.tradeoffs, [
+    'Less energy: Rice Cake (Oat Bar 475 kcal, Rice Cake 380 kcal)',
+    'Less sugars: Rice Cake (Oat Bar 30 g, Rice Cake 0 g)'
+  ]);
+});
+
+test('summarizes older messages, listing the questions when the model fails', async () => {
+  const { memory } = replayConversation([
+    { role: 'user', content: "I'm lactose intolerant. How much sugar is in it?" },
+    { role: 'assistant', content: '11 g per bar.' }
+  ]);
+  const messages = [{ role: 'user', content: 'Does it contain soy?' }, { role: 'assistant', content: 'Yes, soy lecithin.' }];
+
+  const prompts = [];
+  setProvider({
+    name: 'stub',
+    models: { chat: 'stub', vision: 'stub', tts: 'stub' },
+    chat: async options => {
+      prompts.push(options.messages[1].content);
+      return { content: '{"summary": "- Asked about soy; it has soy lecithin", "facts": []}' };
+    }
+  });
+  const summarized = await summarizeConversation(memory, messages);
+  assert.deepEqual(summarized, { summary: '- Asked about soy; it has soy lecithin', facts: [] });
+  // Known facts go with the prompt so the model doesn't note them again
+  assert.match(prompts[0], /- I'm lactose intolerant\./);
+  assert.match(prompts[0], /User: Does it contain soy\?/);
+
+  setProvider({
+    name: 'stub',
+    models: { chat: 'stub', vision: 'stub', tts: 'stub' },
+    chat: async () => { throw new Error('Model unavailable'); }
+  });
+  const fallback = await summarizeConversation({ ...memory, summary: '- Asked: earlier' }, messages);
+  assert.deepEqual(fallback, { summary: '- Asked: earlier\n- Asked: Does it contain soy?', facts: [] });
+});
+
+test('a follow-up reply that stays invalid after repair is a failure, not an answer', async () => {
+  setProvider({
+    name: 'stub',
+    models: { chat: 'stub', vision: 'stub', tts: 'stub' },
+    chat: async () => ({ content: 'Sure! It is fine.' })
+  });
+
+  const result = await handleFollowUp(analysis, {}, 'Is it healthy?');
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'Failed to process follow-up question');
+  assert.match(result.details, /did not match the expected format/);
+
+  setProvider(createProvider('stub'));
+  const answered = await handleFollowUp(analysis, {}, 'Is it healthy?');
+  assert.equal(answered.success, true);
+  assert.ok(answered.response.answer);
+});
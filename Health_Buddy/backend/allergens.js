@@ -0,0 +1,314 @@
+// Deterministic allergen detection from the ingredient list and the label's
+// allergen statements. Covers the EU 14 (Regulation (EU) No 1169/2011,
+// Annex II), the US 9 (FALCPA and the FASTER Act) and the allergens FSSAI
+// requires in India (Labelling and Display Regulations, 2020).
+//
+// Results are merged with the vision model's `allergens` list; anything only
+// one side found is reported as a disagreement rather than silently dropped.
+
+// Terms are matched as whole words, so "nut" doesn't match "nutmeg" or "coconut".
+// `names` are the words for the allergen itself: only "<name>-free" says a
+// product is free of it. "Lactose-free milk" still contains milk.
+const ALLERGENS = {
+  gluten: {
+    label: 'Cereals containing gluten',
+    regions: ['EU', 'IN'],
+    names: ['gluten'],
+    terms: ['gluten', 'wheat', 'rye', 'barley', 'oats', 'oat', 'malt', 'spelt', 'kamut', 'khorasan', 'triticale',
+      'semolina', 'durum', 'farro', 'einkorn', 'emmer', 'bulgur', 'couscous', 'seitan', 'farina', 'atta', 'maida',
+      'sooji', 'suji', 'rava']
+  },
+  wheat: {
+    label: 'Wheat',
+    regions: ['US'],
+    names: ['wheat'],
+    terms: ['wheat', 'semolina', 'durum', 'spelt', 'kamut', 'khorasan', 'farro', 'einkorn', 'emmer', 'bulgur',
+      'couscous', 'seitan', 'farina', 'graham flour', 'atta', 'maida', 'sooji', 'suji', 'rava']
+  },
+  crustaceans: {
+    label: 'Crustaceans',
+    regions: ['EU', 'US', 'IN'],
+    names: ['crustacean', 'crustaceans', 'shellfish'],
+    terms: ['crustacean', 'crustaceans', 'shellfish', 'shrimp', 'shrimps', 'prawn', 'prawns', 'crab', 'lobster',
+      'crayfish', 'krill', 'langoustine', 'scampi']
+  },
+  eggs: {
+    label: 'Eggs',
+    regions: ['EU', 'US', 'IN'],
+    names: ['egg', 'eggs'],
+    terms: ['egg', 'eggs', 'albumin', 'albumen', 'ovalbumin', 'ovomucoid', 'lysozyme', 'mayonnaise', 'meringue']
+  },
+  fish: {
+    label: 'Fish',
+    regions: ['EU', 'US', 'IN'],
+    names: ['fish'],
+    terms: ['fish', 'anchovy', 'anchovies', 'cod', 'salmon', 'tuna', 'sardine', 'sardines', 'mackerel', 'pollock',
+      'haddock', 'hake', 'tilapia', 'trout', 'herring', 'fish sauce', 'fish oil']
+  },
+  peanuts: {
+    label: 'Peanuts',
+    regions: ['EU', 'US', 'IN'],
+    names: ['peanut', 'peanuts'],
+    terms: ['peanut', 'peanuts', 'groundnut', 'groundnuts', 'arachis']
+  },
+  soybeans: {
+    label: 'Soybeans',
+    regions: ['EU', 'US', 'IN'],
+    names: ['soy', 'soya'],
+    terms: ['soy', 'soya', 'soybean', 'soybeans', 'soyabean', 'edamame', 'tofu', 'tempeh', 'miso', 'tamari', 'shoyu']
+  },
+  milk: {
+    label: 'Milk',
+    regions: ['EU', 'US', 'IN'],
+    names: ['milk', 'dairy'],
+    terms: ['milk', 'milk solids', 'milk powder', 'buttermilk', 'butter', 'butterfat', 'ghee', 'cream', 'cheese',
+      'whey', 'casein', 'caseinate', 'caseinates', 'lactose', 'lactalbumin', 'lactoglobulin', 'yogurt', 'yoghurt',
+      'curd', 'paneer', 'khoa', 'khoya', 'dairy']
+  },
+  treeNuts: {
+    label: 'Tree nuts',
+    regions: ['EU', 'US', 'IN'],
+    names: ['tree nut', 'tree nuts', 'nut', 'nuts'],
+    terms: ['tree nut', 'tree nuts', 'nut', 'nuts', 'almond', 'almonds', 'hazelnut', 'hazelnuts', 'filbert', 'walnut',
+      'walnuts', 'cashew', 'cashews', 'pecan', 'pecans', 'brazil nut', 'brazil nuts', 'pistachio', 'pistachios',
+      'macadamia', 'queensland nut', 'praline', 'marzipan', 'gianduja']
+  },
+  celery: {
+    label: 'Celery',
+    regions: ['EU'],
+    names: ['celery'],
+    terms: ['celery', 'celeriac']
+  },
+  mustard: {
+    label: 'Mustard',
+    regions: ['EU'],
+    names: ['mustard'],
+    terms: ['mustard']
+  },
+  sesame: {
+    label: 'Sesame',
+    regions: ['EU', 'US'],
+    names: ['sesame'],
+    terms: ['sesame', 'tahini', 'gingelly', 'til seeds']
+  },
+  sulphites: {
+    label: 'Sulphur dioxide and sulphites',
+    regions: ['EU', 'IN'],
+    names: ['sulphite', 'sulphites', 'sulfite', 'sulfites'],
+    terms: ['sulphite', 'sulphites', 'sulfite', 'sulfites', 'sulphur dioxide', 'sulfur dioxide', 'metabisulphite',
+      'metabisulfite', 'bisulphite', 'bisulfite'],
+    // E220-E228
+    codes: /\be\s?-?22[0-8]\b/
+  },
+  lupin: {
+    label: 'Lupin',
+    regions: ['EU'],
+    names: ['lupin'],
+    terms: ['lupin', 'lupine', 'lupini']
+  },
+  molluscs: {
+    label: 'Molluscs',
+    regions: ['EU'],
+    names: ['mollusc', 'molluscs', 'mollusk', 'mollusks'],
+    terms: ['mollusc', 'molluscs', 'mollusk', 'mollusks', 'clam', 'clams', 'mussel', 'mussels', 'oyster', 'oysters',
+      'scallop', 'scallops', 'squid', 'calamari', 'octopus', 'cuttlefish', 'snail', 'escargot', 'abalone', 'whelk']
+  }
+};
+
+// Wheat is the US name for what the EU and FSSAI list as gluten cereals, so a
+// model saying "gluten" for a wheat ingredient isn't a disagreement
+const RELATED = { wheat: 'gluten', gluten: 'wheat' };
+
+// Phrases that contain an allergen term but aren't the allergen
+const NOT_ALLERGENS = ['cream of tartar', 'water chestnut'];
+
+// Plant "milks", "butters" and "creams" aren't dairy. Only the dairy word is
+// dropped: "almond milk" still declares almonds, "peanut butter" peanuts.
+const PLANT_DAIRY = /\b(almond|almonds|cashew|hazelnut|walnut|pistachio|macadamia|pecan|nut|peanut|soy|soya|oat|rice|coconut|cocoa|cacao|shea|mango|hemp|pea|sunflower|pumpkin|seed|apple)(\s+)(milk|butter|cream|cheese|yogurt|yoghurt)\b/g;
+
+// "Free from milk", "does not contain nuts", "no eggs". The negation reaches
+// to the end of its clause: "No preservatives, contains milk" declares milk.
+const NEGATED = /\b(free from|does not contain|doesn't contain|without|no)\b(?:(?!\b(?:contains?|ingredients)\b)[^.;,])*$/;
+
+// What models write when a label lists no allergens
+const NO_ALLERGENS = /^(?:none|no|nil|nothing|n\/?a|not applicable|not stated|unknown|no allergens?(?: listed| declared)?|-+)$/;
+
+// Precautionary ("may contain") statements rather than declared ingredients
+const PRECAUTIONARY = /\b(may contain|may also contain|may be present|traces? of|made in a|made on|produced in|processed in|manufactured in|packed in|packaged in|handles|same (equipment|line|facility|factory)|shared (equipment|line|facility|factory)|facility that|factory that)\b/;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const TERM_PATTERNS = Object.entries(ALLERGENS).map(([key, allergen]) => ({
+  key,
+  terms: [...allergen.terms]
+    .sort((a, b) => b.length - a.length)
+    .map(term => ({ term, pattern: new RegExp(`(^|[^a-z])${escapeRegExp(term)}(?![a-z])`, 'g') })),
+  names: new Set(allergen.names),
+  // "egg-free", "dairy free", "gluten-free" right before a term: "gluten-free oats"
+  freeBefore: new RegExp(`(^|[^a-z])(${allergen.names.map(escapeRegExp).join('|')})\\s*-?\\s*free\\s+$`),
+  codes: allergen.codes
+}));
+
+// Blank out what isn't an allergen, keeping every other character in place
+function stripNonAllergens(text) {
+  const withoutPhrases = NOT_ALLERGENS.reduce((result, phrase) => result.split(phrase).join(' '.repeat(phrase.length)), text);
+  return withoutPhrases.replace(PLANT_DAIRY, (match, plant, space, dairy) => plant + space + ' '.repeat(dairy.length));
+}
+
+const FREE_AFTER = /^\s*-?\s*free\b/;
+
+// Whether the term at `start` is said to be absent: "milk-free", or a word
+// straight after "dairy-free". Related terms never count: "lactose-free milk"
+// and "lactose free cheese" contain milk.
+function isFreeOf({ names, freeBefore }, text, term, start) {
+  if (names.has(term) && FREE_AFTER.test(text.slice(start + term.length))) return true;
+  return freeBefore.test(text.slice(0, start));
+}
+
+// Allergens mentioned in one piece of text, with the term that matched
+function findAllergens(text) {
+  const cleaned = stripNonAllergens(text.toLowerCase());
+  const found = [];
+
+  for (const group of TERM_PATTERNS) {
+    const { key, terms, codes } = group;
+    let matched = null;
+    for (const { term, pattern } of terms) {
+      for (const match of cleaned.matchAll(pattern)) {
+        const start = match.index + match[1].length;
+        if (!NEGATED.test(cleaned.slice(0, start)) && !isFreeOf(group, cleaned, term, start)) {
+          matched = term;
+          break;
+        }
+      }
+      if (matched) break;
+    }
+    if (!matched && codes) {
+      const codeMatch = cleaned.match(codes);
+      if (codeMatch) matched = codeMatch[0].toUpperCase().replace(/\s|-/g, '');
+    }
+    if (matched) found.push({ key, matched });
+  }
+
+  return found;
+}
+
+// Split text into statements so "Contains milk. May contain nuts." is read as two
+function splitStatements(text) {
+  return String(text || '')
+    .split(/(?<=[.;])\s+|\n+/)
+    .map(statement => statement.trim())
+    .filter(Boolean);
+}
+
+function emptyEntry(key) {
+  const { label, regions } = ALLERGENS[key];
+  return { allergen: key, label, regions, evidence: [] };
+}
+
+/**
+ * Detect allergens from the label analysis. Ingredients and the label's
+ * allergen statements are scanned here; `analysis.allergens` (from the model)
+ * is parsed the same way and compared.
+ *
+ * Returns { contains, mayContain, modelOnly, labelOnly, unrecognized, agreed }.
+ */
+function detectAllergens(analysis = {}) {
+  const contains = new Map();
+  const mayContain = new Map();
+  const fromModel = new Map();
+  const modelMayContain = new Set();
+  const unrecognized = [];
+
+  const record = (target, key, evidence) => {
+    if (!target.has(key)) target.set(key, emptyEntry(key));
+    target.get(key).evidence.push(evidence);
+  };
+
+  const scan = (text, type) => {
+    for (const statement of splitStatements(text)) {
+      const lower = statement.toLowerCase();
+      const precautionary = PRECAUTIONARY.test(lower);
+      for (const { key, matched } of findAllergens(statement)) {
+        record(precautionary ? mayContain : contains, key, { type, text: statement, matched });
+      }
+    }
+  };
+
+  for (const ingredient of analysis.ingredients || []) {
+    scan(ingredient, 'ingredient');
+  }
+  for (const statement of analysis.allergenStatements || []) {
+    scan(statement, 'statement');
+  }
+
+  for (const reported of analysis.allergens || []) {
+    if (NO_ALLERGENS.test(String(reported).trim().toLowerCase().replace(/[.!]+$/, ''))) continue;
+    const found = findAllergens(String(reported));
+    if (found.length === 0) {
+      unrecognized.push(String(reported));
+      continue;
+    }
+    const precautionary = PRECAUTIONARY.test(String(reported).toLowerCase());
+    for (const { key, matched } of found) {
+      if (precautionary) {
+        modelMayContain.add(key);
+      } else {
+        record(fromModel, key, { type: 'model', text: String(reported), matched });
+      }
+    }
+  }
+
+  // A declared allergen outranks a "may contain" for the same allergen
+  for (const key of contains.keys()) {
+    mayContain.delete(key);
+  }
+  for (const key of modelMayContain) {
+    if (!contains.has(key) && !mayContain.has(key) && !fromModel.has(key)) {
+      record(mayContain, key, { type: 'model', text: 'Reported by the model as a precautionary allergen', matched: null });
+    }
+  }
+
+  const seenIn = (map, key) => map.has(key) || map.has(RELATED[key]);
+  const modelOnly = [...fromModel.keys()].filter(key => !seenIn(contains, key));
+  const labelOnly = [...contains.keys()].filter(key => !seenIn(fromModel, key));
+
+  for (const [key, entry] of contains) {
+    entry.confirmed = true;
+    if (fromModel.has(key)) entry.evidence.push(...fromModel.get(key).evidence);
+  }
+  // Keep the model's allergens in the result but flag them as unconfirmed,
+  // unless the label only lists them as "may contain"
+  for (const key of modelOnly) {
+    if (!mayContain.has(key)) {
+      contains.set(key, { ...fromModel.get(key), confirmed: false });
+    }
+  }
+
+  const describe = key => ({ allergen: key, label: ALLERGENS[key].label });
+
+  return {
+    contains: [...contains.values()],
+    mayContain: [...mayContain.values()],
+    modelOnly: modelOnly.map(key => ({
+      ...describe(key),
+      note: mayContain.has(key)
+        ? 'Reported by the model as an ingredient, but the label only says it may contain it'
+        : 'Reported by the model but not found in the ingredient list or allergen statement'
+    })),
+    labelOnly: labelOnly.map(key => ({ ...describe(key), note: 'Found on the label but missing from the model\'s allergen list' })),
+    unrecognized,
+    agreed: modelOnly.length === 0 && labelOnly.length === 0
+  };
+}
+
+// Flat list of allergen names for the summary and the frontend's tags
+function allergenLabels(report) {
+  return [...report.contains.map(entry => entry.label), ...report.unrecognized];
+}
+
+module.exports = {
+  detectAllergens,
+  allergenLabels,
+  ALLERGENS
+};
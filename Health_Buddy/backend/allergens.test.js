@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectAllergens, allergenLabels } = require('./allergens');
+
+const keysOf = entries => entries.map(entry => entry.allergen).sort();
+
+test('detects declared and precautionary allergens in ingredients and statements', () => {
+  const cases = [
+    // [ingredient or statement, contains, may contain]
+    ['almond milk', ['treeNuts'], []],
+    ['soy milk', ['soybeans'], []],
+    ['peanut butter', ['peanuts'], []],
+    ['nut butter', ['treeNuts'], []],
+    ['coconut milk', [], []],
+    ['cocoa butter', [], []],
+    ['cream of tartar', [], []],
+    ['butter', ['milk'], []],
+    ['buttermilk', ['milk'], []],
+    ['whole milk powder', ['milk'], []],
+    ['mayonnaise', ['eggs'], []],
+    ['egg-free mayonnaise', [], []],
+    ['dairy-free cheese', [], []],
+    ['gluten-free oats', [], []],
+    ['gluten-free oats with wheat starch', ['gluten', 'wheat'], []],
+    ['Contains: lactose-free milk', ['milk'], []],
+    ['lactose free cheese', ['milk'], []],
+    ['lactose-free', ['milk'], []],
+    ['milk-free, contains eggs', ['eggs'], []],
+    ['No preservatives, contains milk and wheat', ['gluten', 'milk', 'wheat'], []],
+    ['No added sugar, milk chocolate coating', ['milk'], []],
+    ['Contains: milk, no nuts', ['milk'], []],
+    ['Free from milk. Contains eggs.', ['eggs'], []],
+    ['without eggs or milk', [], []],
+    ['does not contain peanuts', [], []],
+    ['nutmeg', [], []],
+    ['coconut', [], []],
+    ['preservative (E220)', ['sulphites'], []],
+    ['Contains milk. May contain traces of nuts.', ['milk'], ['treeNuts']],
+    ['Made in a facility that also processes sesame', [], ['sesame']]
+  ];
+
+  for (const [text, contains, mayContain] of cases) {
+    const report = detectAllergens({ ingredients: [text] });
+    assert.deepEqual(keysOf(report.contains), contains, `contains: ${text}`);
+    assert.deepEqual(keysOf(report.mayContain), mayContain, `may contain: ${text}`);
+
+    const fromStatement = detectAllergens({ allergenStatements: [text] });
+    assert.deepEqual(keysOf(fromStatement.contains), contains, `statement: ${text}`);
+  }
+});
+
+test('a declared allergen outranks a "may contain" for the same one', () => {
+  const report = detectAllergens({
+    ingredients: ['almonds'],
+    allergenStatements: ['May contain other nuts.']
+  });
+  assert.deepEqual(keysOf(report.contains), ['treeNuts']);
+  assert.deepEqual(report.mayContain, []);
+});
+
+test("compares the label with the model's allergen list", () => {
+  const report = detectAllergens({
+    ingredients: ['wheat flour', 'milk powder'],
+    allergens: ['Gluten', 'Soy', 'Corn']
+  });
+
+  // Wheat and gluten are the same finding under different rules
+  assert.deepEqual(report.labelOnly.map(entry => entry.allergen), ['milk']);
+  assert.deepEqual(report.modelOnly.map(entry => entry.allergen), ['soybeans']);
+  assert.deepEqual(report.unrecognized, ['Corn']);
+  assert.equal(report.agreed, false);
+
+  const soy = report.contains.find(entry => entry.allergen === 'soybeans');
+  assert.equal(soy.confirmed, false);
+  assert.ok(report.contains.find(entry => entry.allergen === 'milk').confirmed);
+});
+
+test('agrees when both sides found the same allergens', () => {
+  const report = detectAllergens({ ingredients: ['almond milk', 'sugar'], allergens: ['Almonds'] });
+  assert.equal(report.agreed, true);
+  assert.deepEqual(allergenLabels(report), ['Tree nuts']);
+});
+
+test('ignores the model saying there are no allergens', () => {
+  const report = detectAllergens({ ingredients: ['oats'], allergens: ['None', 'N/A', 'n/a.', 'No allergens', 'Corn'] });
+  assert.deepEqual(report.unrecognized, ['Corn']);
+  assert.deepEqual(allergenLabels(detectAllergens({ ingredients: ['sugar'], allergens: ['none'] })), []);
+});
@@ -0,0 +1,261 @@
+// Caches the two expensive halves of /api/analyze so a repeat scan of the
+// same product is answered without any model calls:
+// - extractions, keyed by a perceptual hash of each photo plus the product
+//   name and brand read from it, so a new photo of the same label (slightly
+//   moved, re-compressed, different light) still hits
+// - reports (ingredient research + formatted summary), keyed by the normalized
+//   product name and brand plus a digest of the label data and user profile
+//   they were built from
+// Both are in memory, with a TTL and an LRU size limit.
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { recognizeText } = require('@health/shared/ocr');
+const { logger } = require('@health/shared/logger');
+
+const TTL_SECONDS = Number(process.env.ANALYSIS_CACHE_TTL_SECONDS ?? 24 * 60 * 60);
+const MAX_ENTRIES = Number(process.env.ANALYSIS_CACHE_MAX_ENTRIES ?? 500);
+const ENABLED = TTL_SECONDS > 0 && MAX_ENTRIES > 0;
+
+// dHash over a 16×16 grid: 256 bits. Re-compressed, resized or re-cropped
+// photos of one label stay within about 25 bits and other layouts are 80 or
+// more apart, but labels that share a layout are as close as the same label,
+// which is why a near match must also show the product name.
+const HASH_SIZE = 16;
+const MATCH_DISTANCE = 28;
+// How far a pixel may be from the border colour and still count as margin
+const TRIM_THRESHOLD = 30;
+
+function createStore() {
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0 };
+
+  const isFresh = entry => Date.now() - entry.storedAt < TTL_SECONDS * 1000;
+
+  function touch(key, entry) {
+    // Re-insert so Map order doubles as least-recently-used order
+    entries.delete(key);
+    entries.set(key, entry);
+    stats.hits++;
+    return structuredClone(entry.value);
+  }
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (entry && isFresh(entry)) return touch(key, entry);
+    if (entry) entries.delete(key);
+    stats.misses++;
+    return null;
+  }
+
+  // Fresh entries `matches` accepts, most recently used first, for lookups
+  // that aren't exact; `take` and `miss` then record the outcome
+  function filter(matches) {
+    const found = [];
+    for (const [key, entry] of entries) {
+      if (!isFresh(entry)) {
+        entries.delete(key);
+      } else if (matches(entry)) {
+        found.unshift({ key, entry });
+      }
+    }
+    return found;
+  }
+
+  function set(key, value, extra = {}) {
+    entries.delete(key);
+    entries.set(key, { ...extra, value: structuredClone(value), storedAt: Date.now() });
+    while (entries.size > MAX_ENTRIES) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  return {
+    get,
+    filter,
+    take: ({ key, entry }) => touch(key, entry),
+    miss: () => { stats.misses++; },
+    set,
+    stats: () => ({ ...stats, entries: entries.size })
+  };
+}
+
+const extractions = createStore();
+const reports = createStore();
+
+/**
+ * Perceptual hash of an image buffer, as a hex string. Each bit says whether a
+ * cell of the downscaled greyscale image is brighter than its right neighbour.
+ * The plain margin is trimmed first, so photos framed a little differently
+ * (or cropped differently by preprocessing) line up.
+ */
+async function imageHash(buffer) {
+  const downscale = trim => (trim ? sharp(buffer).trim({ threshold: TRIM_THRESHOLD }) : sharp(buffer))
+    .greyscale()
+    .resize(HASH_SIZE + 1, HASH_SIZE, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  // A photo that is all margin has nothing to trim to
+  const { data } = await downscale(true).catch(() => downscale(false));
+
+  const bits = Buffer.alloc((HASH_SIZE * HASH_SIZE) / 8);
+  for (let y = 0; y < HASH_SIZE; y++) {
+    for (let x = 0; x < HASH_SIZE; x++) {
+      const bit = y * HASH_SIZE + x;
+      if (data[y * (HASH_SIZE + 1) + x] > data[y * (HASH_SIZE + 1) + x + 1]) {
+        bits[bit >> 3] |= 1 << (bit & 7);
+      }
+    }
+  }
+  return bits.toString('hex');
+}
+
+function hammingDistance(a, b) {
+  const left = Buffer.from(a, 'hex');
+  const right = Buffer.from(b, 'hex');
+  if (left.length !== right.length) return Infinity;
+  let distance = 0;
+  for (let i = 0; i < left.length; i++) {
+    let diff = left[i] ^ right[i];
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Fingerprint the preprocessed photos of one scan ([{ panel, buffer }]).
+ * Resolves to [{ panel, hash }] in upload order.
+ */
+async function fingerprintImages(images) {
+  return Promise.all(images.map(async ({ panel, buffer }) => ({ panel: panel || null, hash: await imageHash(buffer) })));
+}
+
+// Same panels, and every photo close enough to its counterpart
+function sameScan(a, b) {
+  return a.length === b.length &&
+    a.every((image, i) => image.panel === b[i].panel && hammingDistance(image.hash, b[i].hash) <= MATCH_DISTANCE);
+}
+
+const normalizeName = value => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const words = text => normalizeName(text).split(' ').filter(Boolean);
+
+// Levenshtein distance, for OCR slips like "BAI" for "BAR"
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Every word of `phrase` is in the text, allowing one OCR slip in words of
+// three letters or more
+function showsPhrase(seen, phrase) {
+  const wanted = words(phrase);
+  return wanted.length > 0 && wanted.every(word =>
+    seen.some(candidate => candidate === word || (word.length >= 3 && editDistance(candidate, word) <= 1)));
+}
+
+function showsProduct(seen, { productName, brandName }) {
+  return showsPhrase(seen, productName) && (!words(brandName).length || showsPhrase(seen, brandName));
+}
+
+/**
+ * Cached extraction for a scan of these photos ([{ panel, buffer }], as
+ * fingerprinted), or null. Photos that look like a cached scan only hit when
+ * their text (read offline) shows the product name and brand it was read as:
+ * two products' labels can share a layout and differ only in the print.
+ */
+async function getExtraction(fingerprint, images) {
+  if (!ENABLED) return null;
+
+  const candidates = extractions.filter(entry => sameScan(entry.fingerprint, fingerprint));
+  if (candidates.length === 0) {
+    extractions.miss();
+    return null;
+  }
+
+  try {
+    const pages = await Promise.all(images.map(({ buffer }) => recognizeText(buffer)));
+    const seen = words(pages.map(page => page.text).join(' '));
+    const match = candidates.find(({ entry }) => showsProduct(seen, entry.identity));
+    if (match) return extractions.take(match);
+  } catch (error) {
+    logger.warn('Could not read the photos to confirm a cached scan', { error: error.message });
+  }
+  extractions.miss();
+  return null;
+}
+
+// Keyed per product, so two products with look-alike photos get an entry each.
+// An analysis without a product name can't be confirmed, so it isn't kept.
+function setExtraction(fingerprint, analysis) {
+  if (!ENABLED || !normalizeName(analysis.productName)) return;
+  const identity = { productName: analysis.productName, brandName: analysis.brandName || '' };
+  const key = [
+    normalizeName(identity.productName),
+    normalizeName(identity.brandName),
+    ...fingerprint.map(({ panel, hash }) => `${panel}:${hash}`)
+  ].join('|');
+  extractions.set(key, analysis, { fingerprint, identity });
+}
+
+/**
+ * Report cache key for an analysis: normalized product name and brand plus a
+ * digest of the label data the report is built from and the user profile it
+ * was written for. Null without a product name.
+ */
+function reportKey(analysis, profile = null) {
+  const name = normalizeName(analysis.productName);
+  if (!name) return null;
+
+  const labelData = JSON.stringify([
+    analysis.ingredients,
+    analysis.nutritionFacts,
+    analysis.allergenStatements,
+    analysis.certifications,
+    // The report marks uncertain values, so a less certain reading gets its own
+    analysis.fieldConfidence,
+    profile
+  ]);
+  const digest = crypto.createHash('sha256').update(labelData).digest('hex').slice(0, 16);
+  return `${name}|${normalizeName(analysis.brandName)}|${digest}`;
+}
+
+function getReport(key) {
+  if (!ENABLED || !key) return null;
+  return reports.get(key);
+}
+
+function setReport(key, report) {
+  if (!ENABLED || !key) return;
+  reports.set(key, report);
+}
+
+function getCacheStats() {
+  return {
+    enabled: ENABLED,
+    ttlSeconds: TTL_SECONDS,
+    maxEntries: MAX_ENTRIES,
+    extractions: extractions.stats(),
+    reports: reports.stats()
+  };
+}
+
+module.exports = {
+  fingerprintImages,
+  getExtraction,
+  setExtraction,
+  reportKey,
+  getReport,
+  setReport,
+  getCacheStats
+};
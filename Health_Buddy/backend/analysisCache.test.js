@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.ANALYSIS_CACHE_MAX_ENTRIES = '3';
+
+const cache = require('./analysisCache');
+const { preprocessImages } = require('@health/shared/imagePreprocess');
+const { closeOcr } = require('@health/shared/ocr');
+
+test.after(closeOcr);
+
+// A front panel: name and brand over blocks of "print". Labels with the same
+// layout are close enough for a perceptual hash whatever their text says.
+function label(name, brand = 'Sample Foods') {
+  const blocks = [0, 1, 2].map(i => `<rect x="60" y="${330 + i * 110}" width="${520 - i * 90}" height="50" fill="#000"/>`);
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="900" height="700"><rect width="100%" height="100%" fill="#f2eee4"/>` +
+    `<text x="60" y="140" font-family="sans-serif" font-weight="bold" font-size="72">${name}</text>` +
+    `<text x="60" y="240" font-family="sans-serif" font-size="52">${brand}</text>` +
+    blocks.join('') + '</svg>';
+  return sharp(Buffer.from(svg)).jpeg({ quality: 90 }).toBuffer();
+}
+
+async function prepare(buffer, panel = null) {
+  const { images } = await preprocessImages([{ panel, buffer, mimetype: 'image/jpeg' }]);
+  return { images, fingerprint: await cache.fingerprintImages(images) };
+}
+
+async function lookup(buffer, panel = null) {
+  const { images, fingerprint } = await prepare(buffer, panel);
+  return cache.getExtraction(fingerprint, images);
+}
+
+const oatBar = { productName: 'Oat Bar', brandName: 'Sample Foods' };
+
+test('a re-encoded or re-cropped photo of a cached label hits', async () => {
+  const photo = await label('OAT BAR');
+  const { fingerprint } = await prepare(photo);
+  cache.setExtraction(fingerprint, oatBar);
+
+  const reencoded = await sharp(photo).jpeg({ quality: 40 }).toBuffer();
+  const cropped = await sharp(photo).extract({ left: 20, top: 15, width: 860, height: 670 }).toBuffer();
+  const smaller = await sharp(photo).resize(640).toBuffer();
+
+  assert.deepEqual(await lookup(reencoded), oatBar);
+  assert.deepEqual(await lookup(cropped), oatBar);
+  assert.deepEqual(await lookup(smaller), oatBar);
+});
+
+test('a look-alike label of another product misses', async () => {
+  const photo = await label('OAT BAR');
+  cache.setExtraction((await prepare(photo)).fingerprint, oatBar);
+
+  assert.equal(await lookup(await label('RICE BAR')), null);
+  assert.equal(await lookup(await label('OAT BAR', 'Other Brand')), null);
+  // The same photo tagged as another panel is another scan
+  assert.equal(await lookup(photo, 'nutrition'), null);
+});
+
+test('keeps look-alike products apart and skips analyses without a name', async () => {
+  const { fingerprint } = await prepare(await label('OAT BAR'));
+  const riceBar = { productName: 'Rice Bar', brandName: 'Sample Foods' };
+  cache.setExtraction(fingerprint, oatBar);
+  cache.setExtraction(fingerprint, riceBar);
+
+  assert.deepEqual(await lookup(await label('RICE BAR')), riceBar);
+  assert.deepEqual(await lookup(await label('OAT BAR')), oatBar);
+
+  const before = cache.getCacheStats().extractions.entries;
+  cache.setExtraction([{ panel: null, hash: 'ab'.repeat(32) }], { productName: '' });
+  assert.equal(cache.getCacheStats().extractions.entries, before);
+});
+
+test('hands out copies, so changing a hit leaves the cache alone', async () => {
+  const { images } = await prepare(await label('OAT BAR'));
+  const fingerprint = [{ panel: null, hash: '0f'.repeat(32) }];
+  cache.setExtraction(fingerprint, { ...oatBar, ingredients: ['oats'] });
+
+  (await cache.getExtraction(fingerprint, images)).ingredients.push('honey');
+  assert.deepEqual((await cache.getExtraction(fingerprint, images)).ingredients, ['oats']);
+});
+
+test('drops the least recently used entries past the size limit', async () => {
+  const { images } = await prepare(await label('OAT BAR'));
+  // Hashes far enough apart that none matches another
+  const fingerprint = hash => [{ panel: null, hash: hash.repeat(32) }];
+  for (const hash of ['00', 'ff', '33']) cache.setExtraction(fingerprint(hash), { ...oatBar, hash });
+
+  await cache.getExtraction(fingerprint('00'), images);
+  cache.setExtraction(fingerprint('cc'), { ...oatBar, hash: 'cc' });
+
+  assert.equal(await cache.getExtraction(fingerprint('ff'), images), null);
+  assert.equal((await cache.getExtraction(fingerprint('00'), images)).hash, '00');
+  assert.equal(cache.getCacheStats().extractions.entries, 3);
+});
+
+test('keys reports on the product, its label data and the profile', () => {
+  const analysis = { productName: 'Oat Bar!', brandName: 'Sample Foods', ingredients: ['oats'], nutritionFacts: { calories: 190 } };
+
+  const key = cache.reportKey(analysis);
+  assert.match(key, /^oat bar\|sample foods\|[0-9a-f]{16}$/);
+  assert.equal(cache.reportKey({ ...analysis, productName: 'oat bar' }), key);
+  assert.notEqual(cache.reportKey({ ...analysis, nutritionFacts: { calories: 200 } }), key);
+  assert.notEqual(cache.reportKey(analysis, { allergies: ['milk'] }), key);
+  assert.equal(cache.reportKey({ ...analysis, productName: '' }), null);
+
+  cache.setReport(key, { summary: 'Fine' });
+  assert.deepEqual(cache.getReport(key), { summary: 'Fine' });
+  assert.equal(cache.getReport(null), null);
+});
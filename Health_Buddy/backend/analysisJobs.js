@@ -0,0 +1,192 @@
+// Progress of the /api/analyze pipeline for each session. The label is read,
+// researched and summarized in the background; clients poll the job or follow
+// it over Server-Sent Events and render each stage as soon as it's done.
+// Every change is saved to the session store (SESSION_STORE), so any instance
+// can report on a job. Followers on the instance running it hear about changes
+// straight away; followers on other instances poll the store.
+const path = require('path');
+const { EventEmitter } = require('events');
+const { createSessionStore, TTL_MS } = require('@health/shared/sessionStore');
+const { logger } = require('@health/shared/logger');
+
+const STAGES = ['extraction', 'enrichment', 'verdict'];
+
+// Finished jobs are kept as long as their session would be
+const JOB_TIMEOUT = TTL_MS;
+const POLL_INTERVAL = 500;
+
+const store = createSessionStore({
+  namespace: 'jobs',
+  dbPath: path.join(__dirname, 'data', 'sessions.db'),
+  redisPrefix: 'healthbuddy:session:'
+});
+
+// Jobs started by this instance
+const jobs = new Map();
+
+const cleanup = setInterval(() => {
+  const now = Date.now();
+  for (const [sessionId, job] of jobs.entries()) {
+    if (job.status !== 'running' && now - job.updatedAt > JOB_TIMEOUT) {
+      jobs.delete(sessionId);
+    }
+  }
+}, 5 * 60 * 1000);
+cleanup.unref();
+
+// What clients see: everything but the emitter
+function snapshot(job) {
+  const { events, ...state } = job;
+  return structuredClone(state);
+}
+
+// Writes go out in order and aren't waited for, so a slow store doesn't hold up the pipeline
+function save(job) {
+  return store.set(job.sessionId, snapshot(job))
+    .catch(error => logger.error('Could not save the analysis job', { sessionId: job.sessionId, error }));
+}
+
+// The events a follower who has seen `before` has missed to get to `after`
+function changesSince(before, after) {
+  const changes = STAGES
+    .filter(stage => JSON.stringify(before?.stages[stage]) !== JSON.stringify(after.stages[stage]))
+    .map(stage => ['stage', { stage, ...after.stages[stage] }]);
+  if (after.status === 'complete') changes.push(['done', after.result]);
+  if (after.status === 'failed') changes.push(['failed', after.error]);
+  return structuredClone(changes);
+}
+
+async function createJob(sessionId) {
+  const job = {
+    sessionId,
+    status: 'running',
+    stages: Object.fromEntries(STAGES.map(stage => [stage, { status: 'pending' }])),
+    result: null,
+    error: null,
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+    events: new EventEmitter()
+  };
+  jobs.set(sessionId, job);
+  await save(job);
+  return snapshot(job);
+}
+
+async function getJob(sessionId) {
+  const job = jobs.get(sessionId);
+  if (job) return snapshot(job);
+  const entry = await store.get(sessionId);
+  return entry ? entry.session : null;
+}
+
+/**
+ * Record a stage's progress: { status: 'running' | 'complete' | 'failed',
+ * result, error }. Listeners get a `stage` event with { stage, ...update }.
+ */
+function updateStage(sessionId, stage, update) {
+  const job = jobs.get(sessionId);
+  if (!job) return;
+
+  job.stages[stage] = { ...job.stages[stage], ...update, updatedAt: new Date().toISOString() };
+  job.updatedAt = Date.now();
+  save(job);
+  job.events.emit('stage', structuredClone({ stage, ...job.stages[stage] }));
+}
+
+// The job's final response body, as /api/analyze used to return it
+function completeJob(sessionId, result) {
+  const job = jobs.get(sessionId);
+  if (!job) return;
+
+  job.status = 'complete';
+  job.result = result;
+  job.updatedAt = Date.now();
+  save(job);
+  job.events.emit('done', structuredClone(result));
+}
+
+// `error` is { error, details }
+function failJob(sessionId, error) {
+  const job = jobs.get(sessionId);
+  if (!job) return;
+
+  job.status = 'failed';
+  job.error = error;
+  job.updatedAt = Date.now();
+  save(job);
+  job.events.emit('failed', structuredClone(error));
+}
+
+/**
+ * Follow a job: `listener(event, data)` is called for every `stage`, `done`
+ * and `failed` event from now on. Pass the snapshot already shown as `seen`
+ * to first hear what changed since. Returns a function that stops listening.
+ */
+function subscribe(sessionId, listener, seen = null) {
+  const job = jobs.get(sessionId);
+  if (!job) return pollStore(sessionId, listener, seen);
+
+  if (seen) {
+    for (const [event, data] of changesSince(seen, snapshot(job))) listener(event, data);
+    if (job.status !== 'running') return () => {};
+  }
+  const handlers = ['stage', 'done', 'failed'].map(event => [event, data => listener(event, data)]);
+  for (const [event, handler] of handlers) job.events.on(event, handler);
+  return () => {
+    for (const [event, handler] of handlers) job.events.off(event, handler);
+  };
+}
+
+// For a job running on another instance: reads the store until the job ends or expires
+function pollStore(sessionId, listener, seen) {
+  let last = seen;
+  let timer = null;
+  const poll = async () => {
+    let job = null;
+    try {
+      job = (await store.get(sessionId))?.session;
+    } catch (error) {
+      logger.error('Could not read the analysis job', { sessionId, error });
+    }
+    if (timer === null) return;
+    if (!job) {
+      listener('failed', { error: 'Analysis not found or expired' });
+      return;
+    }
+
+    const changes = last ? changesSince(last, job) : [];
+    last = job;
+    for (const [event, data] of changes) listener(event, data);
+    if (job.status === 'running') timer = setTimeout(poll, POLL_INTERVAL);
+  };
+  timer = setTimeout(poll, 0);
+  return () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+}
+
+// Resolves to the job's snapshot once it has completed or failed
+function waitForJob(sessionId) {
+  const job = jobs.get(sessionId);
+  if (!job || job.status !== 'running') return getJob(sessionId);
+
+  return new Promise(resolve => {
+    const unsubscribe = subscribe(sessionId, event => {
+      if (event === 'stage') return;
+      unsubscribe();
+      resolve(getJob(sessionId));
+    });
+  });
+}
+
+module.exports = {
+  STAGES,
+  createJob,
+  getJob,
+  updateStage,
+  completeJob,
+  failJob,
+  subscribe,
+  waitForJob
+};
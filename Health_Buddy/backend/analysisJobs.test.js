@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'silent';
+// A shared file, so a second copy of the module can stand in for another instance
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'analysis-jobs-'));
+process.env.SESSION_STORE = 'sqlite';
+process.env.SESSION_DB_PATH = path.join(tmpDir, 'sessions.db');
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const jobs = require('./analysisJobs');
+
+function loadOtherInstance() {
+  delete require.cache[require.resolve('./analysisJobs')];
+  return require('./analysisJobs');
+}
+
+test('starts a job with every stage pending', async () => {
+  const job = await jobs.createJob('session-new');
+
+  assert.equal(job.status, 'running');
+  assert.deepEqual(Object.keys(job.stages), jobs.STAGES);
+  assert.ok(jobs.STAGES.every(stage => job.stages[stage].status === 'pending'));
+  assert.equal(job.events, undefined);
+  assert.equal(await jobs.getJob('session-unknown'), null);
+});
+
+test('records each stage and tells subscribers', async () => {
+  await jobs.createJob('session-stages');
+  const seen = [];
+  const unsubscribe = jobs.subscribe('session-stages', (event, data) => seen.push([event, data.stage, data.status]));
+
+  jobs.updateStage('session-stages', 'extraction', { status: 'running' });
+  jobs.updateStage('session-stages', 'extraction', { status: 'complete', result: { productName: 'Oat Bar' } });
+  unsubscribe();
+  jobs.updateStage('session-stages', 'enrichment', { status: 'running' });
+
+  assert.deepEqual(seen, [['stage', 'extraction', 'running'], ['stage', 'extraction', 'complete']]);
+  const job = await jobs.getJob('session-stages');
+  assert.equal(job.stages.extraction.result.productName, 'Oat Bar');
+  assert.equal(job.stages.enrichment.status, 'running');
+});
+
+test('replays what a subscriber missed since the snapshot it has', async () => {
+  const before = await jobs.createJob('session-missed');
+  jobs.updateStage('session-missed', 'extraction', { status: 'complete' });
+  jobs.completeJob('session-missed', { success: true });
+
+  const seen = [];
+  jobs.subscribe('session-missed', (event, data) => seen.push([event, data.stage]), before);
+  assert.deepEqual(seen, [['stage', 'extraction'], ['done', undefined]]);
+});
+
+test('snapshots are copies', async () => {
+  await jobs.createJob('session-copy');
+  jobs.updateStage('session-copy', 'extraction', { status: 'complete', result: { ingredients: ['oats'] } });
+
+  (await jobs.getJob('session-copy')).stages.extraction.result.ingredients.push('honey');
+  assert.deepEqual((await jobs.getJob('session-copy')).stages.extraction.result.ingredients, ['oats']);
+});
+
+test('waits for a job to complete or fail', async () => {
+  await jobs.createJob('session-done');
+  const waiting = jobs.waitForJob('session-done');
+  jobs.updateStage('session-done', 'verdict', { status: 'complete' });
+  jobs.completeJob('session-done', { success: true, sessionId: 'session-done' });
+
+  const done = await waiting;
+  assert.equal(done.status, 'complete');
+  assert.deepEqual(done.result, { success: true, sessionId: 'session-done' });
+
+  await jobs.createJob('session-failed');
+  const failing = jobs.waitForJob('session-failed');
+  jobs.failJob('session-failed', { error: 'Failed to analyze image', details: 'Vision model is down' });
+
+  const failed = await failing;
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.error.details, 'Vision model is down');
+
+  // A finished job resolves straight away
+  assert.equal((await jobs.waitForJob('session-done')).status, 'complete');
+});
+
+test('another instance can read and follow a job through the store', async () => {
+  const other = loadOtherInstance();
+  await jobs.createJob('session-shared');
+  jobs.updateStage('session-shared', 'extraction', { status: 'running' });
+
+  const seenJob = await other.getJob('session-shared');
+  assert.equal(seenJob.stages.extraction.status, 'running');
+
+  const events = [];
+  const finished = new Promise(resolve => {
+    other.subscribe('session-shared', (event, data) => {
+      events.push([event, data.stage, data.status]);
+      if (event === 'done') resolve();
+    }, seenJob);
+  });
+  jobs.updateStage('session-shared', 'extraction', { status: 'complete' });
+  jobs.completeJob('session-shared', { success: true, sessionId: 'session-shared' });
+  await finished;
+
+  assert.deepEqual(events, [['stage', 'extraction', 'complete'], ['done', undefined, undefined]]);
+  assert.equal((await other.getJob('session-shared')).result.sessionId, 'session-shared');
+});
@@ -0,0 +1,180 @@
+// Side-by-side comparison of products the user has scanned, one per analysis
+// session. Nutrients are compared per 100 g (per 100 ml for drinks), and every
+// value here comes from the parsed labels; the model only explains the
+// trade-offs afterwards.
+
+const { normalizeNutritionFacts, NUTRIENT_UNITS } = require('@health/shared/nutrients');
+const { detectAllergens } = require('./allergens');
+const { computeHealthScore } = require('./healthScore');
+const { lookupIngredients } = require('./knowledgeBase');
+const { classifyDiets } = require('./dietCompliance');
+const { evaluateProfile } = require('./profile');
+
+const MIN_PRODUCTS = 2;
+const MAX_PRODUCTS = 4;
+
+// `better` says which way a nutrient should go; null when neither is better in general
+const COMPARED_NUTRIENTS = [
+  { field: 'calories', label: 'Energy', better: 'lower' },
+  { field: 'totalFat', label: 'Fat', better: 'lower' },
+  { field: 'saturatedFat', label: 'Saturated fat', better: 'lower' },
+  { field: 'transFat', label: 'Trans fat', better: 'lower' },
+  { field: 'totalCarbohydrate', label: 'Carbohydrate', better: null },
+  { field: 'totalSugars', label: 'Sugars', better: 'lower' },
+  { field: 'addedSugars', label: 'Added sugars', better: 'lower' },
+  { field: 'dietaryFiber', label: 'Fibre', better: 'higher' },
+  { field: 'protein', label: 'Protein', better: 'higher' },
+  { field: 'sodium', label: 'Sodium', better: 'lower' }
+];
+
+// E-numbers and INS codes the knowledge base doesn't know still count as additives
+const ADDITIVE_CODE = /\b(?:e|ins)\s?-?(\d{3,4}[a-z]?)\b/gi;
+
+// Indexes of the best value in a row, or [] when there's nothing to choose between
+function bestOf(values, better) {
+  const known = values.filter(value => value !== null && value !== undefined);
+  if (!better || known.length < 2 || new Set(known).size === 1) return [];
+
+  const target = better === 'lower' ? Math.min(...known) : Math.max(...known);
+  return values.flatMap((value, i) => (value === target ? [i] : []));
+}
+
+function listAdditives(ingredients = []) {
+  const { facts } = lookupIngredients(ingredients);
+  const additives = facts
+    .filter(fact => fact.category === 'additive' || fact.eNumber || fact.insCode)
+    .map(fact => ({ name: fact.name, code: fact.eNumber || fact.insCode, concerns: fact.concerns.length }));
+
+  const known = new Set(additives.map(additive => additive.code?.toUpperCase()).filter(Boolean));
+  for (const ingredient of ingredients) {
+    for (const match of String(ingredient).matchAll(ADDITIVE_CODE)) {
+      const code = `E${match[1].toUpperCase()}`;
+      if (!known.has(code)) {
+        known.add(code);
+        additives.push({ name: code, code, concerns: 0 });
+      }
+    }
+  }
+  return additives;
+}
+
+// What the comparison needs from one session
+function describeProduct({ sessionId, analysis, formattedData }) {
+  const normalized = analysis.normalizedNutrition || normalizeNutritionFacts(analysis.nutritionFacts);
+  return {
+    sessionId,
+    productName: analysis.productName || formattedData?.formatted?.overview?.productName || 'Unknown Product',
+    brand: analysis.brandName || '',
+    basis: normalized.per100Basis,
+    normalized,
+    allergenReport: analysis.allergenReport || detectAllergens(analysis),
+    healthScore: formattedData?.formatted?.healthScore || computeHealthScore(analysis),
+    diets: analysis.dietCompliance || classifyDiets(analysis),
+    additives: listAdditives(analysis.ingredients),
+    analysis
+  };
+}
+
+/**
+ * Compare the products of two or more sessions ([{ sessionId, analysis,
+ * formattedData }]). `profile` adds how each product fares against the user's
+ * own constraints. Returns { products, basis, notes, nutrients, scores,
+ * allergens, additives, diets, profile }, where every row's `values` follow
+ * the order of `products` and `best` holds the indexes of the best value.
+ */
+function compareProducts(sessions, profile = null) {
+  const products = sessions.map(describeProduct);
+  const notes = [];
+
+  const bases = [...new Set(products.map(product => product.basis))];
+  if (bases.length > 1) {
+    notes.push('Some products are drinks (per 100 ml) and some are foods (per 100 g), so their nutrients are not directly comparable');
+  }
+  for (const product of products) {
+    if (!product.normalized.servingSize.grams) {
+      notes.push(`${product.productName}: the serving size couldn't be read, so per-100 values are missing`);
+    }
+  }
+
+  const nutrients = COMPARED_NUTRIENTS
+    .map(({ field, label, better }) => {
+      const values = products.map(product => product.normalized.nutrients[field]?.per100g ?? null);
+      return { field, label, unit: NUTRIENT_UNITS[field], better, values, best: bestOf(values, better) };
+    })
+    .filter(row => row.values.some(value => value !== null));
+
+  const scores = products.map(({ healthScore }) => ({
+    overall: healthScore.overall ?? null,
+    grade: healthScore.grade ?? null,
+    category: healthScore.category
+  }));
+
+  const allergenKeys = new Map();
+  for (const { allergenReport } of products) {
+    for (const entry of [...allergenReport.contains, ...allergenReport.mayContain]) {
+      allergenKeys.set(entry.allergen, entry.label);
+    }
+  }
+  const allergens = [...allergenKeys].map(([allergen, label]) => ({
+    allergen,
+    label,
+    values: products.map(({ allergenReport }) =>
+      allergenReport.contains.some(entry => entry.allergen === allergen) ? 'contains'
+        : allergenReport.mayContain.some(entry => entry.allergen === allergen) ? 'may contain'
+          : null
+    )
+  }));
+
+  const additiveCodes = products.map(product => new Set(product.additives.map(additive => additive.code || additive.name)));
+  const additives = {
+    values: products.map(product => product.additives),
+    counts: products.map(product => product.additives.length),
+    shared: products[0].additives
+      .filter(additive => additiveCodes.every(codes => codes.has(additive.code || additive.name)))
+      .map(additive => additive.name)
+  };
+  additives.best = bestOf(additives.counts, 'lower');
+
+  const diets = Object.keys(products[0].diets).map(diet => ({
+    diet,
+    label: products[0].diets[diet].label,
+    values: products.map(product => product.diets[diet].status)
+  }));
+
+  let profileFit = null;
+  if (profile) {
+    const checks = products.map(product => evaluateProfile(product.analysis, profile));
+    if (checks.every(Boolean)) {
+      profileFit = {
+        values: checks.map(check => ({
+          violates: check.violates,
+          caution: check.caution,
+          fits: check.fits.map(item => item.label),
+          unknown: check.unknown.map(item => item.label),
+          severe: check.severe
+        })),
+        // Fewest violated constraints, then fewest cautions
+        best: bestOf(checks.map(check => check.violates.length * 100 + check.caution.length), 'lower')
+      };
+    }
+  }
+
+  return {
+    products: products.map(({ sessionId, productName, brand, basis }) => ({ sessionId, productName, brand, basis })),
+    basis: bases.length === 1 ? bases[0] : 'mixed',
+    notes,
+    nutrients,
+    scores,
+    bestScore: bestOf(scores.map(score => score.overall), 'higher'),
+    allergens,
+    additives,
+    diets,
+    profile: profileFit
+  };
+}
+
+module.exports = {
+  MIN_PRODUCTS,
+  MAX_PRODUCTS,
+  compareProducts
+};
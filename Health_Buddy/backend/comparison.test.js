@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+
+const { compareProducts } = require('./comparison');
+const { normalizeProfile } = require('./profile');
+
+const oatCrunch = {
+  sessionId: 'session-oats',
+  analysis: {
+    productName: 'Oat Crunch',
+    brandName: 'Sample Foods',
+    ingredients: ['whole grain oats', 'sugar', 'milk powder', 'emulsifier (soy lecithin)', 'E471'],
+    nutritionFacts: {
+      servingSize: '40g', calories: 160, totalFat: '4g', saturatedFat: '1g', totalCarbohydrate: '28g',
+      totalSugars: '10g', dietaryFiber: '4g', protein: '4g', sodium: '80mg'
+    }
+  }
+};
+
+const chocoPuffs = {
+  sessionId: 'session-puffs',
+  analysis: {
+    productName: 'Choco Puffs',
+    brandName: 'Other Foods',
+    ingredients: ['corn', 'sugar', 'cocoa', 'salt', 'E322'],
+    allergenStatements: ['May contain milk.'],
+    nutritionFacts: {
+      servingSize: '30g', calories: 120, totalFat: '1.5g', saturatedFat: '0.5g', totalCarbohydrate: '25g',
+      totalSugars: '12g', dietaryFiber: '1g', protein: '2g', sodium: '150mg'
+    }
+  }
+};
+
+const row = (comparison, field) => comparison.nutrients.find(nutrient => nutrient.field === field);
+
+test('compares nutrients per 100 g and marks the better value', () => {
+  const comparison = compareProducts([oatCrunch, chocoPuffs]);
+
+  assert.deepEqual(comparison.products.map(product => product.productName), ['Oat Crunch', 'Choco Puffs']);
+  assert.equal(comparison.basis, '100 g');
+  assert.deepEqual(comparison.notes, []);
+
+  assert.deepEqual(row(comparison, 'totalSugars').values, [25, 40]);
+  assert.deepEqual(row(comparison, 'totalSugars').best, [0]);
+  assert.deepEqual(row(comparison, 'totalFat').best, [1]);
+  assert.deepEqual(row(comparison, 'dietaryFiber').best, [0]);
+  // Equal values and nutrients with no better direction pick no winner
+  assert.deepEqual(row(comparison, 'calories').best, []);
+  assert.deepEqual(row(comparison, 'totalCarbohydrate').best, []);
+  assert.equal(row(comparison, 'addedSugars'), undefined);
+
+  assert.deepEqual(comparison.scores.map(score => score.grade), ['C', 'D']);
+  assert.deepEqual(comparison.bestScore, [0]);
+});
+
+test('lines up allergens, additives and diets', () => {
+  const comparison = compareProducts([oatCrunch, chocoPuffs]);
+
+  const milk = comparison.allergens.find(entry => entry.allergen === 'milk');
+  assert.deepEqual(milk.values, ['contains', 'may contain']);
+
+  assert.deepEqual(comparison.additives.counts, [2, 1]);
+  assert.deepEqual(comparison.additives.shared, ['Lecithins']);
+  assert.deepEqual(comparison.additives.best, [1]);
+
+  const vegan = comparison.diets.find(entry => entry.diet === 'vegan');
+  assert.deepEqual(vegan.values, ['non-compliant', 'compliant']);
+  assert.equal(comparison.profile, null);
+});
+
+test("ranks products by the user's own constraints", () => {
+  const profile = normalizeProfile({ allergies: ['milk'], goals: ['lessSugar'] }).profile;
+  const comparison = compareProducts([oatCrunch, chocoPuffs], profile);
+
+  assert.deepEqual(comparison.profile.values.map(value => value.severe), [true, false]);
+  assert.deepEqual(comparison.profile.values[1].caution.map(item => item.key), ['milk']);
+  // Both are too sweet, but only the first one contains milk
+  assert.deepEqual(comparison.profile.best, [1]);
+});
+
+test('notes when products are not directly comparable', () => {
+  const juice = {
+    sessionId: 'session-juice',
+    analysis: { productName: 'Apple Juice', ingredients: ['apple juice'], nutritionFacts: { servingSize: '250 ml', calories: 110, totalSugars: '24g' } }
+  };
+  const bar = {
+    sessionId: 'session-bar',
+    analysis: { productName: 'Mystery Bar', ingredients: ['oats'], nutritionFacts: { servingSize: '1 bar', calories: 190 } }
+  };
+
+  const comparison = compareProducts([oatCrunch, juice, bar]);
+
+  assert.equal(comparison.basis, 'mixed');
+  assert.deepEqual(comparison.notes, [
+    'Some products are drinks (per 100 ml) and some are foods (per 100 g), so their nutrients are not directly comparable',
+    "Mystery Bar: the serving size couldn't be read, so per-100 values are missing"
+  ]);
+  assert.deepEqual(row(comparison, 'calories').values, [400, 44, null]);
+});
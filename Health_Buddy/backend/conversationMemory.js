@@ -0,0 +1,219 @@
+// Conversation memory for follow-up chat. The last few messages are kept word
+// for word; older ones wait in `older` until the model rolls them into a
+// running summary, so nothing the user said is dropped. Facts the user states
+// about themselves ("I'm lactose intolerant") are picked out of each message
+// by rules and kept for the whole session. The prompt gets as much of all this
+// as fits in a token budget.
+//
+// Memory: { summary, facts: [{ kind, value, statement }], older: [messages], summarizedCount }
+
+// Messages kept verbatim in the session's conversationHistory
+const RECENT_MESSAGES = 10;
+// Older messages are summarized once this many have piled up, at most MAX_BATCH per model call
+const SUMMARY_BATCH = 6;
+const MAX_BATCH = 20;
+const MAX_SUMMARY_CHARS = 1500;
+const MAX_FACTS = 20;
+const MAX_VALUE_CHARS = 60;
+// Prompt budget for the whole conversation section (facts, summary and messages)
+const TOKEN_BUDGET = Number(process.env.CONVERSATION_TOKEN_BUDGET || 1200);
+
+// Rough count, about four characters per token for English text
+const estimateTokens = text => Math.ceil(String(text || '').length / 4);
+
+// `value` is the captured group; patterns only match first-person statements
+const FACT_PATTERNS = [
+  { kind: 'allergy', pattern: /\b(?:i'?m|i am|my \w+ is)\s+(?:(?:very|severely|mildly|quite)\s+)?allergic to ([^.;!?]+)/i },
+  { kind: 'allergy', pattern: /\b(?:i have|i've got|my \w+ has)\s+(?:an?\s+)?(?:severe\s+|mild\s+)?([\w\s-]+?)\s+allergy\b/i },
+  { kind: 'allergy', pattern: /\b(?:i have|i've got|my \w+ has)\s+(?:an?\s+)?(?:severe\s+|mild\s+)?allergy to ([^.;!?]+)/i },
+  { kind: 'intolerance', pattern: /\b(?:i'?m|i am)\s+([\w-]+)\s+intolerant\b/i },
+  { kind: 'intolerance', pattern: /\b(?:i have|i've got)\s+(?:an?\s+)?([\w-]+)\s+intolerance\b/i },
+  { kind: 'intolerance', pattern: /\bi\s+(?:can'?t|cannot)\s+(?:tolerate|digest)\s+([^.;!?]+)/i },
+  { kind: 'diet', pattern: /\b(?:i'?m|i am)\s+(?:an?\s+|strictly\s+|strict\s+)?(vegan|vegetarian|pescatarian|jain|halal|kosher|gluten[- ]free|keto|paleo)\b/i },
+  { kind: 'diet', pattern: /\b(?:i'?m|i am)\s+(?:on|following|doing)\s+an?\s+([\w-]+(?:\s[\w-]+)?)\s+diet\b/i },
+  { kind: 'diet', pattern: /\bi\s+(?:only\s+)?(?:eat|keep|follow)\s+(halal|kosher|an?\s+[\w-]+\s+diet)\b/i },
+  { kind: 'condition', pattern: /\b(?:i have|i've got|i'?ve been diagnosed with|i suffer from|i'?m|i am)\s+(?:an?\s+)?((?:type\s?[12]\s+)?diabet(?:es|ic)|pre-?diabet(?:es|ic)|celiac(?: disease)?|coeliac(?: disease)?|high blood pressure|hypertension|high cholesterol|heart disease|kidney disease|ibs|gout|pcos|pregnant|breastfeeding)\b/i },
+  { kind: 'avoids', pattern: /\bi\s+(?:don'?t|do not|never|can'?t|cannot)\s+(?:eat|drink|have)\s+([^.;!?]+)/i },
+  { kind: 'avoids', pattern: /\bi(?:'m| am)?\s+(?:trying to |have to |need to )?(?:avoid|avoiding|cutting out|cut out)\s+([^.;!?]+)/i },
+  { kind: 'goal', pattern: /\b(?:i'?m|i am)\s+trying to\s+((?:lose|gain|build|cut|reduce|lower|eat|get)\b[^.;!?]+)/i },
+  { kind: 'goal', pattern: /\bmy goal is to\s+([^.;!?]+)/i }
+];
+
+// Where a captured value stops: "peanuts, so is this ok" → "peanuts"
+const VALUE_END = /\s*(?:,|\bbut\b|\bso\b|\bbecause\b|\bsince\b|\band i\b|\band is\b|\bwhich\b|\bis (?:this|it|that)\b|\bcan i\b|\bshould i\b|\bdoes\b|\bwill\b)/i;
+// Hypotheticals and negations aren't facts: "what if I'm vegan", "I'm not allergic to..."
+const NOT_A_STATEMENT = /\b(?:if|whether|not|never been|suppose|imagine|someone)\s*$/i;
+
+function emptyMemory() {
+  return { summary: '', facts: [], older: [], summarizedCount: 0 };
+}
+
+function cleanValue(value) {
+  return value.split(VALUE_END)[0].trim().replace(/\s+/g, ' ').toLowerCase().slice(0, MAX_VALUE_CHARS);
+}
+
+/**
+ * Facts a user states about themselves in `text`, as [{ kind, value, statement }].
+ * `statement` is the sentence they said it in.
+ */
+function extractFacts(text) {
+  const facts = [];
+  const sentences = String(text || '').split(/(?<=[.!?\n])\s+/);
+
+  for (const sentence of sentences) {
+    for (const { kind, pattern } of FACT_PATTERNS) {
+      const match = sentence.match(pattern);
+      if (!match || NOT_A_STATEMENT.test(sentence.slice(0, match.index))) continue;
+
+      const value = cleanValue(match[1]);
+      if (value && !facts.some(fact => fact.kind === kind && fact.value === value)) {
+        facts.push({ kind, value, statement: sentence.trim().slice(0, 200) });
+      }
+    }
+  }
+  return facts;
+}
+
+// Later statements replace earlier ones of the same kind and value; the newest MAX_FACTS are kept
+function mergeFacts(facts, added) {
+  const key = fact => `${fact.kind}:${fact.value}`;
+  const addedKeys = new Set(added.map(key));
+  return [...facts.filter(fact => !addedKeys.has(key(fact))), ...added].slice(-MAX_FACTS);
+}
+
+/**
+ * Add one message to a conversation ({ history, memory }). History keeps the
+ * last RECENT_MESSAGES messages; anything older moves into memory.older to be
+ * summarized. Returns the new { history, memory }.
+ */
+function appendMessage({ history = [], memory }, message) {
+  const current = memory || emptyMemory();
+  const all = [...history, message];
+  const overflow = all.slice(0, Math.max(all.length - RECENT_MESSAGES, 0));
+
+  return {
+    history: all.slice(-RECENT_MESSAGES),
+    memory: {
+      ...current,
+      facts: message.role === 'user' ? mergeFacts(current.facts, extractFacts(message.content)) : current.facts,
+      older: [...current.older, ...overflow]
+    }
+  };
+}
+
+// Rebuild a conversation from a saved transcript, oldest message first
+function replayConversation(messages) {
+  return messages.reduce(appendMessage, { history: [], memory: emptyMemory() });
+}
+
+// The older messages due for summarizing, or null when there aren't enough yet
+function summaryBatch(memory) {
+  if (!memory || memory.older.length < SUMMARY_BATCH) return null;
+  return memory.older.slice(0, MAX_BATCH);
+}
+
+/**
+ * Fold a summary of the first `count` older messages into `memory` (read
+ * again after the model call, so messages added meanwhile are kept).
+ * `facts` are extra statements the model found, as plain strings.
+ */
+function applySummary(memory, { summary, facts = [] }, count) {
+  const current = memory || emptyMemory();
+  const noted = facts
+    .map(fact => String(fact).trim())
+    .filter(Boolean)
+    .map(fact => ({ kind: 'noted', value: fact.toLowerCase().slice(0, MAX_VALUE_CHARS), statement: fact.slice(0, 200) }))
+    .filter(fact => !current.facts.some(known => known.statement.toLowerCase() === fact.statement.toLowerCase()));
+
+  return {
+    ...current,
+    summary: String(summary || current.summary).slice(-MAX_SUMMARY_CHARS),
+    facts: mergeFacts(current.facts, noted),
+    older: current.older.slice(count),
+    summarizedCount: current.summarizedCount + count
+  };
+}
+
+// Summary without a model: the previous summary plus the questions asked, newest kept
+function fallbackSummary(previous, messages) {
+  const asked = messages
+    .filter(message => message.role === 'user')
+    .map(message => `- Asked: ${String(message.content).replace(/\s+/g, ' ').slice(0, 150)}`);
+  const lines = [...(previous ? previous.split('\n') : []), ...asked];
+
+  while (lines.length > 1 && lines.join('\n').length > MAX_SUMMARY_CHARS) lines.shift();
+  return lines.join('\n');
+}
+
+function formatMessage(message) {
+  const speaker = message.role === 'user' ? 'User' : 'Assistant';
+  const note = message.interrupted ? ' (cut off before finishing)' : '';
+  return `${speaker}${note}: ${message.content}`;
+}
+
+/**
+ * The conversation as prompt text, within `budget` tokens: stated facts first,
+ * then the summary, then as many messages as fit, newest first. Messages
+ * waiting to be summarized count as messages. The newest message is always
+ * included, cut short if it has to be.
+ */
+function buildConversationContext({ history = [], memory } = {}, budget = TOKEN_BUDGET) {
+  const current = memory || emptyMemory();
+  const sections = [];
+  // Headings count against the budget too
+  let remaining = budget;
+
+  const factsHeading = 'Facts the user has told you about themselves (they still apply even if not repeated):';
+  const facts = [];
+  let factBudget = remaining - estimateTokens(factsHeading);
+  for (const fact of [...current.facts].reverse()) {
+    const line = `- ${fact.statement}`;
+    if (estimateTokens(line) > factBudget) break;
+    facts.unshift(line);
+    factBudget -= estimateTokens(line);
+  }
+  if (facts.length) {
+    sections.push(`${factsHeading}\n${facts.join('\n')}`);
+    remaining = factBudget;
+  }
+
+  const summaryHeading = 'Summary of the earlier conversation:';
+  const summaryTokens = estimateTokens(summaryHeading) + estimateTokens(current.summary);
+  if (current.summary && summaryTokens <= remaining) {
+    sections.push(`${summaryHeading}\n${current.summary}`);
+    remaining -= summaryTokens;
+  }
+
+  const messages = [...current.older, ...history];
+  // Leave room for the longer of the two headings
+  remaining -= estimateTokens(`Recent messages (${messages.length} earlier not shown):`);
+  const shown = [];
+  for (const message of [...messages].reverse()) {
+    let line = formatMessage(message);
+    if (estimateTokens(line) > remaining) {
+      if (shown.length > 0) break;
+      line = `${line.slice(0, Math.max(remaining * 4, 200))}…`;
+    }
+    shown.unshift(line);
+    remaining -= estimateTokens(line);
+  }
+  if (shown.length) {
+    const omitted = messages.length - shown.length;
+    const heading = omitted > 0 ? `Recent messages (${omitted} earlier not shown):` : 'Messages so far:';
+    sections.push(`${heading}\n${shown.join('\n')}`);
+  }
+
+  return sections.length ? sections.join('\n\n') : 'No previous messages.';
+}
+
+module.exports = {
+  RECENT_MESSAGES,
+  emptyMemory,
+  extractFacts,
+  appendMessage,
+  replayConversation,
+  summaryBatch,
+  applySummary,
+  fallbackSummary,
+  buildConversationContext
+};
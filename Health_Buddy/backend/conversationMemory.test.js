@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  RECENT_MESSAGES,
+  emptyMemory,
+  extractFacts,
+  appendMessage,
+  replayConversation,
+  summaryBatch,
+  applySummary,
+  fallbackSummary,
+  buildConversationContext
+} = require('./conversationMemory');
+
+const valuesOf = text => extractFacts(text).map(fact => [fact.kind, fact.value]);
+
+// user, assistant, user, ... with numbered contents
+const chat = count => Array.from({ length: count }, (_, i) => ({
+  role: i % 2 === 0 ? 'user' : 'assistant',
+  content: `Message ${i + 1}`
+}));
+
+test('picks out facts users state about themselves', () => {
+  const cases = [
+    ["I'm lactose intolerant, so is this ok?", [['intolerance', 'lactose']]],
+    ['I have a severe peanut allergy. Does it have nuts?', [['allergy', 'peanut']]],
+    ['My son is allergic to sesame.', [['allergy', 'sesame']]],
+    ['I am trying to lose weight', [['goal', 'lose weight']]],
+    ["I don't eat pork", [['avoids', 'pork']]],
+    ['I have type 2 diabetes', [['condition', 'type 2 diabetes']]],
+    ["I'm vegan", [['diet', 'vegan']]]
+  ];
+
+  for (const [text, expected] of cases) {
+    assert.deepEqual(valuesOf(text), expected, text);
+  }
+  assert.equal(extractFacts("I'm lactose intolerant, so is this ok?")[0].statement, "I'm lactose intolerant, so is this ok?");
+});
+
+test('ignores questions, hypotheticals and negations', () => {
+  for (const text of ['Is it vegan?', 'What if I am vegan?', "I'm not allergic to peanuts.", 'Suppose someone is allergic to milk', '']) {
+    assert.deepEqual(extractFacts(text), [], text);
+  }
+});
+
+test('keeps recent messages verbatim and moves older ones to memory', () => {
+  const { history, memory } = replayConversation([
+    { role: 'user', content: "I'm lactose intolerant." },
+    { role: 'assistant', content: 'Noted.' },
+    ...chat(RECENT_MESSAGES + 2)
+  ]);
+
+  assert.equal(history.length, RECENT_MESSAGES);
+  assert.equal(history.at(-1).content, `Message ${RECENT_MESSAGES + 2}`);
+  assert.deepEqual(memory.older.map(message => message.content), ["I'm lactose intolerant.", 'Noted.', 'Message 1', 'Message 2']);
+  assert.deepEqual(memory.facts.map(fact => fact.value), ['lactose']);
+});
+
+test('only takes facts from what the user said', () => {
+  const { memory } = appendMessage({ history: [], memory: emptyMemory() }, { role: 'assistant', content: "I'm vegan." });
+  assert.deepEqual(memory.facts, []);
+});
+
+test('a newer statement replaces the same fact', () => {
+  const { memory } = replayConversation([
+    { role: 'user', content: "I'm vegan." },
+    { role: 'user', content: "I'm lactose intolerant." },
+    { role: 'user', content: 'Actually yes, I am vegan now.' }
+  ]);
+  assert.deepEqual(memory.facts.map(fact => fact.value), ['lactose', 'vegan']);
+  assert.equal(memory.facts[1].statement, 'Actually yes, I am vegan now.');
+});
+
+test('summarizes older messages in batches and keeps ones added meanwhile', () => {
+  const few = replayConversation(chat(RECENT_MESSAGES + 5)).memory;
+  assert.equal(summaryBatch(few), null);
+
+  const { memory } = replayConversation(chat(RECENT_MESSAGES + 8));
+  const batch = summaryBatch(memory);
+  assert.equal(batch.length, 8);
+
+  // Two more messages fell out of the history while the model was busy
+  const latest = { ...memory, older: [...memory.older, ...chat(2)] };
+  const summarized = applySummary(latest, { summary: '- Asked about sugar', facts: ['Cooks for a child with a nut allergy', ''] }, batch.length);
+
+  assert.equal(summarized.summary, '- Asked about sugar');
+  assert.equal(summarized.older.length, 2);
+  assert.equal(summarized.summarizedCount, 8);
+  assert.deepEqual(summarized.facts.map(fact => fact.kind), ['noted']);
+
+  // The model repeating a fact it already noted doesn't add it twice
+  const again = applySummary(summarized, { summary: '', facts: ['cooks for a child with a nut allergy'] }, 0);
+  assert.equal(again.facts.length, 1);
+  assert.equal(again.summary, '- Asked about sugar');
+});
+
+test('the fallback summary lists the questions and drops the oldest to fit', () => {
+  const summary = fallbackSummary('- Asked: earlier', [
+    { role: 'user', content: 'How much   sugar?' },
+    { role: 'assistant', content: 'A lot.' }
+  ]);
+  assert.equal(summary, '- Asked: earlier\n- Asked: How much sugar?');
+
+  const long = fallbackSummary('', Array.from({ length: 20 }, (_, i) => ({ role: 'user', content: `${i} ${'x'.repeat(140)}` })));
+  assert.ok(long.length <= 1500);
+  assert.match(long, /- Asked: 19 /);
+  assert.doesNotMatch(long, /- Asked: 0 /);
+});
+
+test('builds the prompt within the token budget, facts first', () => {
+  const conversation = replayConversation([
+    { role: 'user', content: "I'm lactose intolerant." },
+    ...chat(30).map(message => ({ ...message, content: `${message.content} ${'words '.repeat(20)}` }))
+  ]);
+  conversation.memory.summary = '- Asked whether it is vegan';
+
+  const context = buildConversationContext(conversation, 200);
+  assert.ok(context.length / 4 <= 200, `${context.length} characters`);
+  assert.match(context, /^Facts the user has told you about themselves[^\n]*\n- I'm lactose intolerant\./);
+  assert.match(context, /Summary of the earlier conversation:\n- Asked whether it is vegan/);
+  assert.match(context, /Recent messages \(\d+ earlier not shown\):/);
+  assert.match(context, /Message 30 /);
+  assert.doesNotMatch(context, /Message 1 /);
+});
+
+test('always includes the newest message, cut short if it has to be', () => {
+  const context = buildConversationContext({ history: [{ role: 'user', content: 'x'.repeat(5000), interrupted: true }] }, 50);
+  assert.match(context, /^Messages so far:\nUser \(cut off before finishing\): x+…$/);
+  assert.ok(context.length < 1000);
+
+  assert.equal(buildConversationContext(), 'No previous messages.');
+});
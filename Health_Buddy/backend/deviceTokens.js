@@ -0,0 +1,60 @@
+// Anonymous device tokens. A browser asks for one once (POST /api/device-token)
+// and sends it with every session request as X-Device-Token; sessions belong
+// to the device that created them. A token is "<deviceId>.<issuedAt>.<signature>",
+// signed with HMAC-SHA256, so the server can check it without storing anything.
+
+const crypto = require('crypto');
+const { logger } = require('@health/shared/logger');
+
+const MAX_AGE_MS = Number(process.env.DEVICE_TOKEN_MAX_AGE_DAYS || 180) * 24 * 60 * 60 * 1000;
+const TOKEN_FORMAT = /^([0-9a-f-]{36})\.(\d{13})\.([A-Za-z0-9_-]{43})$/;
+
+// Every instance behind a load balancer needs the same secret. Without one,
+// tokens stop working when the server restarts and clients ask for new ones.
+let secret = process.env.DEVICE_TOKEN_SECRET;
+if (!secret) {
+  secret = crypto.randomBytes(32).toString('hex');
+  logger.warn('DEVICE_TOKEN_SECRET is not set; device tokens will be invalid after a restart');
+}
+
+const sign = payload => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+// A new token for a new device, or a fresh one for `deviceId` when renewing
+function issueDeviceToken(deviceId = crypto.randomUUID()) {
+  const issuedAt = Date.now();
+  const payload = `${deviceId}.${issuedAt}`;
+  return {
+    token: `${payload}.${sign(payload)}`,
+    deviceId,
+    expiresAt: new Date(issuedAt + MAX_AGE_MS).toISOString()
+  };
+}
+
+// The device ID in a valid token, or null if the token is malformed, forged or too old
+function verifyDeviceToken(token) {
+  const match = TOKEN_FORMAT.exec(String(token || ''));
+  if (!match) return null;
+
+  const [, deviceId, issuedAt, signature] = match;
+  const expected = Buffer.from(sign(`${deviceId}.${issuedAt}`));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  if (Date.now() - Number(issuedAt) > MAX_AGE_MS) return null;
+
+  return deviceId;
+}
+
+// Constant-time check of the admin token that unlocks session details in /api/health
+function isAdminToken(token) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken || !token) return false;
+  const expected = crypto.createHash('sha256').update(adminToken).digest();
+  const given = crypto.createHash('sha256').update(String(token)).digest();
+  return crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = {
+  issueDeviceToken,
+  verifyDeviceToken,
+  isAdminToken
+};
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.DEVICE_TOKEN_SECRET = 'test-secret';
+process.env.ADMIN_TOKEN = 'admin-secret';
+
+const { issueDeviceToken, verifyDeviceToken, isAdminToken } = require('./deviceTokens');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('a token verifies to the device it was issued for', () => {
+  const { token, deviceId, expiresAt } = issueDeviceToken();
+
+  assert.match(deviceId, /^[0-9a-f-]{36}$/);
+  assert.equal(verifyDeviceToken(token), deviceId);
+  assert.equal(Date.parse(expiresAt) - Number(token.split('.')[1]), 180 * DAY_MS);
+  assert.notEqual(issueDeviceToken().deviceId, deviceId);
+});
+
+test('renewing keeps the device ID', () => {
+  const first = issueDeviceToken();
+  const renewed = issueDeviceToken(verifyDeviceToken(first.token));
+  assert.equal(renewed.deviceId, first.deviceId);
+  assert.equal(verifyDeviceToken(renewed.token), first.deviceId);
+});
+
+test('rejects missing, malformed and tampered tokens', () => {
+  const { token } = issueDeviceToken();
+  const [deviceId, issuedAt, signature] = token.split('.');
+  const otherDevice = issueDeviceToken().deviceId;
+  const flipped = signature[0] === 'A' ? `B${signature.slice(1)}` : `A${signature.slice(1)}`;
+
+  for (const bad of [
+    undefined,
+    '',
+    'not-a-token',
+    `${deviceId}.${issuedAt}`,
+    `${otherDevice}.${issuedAt}.${signature}`,
+    `${deviceId}.${Number(issuedAt) + 1}.${signature}`,
+    `${deviceId}.${issuedAt}.${flipped}`,
+    `${token}x`
+  ]) {
+    assert.equal(verifyDeviceToken(bad), null, String(bad));
+  }
+});
+
+test('rejects tokens signed with another secret', () => {
+  const { token } = issueDeviceToken();
+
+  delete require.cache[require.resolve('./deviceTokens')];
+  process.env.DEVICE_TOKEN_SECRET = 'another-secret';
+  const otherServer = require('./deviceTokens');
+  process.env.DEVICE_TOKEN_SECRET = 'test-secret';
+
+  assert.equal(otherServer.verifyDeviceToken(token), null);
+  assert.ok(otherServer.verifyDeviceToken(otherServer.issueDeviceToken().token));
+});
+
+test('tokens expire after the maximum age', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  const { token, deviceId } = issueDeviceToken();
+
+  t.mock.timers.tick(180 * DAY_MS);
+  assert.equal(verifyDeviceToken(token), deviceId);
+  t.mock.timers.tick(1);
+  assert.equal(verifyDeviceToken(token), null);
+});
+
+test('only the configured admin token unlocks session details', () => {
+  assert.equal(isAdminToken('admin-secret'), true);
+  assert.equal(isAdminToken('admin-secre'), false);
+  assert.equal(isAdminToken(''), false);
+  assert.equal(isAdminToken(undefined), false);
+
+  delete process.env.ADMIN_TOKEN;
+  assert.equal(isAdminToken('admin-secret'), false);
+  assert.equal(isAdminToken(''), false);
+});
@@ -0,0 +1,260 @@
+// Deterministic diet checks over the parsed ingredient list and additives.
+// Each diet comes out compliant, non-compliant or uncertain, with the
+// ingredients that decided it, so "is this vegan?" gets the same answer every
+// time instead of depending on how the model reads the label.
+
+const { detectAllergens } = require('./allergens');
+const { normalizeNutritionFacts } = require('@health/shared/nutrients');
+
+const COMPLIANT = 'compliant';
+const NON_COMPLIANT = 'non-compliant';
+const UNCERTAIN = 'uncertain';
+
+const DIETS = {
+  vegan: { label: 'Vegan', certification: /\bvegan\b/i },
+  vegetarian: { label: 'Vegetarian', certification: /\bvegetarian\b|\bvegan\b/i },
+  pescatarian: { label: 'Pescatarian' },
+  jain: { label: 'Jain' },
+  halal: { label: 'Halal', certification: /\bhalal\b/i },
+  // Kosher food needs supervision, so only a certification settles it
+  kosher: { label: 'Kosher', certification: /\bkosher\b/i, needsCertification: true },
+  glutenFree: { label: 'Gluten-free', certification: /gluten[-\s]?free/i },
+  keto: { label: 'Keto' }
+};
+
+// What an ingredient's origin means for each diet; diets it doesn't mention
+// are unaffected
+const ORIGINS = {
+  pork: { vegan: NON_COMPLIANT, vegetarian: NON_COMPLIANT, pescatarian: NON_COMPLIANT, jain: NON_COMPLIANT, halal: NON_COMPLIANT, kosher: NON_COMPLIANT },
+  // Halal and kosher meat depend on how it was slaughtered
+  meat: { vegan: NON_COMPLIANT, vegetarian: NON_COMPLIANT, pescatarian: NON_COMPLIANT, jain: NON_COMPLIANT, halal: UNCERTAIN, kosher: UNCERTAIN },
+  // Gelatin and bone products, usually from pigs or cattle
+  bone: { vegan: NON_COMPLIANT, vegetarian: NON_COMPLIANT, pescatarian: UNCERTAIN, jain: NON_COMPLIANT, halal: UNCERTAIN, kosher: UNCERTAIN },
+  fish: { vegan: NON_COMPLIANT, vegetarian: NON_COMPLIANT, jain: NON_COMPLIANT },
+  shellfish: { vegan: NON_COMPLIANT, vegetarian: NON_COMPLIANT, jain: NON_COMPLIANT, kosher: NON_COMPLIANT },
+  insect: { vegan: NON_COMPLIANT, vegetarian: NON_COMPLIANT, pescatarian: NON_COMPLIANT, jain: NON_COMPLIANT, halal: UNCERTAIN, kosher: NON_COMPLIANT },
+  egg: { vegan: NON_COMPLIANT, jain: NON_COMPLIANT },
+  dairy: { vegan: NON_COMPLIANT },
+  // Made by or taken from animals without killing them: honey, beeswax, lanolin
+  animalProduct: { vegan: NON_COMPLIANT, jain: NON_COMPLIANT },
+  shellac: { vegan: NON_COMPLIANT, vegetarian: UNCERTAIN, jain: NON_COMPLIANT },
+  // Additives made from plants, animals or synthetically; the label rarely says which
+  possiblyAnimal: { vegan: UNCERTAIN, vegetarian: UNCERTAIN, pescatarian: UNCERTAIN, jain: UNCERTAIN, halal: UNCERTAIN, kosher: UNCERTAIN },
+  alcohol: { halal: NON_COMPLIANT, jain: NON_COMPLIANT },
+  // Jains avoid roots, bulbs and fungi
+  root: { jain: NON_COMPLIANT },
+  possiblyRoot: { jain: UNCERTAIN }
+};
+
+// Longer terms win, so "fish gelatin" is read as fish rather than gelatin.
+// `codes` are E-numbers / INS codes without the prefix.
+const INGREDIENTS = [
+  { origin: 'pork', note: 'comes from pigs', terms: ['pork', 'bacon', 'ham', 'lard', 'pancetta', 'prosciutto', 'chorizo', 'pepperoni', 'pork gelatin', 'pork gelatine', 'porcine gelatin'] },
+  { origin: 'meat', note: 'is meat', terms: ['meat', 'beef', 'veal', 'chicken', 'turkey', 'duck', 'lamb', 'mutton', 'goat', 'venison', 'tallow', 'suet', 'animal fat', 'bone broth', 'meat extract', 'beef gelatin', 'beef gelatine', 'bovine gelatin', 'bovine gelatine'] },
+  { origin: 'bone', note: 'is made from animal skin and bones', terms: ['gelatin', 'gelatine', 'collagen'], codes: ['441'] },
+  { origin: 'bone', note: 'is made from animal bones', terms: ['bone phosphate', 'bone char'], codes: ['542'] },
+  { origin: 'meat', note: 'is taken from calves\' stomachs', terms: ['animal rennet', 'calf rennet'] },
+  { origin: 'fish', note: 'comes from fish', terms: ['fish gelatin', 'fish gelatine', 'isinglass', 'fish collagen'] },
+  { origin: 'insect', note: 'is made from crushed cochineal insects', terms: ['carmine', 'cochineal', 'carminic acid'], codes: ['120'] },
+  { origin: 'animalProduct', note: 'is made by bees', terms: ['honey', 'beeswax', 'royal jelly', 'propolis'], codes: ['901'] },
+  { origin: 'animalProduct', note: 'comes from sheep\'s wool', terms: ['lanolin'], codes: ['913'] },
+  { origin: 'shellac', note: 'is secreted by lac insects', terms: ['shellac', 'confectioner\'s glaze'], codes: ['904'] },
+  { origin: 'possiblyAnimal', note: 'is usually made from feathers or hair, sometimes synthetically', terms: ['l-cysteine', 'cysteine', 'cystine'], codes: ['920', '921'] },
+  { origin: 'dairy', note: 'is made from milk sugar', terms: ['lactitol'], codes: ['966'] },
+  { origin: 'egg', note: 'comes from egg white', terms: ['lysozyme'], codes: ['1105'] },
+  { origin: 'possiblyAnimal', note: 'can be made from animal or vegetable fat', terms: ['mono- and diglycerides', 'mono and diglycerides', 'monoglycerides', 'diglycerides', 'glycerol', 'glycerin', 'glycerine', 'stearic acid', 'stearate', 'lactylate'], codes: ['422', '470', '471', '472', '473', '474', '475', '477', '481', '482', '570', '572'] },
+  { origin: 'possiblyAnimal', note: 'is often made from meat or fish', terms: ['disodium inosinate', 'disodium guanylate', 'disodium ribonucleotides'], codes: ['627', '631', '635'] },
+  { origin: 'possiblyAnimal', note: 'is usually made from lanolin or fish oil', terms: ['vitamin d3', 'cholecalciferol'] },
+  { origin: 'possiblyAnimal', note: 'can be animal or microbial', terms: ['rennet'] },
+  { origin: 'alcohol', note: 'is alcohol', terms: ['alcohol', 'ethanol', 'ethyl alcohol', 'wine', 'beer', 'rum', 'brandy', 'whisky', 'whiskey', 'vodka', 'liqueur', 'sherry', 'cognac', 'mirin', 'sake'] },
+  { origin: 'root', note: 'grows underground', terms: ['onion', 'onions', 'garlic', 'potato', 'potatoes', 'carrot', 'carrots', 'beetroot', 'radish', 'ginger', 'turnip', 'yam', 'sweet potato', 'leek', 'shallot', 'shallots', 'scallion', 'spring onion', 'chives', 'cassava', 'potato starch'] },
+  { origin: 'root', note: 'is a fungus', terms: ['mushroom', 'mushrooms'] },
+  { origin: 'possiblyRoot', note: 'comes from a root, which some Jains avoid', terms: ['tapioca', 'beet sugar', 'turmeric'] },
+  { origin: 'possiblyRoot', note: 'is a fungus, which some Jains avoid', terms: ['yeast', 'yeast extract'] }
+];
+
+// Allergens found by allergens.js, which already knows their synonyms
+const ALLERGEN_ORIGINS = {
+  milk: { origin: 'dairy', note: 'comes from milk' },
+  eggs: { origin: 'egg', note: 'comes from eggs' },
+  fish: { origin: 'fish', note: 'comes from fish' },
+  crustaceans: { origin: 'shellfish', note: 'is shellfish' },
+  molluscs: { origin: 'shellfish', note: 'is shellfish' }
+};
+
+// Phrases that contain a term above but aren't that ingredient
+const IGNORE_PHRASES = ['sugar alcohol', 'sugar alcohols', 'wine vinegar', 'rice wine vinegar', 'cider vinegar',
+  'alcohol free', 'alcohol-free', 'coconut milk', 'cocoa butter', 'hamburger'];
+
+// An additive that says it's plant-made isn't in doubt
+const PLANT_SOURCE = /\b(plant|vegetable|vegan|non-animal|synthetic|microbial|palm|soy|soya|sunflower|rapeseed|lichen)\b/;
+
+const KETO_MAX_CARBS = 10;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const TERM_PATTERNS = INGREDIENTS
+  .flatMap(entry => entry.terms.map(term => ({
+    entry,
+    term,
+    pattern: new RegExp(`(^|[^a-z])${escapeRegExp(term)}(?![a-z])(?!\\s*-?\\s*free\\b)`)
+  })))
+  .sort((a, b) => b.term.length - a.term.length);
+
+const CODE_ENTRIES = new Map(INGREDIENTS.flatMap(entry => (entry.codes || []).map(code => [code, entry])));
+const CODE_PATTERNS = [/\b(?:e|ins)\s?-?(\d{3,4})[a-z]?\b/g, /\((\d{3,4})[a-z]?\)/g];
+
+// Every listed entry mentioned in one ingredient string, with what matched
+function findIngredients(ingredient) {
+  let text = String(ingredient || '').toLowerCase();
+  const found = [];
+
+  for (const pattern of CODE_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const entry = CODE_ENTRIES.get(match[1]);
+      if (entry) found.push({ entry, matched: `E${match[1]}` });
+    }
+  }
+
+  for (const phrase of IGNORE_PHRASES) {
+    text = text.split(phrase).join(' '.repeat(phrase.length));
+  }
+  for (const { entry, term, pattern } of TERM_PATTERNS) {
+    const match = text.match(pattern);
+    if (!match) continue;
+    if (!found.some(item => item.entry === entry)) found.push({ entry, matched: term });
+    // Blank the match so "gelatin" isn't found again inside "fish gelatin"
+    const start = match.index + match[1].length;
+    text = text.slice(0, start) + ' '.repeat(term.length) + text.slice(start + term.length);
+  }
+
+  const plantMade = PLANT_SOURCE.test(String(ingredient).toLowerCase());
+  return found.filter(({ entry }) => !(plantMade && entry.origin === 'possiblyAnimal'));
+}
+
+// Every ingredient that matters to some diet: { ingredient, matched, origin, note }
+function collectTriggers(analysis, allergenReport) {
+  const triggers = [];
+  const seen = new Set();
+  const add = trigger => {
+    const key = `${trigger.ingredient}|${trigger.origin}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    triggers.push(trigger);
+  };
+
+  for (const entry of allergenReport.contains) {
+    const source = ALLERGEN_ORIGINS[entry.allergen];
+    if (!source) continue;
+    const evidence = entry.evidence.find(item => item.type === 'ingredient') || entry.evidence[0];
+    add({ ingredient: evidence?.text || entry.label, matched: evidence?.matched || null, ...source });
+  }
+
+  for (const ingredient of analysis.ingredients || []) {
+    for (const { entry, matched } of findIngredients(ingredient)) {
+      add({ ingredient, matched, origin: entry.origin, note: entry.note });
+    }
+  }
+
+  return triggers;
+}
+
+const describeTrigger = trigger => {
+  const name = trigger.matched && !trigger.ingredient.toLowerCase().includes(trigger.matched.toLowerCase())
+    ? `${trigger.ingredient} (${trigger.matched})`
+    : trigger.ingredient;
+  return `${name} ${trigger.note}`;
+};
+
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+function result(status, reason, triggers = []) {
+  return {
+    status,
+    reason,
+    triggers: triggers.map(({ ingredient, matched, note, effect }) => ({ ingredient, matched, note, effect }))
+  };
+}
+
+function classifyGlutenFree(rule, { allergenReport, labelRead, certified }) {
+  const contains = allergenReport.contains.filter(entry => entry.allergen === 'gluten' || entry.allergen === 'wheat');
+  if (contains.length) {
+    // Wheat is listed both as a gluten cereal and as the US allergen
+    const triggers = [...new Map(contains.map(entry => {
+      const evidence = entry.evidence.find(item => item.type === 'ingredient') || entry.evidence[0];
+      const ingredient = evidence?.text || entry.label;
+      return [ingredient, { ingredient, matched: evidence?.matched || null, note: 'contains gluten', effect: NON_COMPLIANT }];
+    })).values()];
+    return result(NON_COMPLIANT, capitalize(triggers.map(describeTrigger).join('; ')), triggers);
+  }
+  if (certified) return result(COMPLIANT, 'Certified gluten-free on the label');
+  if (allergenReport.mayContain.some(entry => entry.allergen === 'gluten' || entry.allergen === 'wheat')) {
+    return result(UNCERTAIN, 'The label says it may contain gluten');
+  }
+  if (!labelRead) return result(UNCERTAIN, 'No ingredient list was read');
+  return result(COMPLIANT, 'No gluten cereals in the ingredients');
+}
+
+function classifyKeto(rule, { normalized }) {
+  const carbs = normalized.nutrients.totalCarbohydrate?.per100g;
+  const basis = normalized.per100Basis;
+  if (carbs === null || carbs === undefined) {
+    return result(UNCERTAIN, `The label doesn't give carbohydrates per ${basis}`);
+  }
+  const amount = `${Math.round(carbs * 10) / 10} g of carbohydrates per ${basis}`;
+  return carbs > KETO_MAX_CARBS
+    ? result(NON_COMPLIANT, `Has ${amount}, more than ${KETO_MAX_CARBS} g`)
+    : result(COMPLIANT, `Has ${amount}`);
+}
+
+function classifyByIngredients(diet, rule, { triggers, labelRead, certified }) {
+  const relevant = triggers
+    .filter(trigger => ORIGINS[trigger.origin][diet])
+    .map(trigger => ({ ...trigger, effect: ORIGINS[trigger.origin][diet] }));
+  const breaking = relevant.filter(trigger => trigger.effect === NON_COMPLIANT);
+  const doubtful = relevant.filter(trigger => trigger.effect === UNCERTAIN);
+
+  // Kosher rules also forbid mixing meat and milk
+  if (diet === 'kosher' && relevant.some(t => t.origin === 'meat') && triggers.some(t => t.origin === 'dairy')) {
+    return result(NON_COMPLIANT, 'Mixes meat and dairy', relevant);
+  }
+
+  if (breaking.length) return result(NON_COMPLIANT, capitalize(breaking.map(describeTrigger).join('; ')), relevant);
+  if (certified) return result(COMPLIANT, 'Certified on the label', relevant);
+  if (doubtful.length) return result(UNCERTAIN, capitalize(doubtful.map(describeTrigger).join('; ')), relevant);
+  if (rule.needsCertification) return result(UNCERTAIN, 'No certification on the label');
+  if (!labelRead) return result(UNCERTAIN, 'No ingredient list was read');
+  return result(COMPLIANT, 'Nothing in the ingredients conflicts with it');
+}
+
+/**
+ * Classify a product for every diet. Returns { [diet]: { label, status,
+ * reason, triggers } } where status is 'compliant', 'non-compliant' or
+ * 'uncertain' and each trigger is { ingredient, matched, note, effect }.
+ */
+function classifyDiets(analysis = {}) {
+  const allergenReport = analysis.allergenReport || detectAllergens(analysis);
+  const certifications = analysis.certifications || [];
+  const context = {
+    allergenReport,
+    normalized: analysis.normalizedNutrition || normalizeNutritionFacts(analysis.nutritionFacts),
+    labelRead: (analysis.ingredients || []).length > 0,
+    triggers: collectTriggers(analysis, allergenReport)
+  };
+
+  return Object.fromEntries(Object.entries(DIETS).map(([diet, rule]) => {
+    const certified = Boolean(rule.certification) && certifications.some(name => rule.certification.test(name));
+    const classify = diet === 'glutenFree' ? classifyGlutenFree
+      : diet === 'keto' ? classifyKeto
+        : (...args) => classifyByIngredients(diet, ...args);
+    return [diet, { label: rule.label, ...classify(rule, { ...context, certified }) }];
+  }));
+}
+
+module.exports = {
+  DIETS,
+  COMPLIANT,
+  NON_COMPLIANT,
+  UNCERTAIN,
+  classifyDiets
+};
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { classifyDiets, DIETS, COMPLIANT, NON_COMPLIANT, UNCERTAIN } = require('./dietCompliance');
+
+const statuses = diets => Object.fromEntries(Object.entries(diets).map(([diet, { status }]) => [diet, status]));
+
+test('classifies every diet, with the ingredients that decided it', () => {
+  const diets = classifyDiets({ ingredients: ['sugar', 'gelatin', 'citric acid', 'colour: carmine (E120)'] });
+
+  assert.deepEqual(Object.keys(diets), Object.keys(DIETS));
+  assert.deepEqual(statuses(diets), {
+    vegan: NON_COMPLIANT,
+    vegetarian: NON_COMPLIANT,
+    // Gelatin might be fish; the carmine still rules it out
+    pescatarian: NON_COMPLIANT,
+    jain: NON_COMPLIANT,
+    halal: UNCERTAIN,
+    kosher: NON_COMPLIANT,
+    glutenFree: COMPLIANT,
+    keto: UNCERTAIN
+  });
+  assert.equal(diets.vegan.reason, 'Gelatin is made from animal skin and bones; colour: carmine (E120) is made from crushed cochineal insects');
+  assert.deepEqual(diets.vegan.triggers.map(trigger => trigger.matched), ['gelatin', 'E120']);
+  assert.deepEqual(diets.halal.triggers.map(trigger => trigger.effect), [UNCERTAIN, UNCERTAIN]);
+});
+
+test('reads E-numbers and additives whose origin the label rarely gives', () => {
+  const diets = classifyDiets({ ingredients: ['wheat flour', 'water', 'onion powder', 'yeast', 'salt', 'L-cysteine'] });
+
+  assert.equal(diets.vegan.status, UNCERTAIN);
+  assert.equal(diets.vegan.triggers[0].matched, 'l-cysteine');
+  assert.equal(diets.glutenFree.status, NON_COMPLIANT);
+  assert.equal(diets.glutenFree.reason, 'Wheat flour contains gluten');
+});
+
+test('treats onion and garlic as non-compliant for Jain and yeast as doubtful', () => {
+  const diets = classifyDiets({ ingredients: ['tomatoes', 'garlic', 'yeast extract'] });
+  assert.equal(diets.jain.status, NON_COMPLIANT);
+  assert.deepEqual(diets.jain.triggers.map(trigger => [trigger.matched, trigger.effect]), [['garlic', NON_COMPLIANT], ['yeast extract', UNCERTAIN]]);
+
+  assert.equal(classifyDiets({ ingredients: ['tomatoes', 'yeast extract'] }).jain.status, UNCERTAIN);
+});
+
+test('trusts a certification only when no ingredient breaks it', () => {
+  const certified = classifyDiets({
+    ingredients: ['gluten-free oats', 'almonds', 'sunflower oil', 'salt'],
+    certifications: ['Vegan', 'Certified Gluten-Free']
+  });
+  assert.equal(certified.vegan.reason, 'Certified on the label');
+  assert.equal(certified.glutenFree.status, COMPLIANT);
+  // Kosher is only ever settled by a certification
+  assert.deepEqual([certified.kosher.status, certified.kosher.reason], [UNCERTAIN, 'No certification on the label']);
+
+  const mislabelled = classifyDiets({ ingredients: ['honey', 'oats'], certifications: ['Vegan'] });
+  assert.equal(mislabelled.vegan.status, NON_COMPLIANT);
+});
+
+test('forbids mixing meat and milk for kosher', () => {
+  const diets = classifyDiets({ ingredients: ['beef', 'cheese'], certifications: ['Kosher'] });
+  assert.deepEqual([diets.kosher.status, diets.kosher.reason], [NON_COMPLIANT, 'Mixes meat and dairy']);
+});
+
+test('judges keto by carbohydrates per 100 g', () => {
+  const low = classifyDiets({ ingredients: ['almonds'], nutritionFacts: { servingSize: '30g', totalCarbohydrate: '2g' } });
+  assert.deepEqual([low.keto.status, low.keto.reason], [COMPLIANT, 'Has 6.7 g of carbohydrates per 100 g']);
+
+  const high = classifyDiets({ ingredients: ['oats'], nutritionFacts: { servingSize: '40g', totalCarbohydrate: '24g' } });
+  assert.equal(high.keto.reason, 'Has 60 g of carbohydrates per 100 g, more than 10 g');
+});
+
+test('is uncertain when no ingredient list was read', () => {
+  const diets = classifyDiets({ ingredients: [] });
+  for (const diet of ['vegan', 'vegetarian', 'halal', 'glutenFree']) {
+    assert.deepEqual([diets[diet].status, diets[diet].reason], [UNCERTAIN, 'No ingredient list was read'], diet);
+  }
+});
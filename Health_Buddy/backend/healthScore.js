@@ -0,0 +1,168 @@
+// Rule-based health score built on the Nutri-Score algorithm (2017 FSAm-NPS
+// version, as published by Santé publique France). The same label always
+// gets the same score, and every point can be traced to a component below.
+//
+// Reference: https://www.santepubliquefrance.fr/en/nutri-score
+//
+// Scores are computed per 100 g (per 100 ml for drinks). The special cases for
+// cheese and added fats are not implemented; those products are scored as
+// general foods.
+
+const { normalizeNutritionFacts } = require('@health/shared/nutrients');
+
+const KCAL_TO_KJ = 4.184;
+
+// Points awarded when a value is strictly greater than each threshold
+const GENERAL_THRESHOLDS = {
+  energy: [335, 670, 1005, 1340, 1675, 2010, 2345, 2680, 3015, 3350],
+  sugars: [4.5, 9, 13.5, 18, 22.5, 27, 31, 36, 40, 45],
+  saturatedFat: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
+  sodium: [90, 180, 270, 360, 450, 540, 630, 720, 810, 900],
+  fiber: [0.9, 1.9, 2.8, 3.7, 4.7],
+  protein: [1.6, 3.2, 4.8, 6.4, 8.0]
+};
+
+const BEVERAGE_THRESHOLDS = {
+  ...GENERAL_THRESHOLDS,
+  energy: [0, 30, 60, 90, 120, 150, 180, 210, 240, 270],
+  sugars: [0, 1.5, 3, 4.5, 6, 7.5, 9, 10.5, 12, 13.5]
+};
+
+// Upper bound of the final score for each grade, best grade first
+const GENERAL_GRADES = [[-1, 'A'], [2, 'B'], [10, 'C'], [18, 'D'], [Infinity, 'E']];
+const BEVERAGE_GRADES = [[1, 'B'], [5, 'C'], [9, 'D'], [Infinity, 'E']];
+
+const GRADE_CATEGORIES = {
+  A: 'Excellent nutritional quality',
+  B: 'Good nutritional quality',
+  C: 'Average nutritional quality',
+  D: 'Poor nutritional quality',
+  E: 'Very poor nutritional quality'
+};
+
+// Range of the raw score, used to map it onto the 0-100 scale the UI shows
+const MIN_SCORE = -15;
+const MAX_SCORE = 40;
+
+const FRUIT_VEG_KEYWORDS = [
+  'fruit', 'vegetable', 'apple', 'banana', 'berry', 'berries', 'orange', 'mango', 'grape', 'raisin',
+  'date', 'fig', 'apricot', 'peach', 'pear', 'pineapple', 'cherry', 'lemon', 'lime', 'tomato',
+  'carrot', 'spinach', 'pea', 'bean', 'lentil', 'chickpea', 'pumpkin', 'beetroot', 'potato',
+  'onion', 'pepper', 'nut', 'almond', 'cashew', 'hazelnut', 'walnut', 'pistachio', 'peanut',
+  'coconut', 'olive'
+];
+
+function pointsFor(value, thresholds) {
+  return thresholds.filter(threshold => value > threshold).length;
+}
+
+function fruitVegPoints(percent, isBeverage) {
+  if (percent > 80) return isBeverage ? 10 : 5;
+  if (percent > 60) return isBeverage ? 4 : 2;
+  if (percent > 40) return isBeverage ? 2 : 1;
+  return 0;
+}
+
+// Share of fruit, vegetables, legumes and nuts, from declared percentages
+// such as "tomatoes (45%)". Ingredients without a percentage count as 0.
+function estimateFruitVegPercent(ingredients = []) {
+  let total = 0;
+  for (const ingredient of ingredients) {
+    const text = String(ingredient).toLowerCase();
+    const percent = text.match(/(\d+(?:\.\d+)?)\s*%/);
+    if (percent && FRUIT_VEG_KEYWORDS.some(keyword => text.includes(keyword))) {
+      total += parseFloat(percent[1]);
+    }
+  }
+  return Math.min(total, 100);
+}
+
+/**
+ * Compute a Nutri-Score from the label analysis. Returns `overall: null` with
+ * the list of missing inputs when the label doesn't give enough to score.
+ */
+function computeHealthScore(analysis = {}) {
+  const normalized = analysis.normalizedNutrition || normalizeNutritionFacts(analysis.nutritionFacts);
+  const { nutrients } = normalized;
+  const basis = normalized.per100Basis;
+  const per100 = field => nutrients[field]?.per100g ?? null;
+
+  const calories = per100('calories');
+  const inputs = {
+    energy: calories === null ? null : calories * KCAL_TO_KJ,
+    sugars: per100('totalSugars'),
+    saturatedFat: per100('saturatedFat'),
+    sodium: per100('sodium'),
+    fiber: per100('dietaryFiber'),
+    protein: per100('protein')
+  };
+
+  const required = ['energy', 'sugars', 'saturatedFat', 'sodium'];
+  const missing = normalized.servingSize.grams
+    ? required.filter(key => inputs[key] === null)
+    : ['servingSize (in g or ml)'];
+
+  if (missing.length > 0) {
+    return {
+      method: 'Nutri-Score',
+      overall: null,
+      grade: null,
+      category: 'Not enough label data to score',
+      basis,
+      missing,
+      components: []
+    };
+  }
+
+  const isBeverage = normalized.servingSize.isVolume;
+  const thresholds = isBeverage ? BEVERAGE_THRESHOLDS : GENERAL_THRESHOLDS;
+  const fruitVegPercent = estimateFruitVegPercent(analysis.ingredients);
+
+  const components = [
+    { key: 'energy', label: 'Energy', value: inputs.energy, unit: 'kJ', type: 'negative', points: pointsFor(inputs.energy, thresholds.energy), maxPoints: 10 },
+    { key: 'sugars', label: 'Sugars', value: inputs.sugars, unit: 'g', type: 'negative', points: pointsFor(inputs.sugars, thresholds.sugars), maxPoints: 10 },
+    { key: 'saturatedFat', label: 'Saturated fat', value: inputs.saturatedFat, unit: 'g', type: 'negative', points: pointsFor(inputs.saturatedFat, thresholds.saturatedFat), maxPoints: 10 },
+    { key: 'sodium', label: 'Sodium', value: inputs.sodium, unit: 'mg', type: 'negative', points: pointsFor(inputs.sodium, thresholds.sodium), maxPoints: 10 },
+    { key: 'fruitVeg', label: 'Fruit, vegetables & nuts', value: fruitVegPercent, unit: '%', type: 'positive', points: fruitVegPoints(fruitVegPercent, isBeverage), maxPoints: isBeverage ? 10 : 5, estimated: true },
+    { key: 'fiber', label: 'Fibre', value: inputs.fiber || 0, unit: 'g', type: 'positive', points: pointsFor(inputs.fiber || 0, thresholds.fiber), maxPoints: 5 },
+    { key: 'protein', label: 'Protein', value: inputs.protein || 0, unit: 'g', type: 'positive', points: pointsFor(inputs.protein || 0, thresholds.protein), maxPoints: 5 }
+  ];
+
+  const byKey = Object.fromEntries(components.map(component => [component.key, component]));
+  const negativePoints = components
+    .filter(component => component.type === 'negative')
+    .reduce((sum, component) => sum + component.points, 0);
+
+  // Protein is ignored for products with 11+ negative points unless they are
+  // mostly fruit and vegetables
+  const countProtein = negativePoints < 11 || byKey.fruitVeg.points >= (isBeverage ? 10 : 5);
+  byKey.protein.counted = countProtein;
+
+  const positivePoints = byKey.fruitVeg.points + byKey.fiber.points + (countProtein ? byKey.protein.points : 0);
+  const score = negativePoints - positivePoints;
+
+  const grades = isBeverage ? BEVERAGE_GRADES : GENERAL_GRADES;
+  const grade = grades.find(([upper]) => score <= upper)[1];
+  const clamped = Math.max(MIN_SCORE, Math.min(MAX_SCORE, score));
+
+  for (const component of components) {
+    component.value = Math.round(component.value * 10) / 10;
+  }
+
+  return {
+    method: 'Nutri-Score',
+    overall: Math.round((MAX_SCORE - clamped) / (MAX_SCORE - MIN_SCORE) * 100),
+    grade,
+    category: `Nutri-Score ${grade} — ${GRADE_CATEGORIES[grade]}`,
+    score,
+    negativePoints,
+    positivePoints,
+    basis,
+    missing: [],
+    components
+  };
+}
+
+module.exports = {
+  computeHealthScore
+};
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { computeHealthScore } = require('./healthScore');
+
+const granolaBar = {
+  ingredients: ['whole grain oats', 'honey', 'almonds', 'sugar', 'salt'],
+  nutritionFacts: {
+    servingSize: '1 bar (40g)',
+    calories: 190,
+    saturatedFat: '1g',
+    sodium: '95mg',
+    totalSugars: '12g',
+    dietaryFiber: '3g',
+    protein: '4g'
+  }
+};
+
+const pointsOf = result => Object.fromEntries(result.components.map(component => [component.key, component.points]));
+
+test('scores a food per 100 g with the Nutri-Score points', () => {
+  const result = computeHealthScore(granolaBar);
+
+  assert.deepEqual(pointsOf(result), { energy: 5, sugars: 6, saturatedFat: 2, sodium: 2, fruitVeg: 0, fiber: 5, protein: 5 });
+  assert.equal(result.negativePoints, 15);
+  // 11+ negative points: protein doesn't count
+  assert.equal(result.components.find(component => component.key === 'protein').counted, false);
+  assert.equal(result.positivePoints, 5);
+  assert.equal(result.score, 10);
+  assert.equal(result.grade, 'C');
+  assert.equal(result.overall, 55);
+  assert.equal(result.basis, '100 g');
+});
+
+test('scores drinks per 100 ml on the beverage scale', () => {
+  const result = computeHealthScore({
+    ingredients: ['carbonated water', 'sugar'],
+    nutritionFacts: { servingSize: '1 can (250 ml)', calories: 105, totalSugars: '26.5g', saturatedFat: '0g', sodium: '10mg' }
+  });
+
+  assert.equal(result.basis, '100 ml');
+  assert.deepEqual(pointsOf(result), { energy: 6, sugars: 8, saturatedFat: 0, sodium: 0, fruitVeg: 0, fiber: 0, protein: 0 });
+  assert.equal(result.grade, 'E');
+});
+
+test('counts declared fruit and vegetable percentages', () => {
+  const result = computeHealthScore({
+    ingredients: ['tomatoes (85%)', 'olive oil', 'salt'],
+    nutritionFacts: { servingSize: '100g', calories: 40, totalSugars: '4g', saturatedFat: '0.5g', sodium: '300mg', protein: '1.5g' }
+  });
+
+  const fruitVeg = result.components.find(component => component.key === 'fruitVeg');
+  assert.equal(fruitVeg.value, 85);
+  assert.equal(fruitVeg.points, 5);
+  assert.equal(result.grade, 'A');
+});
+
+test('gives the same score for the same label every time', () => {
+  assert.deepEqual(computeHealthScore(granolaBar), computeHealthScore(structuredClone(granolaBar)));
+});
+
+test('does not score labels that lack the inputs', () => {
+  const noServing = computeHealthScore({ nutritionFacts: { calories: 190, totalSugars: '12g', saturatedFat: '1g', sodium: '95mg' } });
+  assert.equal(noServing.overall, null);
+  assert.deepEqual(noServing.missing, ['servingSize (in g or ml)']);
+
+  const noSodium = computeHealthScore({ nutritionFacts: { ...granolaBar.nutritionFacts, sodium: '' } });
+  assert.equal(noSodium.overall, null);
+  assert.equal(noSodium.grade, null);
+  assert.deepEqual(noSodium.missing, ['sodium']);
+});
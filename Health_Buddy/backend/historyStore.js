@@ -0,0 +1,171 @@
+// SQLite history of scanned products, per device (see deviceTokens.js).
+// Each scan keeps the analysis, the report and the whole chat transcript, so a
+// past product can be reopened and questioned again long after its session
+// expired. Scans are keyed by the session ID they were analyzed in.
+
+const path = require('path');
+const fs = require('fs');
+const Database = require('better-sqlite3');
+
+const DB_PATH = process.env.HISTORY_DB_PATH || path.join(__dirname, 'data', 'history.db');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS scans (
+    id TEXT PRIMARY KEY,
+    client_id TEXT NOT NULL, -- the device ID
+    product_name TEXT NOT NULL,
+    brand_name TEXT NOT NULL,
+    recommendation TEXT,
+    grade TEXT,
+    search_text TEXT NOT NULL,
+    analysis TEXT NOT NULL,
+    web_info TEXT,
+    report TEXT,
+    source TEXT,
+    conversation TEXT NOT NULL DEFAULT '[]',
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS scans_client ON scans (client_id, created_at);
+`;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+let db = null;
+
+// Opened on first use so the server starts even if the data directory is read-only
+function getDb() {
+  if (!db) {
+    fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+    db = new Database(DB_PATH);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+  }
+  return db;
+}
+
+const toJson = value => (value === undefined || value === null ? null : JSON.stringify(value));
+const fromJson = text => (text === null ? null : JSON.parse(text));
+
+// The row as a list entry, without the heavy JSON columns
+function toSummary(row) {
+  return {
+    id: row.id,
+    productName: row.product_name,
+    brand: row.brand_name,
+    recommendation: row.recommendation,
+    grade: row.grade,
+    messageCount: row.message_count,
+    createdAt: new Date(row.created_at).toISOString(),
+    updatedAt: new Date(row.updated_at).toISOString()
+  };
+}
+
+/**
+ * Save a finished scan: { id, analysis, webInfo, formattedData, source }.
+ * Saving the same ID again replaces the scan but keeps its transcript.
+ */
+function saveScan(deviceId, { id, analysis, webInfo, formattedData, source }) {
+  const formatted = formattedData?.formatted || {};
+  const productName = analysis.productName || formatted.overview?.productName || 'Unknown Product';
+  const brandName = analysis.brandName || '';
+  const searchText = [productName, brandName, ...(analysis.ingredients || [])].join(' ').toLowerCase();
+  const now = Date.now();
+
+  getDb().prepare(`
+    INSERT INTO scans (id, client_id, product_name, brand_name, recommendation, grade, search_text,
+      analysis, web_info, report, source, created_at, updated_at)
+    VALUES (@id, @deviceId, @productName, @brandName, @recommendation, @grade, @searchText,
+      @analysis, @webInfo, @report, @source, @now, @now)
+    ON CONFLICT (id) DO UPDATE SET
+      product_name = excluded.product_name,
+      brand_name = excluded.brand_name,
+      recommendation = excluded.recommendation,
+      grade = excluded.grade,
+      search_text = excluded.search_text,
+      analysis = excluded.analysis,
+      web_info = excluded.web_info,
+      report = excluded.report,
+      source = excluded.source,
+      updated_at = excluded.updated_at
+    WHERE scans.client_id = excluded.client_id
+  `).run({
+    id,
+    deviceId,
+    productName,
+    brandName,
+    recommendation: formatted.quickVerdict?.recommendation || null,
+    grade: formatted.healthScore?.grade || null,
+    searchText,
+    analysis: toJson(analysis),
+    webInfo: toJson(webInfo),
+    report: toJson(formattedData),
+    source: toJson(source),
+    now
+  });
+}
+
+/**
+ * A device's scans, newest first. `query` matches the product name, brand or
+ * ingredients. Returns { total, scans } with list entries only.
+ */
+function listScans(deviceId, { query = '', limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+  const pattern = `%${String(query).toLowerCase().replace(/[\\%_]/g, match => `\\${match}`)}%`;
+  const where = "client_id = ? AND search_text LIKE ? ESCAPE '\\'";
+  const pageSize = Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const skip = Math.max(Number(offset) || 0, 0);
+
+  const { total } = getDb().prepare(`SELECT COUNT(*) AS total FROM scans WHERE ${where}`).get(deviceId, pattern);
+  const rows = getDb().prepare(`
+    SELECT id, product_name, brand_name, recommendation, grade, created_at, updated_at,
+      json_array_length(conversation) AS message_count
+    FROM scans WHERE ${where}
+    ORDER BY created_at DESC
+    LIMIT ? OFFSET ?
+  `).all(deviceId, pattern, pageSize, skip);
+
+  return { total, scans: rows.map(toSummary) };
+}
+
+// One scan with everything saved for it, or null if this device has no such scan
+function getScan(deviceId, id) {
+  const row = getDb().prepare(`
+    SELECT *, json_array_length(conversation) AS message_count
+    FROM scans WHERE id = ? AND client_id = ?
+  `).get(id, deviceId);
+  if (!row) return null;
+
+  return {
+    ...toSummary(row),
+    analysis: fromJson(row.analysis),
+    webInfo: fromJson(row.web_info),
+    formattedData: fromJson(row.report),
+    source: fromJson(row.source),
+    conversation: fromJson(row.conversation)
+  };
+}
+
+// Add chat messages ({ role, content, timestamp, ... }) to a scan's transcript
+function appendConversation(deviceId, id, messages) {
+  const database = getDb();
+  database.transaction(() => {
+    const row = database.prepare('SELECT conversation FROM scans WHERE id = ? AND client_id = ?').get(id, deviceId);
+    if (!row) return;
+    const conversation = [...JSON.parse(row.conversation), ...messages];
+    database.prepare('UPDATE scans SET conversation = ?, updated_at = ? WHERE id = ?')
+      .run(JSON.stringify(conversation), Date.now(), id);
+  })();
+}
+
+function deleteScan(deviceId, id) {
+  return getDb().prepare('DELETE FROM scans WHERE id = ? AND client_id = ?').run(id, deviceId).changes > 0;
+}
+
+module.exports = {
+  saveScan,
+  listScans,
+  getScan,
+  appendConversation,
+  deleteScan
+};
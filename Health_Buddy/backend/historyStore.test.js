@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-store-'));
+process.env.HISTORY_DB_PATH = path.join(tmpDir, 'history.db');
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const { saveScan, listScans, getScan, appendConversation, deleteScan } = require('./historyStore');
+
+const DEVICE = '6f1c2a9e-3b4d-4e5f-8a7b-1c2d3e4f5a6b';
+const OTHER_DEVICE = '0a9b8c7d-6e5f-4a3b-9c1d-2e3f4a5b6c7d';
+
+const scanOf = (id, productName, ingredients = []) => ({
+  id,
+  analysis: { productName, brandName: 'Good Grains', ingredients },
+  webInfo: null,
+  formattedData: { formatted: { quickVerdict: { recommendation: 'buy' }, healthScore: { grade: 'B' } } },
+  source: { type: 'label' }
+});
+
+test('keeps each device\'s scans to itself', () => {
+  saveScan(DEVICE, scanOf('scan-1', 'Oat Bar', ['oats', 'honey']));
+  saveScan(OTHER_DEVICE, scanOf('scan-2', 'Rice Cake'));
+
+  assert.deepEqual(listScans(DEVICE).scans.map(scan => scan.id), ['scan-1']);
+  assert.equal(getScan(OTHER_DEVICE, 'scan-1'), null);
+  assert.equal(deleteScan(OTHER_DEVICE, 'scan-1'), false);
+
+  const scan = getScan(DEVICE, 'scan-1');
+  assert.equal(scan.productName, 'Oat Bar');
+  assert.equal(scan.recommendation, 'buy');
+  assert.equal(scan.grade, 'B');
+  assert.deepEqual(scan.source, { type: 'label' });
+});
+
+test('another device cannot overwrite a scan by reusing its ID', () => {
+  saveScan(OTHER_DEVICE, scanOf('scan-1', 'Impostor'));
+  assert.equal(getScan(DEVICE, 'scan-1').productName, 'Oat Bar');
+  assert.equal(getScan(OTHER_DEVICE, 'scan-1'), null);
+});
+
+test('searches names and ingredients and pages through the results', () => {
+  saveScan(DEVICE, scanOf('scan-3', 'Honey Granola', ['oats', 'honey']));
+  saveScan(DEVICE, scanOf('scan-4', '100% Juice', ['apple']));
+
+  assert.deepEqual(listScans(DEVICE, { query: 'HONEY' }).scans.map(scan => scan.id).sort(), ['scan-1', 'scan-3']);
+  // LIKE wildcards in the query are matched literally
+  assert.deepEqual(listScans(DEVICE, { query: '100%' }).scans.map(scan => scan.id), ['scan-4']);
+  assert.equal(listScans(DEVICE, { query: '_' }).total, 0);
+
+  const page = listScans(DEVICE, { limit: 2, offset: 2 });
+  assert.equal(page.total, 3);
+  assert.equal(page.scans.length, 1);
+});
+
+test('appends chat to the transcript and keeps it when the scan is saved again', () => {
+  appendConversation(DEVICE, 'scan-1', [{ role: 'user', content: 'Is it sweet?' }]);
+  appendConversation(DEVICE, 'scan-1', [{ role: 'assistant', content: 'Fairly.' }]);
+  appendConversation(OTHER_DEVICE, 'scan-1', [{ role: 'user', content: 'Not mine' }]);
+  saveScan(DEVICE, scanOf('scan-1', 'Oat Bar v2', ['oats']));
+
+  const scan = getScan(DEVICE, 'scan-1');
+  assert.equal(scan.productName, 'Oat Bar v2');
+  assert.deepEqual(scan.conversation.map(message => message.content), ['Is it sweet?', 'Fairly.']);
+  assert.equal(listScans(DEVICE, { query: 'v2' }).scans[0].messageCount, 2);
+
+  assert.equal(deleteScan(DEVICE, 'scan-1'), true);
+  assert.equal(getScan(DEVICE, 'scan-1'), null);
+});
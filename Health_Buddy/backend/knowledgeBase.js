@@ -0,0 +1,152 @@
+// Lookup over the bundled ingredient knowledge base (data/ingredientKnowledgeBase.json).
+// Ingredients are matched by E-number / INS code first, then by name or alias,
+// and every fact handed back carries the citation it came from.
+//
+// Names and aliases match whole words only, and the longest phrase wins: in
+// "sugar alcohol (maltitol)" the ignored phrase "sugar alcohol" takes the
+// words before "sugar" can, and "sugar-free" is one word, not "sugar".
+
+const path = require('path');
+const { logger } = require('@health/shared/logger');
+
+const KNOWLEDGE_BASE_PATH = path.join(__dirname, 'data', 'ingredientKnowledgeBase.json');
+
+let knowledgeBase = null;
+
+// Words, keeping hyphenated compounds ("sugar-free", "beta-carotene") whole
+const WORD = /[a-z0-9&]+(?:['-][a-z0-9&]+)*/g;
+// Brackets and list punctuation end a phrase; no alias spans them
+const PHRASE_BREAK = /[,;:()[\]{}]/;
+
+const wordsOf = text => text.toLowerCase().match(WORD) || [];
+
+function loadKnowledgeBase() {
+  if (knowledgeBase) return knowledgeBase;
+
+  const data = require(KNOWLEDGE_BASE_PATH);
+  const byCode = new Map();
+  // First word → [{ words, entry }], longest phrase first
+  const phrases = new Map();
+
+  const addPhrase = (text, entry) => {
+    const words = wordsOf(text);
+    if (words.length === 0) return;
+    if (!phrases.has(words[0])) phrases.set(words[0], []);
+    phrases.get(words[0]).push({ words, entry });
+  };
+
+  for (const entry of data.entries) {
+    for (const code of [entry.eNumber, entry.insCode].filter(Boolean)) {
+      byCode.set(code.toLowerCase().replace(/^e/, ''), entry);
+    }
+    for (const alias of entry.aliases) addPhrase(alias, entry);
+  }
+
+  // Phrases like "cocoa butter" or "sugar alcohol" that would otherwise match
+  // an alias; they win as the longer match and stand for no entry
+  for (const phrase of data.ignorePhrases || []) addPhrase(phrase, null);
+
+  for (const candidates of phrases.values()) {
+    candidates.sort((a, b) => b.words.length - a.words.length);
+  }
+
+  knowledgeBase = { version: data.version, sources: data.sources, entries: data.entries, byCode, phrases };
+  logger.info('Ingredient knowledge base loaded', { version: data.version, entries: data.entries.length });
+  return knowledgeBase;
+}
+
+// "E150d" falls back to the "150" class entry
+function findByCode(byCode, code) {
+  const normalized = code.toLowerCase();
+  return byCode.get(normalized) || byCode.get(normalized.replace(/[a-z]$/, ''));
+}
+
+/**
+ * Find every knowledge-base entry mentioned in one ingredient string, e.g.
+ * "emulsifier (soy lecithin)", "colour: E129" or "acidity regulator (330)".
+ */
+function lookupIngredient(ingredient) {
+  const { byCode, phrases } = loadKnowledgeBase();
+  const text = String(ingredient || '').toLowerCase();
+  const found = new Map();
+
+  const codePatterns = [
+    /\b(?:e|ins)\s?-?(\d{3,4}[a-z]?)\b/g,
+    // Bare INS numbers in brackets, only trusted when the code is known
+    /\((\d{3,4}[a-z]?)\)/g
+  ];
+  for (const pattern of codePatterns) {
+    for (const match of text.matchAll(pattern)) {
+      const entry = findByCode(byCode, match[1]);
+      if (entry) found.set(entry.id, entry);
+    }
+  }
+
+  // Left to right, taking the longest phrase at each word, so "corn syrup"
+  // isn't found again inside "high fructose corn syrup"
+  for (const part of text.split(PHRASE_BREAK)) {
+    const words = wordsOf(part);
+    let index = 0;
+    while (index < words.length) {
+      const match = (phrases.get(words[index]) || []).find(({ words: phrase }) =>
+        phrase.every((word, offset) => words[index + offset] === word)
+      );
+      if (!match) {
+        index++;
+        continue;
+      }
+      if (match.entry) found.set(match.entry.id, match.entry);
+      index += match.words.length;
+    }
+  }
+
+  return [...found.values()];
+}
+
+function toFact(entry, ingredient, sources) {
+  return {
+    ingredient,
+    name: entry.name,
+    eNumber: entry.eNumber || null,
+    insCode: entry.insCode || null,
+    category: entry.category,
+    functions: entry.functions,
+    description: entry.description,
+    benefits: entry.benefits,
+    concerns: entry.concerns,
+    citations: entry.citations.map(id => ({ id, ...sources[id] })),
+    source: 'knowledge-base'
+  };
+}
+
+/**
+ * Look up a product's ingredient list. Returns one cited fact per matched
+ * knowledge-base entry plus the ingredients nothing matched.
+ */
+function lookupIngredients(ingredients = []) {
+  const { version, sources } = loadKnowledgeBase();
+  const facts = [];
+  const seen = new Set();
+  const unmatched = [];
+
+  for (const ingredient of ingredients) {
+    const entries = lookupIngredient(ingredient);
+    if (entries.length === 0) {
+      unmatched.push(ingredient);
+      continue;
+    }
+    for (const entry of entries) {
+      if (seen.has(entry.id)) continue;
+      seen.add(entry.id);
+      facts.push(toFact(entry, ingredient, sources));
+    }
+  }
+
+  return { version, facts, unmatched };
+}
+
+module.exports = {
+  loadKnowledgeBase,
+  lookupIngredient,
+  lookupIngredients
+};
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+
+const { lookupIngredient, lookupIngredients } = require('./knowledgeBase');
+
+const idsOf = ingredient => lookupIngredient(ingredient).map(entry => entry.id);
+
+test('matches names and aliases as whole words, longest phrase first', () => {
+  const cases = [
+    ['maltitol', ['maltitol']],
+    ['maltitol syrup', ['maltitol']],
+    ['sugar alcohol (maltitol)', ['maltitol']],
+    ['sweeteners: sugar alcohols', []],
+    ['sugar-free', []],
+    ['no added sugar', []],
+    ['organic cane sugar', ['sugar']],
+    ['high fructose corn syrup', ['hfcs']],
+    ['corn syrup', ['sugar']],
+    ['cocoa butter', []],
+    ['peanut butter', ['peanuts']],
+    ['whole grain rolled oats', ['oats']],
+    ['partially hydrogenated soybean oil', ['partially-hydrogenated-oil']],
+    ['mono- and diglycerides of fatty acids', ['mono-diglycerides']],
+    ['fd&c yellow no. 5', ['tartrazine']],
+    ['iodised salt', ['salt']],
+    ['saltpetre', []]
+  ];
+
+  for (const [ingredient, expected] of cases) {
+    assert.deepEqual(idsOf(ingredient), expected, ingredient);
+  }
+});
+
+test('matches E-numbers and INS codes', () => {
+  assert.deepEqual(idsOf('colour: E129'), ['allura-red']);
+  assert.deepEqual(idsOf('acidity regulator (330)'), ['citric-acid']);
+  // Class entries cover their sub-codes
+  assert.deepEqual(idsOf('caramel colour (e150d)'), ['caramel-colour']);
+  // Bare numbers only count in brackets
+  assert.deepEqual(idsOf('330 g'), []);
+});
+
+test('finds every entry in a compound ingredient', () => {
+  assert.deepEqual(idsOf('emulsifier (soy lecithin), salt').sort(), ['lecithins', 'salt']);
+});
+
+test('returns one cited fact per entry and the ingredients nothing matched', () => {
+  const { version, facts, unmatched } = lookupIngredients(['sugar', 'cane sugar', 'maltitol', 'sugar alcohol', 'water']);
+
+  assert.ok(version);
+  assert.deepEqual(facts.map(fact => fact.name), ['Sugar (sucrose)', 'Maltitol']);
+  assert.deepEqual(unmatched, ['sugar alcohol', 'water']);
+  for (const fact of facts) {
+    assert.equal(fact.source, 'knowledge-base');
+    assert.ok(fact.citations.length > 0);
+    assert.ok(fact.citations.every(citation => citation.title));
+  }
+});
@@ -0,0 +1,185 @@
+// Maps Open Food Facts records (a line of the JSONL dump, or a row of the
+// tab-separated CSV export) to the shape analyzeImage produces. OFF stores
+// nutrients in grams per 100 g / per serving; the analysis keeps the label's
+// units (mg for sodium, mcg for vitamin D) so nutrients.js reads both alike.
+
+const { normalizeBarcode } = require('@health/shared/barcode');
+const { splitIngredients } = require('@health/shared/labelText');
+
+const KJ_PER_KCAL = 4.184;
+
+// Analysis field -> OFF nutriment key, and the factor from OFF's grams to the label unit
+const NUTRIENTS = {
+  totalFat: { key: 'fat', unit: 'g', factor: 1 },
+  saturatedFat: { key: 'saturated-fat', unit: 'g', factor: 1 },
+  transFat: { key: 'trans-fat', unit: 'g', factor: 1 },
+  cholesterol: { key: 'cholesterol', unit: 'mg', factor: 1000 },
+  sodium: { key: 'sodium', unit: 'mg', factor: 1000 },
+  totalCarbohydrate: { key: 'carbohydrates', unit: 'g', factor: 1 },
+  dietaryFiber: { key: 'fiber', unit: 'g', factor: 1 },
+  totalSugars: { key: 'sugars', unit: 'g', factor: 1 },
+  addedSugars: { key: 'added-sugars', unit: 'g', factor: 1 },
+  protein: { key: 'proteins', unit: 'g', factor: 1 },
+  vitaminD: { key: 'vitamin-d', unit: 'mcg', factor: 1000000 },
+  calcium: { key: 'calcium', unit: 'mg', factor: 1000 },
+  iron: { key: 'iron', unit: 'mg', factor: 1000 },
+  potassium: { key: 'potassium', unit: 'mg', factor: 1000 }
+};
+
+// Columns of the CSV export that are lists ("en:milk,en:soybeans")
+const LIST_COLUMNS = ['allergens_tags', 'traces_tags', 'labels_tags', 'categories_tags'];
+
+// Allergen/trace tags contributors use to mean "nothing declared"
+const PLACEHOLDER_TAGS = new Set([
+  'none', 'no', 'nothing', 'null', 'na', 'n-a', 'nil', 'unknown', 'not-applicable',
+  'aucun', 'aucune', 'neant', 'sans', 'keine', 'ninguno', 'nessuno', 'geen'
+]);
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+// The CSV export flattens `nutriments` into columns like "fat_100g"; put them back
+function fromCsvRow(row) {
+  const record = { ...row, nutriments: {} };
+  for (const [column, value] of Object.entries(row)) {
+    if (/_(100g|serving)$/.test(column) || /^energy(-kcal|-kj)?$/.test(column)) {
+      record.nutriments[column] = value;
+    }
+  }
+  for (const column of LIST_COLUMNS) {
+    if (typeof row[column] === 'string') {
+      record[column] = row[column].split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+  }
+  // Older exports only have the plain "allergens"/"traces" columns
+  if (!record.allergens_tags && row.allergens) {
+    record.allergens_tags = row.allergens.split(',').map(tag => tag.trim()).filter(Boolean);
+  }
+  if (!record.traces_tags && row.traces) {
+    record.traces_tags = row.traces.split(',').map(tag => tag.trim()).filter(Boolean);
+  }
+  return record;
+}
+
+// "en:tree-nuts" -> "Tree nuts"; tags in other languages keep their text
+function tagName(tag) {
+  const name = String(tag).replace(/^[a-z]{2}:/, '').replace(/-/g, ' ').trim();
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+// Tag names without placeholders like "en:none" or "fr:aucun"
+function allergenTagNames(tags) {
+  return (tags || [])
+    .filter(tag => !PLACEHOLDER_TAGS.has(String(tag).toLowerCase().replace(/^[a-z]{2}:/, '').trim()))
+    .map(tagName)
+    .filter(Boolean);
+}
+
+function pickText(record, field) {
+  return String(record[field] || record[`${field}_en`] || '').trim();
+}
+
+function energyKcal(nutriments, basis) {
+  const kcal = toNumber(nutriments[`energy-kcal_${basis}`]);
+  if (kcal !== null) return kcal;
+  const kj = toNumber(nutriments[`energy-kj_${basis}`] ?? nutriments[`energy_${basis}`]);
+  return kj === null ? null : kj / KJ_PER_KCAL;
+}
+
+// Prefer per-serving values (what a label shows); fall back to per 100 g/ml
+function nutritionFacts(record) {
+  const nutriments = record.nutriments || {};
+  const servingQuantity = toNumber(record.serving_quantity);
+  const perServing = Boolean(record.serving_size) && servingQuantity > 0;
+  const liquid = /\bml\b/i.test(record.serving_size || record.quantity || '') ||
+    (record.categories_tags || []).includes('en:beverages');
+
+  const valueFor = key => {
+    if (!perServing) return toNumber(nutriments[`${key}_100g`]);
+    const serving = toNumber(nutriments[`${key}_serving`]);
+    if (serving !== null) return serving;
+    const per100 = toNumber(nutriments[`${key}_100g`]);
+    return per100 === null ? null : per100 * servingQuantity / 100;
+  };
+
+  let servingSize = liquid ? '100 ml' : '100 g';
+  if (perServing) {
+    servingSize = String(record.serving_size).trim();
+    // "1 bar" alone can't be converted to per 100 g downstream
+    if (!/\d\s*(g|ml)\b/i.test(servingSize)) servingSize += ` (${servingQuantity} ${liquid ? 'ml' : 'g'})`;
+  }
+
+  const facts = { servingSize };
+
+  let calories = perServing ? energyKcal(nutriments, 'serving') : energyKcal(nutriments, '100g');
+  if (calories === null && perServing) {
+    const per100 = energyKcal(nutriments, '100g');
+    if (per100 !== null) calories = per100 * servingQuantity / 100;
+  }
+  if (calories !== null) facts.calories = Math.round(calories);
+
+  for (const [field, { key, unit, factor }] of Object.entries(NUTRIENTS)) {
+    const value = valueFor(key);
+    if (value !== null) facts[field] = `${round(value * factor)}${unit}`;
+  }
+
+  return facts;
+}
+
+function allergenStatements(allergens, traces) {
+  const statements = [];
+  if (allergens.length) statements.push(`Contains: ${allergens.join(', ').toLowerCase()}.`);
+  if (traces.length) statements.push(`May contain: ${traces.join(', ').toLowerCase()}.`);
+  return statements;
+}
+
+/**
+ * Map one Open Food Facts record to { gtin, analysis, lastModified, categories },
+ * or { skip: reason } when it can't be used (bad barcode, no name or nutrition).
+ * Pass `{ csv: true }` for rows of the CSV export.
+ */
+function mapProduct(input, { csv = false } = {}) {
+  const record = csv ? fromCsvRow(input) : input;
+
+  const barcode = normalizeBarcode(record.code || record._id);
+  if (!barcode.valid) {
+    return { skip: `barcode: ${barcode.error}` };
+  }
+
+  const productName = pickText(record, 'product_name') || pickText(record, 'generic_name');
+  if (!productName) {
+    return { skip: 'no product name' };
+  }
+
+  const facts = nutritionFacts(record);
+  if (Object.keys(facts).length <= 1) {
+    return { skip: 'no nutrition facts' };
+  }
+
+  const allergens = allergenTagNames(record.allergens_tags);
+  const traces = allergenTagNames(record.traces_tags).filter(trace => !allergens.includes(trace));
+
+  return {
+    gtin: barcode.gtin,
+    lastModified: toNumber(record.last_modified_t) || 0,
+    categories: record.categories_tags || [],
+    analysis: {
+      productName,
+      brandName: String(record.brands || '').split(',')[0].trim(),
+      ingredients: splitIngredients(pickText(record, 'ingredients_text')),
+      nutritionFacts: facts,
+      allergens,
+      allergenStatements: allergenStatements(allergens, traces),
+      certifications: (record.labels_tags || []).map(tagName)
+    }
+  };
+}
+
+module.exports = {
+  mapProduct
+};
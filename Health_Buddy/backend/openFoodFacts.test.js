@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mapProduct } = require('./openFoodFacts');
+
+const record = {
+  code: '4006381333931',
+  product_name: 'Rice Crackers',
+  brands: 'Imported Foods, Parent Co',
+  ingredients_text: 'Rice, sunflower oil, seasoning (salt, _milk_ powder), sugar.',
+  serving_size: '30 g',
+  serving_quantity: 30,
+  last_modified_t: 1700000000,
+  categories_tags: ['en:snacks'],
+  labels_tags: ['en:gluten-free'],
+  allergens_tags: ['en:milk'],
+  traces_tags: ['en:milk', 'en:sesame-seeds'],
+  nutriments: {
+    'energy-kcal_100g': 400,
+    fat_100g: 10,
+    sodium_100g: 0.5,
+    proteins_serving: 2.5
+  }
+};
+
+test('maps a JSONL record to the analyzeImage shape, per serving', () => {
+  const product = mapProduct(record);
+
+  assert.equal(product.gtin, '4006381333931');
+  assert.equal(product.lastModified, 1700000000);
+  assert.equal(product.analysis.brandName, 'Imported Foods');
+  assert.deepEqual(product.analysis.ingredients, ['Rice', 'sunflower oil', 'seasoning (salt, milk powder)', 'sugar']);
+  assert.deepEqual(product.analysis.nutritionFacts, {
+    servingSize: '30 g',
+    calories: 120,
+    totalFat: '3g',
+    sodium: '150mg',
+    protein: '2.5g'
+  });
+  assert.deepEqual(product.analysis.allergens, ['Milk']);
+  assert.deepEqual(product.analysis.allergenStatements, ['Contains: milk.', 'May contain: sesame seeds.']);
+  assert.deepEqual(product.analysis.certifications, ['Gluten free']);
+});
+
+test('reads rows of the CSV export', () => {
+  const product = mapProduct({
+    code: '036000291452',
+    product_name: 'Apple Juice',
+    quantity: '1 l',
+    'energy-kj_100g': '200',
+    sugars_100g: '10',
+    allergens: '',
+    traces_tags: 'en:none',
+    categories_tags: 'en:beverages,en:juices'
+  }, { csv: true });
+
+  assert.equal(product.gtin, '0036000291452');
+  assert.deepEqual(product.categories, ['en:beverages', 'en:juices']);
+  assert.deepEqual(product.analysis.nutritionFacts, { servingSize: '100 ml', calories: 48, totalSugars: '10g' });
+  assert.deepEqual(product.analysis.allergenStatements, []);
+});
+
+test('drops placeholder allergen and trace tags like en:none', () => {
+  const product = mapProduct({
+    ...record,
+    allergens_tags: ['en:none', 'fr:aucun', 'en:gluten', 'en:unknown'],
+    traces_tags: ['en:nothing', 'en:n-a', 'de:keine']
+  });
+
+  assert.deepEqual(product.analysis.allergens, ['Gluten']);
+  assert.deepEqual(product.analysis.allergenStatements, ['Contains: gluten.']);
+});
+
+test('skips records it cannot use', () => {
+  assert.match(mapProduct({ ...record, code: '123' }).skip, /^barcode:/);
+  assert.deepEqual(mapProduct({ ...record, product_name: '' }), { skip: 'no product name' });
+  assert.deepEqual(mapProduct({ ...record, nutriments: {} }), { skip: 'no nutrition facts' });
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { collectImages, mergeAnalyses } = require('./panels');
+
+const front = {
+  productName: 'Oat Bar',
+  brandName: 'Sample Foods',
+  ingredients: [],
+  nutritionFacts: { calories: 0, totalSugars: '0g', protein: '10g' },
+  allergenStatements: [],
+  certifications: ['Organic'],
+  fieldConfidence: { productName: 0.9 }
+};
+
+const nutrition = {
+  productName: 'oat  bar',
+  ingredients: [],
+  nutritionFacts: { servingSize: '40g', calories: 190, totalSugars: '12 g', protein: '4g', transFat: '0g' },
+  allergenStatements: ['Contains: soy.'],
+  fieldConfidence: { nutritionFacts: 0.8 }
+};
+
+const ingredients = {
+  productName: 'Oat Bar',
+  ingredients: ['oats', 'honey'],
+  nutritionFacts: { calories: '0 kcal', sodium: '0mg' },
+  allergenStatements: ['Contains: soy.', 'May contain nuts.']
+};
+
+const merge = () => mergeAnalyses([
+  { panel: 'front', analysis: front },
+  { panel: 'nutrition', analysis: nutrition },
+  { panel: 'ingredients', analysis: ingredients }
+]);
+
+test('takes each field from the panel that normally carries it', () => {
+  const merged = merge();
+
+  assert.equal(merged.productName, 'Oat Bar');
+  assert.deepEqual(merged.ingredients, ['oats', 'honey']);
+  assert.equal(merged.nutritionFacts.calories, 190);
+  assert.equal(merged.nutritionFacts.servingSize, '40g');
+  assert.deepEqual(merged.allergenStatements, ['Contains: soy.', 'May contain nuts.']);
+  assert.deepEqual(merged.certifications, ['Organic']);
+  assert.deepEqual(merged.panelMerge.panels, ['front', 'nutrition', 'ingredients']);
+  assert.equal(merged.panelMerge.fieldSources.ingredients, 'ingredients');
+  assert.equal(merged.panelMerge.fieldSources['nutritionFacts.calories'], 'nutrition');
+  assert.equal(merged.fieldConfidence.productName, 0.9);
+  assert.equal(merged.fieldConfidence['nutritionFacts.calories'], 0.8);
+});
+
+test('reports panels that read a field differently', () => {
+  const conflicts = Object.fromEntries(merge().panelMerge.conflicts.map(conflict => [conflict.field, conflict]));
+
+  // "oat  bar" and "12 g" are the same readings as "Oat Bar" and "12g"
+  assert.equal(conflicts.productName, undefined);
+  assert.deepEqual(conflicts['nutritionFacts.protein'], {
+    field: 'nutritionFacts.protein',
+    chosen: { panel: 'nutrition', value: '4g' },
+    others: [{ panel: 'front', value: '10g' }]
+  });
+});
+
+test('ignores zeros from panels other than the nutrition panel', () => {
+  const merged = merge();
+  const conflicting = merged.panelMerge.conflicts.map(conflict => conflict.field);
+
+  assert.ok(!conflicting.includes('nutritionFacts.calories'));
+  assert.ok(!conflicting.includes('nutritionFacts.totalSugars'));
+  assert.equal(merged.nutritionFacts.totalSugars, '12 g');
+  // A zero with nothing better to replace it is still no reading
+  assert.equal(merged.nutritionFacts.sodium, undefined);
+  // ...but the nutrition panel's own zeros are readings
+  assert.equal(merged.nutritionFacts.transFat, '0g');
+
+  const untagged = mergeAnalyses([{ panel: null, analysis: ingredients }]);
+  assert.equal(untagged.nutritionFacts.sodium, '0mg');
+});
+
+test('keeps zeros read from untagged photos, which are merged as "other"', () => {
+  const merged = mergeAnalyses([
+    { panel: 'front', analysis: front },
+    { panel: 'other', analysis: nutrition }
+  ]);
+
+  assert.equal(merged.nutritionFacts.transFat, '0g');
+  assert.equal(merged.panelMerge.fieldSources['nutritionFacts.transFat'], 'other');
+  // The front panel's zero calories still lose to the real reading
+  assert.equal(merged.nutritionFacts.calories, 190);
+});
+
+test('groups uploads by panel in analysis order', () => {
+  const file = name => ({ buffer: Buffer.from(name), mimetype: 'image/jpeg' });
+  const images = collectImages({ other: [file('a'), file('b')], front: [file('front')], image: [file('photo')] });
+  assert.deepEqual(images.map(image => image.panel), [null, 'front', 'other', 'other']);
+});
@@ -0,0 +1,147 @@
+// SQLite product store filled by scripts/importOpenFoodFacts.js. Products are
+// keyed by GTIN and stored in the analyzeImage shape, so lookups, comparisons
+// and alternatives can use them without calling any live service.
+
+const path = require('path');
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const { logger } = require('@health/shared/logger');
+
+const DB_PATH = process.env.PRODUCT_DB_PATH || path.join(__dirname, 'data', 'products.db');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS products (
+    gtin TEXT PRIMARY KEY,
+    product_name TEXT NOT NULL,
+    brand_name TEXT,
+    categories TEXT NOT NULL DEFAULT '[]',
+    analysis TEXT NOT NULL,
+    source TEXT NOT NULL,
+    source_modified_at INTEGER NOT NULL DEFAULT 0,
+    imported_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS products_name ON products (product_name);
+
+  CREATE TABLE IF NOT EXISTS imports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    file TEXT NOT NULL,
+    source TEXT NOT NULL,
+    started_at INTEGER NOT NULL,
+    finished_at INTEGER,
+    inserted INTEGER NOT NULL DEFAULT 0,
+    updated INTEGER NOT NULL DEFAULT 0,
+    unchanged INTEGER NOT NULL DEFAULT 0,
+    skipped INTEGER NOT NULL DEFAULT 0
+  );
+`;
+
+let readDb = null;
+
+/**
+ * Open the store for writing (the importer), creating it if needed.
+ */
+function openStore(dbPath = DB_PATH) {
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+  return db;
+}
+
+// The server only reads, and a missing database just means nothing was imported
+function getReadDb() {
+  if (readDb) return readDb;
+  if (!fs.existsSync(DB_PATH)) return null;
+
+  readDb = new Database(DB_PATH, { readonly: true, fileMustExist: true });
+  const { count } = readDb.prepare('SELECT COUNT(*) AS count FROM products').get();
+  logger.info('Product database loaded', { path: DB_PATH, products: count });
+  return readDb;
+}
+
+/**
+ * Write mapped products ({ gtin, analysis, lastModified, categories }) in one
+ * transaction. A product is only rewritten when the source copy is newer than
+ * the stored one (or `force` is set), so re-importing the same dump is cheap.
+ * Returns { inserted, updated, unchanged }.
+ */
+function upsertProducts(db, products, { source = 'openfoodfacts', force = false } = {}) {
+  const select = db.prepare('SELECT source_modified_at FROM products WHERE gtin = ?');
+  const upsert = db.prepare(`
+    INSERT INTO products (gtin, product_name, brand_name, categories, analysis, source, source_modified_at, imported_at)
+    VALUES (@gtin, @productName, @brandName, @categories, @analysis, @source, @lastModified, @importedAt)
+    ON CONFLICT (gtin) DO UPDATE SET
+      product_name = excluded.product_name,
+      brand_name = excluded.brand_name,
+      categories = excluded.categories,
+      analysis = excluded.analysis,
+      source = excluded.source,
+      source_modified_at = excluded.source_modified_at,
+      imported_at = excluded.imported_at
+  `);
+
+  const write = db.transaction(batch => {
+    const counts = { inserted: 0, updated: 0, unchanged: 0 };
+    const importedAt = Date.now();
+
+    for (const product of batch) {
+      const existing = select.get(product.gtin);
+      if (existing && !force && existing.source_modified_at >= product.lastModified) {
+        counts.unchanged++;
+        continue;
+      }
+      upsert.run({
+        gtin: product.gtin,
+        productName: product.analysis.productName,
+        brandName: product.analysis.brandName,
+        categories: JSON.stringify(product.categories || []),
+        analysis: JSON.stringify(product.analysis),
+        source,
+        lastModified: product.lastModified || 0,
+        importedAt
+      });
+      counts[existing ? 'updated' : 'inserted']++;
+    }
+
+    return counts;
+  });
+
+  return write(products);
+}
+
+function startImport(db, file, source = 'openfoodfacts') {
+  return db.prepare('INSERT INTO imports (file, source, started_at) VALUES (?, ?, ?)')
+    .run(file, source, Date.now()).lastInsertRowid;
+}
+
+function finishImport(db, id, counts) {
+  db.prepare(`
+    UPDATE imports SET finished_at = ?, inserted = ?, updated = ?, unchanged = ?, skipped = ? WHERE id = ?
+  `).run(Date.now(), counts.inserted, counts.updated, counts.unchanged, counts.skipped, id);
+}
+
+/**
+ * Find a product by GTIN. Returns { analysis, source, importedAt } or null.
+ */
+function getProduct(gtin) {
+  const db = getReadDb();
+  if (!db) return null;
+
+  const row = db.prepare('SELECT analysis, source, imported_at FROM products WHERE gtin = ?').get(gtin);
+  if (!row) return null;
+
+  return {
+    analysis: JSON.parse(row.analysis),
+    source: row.source,
+    importedAt: new Date(row.imported_at).toISOString()
+  };
+}
+
+module.exports = {
+  DB_PATH,
+  openStore,
+  upsertProducts,
+  startImport,
+  finishImport,
+  getProduct
+};
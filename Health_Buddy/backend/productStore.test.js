@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'silent';
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'product-store-'));
+process.env.PRODUCT_DB_PATH = path.join(tmpDir, 'products.db');
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const productStore = require('./productStore');
+const { lookupProduct } = require('@health/shared/productCatalog');
+
+const imported = {
+  gtin: '4006381333931',
+  lastModified: 1700000000,
+  categories: ['en:snacks'],
+  analysis: {
+    productName: 'Rice Crackers',
+    brandName: 'Imported Foods',
+    ingredients: ['rice', 'salt'],
+    nutritionFacts: { servingSize: '30g', calories: 120 },
+    allergens: []
+  }
+};
+
+test('finds nothing before anything has been imported', () => {
+  assert.equal(productStore.getProduct('4006381333931'), null);
+});
+
+test('serves imported products as a catalog fallback', async () => {
+  const db = productStore.openStore(process.env.PRODUCT_DB_PATH);
+  productStore.upsertProducts(db, [imported]);
+  db.close();
+
+  const result = await lookupProduct('4006381333931', { fallback: productStore.getProduct });
+  assert.equal(result.found, true);
+  assert.equal(result.catalog.name, 'openfoodfacts');
+  assert.ok(result.catalog.importedAt);
+  assert.equal(result.analysis.productName, 'Rice Crackers');
+  assert.equal(result.analysis.barcode, '4006381333931');
+});
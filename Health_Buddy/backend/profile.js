@@ -0,0 +1,283 @@
+// User health profiles: allergies, intolerances, dietary patterns, conditions
+// to be careful with and goals. Each constraint is checked against the label
+// deterministically, so the verdict can say which of the user's own
+// constraints a product violates or fits; the model only explains the result.
+
+const { detectAllergens, ALLERGENS } = require('./allergens');
+const { normalizeNutritionFacts } = require('@health/shared/nutrients');
+const { DIETS, COMPLIANT, NON_COMPLIANT, classifyDiets } = require('./dietCompliance');
+
+// UK FSA front-of-pack thresholds per 100 g: above `high` is high, at or below
+// `low` is low. Drinks use half the limits per 100 ml.
+const LEVELS = {
+  totalSugars: { label: 'sugars', unit: 'g', high: 22.5, low: 5 },
+  totalFat: { label: 'fat', unit: 'g', high: 17.5, low: 3 },
+  saturatedFat: { label: 'saturated fat', unit: 'g', high: 5, low: 1.5 },
+  // Salt 1.5 g and 0.3 g
+  sodium: { label: 'sodium', unit: 'mg', high: 600, low: 120 }
+};
+
+// Each option has a label; checks use `allergens` (keys in allergens.js),
+// ingredient `terms`, `watch` lists (fields to keep low) or a nutrient to `seek`.
+const INTOLERANCES = {
+  lactose: { label: 'Lactose', allergens: ['milk'], terms: ['lactose'] },
+  gluten: { label: 'Gluten', allergens: ['gluten'] },
+  fructose: { label: 'Fructose', terms: ['fructose', 'high fructose corn syrup', 'glucose-fructose syrup', 'fructose syrup', 'agave', 'honey', 'sorbitol'] },
+  sulphites: { label: 'Sulphites', allergens: ['sulphites'] },
+  caffeine: { label: 'Caffeine', terms: ['caffeine', 'coffee', 'guarana', 'green tea extract', 'mate'] }
+};
+
+// Diets are classified by dietCompliance.js; only the labels live here
+const DIET_OPTIONS = Object.fromEntries(Object.entries(DIETS).map(([key, { label }]) => [key, { label }]));
+
+const CONDITIONS = {
+  diabetes: { label: 'Diabetes', watch: ['totalSugars'] },
+  hypertension: { label: 'High blood pressure', watch: ['sodium'] },
+  highCholesterol: { label: 'High cholesterol', watch: ['saturatedFat'] },
+  heartDisease: { label: 'Heart disease', watch: ['saturatedFat', 'sodium'] },
+  kidneyDisease: { label: 'Kidney disease', watch: ['sodium'] },
+  celiacDisease: { label: 'Celiac disease', allergens: ['gluten'] }
+};
+
+const GOALS = {
+  weightLoss: { label: 'Weight loss', watch: ['totalSugars', 'totalFat'] },
+  lessSugar: { label: 'Less sugar', watch: ['totalSugars'] },
+  lessSalt: { label: 'Less salt', watch: ['sodium'] },
+  heartHealth: { label: 'Heart health', watch: ['saturatedFat', 'sodium'] },
+  moreFiber: { label: 'More fibre', seek: { field: 'dietaryFiber', label: 'fibre', good: 6, some: 3 } },
+  moreProtein: { label: 'More protein', seek: { field: 'protein', label: 'protein', good: 12, some: 6 } }
+};
+
+const ALLERGY_OPTIONS = Object.fromEntries(Object.entries(ALLERGENS).map(([key, { label, terms }]) => [key, { label, terms }]));
+
+const GROUPS = {
+  allergies: ALLERGY_OPTIONS,
+  intolerances: INTOLERANCES,
+  diets: DIET_OPTIONS,
+  conditions: CONDITIONS,
+  goals: GOALS
+};
+
+// Breaking one of these can make someone ill, so it always means "avoid"
+const SEVERE_TYPES = ['allergies', 'intolerances'];
+const SEVERE_CONDITIONS = ['celiacDisease'];
+
+const MAX_NOTES_LENGTH = 500;
+
+const simplify = text => String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// "Peanut", "peanuts", "gluten-free" and "High blood pressure" all find their option
+function findOption(options, value) {
+  const wanted = simplify(value);
+  return Object.keys(options).find(key =>
+    simplify(key) === wanted ||
+    simplify(options[key].label) === wanted ||
+    (options[key].terms || []).some(term => simplify(term) === wanted)
+  );
+}
+
+function emptyProfile() {
+  return { allergies: [], intolerances: [], diets: [], conditions: [], goals: [], notes: '' };
+}
+
+/**
+ * Validate a profile from the client. Option names are matched loosely (keys,
+ * labels, and allergen terms like "peanut"). Returns { profile } with
+ * canonical keys, or { errors } listing what couldn't be understood.
+ */
+function normalizeProfile(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: ['Profile must be an object'] };
+  }
+
+  const profile = emptyProfile();
+  const errors = [];
+
+  for (const [group, options] of Object.entries(GROUPS)) {
+    const values = input[group] ?? [];
+    if (!Array.isArray(values)) {
+      errors.push(`${group} must be a list`);
+      continue;
+    }
+    for (const value of values) {
+      const key = typeof value === 'string' ? findOption(options, value) : null;
+      if (!key) {
+        errors.push(`Unknown ${group} entry "${value}". Use one of: ${Object.keys(options).join(', ')}`);
+      } else if (!profile[group].includes(key)) {
+        profile[group].push(key);
+      }
+    }
+  }
+
+  if (input.notes !== undefined && typeof input.notes !== 'string') {
+    errors.push('notes must be text');
+  } else if (input.notes) {
+    profile.notes = input.notes.trim().slice(0, MAX_NOTES_LENGTH);
+  }
+
+  return errors.length ? { errors } : { profile };
+}
+
+function isEmptyProfile(profile) {
+  return !profile || (Object.keys(GROUPS).every(group => !profile[group]?.length) && !profile.notes);
+}
+
+// The profile in words, for prompts
+function describeProfile(profile) {
+  if (isEmptyProfile(profile)) return null;
+  const described = {};
+  for (const [group, options] of Object.entries(GROUPS)) {
+    if (profile[group]?.length) described[group] = profile[group].map(key => options[key]?.label || key);
+  }
+  if (profile.notes) described.notes = profile.notes;
+  return described;
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// First ingredient that mentions one of `terms`, as [ingredient, term]
+function findTerm(ingredients, terms) {
+  for (const ingredient of ingredients) {
+    const lower = ingredient.toLowerCase();
+    for (const term of terms) {
+      if (new RegExp(`(^|[^a-z])${escapeRegExp(term)}(?![a-z])`).test(lower)) return [ingredient, term];
+    }
+  }
+  return null;
+}
+
+function nutrientLevel(normalized, field) {
+  const value = normalized.nutrients[field]?.per100g;
+  if (value === null || value === undefined) return null;
+
+  const { high, low } = LEVELS[field];
+  const scale = normalized.servingSize.isVolume ? 0.5 : 1;
+  const level = value > high * scale ? 'high' : value <= low * scale ? 'low' : 'medium';
+  return { level, value };
+}
+
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+const round = value => Math.round(value * 10) / 10;
+const perBasis = (normalized, value, unit) => `${round(value)} ${unit} per ${normalized.per100Basis}`;
+
+// One check per constraint: { status: 'violates' | 'caution' | 'fits' | 'unknown', reason }
+function checkConstraint(rule, { analysis, allergenReport, normalized }) {
+  const ingredients = analysis.ingredients || [];
+  const labelRead = ingredients.length > 0 || (analysis.allergenStatements || []).length > 0;
+  const problems = [];
+  const cautions = [];
+
+  for (const key of rule.allergens || []) {
+    const contains = allergenReport.contains.find(entry => entry.allergen === key);
+    const mayContain = allergenReport.mayContain.find(entry => entry.allergen === key);
+    if (contains) {
+      const matched = contains.evidence.find(item => item.matched)?.matched;
+      const label = ALLERGENS[key].label.toLowerCase();
+      problems.push(`contains ${label}${matched && !label.includes(matched.toLowerCase()) ? ` (${matched})` : ''}`);
+    } else if (mayContain) {
+      cautions.push(`may contain ${ALLERGENS[key].label.toLowerCase()}`);
+    }
+  }
+
+  const found = rule.terms ? findTerm(ingredients, rule.terms) : null;
+  if (found) problems.push(`lists ${found[0].toLowerCase()}`);
+
+  const levels = [];
+  for (const field of rule.watch || []) {
+    const reading = nutrientLevel(normalized, field);
+    const { label, unit } = LEVELS[field];
+    if (reading?.level === 'high') {
+      problems.push(`high in ${label} (${perBasis(normalized, reading.value, unit)})`);
+    } else if (reading?.level === 'medium') {
+      cautions.push(`medium ${label} (${perBasis(normalized, reading.value, unit)})`);
+    }
+    levels.push({ field, level: reading?.level || null });
+  }
+
+  if (rule.seek) {
+    const { field, label, good, some } = rule.seek;
+    const value = normalized.nutrients[field]?.per100g;
+    if (value === null || value === undefined) {
+      return { status: 'unknown', reason: `The label doesn't give ${label} per ${normalized.per100Basis}` };
+    }
+    if (value >= good) return { status: 'fits', reason: `High in ${label} (${perBasis(normalized, value, 'g')})` };
+    if (value >= some) return { status: 'caution', reason: `Some ${label} (${perBasis(normalized, value, 'g')})` };
+    return { status: 'violates', reason: `Little ${label} (${perBasis(normalized, value, 'g')})` };
+  }
+
+  if (problems.length) return { status: 'violates', reason: capitalize(problems.join('; ')) };
+  if (cautions.length) return { status: 'caution', reason: capitalize(cautions.join('; ')) };
+
+  if (rule.watch) {
+    if (levels.some(item => item.level === null)) {
+      const missing = levels.filter(item => item.level === null).map(item => LEVELS[item.field].label);
+      return { status: 'unknown', reason: `The label doesn't give ${missing.join(' or ')} per ${normalized.per100Basis}` };
+    }
+    return { status: 'fits', reason: capitalize(`low in ${levels.map(item => LEVELS[item.field].label).join(' and ')}`) };
+  }
+
+  if (!labelRead && (rule.allergens || rule.terms)) {
+    return { status: 'unknown', reason: 'No ingredient list was read' };
+  }
+  if (rule.allergens && !rule.terms) {
+    return { status: 'fits', reason: `No ${rule.allergens.map(key => ALLERGENS[key].label.toLowerCase()).join(' or ')} on the label` };
+  }
+  return { status: 'fits', reason: 'Nothing on the label conflicts with it' };
+}
+
+// A diet's classification as a profile check; doubtful ingredients are a
+// caution, a missing certification or ingredient list is unknown
+function checkDiet(classification) {
+  if (classification.status === COMPLIANT) return { status: 'fits', reason: classification.reason };
+  if (classification.status === NON_COMPLIANT) return { status: 'violates', reason: classification.reason };
+  return { status: classification.triggers.length ? 'caution' : 'unknown', reason: classification.reason };
+}
+
+/**
+ * Check a product against a profile. Returns null for an empty profile, or
+ * { violates, caution, fits, unknown, severe } where each list holds
+ * { group, key, label, reason } and `severe` is true when an allergy,
+ * intolerance or celiac disease is violated.
+ */
+function evaluateProfile(analysis, profile) {
+  if (isEmptyProfile(profile)) return null;
+
+  const context = {
+    analysis,
+    allergenReport: analysis.allergenReport || detectAllergens(analysis),
+    normalized: analysis.normalizedNutrition || normalizeNutritionFacts(analysis.nutritionFacts),
+    diets: analysis.dietCompliance || classifyDiets(analysis)
+  };
+  const result = { violates: [], caution: [], fits: [], unknown: [], severe: false };
+
+  for (const [group, options] of Object.entries(GROUPS)) {
+    for (const key of profile[group] || []) {
+      const rule = group === 'allergies' ? { allergens: [key] } : options[key];
+      if (!rule) continue;
+
+      const { status, reason } = group === 'diets' ? checkDiet(context.diets[key]) : checkConstraint(rule, context);
+      result[status].push({ group, key, label: options[key].label, reason });
+      if (status === 'violates' && (SEVERE_TYPES.includes(group) || SEVERE_CONDITIONS.includes(key))) {
+        result.severe = true;
+      }
+    }
+  }
+
+  return result;
+}
+
+// The choices the profile form offers, by group
+function profileOptions() {
+  return Object.fromEntries(Object.entries(GROUPS).map(([group, options]) =>
+    [group, Object.entries(options).map(([key, { label }]) => ({ key, label }))]
+  ));
+}
+
+module.exports = {
+  normalizeProfile,
+  emptyProfile,
+  isEmptyProfile,
+  describeProfile,
+  evaluateProfile,
+  profileOptions
+};
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeProfile, emptyProfile, isEmptyProfile, describeProfile, evaluateProfile, profileOptions } = require('./profile');
+
+const granolaBar = {
+  ingredients: ['whole grain oats', 'sugar', 'peanuts', 'honey', 'milk powder'],
+  allergenStatements: ['May contain tree nuts.'],
+  nutritionFacts: {
+    servingSize: '40g',
+    calories: 190,
+    totalSugars: '12g',
+    totalFat: '7g',
+    saturatedFat: '1g',
+    sodium: '95mg',
+    dietaryFiber: '3g',
+    protein: '4g'
+  }
+};
+
+const keysOf = entries => entries.map(entry => entry.key);
+
+test('matches profile entries loosely and returns canonical keys', () => {
+  const { profile } = normalizeProfile({
+    allergies: ['Peanut', 'tree nuts', 'peanuts'],
+    diets: ['Vegan'],
+    conditions: ['High blood pressure'],
+    notes: '  Shops for two kids  '
+  });
+
+  assert.deepEqual(profile, {
+    allergies: ['peanuts', 'treeNuts'],
+    intolerances: [],
+    diets: ['vegan'],
+    conditions: ['hypertension'],
+    goals: [],
+    notes: 'Shops for two kids'
+  });
+});
+
+test('lists every entry it could not understand', () => {
+  const { errors } = normalizeProfile({ allergies: ['kryptonite'], diets: 'vegan', notes: 3 });
+
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /^Unknown allergies entry "kryptonite"\. Use one of: gluten, /);
+  assert.deepEqual(errors.slice(1), ['diets must be a list', 'notes must be text']);
+  assert.deepEqual(normalizeProfile([]), { errors: ['Profile must be an object'] });
+});
+
+test('describes a profile in words for the prompts', () => {
+  assert.equal(describeProfile(emptyProfile()), null);
+  assert.equal(isEmptyProfile(null), true);
+  assert.deepEqual(describeProfile({ ...emptyProfile(), allergies: ['peanuts'], conditions: ['celiacDisease'] }), {
+    allergies: ['Peanuts'],
+    conditions: ['Celiac disease']
+  });
+});
+
+test("checks the label against each of the user's constraints", () => {
+  const { profile } = normalizeProfile({
+    allergies: ['peanuts', 'treeNuts'],
+    intolerances: ['fructose'],
+    diets: ['vegan'],
+    conditions: ['diabetes', 'hypertension'],
+    goals: ['moreFiber', 'moreProtein']
+  });
+  const checks = evaluateProfile(granolaBar, profile);
+
+  assert.deepEqual(keysOf(checks.violates), ['peanuts', 'fructose', 'vegan', 'diabetes']);
+  assert.deepEqual(keysOf(checks.caution), ['treeNuts', 'hypertension', 'moreProtein']);
+  assert.deepEqual(keysOf(checks.fits), ['moreFiber']);
+  assert.equal(checks.severe, true);
+
+  const reasons = Object.fromEntries([...checks.violates, ...checks.caution].map(entry => [entry.key, entry.reason]));
+  assert.equal(reasons.peanuts, 'Contains peanuts');
+  assert.equal(reasons.fructose, 'Lists honey');
+  assert.equal(reasons.diabetes, 'High in sugars (30 g per 100 g)');
+  assert.equal(reasons.treeNuts, 'May contain tree nuts');
+});
+
+test('only allergies, intolerances and celiac disease make a violation severe', () => {
+  const checks = evaluateProfile(granolaBar, normalizeProfile({ conditions: ['diabetes'], diets: ['vegan'] }).profile);
+  assert.equal(checks.violates.length, 2);
+  assert.equal(checks.severe, false);
+});
+
+test("says so when the label doesn't show what a check needs", () => {
+  const checks = evaluateProfile({ ingredients: [], nutritionFacts: {} }, normalizeProfile({ allergies: ['milk'], conditions: ['diabetes'] }).profile);
+
+  assert.deepEqual(checks.unknown.map(entry => entry.reason), [
+    'No ingredient list was read',
+    "The label doesn't give sugars per 100 g"
+  ]);
+  assert.equal(evaluateProfile(granolaBar, emptyProfile()), null);
+});
+
+test('offers every option with its label', () => {
+  const options = profileOptions();
+  assert.deepEqual(Object.keys(options), ['allergies', 'intolerances', 'diets', 'conditions', 'goals']);
+  assert.ok(options.conditions.some(option => option.key === 'celiacDisease' && option.label === 'Celiac disease'));
+});
@@ -0,0 +1,59 @@
+// SQLite store of user health profiles, one per device (the ID in the device
+// token, see deviceTokens.js); there are no accounts.
+
+const path = require('path');
+const fs = require('fs');
+const Database = require('better-sqlite3');
+
+const DB_PATH = process.env.PROFILE_DB_PATH || path.join(__dirname, 'data', 'profiles.db');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS profiles (
+    client_id TEXT PRIMARY KEY, -- the device ID
+    profile TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+`;
+
+let db = null;
+
+// Opened on first use so the server starts even if the data directory is read-only
+function getDb() {
+  if (!db) {
+    fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+    db = new Database(DB_PATH);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+  }
+  return db;
+}
+
+// The stored profile, or null if this device hasn't saved one
+function getProfile(deviceId) {
+  const row = getDb().prepare('SELECT profile FROM profiles WHERE client_id = ?').get(deviceId);
+  return row ? JSON.parse(row.profile) : null;
+}
+
+// `profile` must already be normalized (see profile.js)
+function saveProfile(deviceId, profile) {
+  const now = Date.now();
+  getDb().prepare(`
+    INSERT INTO profiles (client_id, profile, created_at, updated_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT (client_id) DO UPDATE SET
+      profile = excluded.profile,
+      updated_at = excluded.updated_at
+  `).run(deviceId, JSON.stringify(profile), now, now);
+  return profile;
+}
+
+function deleteProfile(deviceId) {
+  return getDb().prepare('DELETE FROM profiles WHERE client_id = ?').run(deviceId).changes > 0;
+}
+
+module.exports = {
+  getProfile,
+  saveProfile,
+  deleteProfile
+};
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'profile-store-'));
+process.env.PROFILE_DB_PATH = path.join(tmpDir, 'profiles.db');
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const { getProfile, saveProfile, deleteProfile } = require('./profileStore');
+const { normalizeProfile } = require('./profile');
+
+const DEVICE = '6f1c2a9e-3b4d-4e5f-8a7b-1c2d3e4f5a6b';
+const OTHER_DEVICE = '0a9b8c7d-6e5f-4a3b-9c1d-2e3f4a5b6c7d';
+
+test('stores one profile per device', () => {
+  const { profile } = normalizeProfile({ allergies: ['peanuts'] });
+  assert.equal(getProfile(DEVICE), null);
+
+  saveProfile(DEVICE, profile);
+  assert.deepEqual(getProfile(DEVICE), profile);
+  assert.equal(getProfile(OTHER_DEVICE), null);
+});
+
+test('replaces the profile on save and forgets it on delete', () => {
+  const { profile } = normalizeProfile({ diets: ['vegan'] });
+  saveProfile(DEVICE, profile);
+  assert.deepEqual(getProfile(DEVICE), profile);
+
+  assert.equal(deleteProfile(OTHER_DEVICE), false);
+  assert.equal(deleteProfile(DEVICE), true);
+  assert.equal(getProfile(DEVICE), null);
+});
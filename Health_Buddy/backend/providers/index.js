@@ -0,0 +1,15 @@
+const path = require('path');
+const { createProviderRegistry, PROVIDERS } = require('@health/shared/providers');
+
+// The provider layer lives in shared/providers; this app only brings its stub fixtures
+const { getProvider, setProvider, createProvider, onUsage } = createProviderRegistry({
+  fixturesDir: path.join(__dirname, 'fixtures')
+});
+
+module.exports = {
+  getProvider,
+  setProvider,
+  createProvider,
+  onUsage,
+  PROVIDERS
+};
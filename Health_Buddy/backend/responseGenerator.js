@@ -1,8 +1,5 @@
-const { OpenAI } = require('openai');
-
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-});
+const { getProvider } = require('./providers');
+const { logger } = require('@health/shared/logger');
 
 // Supported image MIME types
 const SUPPORTED_IMAGE_TYPES = [
@@ -81,8 +78,8 @@ async function generateResponse(userInput) {
                 throw new Error('No valid input provided');
             }
 
-            const completion = await openai.chat.completions.create({
-                model: "gpt-4-turbo",
+            const completion = await getProvider().chat({
+                task: 'copilot',
                 messages: [
                     { 
                         role: "system", 
@@ -93,11 +90,11 @@ async function generateResponse(userInput) {
                         content: userMessage 
                     }
                 ],
-                max_tokens: 500,
+                maxTokens: 500,
                 temperature: 0.7,
             });
             
-            messageContent = completion.choices[0].message.content;
+            messageContent = completion.content;
         }
 
         return {
@@ -105,7 +102,7 @@ async function generateResponse(userInput) {
             response: messageContent.trim()
         };
     } catch (error) {
-        console.error('Error in generateResponse:', error);
+        logger.error('Error in generateResponse', { error });
         return {
             success: false,
             error: 'Failed to generate response',
@@ -0,0 +1,193 @@
+// JSON Schemas for every structured response we ask the model for.
+// structuredOutput.js validates (and where possible coerces) model output
+// against these before anything reaches the session or the frontend.
+// Defaults are filled in only after a reply has validated; they never make a
+// missing required field acceptable.
+
+const stringList = { type: 'array', items: { type: 'string' }, default: [] };
+const text = { type: 'string', default: '' };
+
+const labelSchema = {
+  type: 'object',
+  required: ['productName', 'ingredients', 'nutritionFacts'],
+  properties: {
+    productName: text,
+    brandName: text,
+    ingredients: stringList,
+    nutritionFacts: {
+      type: 'object',
+      default: {},
+      properties: {
+        servingSize: text,
+        servingsPerContainer: text,
+        calories: { type: ['number', 'null'], minimum: 0 },
+        totalFat: text,
+        saturatedFat: text,
+        transFat: text,
+        cholesterol: text,
+        sodium: text,
+        totalCarbohydrate: text,
+        dietaryFiber: text,
+        totalSugars: text,
+        addedSugars: text,
+        protein: text,
+        vitaminD: text,
+        calcium: text,
+        iron: text,
+        potassium: text
+      }
+    },
+    allergens: stringList,
+    allergenStatements: stringList,
+    certifications: stringList,
+    expiryDate: text,
+    // 0-1 per field ("productName", "nutritionFacts", "nutritionFacts.sodium", ...)
+    fieldConfidence: {
+      type: 'object',
+      default: {},
+      additionalProperties: { type: 'number', minimum: 0, maximum: 1 }
+    },
+    isError: { type: 'boolean', enum: [false], default: false }
+  }
+};
+
+// What the model returns when the photo isn't a readable food label
+const labelErrorSchema = {
+  type: 'object',
+  required: ['isError', 'error'],
+  properties: {
+    isError: { type: 'boolean', enum: [true] },
+    error: { type: 'string', minLength: 1 }
+  }
+};
+
+const labelAnalysisSchema = {
+  oneOf: [labelSchema, labelErrorSchema]
+};
+
+const webInfoSchema = {
+  type: 'object',
+  required: ['ingredientInfo'],
+  properties: {
+    ingredientInfo: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['ingredient'],
+        properties: {
+          ingredient: { type: 'string', minLength: 1 },
+          healthImpact: text,
+          benefits: stringList,
+          concerns: stringList
+        }
+      }
+    },
+    nutritionalContext: text,
+    recommendations: text,
+    comparisons: stringList
+  }
+};
+
+const formattedReportSchema = {
+  type: 'object',
+  required: ['formatted'],
+  properties: {
+    formatted: {
+      type: 'object',
+      required: ['quickVerdict', 'overview'],
+      properties: {
+        quickVerdict: {
+          type: 'object',
+          required: ['recommendation', 'title', 'summary'],
+          properties: {
+            recommendation: { type: 'string', enum: ['buy', 'moderate', 'avoid'] },
+            title: { type: 'string', minLength: 1 },
+            summary: { type: 'string', minLength: 1 },
+            keyPoints: stringList,
+            bestFor: stringList,
+            avoidIf: stringList
+          }
+        },
+        overview: {
+          type: 'object',
+          required: ['productName'],
+          properties: {
+            productName: text,
+            brand: text,
+            tagline: text,
+            highlights: stringList
+          }
+        },
+        // Calories and macros are filled in from nutrients.js after validation
+        nutrition: {
+          type: 'object',
+          default: {},
+          properties: {
+            micronutrients: stringList
+          }
+        },
+        ingredients: {
+          type: 'object',
+          default: {},
+          properties: {
+            main: stringList,
+            beneficial: stringList,
+            concerning: stringList,
+            additives: stringList
+          }
+        },
+        // Allergens come from allergens.js, not the model
+        certifications: stringList,
+        // The score itself comes from healthScore.js; the model writes pros and cons
+        healthScore: {
+          type: 'object',
+          default: {},
+          properties: {
+            pros: stringList,
+            cons: stringList
+          }
+        },
+        recommendations: text
+      }
+    }
+  }
+};
+
+const followUpSchema = {
+  type: 'object',
+  required: ['answer'],
+  properties: {
+    answer: { type: 'string', minLength: 1 },
+    suggestedQuestions: stringList
+  }
+};
+
+const comparisonSchema = {
+  type: 'object',
+  required: ['summary'],
+  properties: {
+    summary: { type: 'string', minLength: 1 },
+    tradeoffs: stringList,
+    bestFor: stringList,
+    recommendation: text
+  }
+};
+
+const conversationSummarySchema = {
+  type: 'object',
+  required: ['summary'],
+  properties: {
+    summary: { type: 'string', minLength: 1 },
+    facts: stringList
+  }
+};
+
+module.exports = {
+  labelAnalysisSchema,
+  webInfoSchema,
+  formattedReportSchema,
+  followUpSchema,
+  comparisonSchema,
+  conversationSummarySchema
+};
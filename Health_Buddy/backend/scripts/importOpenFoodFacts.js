@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+// Import an Open Food Facts export (or a subset of one) into the local product
+// database. Accepts the JSONL dump (openfoodfacts-products.jsonl) or the CSV
+// export (en.openfoodfacts.org.products.csv, tab-separated), optionally
+// gzipped. Re-running on a newer dump only rewrites products that changed.
+//
+//   npm run import:off -- <file> [--db path] [--limit n] [--force]
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const { mapProduct } = require('../openFoodFacts');
+const { DB_PATH, openStore, upsertProducts, startImport, finishImport } = require('../productStore');
+
+const BATCH_SIZE = 1000;
+
+function parseArgs(argv) {
+  const options = { file: null, db: DB_PATH, limit: Infinity, force: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--db') options.db = argv[++i];
+    else if (arg === '--limit') options.limit = Number(argv[++i]);
+    else if (arg === '--force') options.force = true;
+    else if (!options.file) options.file = arg;
+  }
+  return options;
+}
+
+function detectFormat(file) {
+  const name = file.replace(/\.gz$/, '').toLowerCase();
+  if (/\.(jsonl|ndjson|json)$/.test(name)) return 'jsonl';
+  if (/\.(csv|tsv)$/.test(name)) return 'csv';
+  return null;
+}
+
+// One CSV line; the OFF export is tab-separated and unquoted, but a
+// comma-separated subset saved from a spreadsheet may quote its fields
+function splitLine(line, delimiter) {
+  if (delimiter === '\t') return line.split('\t');
+
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+async function* readRecords(file, format) {
+  let input = fs.createReadStream(file);
+  if (file.endsWith('.gz')) input = input.pipe(zlib.createGunzip());
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  let header = null;
+  let delimiter = '\t';
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    if (format === 'jsonl') {
+      try {
+        yield JSON.parse(line);
+      } catch {
+        yield null;
+      }
+      continue;
+    }
+
+    if (!header) {
+      delimiter = line.includes('\t') ? '\t' : ',';
+      header = splitLine(line, delimiter).map(column => column.trim());
+      continue;
+    }
+
+    const values = splitLine(line, delimiter);
+    const row = {};
+    header.forEach((column, i) => { row[column] = values[i] ?? ''; });
+    yield row;
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.file) {
+    console.error('Usage: npm run import:off -- <file.jsonl|file.csv[.gz]> [--db path] [--limit n] [--force]');
+    process.exit(1);
+  }
+  const format = detectFormat(options.file);
+  if (!format) {
+    console.error(`Unknown file type: ${options.file} (expected .jsonl, .csv or .tsv, optionally .gz)`);
+    process.exit(1);
+  }
+  if (!fs.existsSync(options.file)) {
+    console.error(`File not found: ${options.file}`);
+    process.exit(1);
+  }
+
+  console.log('=====================================');
+  console.log(`Importing ${path.basename(options.file)} (${format}) into ${options.db}`);
+  console.log('=====================================');
+
+  const db = openStore(options.db);
+  const importId = startImport(db, path.basename(options.file));
+  const counts = { read: 0, inserted: 0, updated: 0, unchanged: 0, skipped: 0 };
+  const skipReasons = {};
+  let batch = [];
+
+  const flush = () => {
+    const result = upsertProducts(db, batch, { force: options.force });
+    counts.inserted += result.inserted;
+    counts.updated += result.updated;
+    counts.unchanged += result.unchanged;
+    batch = [];
+  };
+
+  for await (const record of readRecords(options.file, format)) {
+    if (counts.read >= options.limit) break;
+    counts.read++;
+
+    const mapped = record ? mapProduct(record, { csv: format === 'csv' }) : { skip: 'unreadable line' };
+    if (mapped.skip) {
+      counts.skipped++;
+      const reason = mapped.skip.split(':')[0];
+      skipReasons[reason] = (skipReasons[reason] || 0) + 1;
+    } else {
+      batch.push(mapped);
+    }
+
+    if (batch.length >= BATCH_SIZE) flush();
+    if (counts.read % 100000 === 0) console.log(`  ${counts.read} records read...`);
+  }
+  if (batch.length) flush();
+
+  finishImport(db, importId, counts);
+  db.close();
+
+  console.log(`✓ ${counts.read} records read: ${counts.inserted} inserted, ${counts.updated} updated, ` +
+    `${counts.unchanged} unchanged, ${counts.skipped} skipped`);
+  for (const [reason, count] of Object.entries(skipReasons)) {
+    console.log(`  skipped (${reason}): ${count}`);
+  }
+}
+
+main().catch(error => {
+  console.error('Import failed:', error.message);
+  process.exit(1);
+});
@@ -4,23 +4,85 @@ const cors = require('cors');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 const { 
-  analyzeImage, 
+  analyzeImages, 
+  enrichAnalysis,
   searchProductInfo,
   generateFormattedSummary,
-  handleFollowUp 
+  formatLabelReport,
+  handleFollowUp,
+  streamFollowUp,
+  summarizeConversation,
+  explainComparison
 } = require('./aiService');
 const { 
   storeAnalysis, 
   getAnalysis, 
   updateSession,
   addToConversationHistory,
-  hasSession,
+  deleteSession,
   getSessionStats
 } = require('./sessionManager');
+const { normalizeBarcode, decodeBarcode } = require('@health/shared/barcode');
+const { lookupProduct } = require('@health/shared/productCatalog');
+const { getProduct } = require('./productStore');
+const { UPLOAD_FIELDS, collectImages } = require('./panels');
+const { preprocessImages } = require('@health/shared/imagePreprocess');
+const {
+  fingerprintImages,
+  getExtraction,
+  setExtraction,
+  reportKey,
+  getReport,
+  setReport,
+  getCacheStats
+} = require('./analysisCache');
+const {
+  STAGES,
+  createJob,
+  getJob,
+  updateStage,
+  completeJob,
+  failJob,
+  subscribe,
+  waitForJob
+} = require('./analysisJobs');
+const { normalizeProfile, emptyProfile, profileOptions } = require('./profile');
+const { getProfile, saveProfile, deleteProfile } = require('./profileStore');
+const { MIN_PRODUCTS, MAX_PRODUCTS, compareProducts } = require('./comparison');
+const { saveScan, listScans, getScan, appendConversation, deleteScan } = require('./historyStore');
+const { summaryBatch, applySummary, replayConversation } = require('./conversationMemory');
+const { issueDeviceToken, verifyDeviceToken, isAdminToken } = require('./deviceTokens');
+const { getProvider, onUsage } = require('./providers');
+const { takeAllowance, recordSpend, checkSpendBudget, describeLimit, getUsageStats } = require('@health/shared/usageLimits');
+const { CONTENT_TYPE, canReadMetrics, recordModelCall, trackRequests, renderMetrics } = require('@health/shared/metrics');
+const { logger, requestLogging, keepRequestContext } = require('@health/shared/logger');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a proxy or load balancer, set TRUST_PROXY (e.g. 1 for one hop) so
+// clients without a device token are told apart by their own IP
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : Number.isNaN(Number(trustProxy)) ? trustProxy : Number(trustProxy));
+}
+
+// Every model call that went through counts towards the daily spend budget,
+// and every call, failed or not, is recorded for /metrics and logged with the
+// ID of the request that made it
+onUsage(usage => {
+  if (usage.outcome !== 'error') recordSpend(usage.cost);
+  recordModelCall(usage);
+  logger.info('Model call', usage);
+});
+
+try {
+  getProvider();
+} catch (error) {
+  logger.error('Model provider is not configured', { error: error.message });
+  process.exit(1);
+}
+
 // Configure multer for file uploads
 const SUPPORTED_IMAGE_TYPES = [
   'image/jpeg',
@@ -42,11 +104,18 @@ const upload = multer({
   }
 });
 
+// Request IDs and one log line per request
+app.use(requestLogging);
+
+// Request counts, errors and durations per route, for /metrics
+app.use(trackRequests);
+
 // CORS configuration
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
-  methods: ['GET', 'POST', 'OPTIONS', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-ID'],
+  methods: ['GET', 'POST', 'PUT', 'OPTIONS', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-ID', 'X-Device-Token', 'X-Request-ID'],
+  exposedHeaders: ['Retry-After', 'X-Request-ID'],
   credentials: true
 }));
 
@@ -54,17 +123,81 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Request logging
-app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
-  next();
-});
-
 // Helper function to generate a new session ID
 const generateSessionId = () => uuidv4();
 
-// Helper middleware to validate session
-const validateSession = (req, res, next) => {
+// A typed barcode wins over one decoded from the photos
+async function resolveBarcode(req, images) {
+  if (req.body?.barcode) {
+    const normalized = normalizeBarcode(req.body.barcode);
+    return normalized.valid ? { gtin: normalized.gtin, format: normalized.format, from: 'typed' } : { error: normalized.error };
+  }
+
+  for (const image of images) {
+    try {
+      const decoded = await decodeBarcode(image.buffer);
+      if (decoded) {
+        return { gtin: decoded.gtin, format: decoded.format, from: 'image', panel: image.panel };
+      }
+    } catch (error) {
+      logger.warn('Barcode decoding failed', { error: error.message });
+    }
+  }
+
+  return null;
+}
+
+// Every session route needs the device token the session was created with, in
+// X-Device-Token (or `token` in the query string, for EventSource)
+const requireDevice = (req, res, next) => {
+  const token = req.headers['x-device-token'] || req.query.token;
+  const deviceId = verifyDeviceToken(token);
+
+  if (!deviceId) {
+    return res.status(401).json({
+      success: false,
+      error: token ? 'Invalid or expired device token' : 'A device token is required in the X-Device-Token header',
+      details: 'Get one from POST /api/device-token'
+    });
+  }
+
+  req.deviceId = deviceId;
+  next();
+};
+
+// Count the request against the rate limits (per device, or per IP before a
+// device token exists, and always per IP across all its devices) and check the
+// daily spend budget. `amounts(req)` adds what else the request uses, e.g.
+// { images: 3 }, or { requests: 0 } when it was already counted.
+const limitUsage = (amounts = () => ({}), { budget = true } = {}) => (req, res, next) => {
+  const clientKey = req.deviceId ? `device:${req.deviceId}` : `ip:${req.ip}`;
+  const spend = budget ? checkSpendBudget() : { allowed: true };
+  const result = spend.allowed ? takeAllowance({ client: clientKey, ip: req.ip }, { requests: 1, ...amounts(req) }) : spend;
+
+  if (!result.allowed) {
+    logger.warn('Rate limit reached', { clientKey, ip: req.ip, limit: result.limit, scope: result.scope, retryAfter: result.retryAfter });
+    res.set('Retry-After', String(result.retryAfter));
+    return res.status(429).json({
+      success: false,
+      error: 'Too many requests',
+      details: describeLimit(result),
+      limit: result.limit,
+      scope: result.scope,
+      retryAfter: result.retryAfter
+    });
+  }
+  next();
+};
+
+// The session, if it exists and belongs to this device. Someone else's
+// session looks exactly like a missing one.
+async function findOwnSession(req, sessionId) {
+  const session = await getAnalysis(sessionId);
+  return session && session.ownerId === req.deviceId ? session : null;
+}
+
+// Helper middleware to validate session (after requireDevice)
+const validateSession = async (req, res, next) => {
   const sessionId = req.headers['x-session-id'];
   
   if (!sessionId) {
@@ -74,7 +207,7 @@ const validateSession = (req, res, next) => {
     });
   }
   
-  if (!hasSession(sessionId)) {
+  if (!(await findOwnSession(req, sessionId))) {
     return res.status(404).json({
       success: false,
       error: 'Session not found or expired. Please scan the product again.'
@@ -85,75 +218,209 @@ const validateSession = (req, res, next) => {
   next();
 };
 
-// ==================== MAIN ENDPOINTS ====================
+// Copy the last `count` chat messages of a session to its scan history
+async function recordChat(sessionId, count) {
+  const session = await getAnalysis(sessionId);
+  if (!session?.ownerId) return;
+  try {
+    appendConversation(session.ownerId, sessionId, session.conversationHistory.slice(-count));
+  } catch (error) {
+    logger.error('Could not save the chat to history', { sessionId, error });
+  }
+}
 
-// Phase 1: Analyze food label image with web search
-app.post('/api/analyze', upload.single('image'), async (req, res) => {
-  console.log('\n========== NEW ANALYSIS REQUEST ==========');
-  
+// Roll messages that fell out of the chat history into the session's running
+// summary. Runs after the reply is sent; the summary is merged into the
+// session as it is by then, so messages added meanwhile are kept.
+async function compactConversation(sessionId) {
   try {
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded or unsupported file type'
-      });
-    }
+    const session = await getAnalysis(sessionId);
+    const batch = summaryBatch(session?.memory);
+    if (!batch) return;
+
+    const result = await summarizeConversation(session.memory, batch);
+    const updated = await updateSession(sessionId, latest => ({ memory: applySummary(latest.memory, result, batch.length) }));
+    if (!updated) return;
+    logger.info('Older messages summarized', { sessionId, count: batch.length });
+  } catch (error) {
+    logger.error('Could not summarize the conversation', { sessionId, error });
+  }
+}
+
+// ==================== MAIN ENDPOINTS ====================
+
+// An anonymous device token for this browser, to send as X-Device-Token.
+// Sessions created with it can only be used with it.
+// Sending a still-valid X-Device-Token renews it for the same device, so its
+// scan history and health profile carry over
+app.post('/api/device-token', limitUsage(undefined, { budget: false }), (req, res) => {
+  const current = verifyDeviceToken(req.headers['x-device-token']);
+  const { token, expiresAt } = issueDeviceToken(current || undefined);
+  res.json({ success: true, token, expiresAt });
+});
+
+// Send Server-Sent Events on `res`; returns sendEvent(event, data)
+function openEventStream(res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop reverse proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  return (event, data) => {
+    if (!res.destroyed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+const DEFAULT_WEB_INFO = {
+  knowledgeBase: null,
+  ingredientInfo: [],
+  nutritionalContext: 'Additional information unavailable',
+  recommendations: 'Consult with a healthcare provider',
+  comparisons: [],
+  contextSource: null
+};
 
-    // Step 1: Analyze the image
-    console.log('Step 1: Analyzing image...');
-    const imageBase64 = req.file.buffer.toString('base64');
-    const analysisResult = await analyzeImage(imageBase64, req.file.mimetype);
+// Step 1c: the product data, from the catalog or read off the label photos.
+// Resolves to { success, analysis, source } or { success: false, error, details }.
+async function extractProduct({ barcode, catalogResult, prepared, mode }) {
+  if (catalogResult.found) {
+    logger.info('Barcode found in product catalog, skipping image analysis', { barcode: barcode.gtin });
+    return {
+      success: true,
+      analysis: enrichAnalysis(catalogResult.analysis, { verified: true }),
+      source: { type: 'catalog', barcode, catalog: catalogResult.catalog }
+    };
+  }
+
+  // Analyze the label photos, unless this label was scanned recently
+  const fingerprint = await fingerprintImages(prepared.images);
+  const cached = await getExtraction(fingerprint, prepared.images);
+  let analysis = cached;
+
+  if (cached) {
+    logger.info('Same label scanned recently, reusing its analysis');
+  } else {
+    const analysisResult = await analyzeImages(
+      prepared.images.map(image => ({ base64: image.buffer.toString('base64'), mimeType: image.mimetype, panel: image.panel })),
+      { mode }
+    );
 
     if (!analysisResult.success) {
-      return res.status(500).json({
-        success: false,
-        error: analysisResult.error,
-        details: analysisResult.details
-      });
+      return { success: false, error: analysisResult.error, details: analysisResult.details };
     }
 
-    const analysis = analysisResult.analysis;
-    console.log('✓ Image analysis complete');
+    analysis = analysisResult.analysis;
+    // OCR readings and scans with an unreadable panel should be retried, not replayed
+    if (analysis.extraction?.method !== 'ocr' && !analysis.panelMerge?.failed?.length) {
+      setExtraction(fingerprint, analysis);
+    }
+    logger.info('Image analysis complete');
+  }
 
-    // Step 2: Search web for additional information
-    console.log('Step 2: Searching web for product information...');
-    const webSearchResult = await searchProductInfo(
-      analysis.productName || 'Unknown Product',
-      analysis.ingredients || []
-    );
+  if (barcode) analysis.barcode = barcode.gtin;
+  const source = {
+    type: 'label-image',
+    barcode,
+    preprocessing: prepared.report,
+    extraction: analysis.extraction || { method: 'vision' },
+    cache: { extraction: cached ? 'hit' : 'miss' }
+  };
+  if (analysis.panelMerge) {
+    const { panels, mode: mergeMode, conflicts, failed } = analysis.panelMerge;
+    source.panels = { panels, mode: mergeMode, conflicts, failed };
+  }
 
-    const webInfo = webSearchResult.success ? webSearchResult.webInfo : {
-      ingredientInfo: [],
-      nutritionalContext: 'Additional information unavailable',
-      recommendations: 'Consult with a healthcare provider',
-      comparisons: []
-    };
-    console.log('✓ Web search complete');
+  return { success: true, analysis, source };
+}
 
-    // Step 3: Generate formatted summary
-    console.log('Step 3: Generating formatted summary...');
-    const summaryResult = await generateFormattedSummary(analysis, webInfo);
+// Runs the slow half of /api/analyze in the background: extraction, ingredient
+// research and the verdict. Each stage's result is published to the job as it
+// finishes and saved to the session, so chat works as soon as the label is read.
+async function runAnalysisJob(sessionId, input) {
+  let stage = 'extraction';
 
-    if (!summaryResult.success) {
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to generate summary',
-        details: summaryResult.error
-      });
+  try {
+    // Step 1c: Read the product data
+    updateStage(sessionId, stage, { status: 'running' });
+    const extracted = await extractProduct(input);
+
+    if (!extracted.success) {
+      const error = { error: extracted.error, details: extracted.details };
+      updateStage(sessionId, stage, { status: 'failed', error });
+      failJob(sessionId, error);
+      return;
     }
 
-    const formattedData = summaryResult.data;
-    console.log('✓ Formatted summary generated');
+    const { analysis, source } = extracted;
+    await updateSession(sessionId, { analysis, source });
+    updateStage(sessionId, stage, {
+      status: 'complete',
+      result: { source, data: { formatted: formatLabelReport(analysis) } }
+    });
 
-    // Step 4: Create session and store all data
-    const sessionId = generateSessionId();
-    storeAnalysis(sessionId, analysis, webInfo, formattedData);
-    console.log(`✓ Session ${sessionId} created`);
+    // Steps 2 and 3 are skipped when a report was built from the same product data recently
+    const cacheKey = reportKey(analysis, input.profile);
+    let report = getReport(cacheKey);
+    source.cache = { ...source.cache, report: report ? 'hit' : 'miss' };
+
+    if (report) {
+      logger.info('Reusing the cached report for this product', { sessionId });
+      stage = 'enrichment';
+      updateStage(sessionId, stage, { status: 'complete', result: { webInfo: report.webInfo } });
+    } else {
+      // Step 2: Look up ingredients in the knowledge base
+      logger.debug('Looking up ingredient information', { sessionId });
+      stage = 'enrichment';
+      updateStage(sessionId, stage, { status: 'running' });
+      const webSearchResult = await searchProductInfo(
+        analysis.productName || 'Unknown Product',
+        analysis.ingredients || []
+      );
+
+      const webInfo = webSearchResult.success ? webSearchResult.webInfo : DEFAULT_WEB_INFO;
+      await updateSession(sessionId, { webInfo });
+      updateStage(sessionId, stage, { status: 'complete', result: { webInfo } });
+      logger.debug('Ingredient lookup complete', { sessionId });
+
+      // Step 3: Generate formatted summary
+      logger.debug('Generating formatted summary', { sessionId });
+      stage = 'verdict';
+      updateStage(sessionId, stage, { status: 'running' });
+      const summaryResult = await generateFormattedSummary(analysis, webInfo, input.profile);
+
+      if (!summaryResult.success) {
+        const error = { error: 'Failed to generate summary', details: summaryResult.error };
+        updateStage(sessionId, stage, { status: 'failed', error });
+        failJob(sessionId, error);
+        return;
+      }
+      logger.debug('Formatted summary generated', { sessionId });
 
-    // Prepare response
-    const responseData = {
+      report = { webInfo, formattedData: summaryResult.data };
+      // Placeholder reports from a failed model call aren't worth keeping
+      if (webSearchResult.success && !summaryResult.fallback) setReport(cacheKey, report);
+    }
+
+    const { webInfo, formattedData } = report;
+    stage = 'verdict';
+    await updateSession(sessionId, { webInfo, formattedData, source });
+    updateStage(sessionId, stage, { status: 'complete', result: { data: formattedData } });
+
+    // Every finished scan goes into its device's history
+    try {
+      saveScan(input.deviceId, { id: sessionId, analysis, webInfo, formattedData, source });
+    } catch (error) {
+      logger.error('Could not save the scan to history', { sessionId, error });
+    }
+
+    completeJob(sessionId, {
       success: true,
       sessionId,
+      source,
       data: formattedData,
       suggestedQuestions: [
         "What are the main health benefits?",
@@ -161,15 +428,125 @@ app.post('/api/analyze', upload.single('image'), async (req, res) => {
         "Is this suitable for my diet?",
         "How does this compare to similar products?"
       ]
-    };
+    });
+    logger.info('Analysis complete', { sessionId });
 
-    console.log('✓ Sending response to client');
-    console.log('========== ANALYSIS COMPLETE ==========\n');
+  } catch (error) {
+    logger.error('Analysis job failed', { sessionId, stage, error });
+    const failure = { error: 'Failed to process image', details: error.message };
+    updateStage(sessionId, stage, { status: 'failed', error: failure });
+    failJob(sessionId, failure);
+  }
+}
 
-    res.json(responseData);
+// Phase 1: Identify the product (barcode or label photos) and look up its ingredients.
+// Photos come as `image` (one untagged photo) and/or one per panel: `front`,
+// `ingredients`, `nutrition` and up to three `other`. `mode=together` analyzes
+// the panels in one model call instead of one call each.
+//
+// Bad input (no photo, invalid or unknown barcode, unusable photo) is rejected
+// straight away. Otherwise the response is 202 with the session ID, and the
+// analysis runs as a job: follow it with GET /api/analyze/:sessionId or its
+// /events stream. `wait=true` holds the response until the job is done and
+// returns the full result instead.
+//
+// The request is counted against the rate limits before the upload is read, so
+// a client over its limit can't make the server buffer photos; the photos are
+// counted once parsed.
+app.post('/api/analyze', requireDevice, limitUsage(), keepRequestContext(upload.fields(UPLOAD_FIELDS)), limitUsage(req => ({ requests: 0, images: collectImages(req.files).length }), { budget: false }), async (req, res) => {
+  try {
+    const images = collectImages(req.files);
+
+    if (images.length === 0 && !req.body?.barcode) {
+      return res.status(400).json({
+        success: false,
+        error: 'No file uploaded or unsupported file type, and no barcode provided'
+      });
+    }
+
+    // Step 1: Look for a barcode and check the local product catalog
+    const barcode = await resolveBarcode(req, images);
+
+    if (barcode?.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid barcode',
+        details: barcode.error
+      });
+    }
+
+    // The verdict is written for this device's profile, if it has one
+    const profile = getProfile(req.deviceId);
+
+    const catalogResult = barcode ? await lookupProduct(barcode.gtin, { fallback: getProduct }) : { found: false };
+    let prepared = null;
+
+    if (!catalogResult.found && images.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found',
+        details: `No product with barcode ${barcode.gtin} is in the catalog. Please scan the food label instead.`
+      });
+    }
+
+    if (!catalogResult.found) {
+      // Step 1b: Straighten, crop and clean up the photos; reject ones the model couldn't read
+      logger.info('Preparing label photos', { barcode: barcode?.gtin || null, images: images.length });
+      prepared = await preprocessImages(images);
+
+      if (prepared.rejected) {
+        const { panel, reason, metrics } = prepared.rejected;
+        logger.info('Photo rejected', { panel, reason });
+        return res.status(422).json({
+          success: false,
+          error: 'Photo not usable',
+          details: reason,
+          panel,
+          metrics
+        });
+      }
+      for (const { panel, steps, metrics } of prepared.report) {
+        logger.debug('Photo prepared', { panel, steps, metrics });
+      }
+    }
+
+    // Step 4: Create the session up front; the job fills it in stage by stage
+    const sessionId = generateSessionId();
+    await storeAnalysis(sessionId, null);
+    await updateSession(sessionId, { profile, ownerId: req.deviceId });
+    await createJob(sessionId);
+    logger.info('Analysis started', { sessionId });
+
+    runAnalysisJob(sessionId, {
+      barcode,
+      catalogResult,
+      prepared,
+      profile,
+      deviceId: req.deviceId,
+      mode: req.body?.mode === 'together' ? 'together' : 'separate'
+    });
+
+    if (['true', '1'].includes(String(req.body?.wait ?? req.query.wait))) {
+      const job = await waitForJob(sessionId);
+      if (job.status === 'failed') {
+        return res.status(500).json({ success: false, ...job.error });
+      }
+      return res.json(job.result);
+    }
+
+    res.status(202).json({
+      success: true,
+      sessionId,
+      status: 'running',
+      stages: STAGES,
+      links: {
+        status: `/api/analyze/${sessionId}`,
+        events: `/api/analyze/${sessionId}/events`
+      }
+    });
 
   } catch (error) {
-    console.error('❌ Error in /api/analyze:', error);
+    logger.error('Error in /api/analyze', { error });
     res.status(500).json({
       success: false,
       error: 'Failed to process image',
@@ -178,10 +555,55 @@ app.post('/api/analyze', upload.single('image'), async (req, res) => {
   }
 });
 
+// Progress of an analysis: the job status, each stage's status and partial
+// result, and the full /api/analyze result once it's complete
+app.get('/api/analyze/:sessionId', requireDevice, async (req, res) => {
+  const job = await getJob(req.params.sessionId);
+
+  if (!job || !(await findOwnSession(req, req.params.sessionId))) {
+    return res.status(404).json({
+      success: false,
+      error: 'Analysis not found or expired'
+    });
+  }
+
+  res.json({ success: true, ...job });
+});
+
+// The same progress as Server-Sent Events: a `stage` event whenever a stage
+// starts, completes or fails, then `done` with the full result or `failed`
+// with { error, details }. Stages already under way are replayed first.
+app.get('/api/analyze/:sessionId/events', requireDevice, async (req, res) => {
+  const { sessionId } = req.params;
+  const job = await getJob(sessionId);
+
+  if (!job || !(await findOwnSession(req, sessionId))) {
+    return res.status(404).json({
+      success: false,
+      error: 'Analysis not found or expired'
+    });
+  }
+
+  const sendEvent = openEventStream(res);
+
+  for (const stage of STAGES) {
+    if (job.stages[stage].status !== 'pending') sendEvent('stage', { stage, ...job.stages[stage] });
+  }
+  if (job.status !== 'running') {
+    sendEvent(job.status === 'complete' ? 'done' : 'failed', job.status === 'complete' ? job.result : job.error);
+    return res.end();
+  }
+
+  // Ending the response closes it, which stops the subscription
+  const unsubscribe = subscribe(sessionId, (event, data) => {
+    sendEvent(event, data);
+    if (event !== 'stage') res.end();
+  }, job);
+  res.on('close', unsubscribe);
+});
+
 // Phase 2: Handle follow-up questions
-app.post('/api/chat', validateSession, async (req, res) => {
-  console.log('\n========== CHAT REQUEST ==========');
-  
+app.post('/api/chat', requireDevice, limitUsage(), validateSession, async (req, res) => {
   try {
     const { message } = req.body;
     const { sessionId } = req;
@@ -193,11 +615,10 @@ app.post('/api/chat', validateSession, async (req, res) => {
       });
     }
 
-    console.log(`Session: ${sessionId}`);
-    console.log(`Question: ${message}`);
+    logger.info('Chat question received', { sessionId, question: message });
 
     // Get session data
-    const sessionData = getAnalysis(sessionId);
+    const sessionData = await getAnalysis(sessionId);
 
     if (!sessionData) {
       return res.status(404).json({
@@ -206,16 +627,25 @@ app.post('/api/chat', validateSession, async (req, res) => {
       });
     }
 
+    // Chat needs at least the label; research and verdict are optional context
+    if (!sessionData.analysis) {
+      return res.status(409).json({
+        success: false,
+        error: 'Analysis still in progress',
+        details: 'The label is still being read. Ask again in a moment.'
+      });
+    }
+
     // Add user message to history
-    addToConversationHistory(sessionId, 'user', message);
+    const withQuestion = await addToConversationHistory(sessionId, 'user', message);
 
     // Generate response
-    console.log('Generating AI response...');
     const followUpResult = await handleFollowUp(
       sessionData.analysis,
       sessionData.webInfo || {},
       message,
-      sessionData.conversationHistory || []
+      { history: withQuestion?.conversationHistory, memory: withQuestion?.memory },
+      sessionData.profile
     );
 
     if (!followUpResult.success) {
@@ -229,20 +659,19 @@ app.post('/api/chat', validateSession, async (req, res) => {
     const aiResponse = followUpResult.response;
 
     // Add AI response to history
-    addToConversationHistory(sessionId, 'assistant', aiResponse.answer);
-
-    console.log('✓ Response generated');
-    console.log('========== CHAT COMPLETE ==========\n');
+    const updated = await addToConversationHistory(sessionId, 'assistant', aiResponse.answer);
+    await recordChat(sessionId, 2);
 
     res.json({
       success: true,
       response: aiResponse.answer,
       suggestedQuestions: aiResponse.suggestedQuestions || [],
-      conversationHistory: sessionData.conversationHistory
+      conversationHistory: updated?.conversationHistory || []
     });
+    compactConversation(sessionId);
 
   } catch (error) {
-    console.error('❌ Error in /api/chat:', error);
+    logger.error('Error in /api/chat', { sessionId: req.sessionId, error });
     res.status(500).json({
       success: false,
       error: 'Failed to process message',
@@ -251,10 +680,276 @@ app.post('/api/chat', validateSession, async (req, res) => {
   }
 });
 
+// Phase 2, streamed: the answer is sent as Server-Sent Events while the model
+// writes it. `token` events carry { text }, then one `done` event carries
+// { response, suggestedQuestions, conversationHistory } (or `error` carries
+// { error, details }).
+app.post('/api/chat/stream', requireDevice, limitUsage(), validateSession, async (req, res) => {
+  const { message } = req.body || {};
+  const { sessionId } = req;
+
+  if (!message || typeof message !== 'string' || message.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Message is required and must be a non-empty string'
+    });
+  }
+
+  const sessionData = await getAnalysis(sessionId);
+  if (!sessionData) {
+    return res.status(404).json({
+      success: false,
+      error: 'Session not found or expired'
+    });
+  }
+
+  // Chat needs at least the label; research and verdict are optional context
+  if (!sessionData.analysis) {
+    return res.status(409).json({
+      success: false,
+      error: 'Analysis still in progress',
+      details: 'The label is still being read. Ask again in a moment.'
+    });
+  }
+
+  logger.info('Chat question received', { sessionId, question: message, stream: true });
+
+  const sendEvent = openEventStream(res);
+
+  // Stop generating (and paying for) an answer nobody is reading
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const followUpResult = await streamFollowUp(
+      sessionData.analysis,
+      sessionData.webInfo || {},
+      message,
+      { history: sessionData.conversationHistory, memory: sessionData.memory },
+      { signal: controller.signal, profile: sessionData.profile, onToken: text => sendEvent('token', { text }) }
+    );
+
+    // The question and its answer are recorded together, so a dropped
+    // connection never leaves a question in the history without a reply
+    if (followUpResult.aborted) {
+      if (followUpResult.partialAnswer) {
+        await addToConversationHistory(sessionId, 'user', message);
+        await addToConversationHistory(sessionId, 'assistant', followUpResult.partialAnswer, { interrupted: true });
+        await recordChat(sessionId, 2);
+        compactConversation(sessionId);
+      }
+      logger.info('Client disconnected before the answer was complete', { sessionId });
+      return;
+    }
+
+    if (!followUpResult.success) {
+      sendEvent('error', { error: followUpResult.error, details: followUpResult.details });
+      return res.end();
+    }
+
+    const aiResponse = followUpResult.response;
+    await addToConversationHistory(sessionId, 'user', message);
+    const updated = await addToConversationHistory(sessionId, 'assistant', aiResponse.answer);
+    await recordChat(sessionId, 2);
+
+    sendEvent('done', {
+      response: aiResponse.answer,
+      suggestedQuestions: aiResponse.suggestedQuestions || [],
+      conversationHistory: updated?.conversationHistory || []
+    });
+    res.end();
+    compactConversation(sessionId);
+
+  } catch (error) {
+    logger.error('Error in /api/chat/stream', { sessionId, error });
+    sendEvent('error', { error: 'Failed to process message', details: error.message });
+    res.end();
+  }
+});
+
+// ==================== COMPARISON ====================
+
+// Compare products the user has scanned: { sessionIds: [...] }. Nutrients,
+// allergens, additives, scores and diets come from the labels; the model
+// explains the trade-offs. Each product is also checked against the device's
+// health profile, if it has one.
+app.post('/api/compare', requireDevice, limitUsage(), async (req, res) => {
+  try {
+    const { sessionIds } = req.body || {};
+
+    if (!Array.isArray(sessionIds) || sessionIds.some(id => typeof id !== 'string' || !id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'sessionIds must be a list of session IDs'
+      });
+    }
+    const uniqueIds = [...new Set(sessionIds)];
+    if (uniqueIds.length < MIN_PRODUCTS || uniqueIds.length > MAX_PRODUCTS) {
+      return res.status(400).json({
+        success: false,
+        error: `Compare between ${MIN_PRODUCTS} and ${MAX_PRODUCTS} different products`
+      });
+    }
+
+    const found = await Promise.all(uniqueIds.map(async sessionId => ({ sessionId, session: await findOwnSession(req, sessionId) })));
+    const missing = found.filter(({ session }) => !session).map(({ sessionId }) => sessionId);
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found or expired',
+        details: missing
+      });
+    }
+    const pending = found.filter(({ session }) => !session.analysis).map(({ sessionId }) => sessionId);
+    if (pending.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Analysis still in progress',
+        details: pending
+      });
+    }
+
+    const profile = getProfile(req.deviceId);
+    const comparison = compareProducts(found.map(({ sessionId, session }) => ({ sessionId, ...session })), profile);
+    logger.info('Comparing products', { sessionIds: comparison.products.map(product => product.sessionId) });
+
+    const { explanation, fallback } = await explainComparison(comparison, profile);
+
+    res.json({
+      success: true,
+      comparison,
+      explanation,
+      ...(fallback && { fallback: true })
+    });
+
+  } catch (error) {
+    logger.error('Error in /api/compare', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare products',
+      details: error.message
+    });
+  }
+});
+
+// ==================== SCAN HISTORY ====================
+
+// Past scans, newest first: ?q= searches product names, brands and
+// ingredients; ?limit= and ?offset= page through them
+app.get('/api/history', requireDevice, (req, res) => {
+  const { total, scans } = listScans(req.deviceId, {
+    query: req.query.q || '',
+    limit: req.query.limit,
+    offset: req.query.offset
+  });
+  res.json({ success: true, total, scans });
+});
+
+// Everything saved for one scan: analysis, report and chat transcript
+app.get('/api/history/:scanId', requireDevice, (req, res) => {
+  const scan = getScan(req.deviceId, req.params.scanId);
+
+  if (!scan) {
+    return res.status(404).json({
+      success: false,
+      error: 'Scan not found'
+    });
+  }
+
+  res.json({ success: true, scan });
+});
+
+// Bring a past scan back as a live session so chat can carry on where it
+// left off. The scan ID doubles as the session ID.
+app.post('/api/history/:scanId/open', requireDevice, limitUsage(), async (req, res) => {
+  const { scanId } = req.params;
+  const scan = getScan(req.deviceId, scanId);
+
+  if (!scan) {
+    return res.status(404).json({
+      success: false,
+      error: 'Scan not found'
+    });
+  }
+
+  const live = await getAnalysis(scanId);
+  if (live && live.ownerId !== req.deviceId) {
+    return res.status(409).json({
+      success: false,
+      error: 'Scan is open on another device',
+      details: 'Close it there or wait for its session to expire'
+    });
+  }
+
+  if (!live) {
+    // The transcript is replayed so the model gets the same recent messages,
+    // stated facts and summary a live session would have built
+    const { history, memory } = replayConversation(scan.conversation);
+    await storeAnalysis(scanId, scan.analysis, scan.webInfo, scan.formattedData, scan.source);
+    await updateSession(scanId, {
+      profile: getProfile(req.deviceId),
+      ownerId: req.deviceId,
+      conversationHistory: history,
+      memory
+    });
+    logger.info('Session reopened from history', { sessionId: scanId, messages: scan.conversation.length });
+    compactConversation(scanId);
+  }
+
+  res.json({
+    success: true,
+    sessionId: scanId,
+    source: scan.source,
+    data: scan.formattedData,
+    conversation: scan.conversation
+  });
+});
+
+app.delete('/api/history/:scanId', requireDevice, (req, res) => {
+  const deleted = deleteScan(req.deviceId, req.params.scanId);
+  res.json({ success: true, deleted });
+});
+
+// ==================== HEALTH PROFILE ====================
+
+// The choices a profile can hold, for building the profile form
+app.get('/api/profile/options', (req, res) => {
+  res.json({ success: true, options: profileOptions() });
+});
+
+app.get('/api/profile', requireDevice, (req, res) => {
+  const profile = getProfile(req.deviceId);
+  res.json({ success: true, profile: profile || emptyProfile(), saved: Boolean(profile) });
+});
+
+// Replace the profile: { allergies, intolerances, diets, conditions, goals, notes }
+app.put('/api/profile', requireDevice, (req, res) => {
+  const { profile, errors } = normalizeProfile(req.body);
+
+  if (errors) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid profile',
+      details: errors
+    });
+  }
+
+  saveProfile(req.deviceId, profile);
+  logger.info('Profile saved', { deviceId: req.deviceId });
+  res.json({ success: true, profile, saved: true });
+});
+
+app.delete('/api/profile', requireDevice, (req, res) => {
+  const deleted = deleteProfile(req.deviceId);
+  res.json({ success: true, deleted });
+});
+
 // Get session information
-app.get('/api/session/:sessionId', (req, res) => {
+app.get('/api/session/:sessionId', requireDevice, async (req, res) => {
   const { sessionId } = req.params;
-  const sessionData = getAnalysis(sessionId);
+  const sessionData = await findOwnSession(req, sessionId);
 
   if (!sessionData) {
     return res.status(404).json({
@@ -268,16 +963,23 @@ app.get('/api/session/:sessionId', (req, res) => {
     data: {
       hasAnalysis: !!sessionData.analysis,
       hasWebInfo: !!sessionData.webInfo,
+      source: sessionData.source,
       messageCount: sessionData.conversationHistory?.length || 0,
-      productName: sessionData.analysis?.productName || 'Unknown'
+      productName: sessionData.analysis?.productName || 'Unknown',
+      memory: sessionData.memory && {
+        facts: sessionData.memory.facts,
+        summary: sessionData.memory.summary,
+        summarizedCount: sessionData.memory.summarizedCount,
+        pendingCount: sessionData.memory.older.length
+      }
     }
   });
 });
 
 // Delete session
-app.delete('/api/session/:sessionId', (req, res) => {
+app.delete('/api/session/:sessionId', requireDevice, async (req, res) => {
   const { sessionId } = req.params;
-  const deleted = deleteSession(sessionId);
+  const deleted = Boolean(await findOwnSession(req, sessionId)) && await deleteSession(sessionId);
 
   res.json({
     success: deleted,
@@ -285,19 +987,36 @@ app.delete('/api/session/:sessionId', (req, res) => {
   });
 });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
+// Health check endpoint. Session IDs are only listed for the admin token
+// (Authorization: Bearer <ADMIN_TOKEN>); everyone else gets the counts.
+app.get('/api/health', async (req, res) => {
+  const bearer = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
   res.json({
     success: true,
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    sessions: getSessionStats()
+    sessions: await getSessionStats({ details: isAdminToken(bearer) }),
+    cache: getCacheStats(),
+    usage: getUsageStats()
   });
 });
 
+// Prometheus metrics: model calls (tokens, latency, outcome and estimated cost
+// by pipeline stage) and requests per route
+app.get('/metrics', (req, res) => {
+  if (!canReadMetrics(req)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      details: 'Send Authorization: Bearer <METRICS_TOKEN>; without METRICS_TOKEN set, metrics are only served to this machine'
+    });
+  }
+  res.type(CONTENT_TYPE).send(renderMetrics());
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('❌ Unhandled error:', err);
+  logger.error('Unhandled error', { error: err });
   
   if (err instanceof multer.MulterError) {
     return res.status(400).json({
@@ -310,7 +1029,8 @@ app.use((err, req, res, next) => {
   res.status(500).json({
     success: false,
     error: 'Internal server error',
-    details: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
+    details: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong',
+    requestId: req.id
   });
 });
 
@@ -324,15 +1044,16 @@ app.use((req, res) => {
 
 // Start server
 app.listen(PORT, () => {
-  console.log('\n🚀 Health Buddy Server Started');
-  console.log('================================');
-  console.log(`Port: ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log('\n📍 Available Endpoints:');
-  console.log('  POST   /api/analyze       - Analyze food label');
-  console.log('  POST   /api/chat          - Ask follow-up questions');
-  console.log('  GET    /api/session/:id   - Get session info');
-  console.log('  DELETE /api/session/:id   - Delete session');
-  console.log('  GET    /api/health        - Health check');
-  console.log('================================\n');
+  logger.info('Health Buddy server started', {
+    port: Number(PORT),
+    environment: process.env.NODE_ENV || 'development',
+    endpoints: [
+      'POST /api/analyze',
+      'POST /api/chat',
+      'GET /api/session/:id',
+      'DELETE /api/session/:id',
+      'GET /api/health',
+      'GET /metrics'
+    ]
+  });
 });
\ No newline at end of file
@@ -1,109 +1,105 @@
-// In-memory session storage
-// In production, you should use Redis or a database
-const sessions = new Map();
+// Session storage, backed by the store picked with SESSION_STORE (see
+// shared/sessionStore.js). Every call is async so a shared store can sit behind it.
+// A session expires after SESSION_TTL_SECONDS (default 30 minutes) without use.
+const path = require('path');
+const { createSessionStore, TTL_MS } = require('@health/shared/sessionStore');
+const { emptyMemory, appendMessage } = require('./conversationMemory');
+const { logger } = require('@health/shared/logger');
 
-// Session timeout: 30 minutes
-const SESSION_TIMEOUT = 30 * 60 * 1000;
+const store = createSessionStore({
+  dbPath: path.join(__dirname, 'data', 'sessions.db'),
+  redisPrefix: 'healthbuddy:session:'
+});
 
-// Clean up expired sessions every 5 minutes
-setInterval(() => {
-  const now = Date.now();
-  for (const [sessionId, session] of sessions.entries()) {
-    if (now - session.lastAccessed > SESSION_TIMEOUT) {
-      sessions.delete(sessionId);
-      console.log(`Session ${sessionId} expired and removed`);
-    }
-  }
-}, 5 * 60 * 1000);
-
-function storeAnalysis(sessionId, analysis, webInfo = null, formattedData = null) {
+// `source` records where the product data came from: { type: 'catalog' | 'label-image', barcode }
+async function storeAnalysis(sessionId, analysis, webInfo = null, formattedData = null, source = null) {
   const session = {
     analysis,
     webInfo,
     formattedData,
+    source,
     conversationHistory: [],
-    createdAt: Date.now(),
-    lastAccessed: Date.now()
+    // Summary, stated facts and messages too old for conversationHistory (see conversationMemory.js)
+    memory: emptyMemory(),
+    createdAt: Date.now()
   };
-  
-  sessions.set(sessionId, session);
-  console.log(`Session ${sessionId} created/updated`);
-  
-  return session;
+
+  await store.set(sessionId, session);
+  logger.info('Session created', { sessionId });
+
+  return { ...session, lastAccessed: session.createdAt };
 }
 
-function getAnalysis(sessionId) {
-  const session = sessions.get(sessionId);
-  
-  if (!session) {
+// Reading a session counts as using it and pushes its expiry back
+async function getAnalysis(sessionId) {
+  const entry = await store.get(sessionId);
+  if (!entry) {
     return null;
   }
-  
-  // Update last accessed time
-  session.lastAccessed = Date.now();
-  sessions.set(sessionId, session);
-  
-  return session;
+
+  return { ...entry.session, lastAccessed: entry.expiresAt - TTL_MS };
 }
 
-function updateSession(sessionId, updates) {
-  const session = sessions.get(sessionId);
-  
-  if (!session) {
-    return null;
-  }
-  
-  // Merge updates
-  Object.assign(session, updates);
-  session.lastAccessed = Date.now();
-  sessions.set(sessionId, session);
-  
-  return session;
+// Change a stored session with `change(session)`, which returns the new one.
+// Runs against the stored session as it is now, so concurrent changes aren't lost.
+async function changeSession(sessionId, change) {
+  const entry = await store.update(sessionId, change);
+  return entry && { ...entry.session, lastAccessed: entry.expiresAt - TTL_MS };
 }
 
-function addToConversationHistory(sessionId, role, content) {
-  const session = sessions.get(sessionId);
-  
-  if (!session) {
-    return null;
-  }
-  
-  session.conversationHistory.push({
-    role,
-    content,
-    timestamp: Date.now()
+// `updates` is an object to merge in, or a function of the current session
+// returning one, for updates that depend on what the session holds by then
+async function updateSession(sessionId, updates) {
+  return changeSession(sessionId, session => ({
+    ...session,
+    ...(typeof updates === 'function' ? updates(session) : updates)
+  }));
+}
+
+// `extra` is merged into the entry, e.g. { interrupted: true } for a reply cut short.
+// Messages that no longer fit in conversationHistory move to the session's memory.
+async function addToConversationHistory(sessionId, role, content, extra = {}) {
+  return changeSession(sessionId, session => {
+    const { history, memory } = appendMessage(
+      { history: session.conversationHistory, memory: session.memory },
+      { role, content, ...extra, timestamp: Date.now() }
+    );
+    return { ...session, conversationHistory: history, memory };
   });
-  
-  // Keep only last 10 messages to prevent memory issues
-  if (session.conversationHistory.length > 10) {
-    session.conversationHistory = session.conversationHistory.slice(-10);
-  }
-  
-  session.lastAccessed = Date.now();
-  sessions.set(sessionId, session);
-  
-  return session;
 }
 
-function hasSession(sessionId) {
-  return sessions.has(sessionId);
+// Doesn't count as using the session
+async function hasSession(sessionId) {
+  return store.has(sessionId);
 }
 
-function deleteSession(sessionId) {
-  const deleted = sessions.delete(sessionId);
+async function deleteSession(sessionId) {
+  const deleted = await store.delete(sessionId);
   if (deleted) {
-    console.log(`Session ${sessionId} deleted`);
+    logger.info('Session deleted', { sessionId });
   }
   return deleted;
 }
 
-function getSessionStats() {
+// Session IDs and owners are only listed with `details`, for admins; without
+// it the store only counts its sessions instead of reading every one
+async function getSessionStats({ details = false } = {}) {
+  const stats = {
+    store: store.name,
+    ttlSeconds: TTL_MS / 1000
+  };
+  if (!details) return { ...stats, totalSessions: await store.count() };
+
+  const entries = await store.list();
   return {
-    totalSessions: sessions.size,
-    sessions: Array.from(sessions.entries()).map(([id, session]) => ({
+    ...stats,
+    totalSessions: entries.length,
+    sessions: entries.map(({ id, session, expiresAt }) => ({
       id,
+      ownerId: session.ownerId || null,
       createdAt: new Date(session.createdAt).toISOString(),
-      lastAccessed: new Date(session.lastAccessed).toISOString(),
+      lastAccessed: new Date(expiresAt - TTL_MS).toISOString(),
+      expiresAt: new Date(expiresAt).toISOString(),
       messageCount: session.conversationHistory.length
     }))
   };
@@ -117,4 +113,4 @@ module.exports = {
   hasSession,
   deleteSession,
   getSessionStats
-};
\ No newline at end of file
+};
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.SESSION_STORE = 'memory';
+
+const { RECENT_MESSAGES } = require('./conversationMemory');
+const { storeAnalysis, getAnalysis, updateSession, addToConversationHistory, deleteSession, getSessionStats } = require('./sessionManager');
+
+test('moves chat that falls out of the history into the session memory', async () => {
+  await storeAnalysis('hb-1', { productName: 'Oat Bar' });
+  await addToConversationHistory('hb-1', 'user', "I'm lactose intolerant. Is this ok?");
+  for (let i = 1; i <= RECENT_MESSAGES; i++) {
+    await addToConversationHistory('hb-1', i % 2 ? 'assistant' : 'user', `Message ${i}`);
+  }
+
+  const { conversationHistory, memory } = await getAnalysis('hb-1');
+  assert.equal(conversationHistory.length, RECENT_MESSAGES);
+  assert.equal(conversationHistory[0].content, 'Message 1');
+  assert.deepEqual(memory.older.map(message => message.content), ["I'm lactose intolerant. Is this ok?"]);
+  assert.deepEqual(memory.facts.map(fact => fact.value), ['lactose']);
+});
+
+test('keeps every message and update made at the same time', async () => {
+  await storeAnalysis('hb-2', { productName: 'Rice Cake' });
+  await Promise.all([
+    addToConversationHistory('hb-2', 'user', 'Is this gluten free?'),
+    addToConversationHistory('hb-2', 'assistant', 'Yes, it is.'),
+    updateSession('hb-2', session => ({ memory: { ...session.memory, summary: 'Asked about gluten' } }))
+  ]);
+
+  const { conversationHistory, memory } = await getAnalysis('hb-2');
+  assert.deepEqual(conversationHistory.map(message => message.content), ['Is this gluten free?', 'Yes, it is.']);
+  assert.equal(memory.summary, 'Asked about gluten');
+  await deleteSession('hb-2');
+});
+
+test('lists session IDs and owners only when details are asked for', async () => {
+  assert.equal((await getSessionStats()).sessions, undefined);
+
+  await updateSession('hb-1', { ownerId: 'device-1' });
+  const { totalSessions, sessions } = await getSessionStats({ details: true });
+  assert.equal(totalSessions, 1);
+  assert.deepEqual(sessions.map(session => [session.id, session.ownerId, session.messageCount]), [['hb-1', 'device-1', RECENT_MESSAGES]]);
+
+  assert.equal(await deleteSession('hb-1'), true);
+  assert.equal((await getSessionStats()).totalSessions, 0);
+});
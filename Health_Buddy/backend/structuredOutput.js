@@ -0,0 +1,211 @@
+const Ajv = require('ajv');
+const { getProvider } = require('./providers');
+const { logger } = require('@health/shared/logger');
+
+// Model output is checked as it came back; defaults are only filled in once it
+// has passed, so a reply that leaves out required fields can't validate
+const ajv = new Ajv({
+  allErrors: true,
+  coerceTypes: true
+});
+
+// Fills defaults for null and "" as well as missing fields
+const defaultsAjv = new Ajv({ useDefaults: 'empty' });
+
+const validators = new WeakMap();
+const defaultFillers = new WeakMap();
+
+function compiled(cache, instance, schema) {
+  if (!cache.has(schema)) {
+    cache.set(schema, instance.compile(schema));
+  }
+  return cache.get(schema);
+}
+
+const getValidator = schema => compiled(validators, ajv, schema);
+
+// Pull a JSON document out of a model reply, tolerating ```json fences and
+// chatter before or after the object
+function parseJson(content) {
+  if (typeof content !== 'string') {
+    throw new Error('Model response is not text');
+  }
+
+  const unfenced = content.replace(/```(?:json)?\s*([\s\S]*?)```/i, '$1').trim();
+
+  try {
+    return JSON.parse(unfenced);
+  } catch (error) {
+    const start = unfenced.indexOf('{');
+    const end = unfenced.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      return JSON.parse(unfenced.slice(start, end + 1));
+    }
+    throw error;
+  }
+}
+
+const typesOf = schema => [].concat(schema.type || []);
+
+// Repair the drift models produce most often before Ajv sees the data:
+// "190 kcal" for a number, 7 for a string, "Soy" for a list, "Buy" for "buy"
+function coerceToSchema(schema, value) {
+  if (!schema || value === undefined || value === null) {
+    return value;
+  }
+
+  const types = typesOf(schema);
+
+  if (schema.enum && typeof value === 'string') {
+    const match = schema.enum.find(option => String(option).toLowerCase() === value.trim().toLowerCase());
+    return match !== undefined ? match : value;
+  }
+
+  if (types.includes('object') && typeof value === 'object' && !Array.isArray(value)) {
+    const properties = schema.properties || {};
+    for (const key of Object.keys(value)) {
+      const propertySchema = properties[key] ||
+        (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+      if (propertySchema) {
+        value[key] = coerceToSchema(propertySchema, value[key]);
+      }
+    }
+    return value;
+  }
+
+  if (types.includes('array')) {
+    if (!Array.isArray(value)) {
+      value = typeof value === 'string' && value.trim() === '' ? [] : [value];
+    }
+    return value.map(item => coerceToSchema(schema.items, item));
+  }
+
+  if ((types.includes('number') || types.includes('integer')) && typeof value === 'string') {
+    const match = value.replace(/(\d),(?=\d{3}\b)/g, '$1').match(/-?\d+(?:\.\d+)?/);
+    if (match) {
+      const number = parseFloat(match[0]);
+      return types.includes('integer') ? Math.round(number) : number;
+    }
+    return types.includes('null') ? null : value;
+  }
+
+  if (types.includes('string') && (typeof value === 'number' || typeof value === 'boolean')) {
+    return String(value);
+  }
+
+  return value;
+}
+
+// Keys of `data` that only `branch` declares, e.g. productName for the label
+// shape of labelAnalysisSchema
+function ownKeyCount(branches, branch, data) {
+  if (!data || typeof data !== 'object') return 0;
+  const declares = (schema, key) => Boolean(schema.properties && key in schema.properties);
+  return Object.keys(data)
+    .filter(key => declares(branch, key) && !branches.some(other => other !== branch && declares(other, key)))
+    .length;
+}
+
+// A schema with `oneOf` lists alternative reply shapes (a label, or an error
+// reply); they must not overlap, so the first one the data matches is the one
+function validate(schema, data) {
+  const branches = schema.oneOf || [schema];
+  let failed = null;
+
+  for (const branch of branches) {
+    const coerced = coerceToSchema(branch, structuredClone(data));
+    const validator = getValidator(branch);
+
+    if (validator(coerced)) {
+      compiled(defaultFillers, defaultsAjv, branch)(coerced);
+      return { valid: true, data: coerced, errors: [] };
+    }
+
+    const errors = validator.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+    // Report the shape the reply meant: the one whose own fields it uses most,
+    // then the one it came closest to
+    const candidate = { valid: false, data: coerced, errors, ownKeys: ownKeyCount(branches, branch, data) };
+    if (!failed || candidate.ownKeys > failed.ownKeys ||
+      (candidate.ownKeys === failed.ownKeys && errors.length < failed.errors.length)) {
+      failed = candidate;
+    }
+  }
+
+  const { ownKeys, ...result } = failed;
+  return result;
+}
+
+function parseAndValidate(schema, content) {
+  let data;
+  try {
+    data = parseJson(content);
+  } catch (error) {
+    return { valid: false, data: null, errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+  return validate(schema, data);
+}
+
+function buildRepairMessages({ instructions, schema, content, errors }) {
+  return [
+    {
+      role: 'system',
+      content: 'You correct JSON documents so they conform to a JSON Schema. Respond with the corrected JSON object only, with no commentary or code fences.'
+    },
+    {
+      role: 'user',
+      content: [
+        instructions ? `The original instructions were:\n${instructions}` : null,
+        `Required JSON Schema:\n${JSON.stringify(schema)}`,
+        `Your previous response:\n${content}`,
+        `It failed validation with these errors:\n${errors.map(error => `- ${error}`).join('\n')}`,
+        'Return the corrected JSON object. Keep every value that was already valid.'
+      ].filter(Boolean).join('\n\n')
+    }
+  ];
+}
+
+/**
+ * Run a model call and validate its JSON reply against `schema`. If the reply
+ * doesn't parse or validate, send the model one repair request with the
+ * validation errors before giving up.
+ *
+ * `request` performs the original call and resolves to a provider result;
+ * `instructions` is the original prompt, repeated in the repair request.
+ *
+ * Resolves to { success, data, repaired }, or { success: false, errors, content }
+ * where `content` is the model's original reply.
+ */
+async function completeStructured({ task, schema, request, instructions, maxTokens = 1500 }) {
+  const response = await request();
+  const { content } = response;
+
+  let result = parseAndValidate(schema, content);
+  if (result.valid) {
+    return { success: true, data: result.data, repaired: false };
+  }
+
+  logger.warn('Structured output failed validation, requesting repair', { task, errors: result.errors });
+
+  const repair = await getProvider().chat({
+    task,
+    messages: buildRepairMessages({ instructions, schema, content, errors: result.errors }),
+    maxTokens,
+    temperature: 0
+  });
+
+  result = parseAndValidate(schema, repair.content);
+  if (result.valid) {
+    logger.info('Structured output repaired', { task });
+    return { success: true, data: result.data, repaired: true };
+  }
+
+  logger.error('Structured output still invalid after repair', { task, errors: result.errors });
+  return { success: false, errors: result.errors, content };
+}
+
+module.exports = {
+  parseJson,
+  coerceToSchema,
+  validate,
+  completeStructured
+};
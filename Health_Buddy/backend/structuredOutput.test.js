@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'silent';
+
+const { parseJson, validate, completeStructured } = require('./structuredOutput');
+const { setProvider } = require('./providers');
+const schemas = require('./schemas');
+
+const label = {
+  productName: 'Oat Bar',
+  ingredients: ['oats', 'honey'],
+  nutritionFacts: { calories: 190, sodium: '95mg' }
+};
+
+test('parses JSON wrapped in code fences or chatter', () => {
+  assert.deepEqual(parseJson('```json\n{"answer": "Yes"}\n```'), { answer: 'Yes' });
+  assert.deepEqual(parseJson('Here you go: {"answer": "Yes"} Hope that helps'), { answer: 'Yes' });
+  assert.throws(() => parseJson('no json here'));
+});
+
+test('rejects label replies that leave out required fields', () => {
+  for (const reply of [{}, { productName: 'Oat Bar' }, { isError: false }, { isError: true }, { error: 'Unreadable' }]) {
+    const result = validate(schemas.labelAnalysisSchema, reply);
+    assert.equal(result.valid, false, JSON.stringify(reply));
+    assert.ok(result.errors.length > 0);
+  }
+});
+
+test('reports the errors of the shape the reply was going for', () => {
+  // Fewer errors against the error shape, but this is a label with fields missing
+  const partialLabel = validate(schemas.labelAnalysisSchema, { brandName: 'Good Grains' });
+  assert.equal(partialLabel.valid, false);
+  assert.ok(partialLabel.errors.includes("/ must have required property 'productName'"));
+  assert.ok(!partialLabel.errors.some(error => /'isError'|'error'/.test(error)));
+
+  const partialError = validate(schemas.labelAnalysisSchema, { error: 'Blurry photo' });
+  assert.deepEqual(partialError.errors, ["/ must have required property 'isError'"]);
+});
+
+test('accepts an error reply only in its own shape', () => {
+  const result = validate(schemas.labelAnalysisSchema, { error: 'Not a food label', isError: true });
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.data, { error: 'Not a food label', isError: true });
+
+  // A label that also claims to be an error is neither shape
+  assert.equal(validate(schemas.labelAnalysisSchema, { ...label, isError: true }).valid, false);
+  assert.equal(validate(schemas.labelAnalysisSchema, { isError: true, error: '' }).valid, false);
+});
+
+test('fills defaults only after a label reply has validated', () => {
+  const result = validate(schemas.labelAnalysisSchema, label);
+  assert.equal(result.valid, true);
+  assert.equal(result.data.isError, false);
+  assert.deepEqual(result.data.allergens, []);
+  assert.deepEqual(result.data.fieldConfidence, {});
+  assert.equal(result.data.brandName, '');
+});
+
+test('coerces the usual drift before validating', () => {
+  const result = validate(schemas.labelAnalysisSchema, {
+    productName: 7,
+    ingredients: 'oats',
+    nutritionFacts: { calories: '1,190 kcal' },
+    isError: 'false'
+  });
+  assert.equal(result.valid, true);
+  assert.equal(result.data.productName, '7');
+  assert.deepEqual(result.data.ingredients, ['oats']);
+  assert.equal(result.data.nutritionFacts.calories, 1190);
+
+  const verdict = validate(schemas.formattedReportSchema, {
+    formatted: {
+      quickVerdict: { recommendation: ' Buy', title: 'Good pick', summary: 'Low sugar' },
+      overview: { productName: 'Oat Bar' }
+    }
+  });
+  assert.equal(verdict.valid, true);
+  assert.equal(verdict.data.formatted.quickVerdict.recommendation, 'buy');
+});
+
+test('rejects empty or missing answers and unknown verdicts', () => {
+  assert.equal(validate(schemas.followUpSchema, {}).valid, false);
+  assert.equal(validate(schemas.followUpSchema, { answer: '' }).valid, false);
+  assert.equal(validate(schemas.followUpSchema, { answer: null }).valid, false);
+  assert.equal(validate(schemas.comparisonSchema, { tradeoffs: ['price'] }).valid, false);
+  assert.equal(validate(schemas.formattedReportSchema, {
+    formatted: {
+      quickVerdict: { recommendation: 'maybe', title: 'Hmm', summary: 'Unsure' },
+      overview: { productName: 'Oat Bar' }
+    }
+  }).valid, false);
+});
+
+test('every stub fixture matches the schema of its task', () => {
+  const fixtures = path.join(__dirname, 'providers', 'fixtures');
+  const schemaOf = {
+    extract: schemas.labelAnalysisSchema,
+    research: schemas.webInfoSchema,
+    summarize: schemas.formattedReportSchema,
+    followUp: schemas.followUpSchema,
+    compare: schemas.comparisonSchema,
+    summarizeConversation: schemas.conversationSummarySchema
+  };
+
+  for (const [task, schema] of Object.entries(schemaOf)) {
+    const fixture = JSON.parse(fs.readFileSync(path.join(fixtures, `${task}.json`), 'utf8'));
+    const result = validate(schema, fixture);
+    assert.equal(result.valid, true, `${task}: ${result.errors.join('; ')}`);
+  }
+});
+
+test('asks the model to repair an invalid reply once', async () => {
+  const repairRequests = [];
+  setProvider({
+    name: 'stub',
+    models: { chat: 'stub', vision: 'stub', tts: 'stub' },
+    chat: async options => {
+      repairRequests.push(options);
+      return { content: '{"answer": "Yes, in moderation."}' };
+    }
+  });
+
+  const result = await completeStructured({
+    task: 'followUp',
+    schema: schemas.followUpSchema,
+    instructions: 'Answer the question',
+    request: async () => ({ content: '{"reply": "Yes"}' })
+  });
+
+  assert.deepEqual(result, { success: true, data: { answer: 'Yes, in moderation.', suggestedQuestions: [] }, repaired: true });
+  assert.equal(repairRequests.length, 1);
+  assert.match(repairRequests[0].messages[1].content, /must have required property 'answer'/);
+});
+
+test('gives up when the repaired reply is still invalid', async () => {
+  setProvider({
+    name: 'stub',
+    models: { chat: 'stub', vision: 'stub', tts: 'stub' },
+    chat: async () => ({ content: '{}' })
+  });
+
+  const result = await completeStructured({
+    task: 'extract',
+    schema: schemas.labelAnalysisSchema,
+    request: async () => ({ content: 'I cannot read this label' })
+  });
+
+  assert.equal(result.success, false);
+  assert.equal(result.content, 'I cannot read this label');
+  assert.ok(result.errors.length > 0);
+});
@@ -0,0 +1,148 @@
+// EAN/UPC barcodes: check-digit validation for typed codes and decoding from
+// an uploaded photo. Codes are normalized to a GTIN (13 digits, or 8 for
+// EAN-8) so "036000291452" and "0036000291452" look up the same product.
+
+const sharp = require('sharp');
+const {
+  MultiFormatReader,
+  BarcodeFormat,
+  DecodeHintType,
+  RGBLuminanceSource,
+  BinaryBitmap,
+  HybridBinarizer,
+  NotFoundException
+} = require('@zxing/library');
+
+// Barcodes are still readable at this width, and decoding is much faster
+const DECODE_MAX_WIDTH = 1600;
+
+const reader = new MultiFormatReader();
+reader.setHints(new Map([
+  [DecodeHintType.POSSIBLE_FORMATS, [BarcodeFormat.EAN_13, BarcodeFormat.EAN_8, BarcodeFormat.UPC_A, BarcodeFormat.UPC_E]],
+  [DecodeHintType.TRY_HARDER, true]
+]));
+
+const FORMAT_NAMES = {
+  [BarcodeFormat.EAN_13]: 'EAN-13',
+  [BarcodeFormat.EAN_8]: 'EAN-8',
+  [BarcodeFormat.UPC_A]: 'UPC-A',
+  [BarcodeFormat.UPC_E]: 'UPC-E'
+};
+
+// GS1 check digit: weights 3 and 1 alternate from the right of the body
+function checkDigit(body) {
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    const weight = (body.length - i) % 2 === 1 ? 3 : 1;
+    sum += Number(body[i]) * weight;
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+function hasValidCheckDigit(digits) {
+  return checkDigit(digits.slice(0, -1)) === Number(digits[digits.length - 1]);
+}
+
+// Expand a zero-suppressed UPC-E code to its 12-digit UPC-A form
+function expandUpcE(code) {
+  const [system, d1, d2, d3, d4, d5, d6, check] = code;
+  let body;
+  if ('012'.includes(d6)) body = `${d1}${d2}${d6}0000${d3}${d4}${d5}`;
+  else if (d6 === '3') body = `${d1}${d2}${d3}00000${d4}${d5}`;
+  else if (d6 === '4') body = `${d1}${d2}${d3}${d4}00000${d5}`;
+  else body = `${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+  return `${system}${body}${check}`;
+}
+
+/**
+ * Validate a barcode and normalize it to a GTIN.
+ * Returns { valid, gtin, format } or { valid: false, error }.
+ */
+function normalizeBarcode(input, formatHint = null) {
+  const digits = String(input || '').replace(/[\s-]/g, '');
+
+  if (!/^\d+$/.test(digits)) {
+    return { valid: false, error: 'Barcode must contain only digits' };
+  }
+
+  if (digits.length === 8) {
+    if (formatHint !== 'UPC-E' && hasValidCheckDigit(digits)) {
+      return { valid: true, gtin: digits, format: 'EAN-8' };
+    }
+    if ('01'.includes(digits[0])) {
+      const upcA = expandUpcE(digits);
+      if (hasValidCheckDigit(upcA)) {
+        return { valid: true, gtin: `0${upcA}`, format: 'UPC-E' };
+      }
+    }
+    return { valid: false, error: 'Invalid check digit' };
+  }
+
+  if (digits.length === 12 || digits.length === 13) {
+    if (!hasValidCheckDigit(digits)) {
+      return { valid: false, error: 'Invalid check digit' };
+    }
+    return {
+      valid: true,
+      gtin: digits.padStart(13, '0'),
+      format: digits.length === 12 ? 'UPC-A' : 'EAN-13'
+    };
+  }
+
+  // GTIN-14 shipping codes wrap a retail GTIN-13 behind an indicator digit.
+  // The check digit covers the indicator, so the retail one is recomputed.
+  if (digits.length === 14 && hasValidCheckDigit(digits)) {
+    const body = digits.slice(1, -1);
+    return { valid: true, gtin: `${body}${checkDigit(body)}`, format: 'GTIN-14' };
+  }
+
+  return { valid: false, error: `Unsupported barcode length (${digits.length} digits)` };
+}
+
+function decodeLuminance(data, width, height) {
+  const source = new RGBLuminanceSource(new Uint8ClampedArray(data), width, height);
+  try {
+    return reader.decode(new BinaryBitmap(new HybridBinarizer(source)));
+  } catch (error) {
+    if (error instanceof NotFoundException || error.name === 'NotFoundException') {
+      return null;
+    }
+    throw error;
+  } finally {
+    reader.reset();
+  }
+}
+
+/**
+ * Look for an EAN/UPC barcode in an image buffer. Tries the photo as taken and
+ * rotated by 90° (barcodes on the side of a pack). Resolves to
+ * { gtin, format, raw } or null when no valid barcode is found.
+ */
+async function decodeBarcode(imageBuffer) {
+  for (const angle of [0, 90]) {
+    let image = sharp(imageBuffer).autoOrient();
+    if (angle) image = image.rotate(angle);
+
+    const { data, info } = await image
+      .resize({ width: DECODE_MAX_WIDTH, withoutEnlargement: true })
+      .greyscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const result = decodeLuminance(data, info.width, info.height);
+    if (!result) continue;
+
+    const format = FORMAT_NAMES[result.getBarcodeFormat()];
+    const normalized = normalizeBarcode(result.getText(), format);
+    if (normalized.valid) {
+      return { gtin: normalized.gtin, format, raw: result.getText() };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  normalizeBarcode,
+  decodeBarcode
+};
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+
+const { normalizeBarcode, decodeBarcode } = require('./barcode');
+
+const L_CODES = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const R_CODES = L_CODES.map(code => code.replace(/./g, bit => (bit === '1' ? '0' : '1')));
+const G_CODES = R_CODES.map(code => [...code].reverse().join(''));
+const PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// Draws an EAN-13 barcode as a PNG, with quiet zones on both sides
+async function renderEan13(code, { moduleWidth = 4, height = 200 } = {}) {
+  const digits = [...code].map(Number);
+  const parity = PARITY[digits[0]];
+  let bits = '101';
+  for (let i = 1; i <= 6; i++) bits += (parity[i - 1] === 'L' ? L_CODES : G_CODES)[digits[i]];
+  bits += '01010';
+  for (let i = 7; i <= 12; i++) bits += R_CODES[digits[i]];
+  bits += '101';
+  bits = '0'.repeat(12) + bits + '0'.repeat(12);
+
+  const width = bits.length * moduleWidth;
+  const pixels = Buffer.alloc(width * height, 255);
+  for (let x = 0; x < width; x++) {
+    if (bits[Math.floor(x / moduleWidth)] !== '1') continue;
+    for (let y = 0; y < height; y++) pixels[y * width + x] = 0;
+  }
+
+  return sharp(pixels, { raw: { width, height, channels: 1 } }).png().toBuffer();
+}
+
+test('normalizes typed barcodes to a GTIN', () => {
+  const cases = [
+    ['4006381333931', { valid: true, gtin: '4006381333931', format: 'EAN-13' }],
+    ['036000291452', { valid: true, gtin: '0036000291452', format: 'UPC-A' }],
+    ['0036000291452', { valid: true, gtin: '0036000291452', format: 'EAN-13' }],
+    ['4006-3813 33931', { valid: true, gtin: '4006381333931', format: 'EAN-13' }],
+    ['96385074', { valid: true, gtin: '96385074', format: 'EAN-8' }],
+    ['04252614', { valid: true, gtin: '0042100005264', format: 'UPC-E' }],
+    ['14006381333938', { valid: true, gtin: '4006381333931', format: 'GTIN-14' }]
+  ];
+
+  for (const [input, expected] of cases) {
+    assert.deepEqual(normalizeBarcode(input), expected, input);
+  }
+});
+
+test('rejects barcodes with a bad check digit, length or characters', () => {
+  assert.deepEqual(normalizeBarcode('4006381333932'), { valid: false, error: 'Invalid check digit' });
+  assert.deepEqual(normalizeBarcode('12345'), { valid: false, error: 'Unsupported barcode length (5 digits)' });
+  assert.deepEqual(normalizeBarcode('40063813339AB'), { valid: false, error: 'Barcode must contain only digits' });
+  assert.equal(normalizeBarcode('').valid, false);
+  assert.equal(normalizeBarcode(null).valid, false);
+});
+
+test('reads an EAN-13 barcode from an image, upright or on its side', async () => {
+  const image = await renderEan13('4006381333931');
+  assert.deepEqual(await decodeBarcode(image), { gtin: '4006381333931', format: 'EAN-13', raw: '4006381333931' });
+
+  const sideways = await sharp(image).rotate(90).toBuffer();
+  assert.equal((await decodeBarcode(sideways)).gtin, '4006381333931');
+});
+
+test('finds nothing in an image without a barcode', async () => {
+  const blank = await sharp({ create: { width: 400, height: 300, channels: 3, background: '#ffffff' } }).png().toBuffer();
+  assert.equal(await decodeBarcode(blank), null);
+});
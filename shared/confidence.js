@@ -0,0 +1,286 @@
+// Per-field confidence for a label analysis. The vision model reports how
+// sure it is of each field (`fieldConfidence` in Health_Buddy,
+// `confidenceScores` in Health_Assistant); that score is capped by checks we
+// can run ourselves: values that don't parse, calories that don't add up,
+// panels that disagree. Unreliable key fields turn into "retake this panel"
+// guidance, written to be read or, with `spoken`, to be read out.
+
+const { parseNutrientValue, parseServingSize, normalizeNutritionFacts } = require('./nutrients');
+
+// Below this a value is shown as uncertain
+const LOW_CONFIDENCE = 0.6;
+// When the model reports nothing for a field that has a value
+const DEFAULT_SCORE = 0.75;
+
+const NUTRITION_FIELDS = [
+  'servingSize', 'servingsPerContainer', 'calories', 'totalFat', 'saturatedFat', 'transFat', 'cholesterol',
+  'sodium', 'totalCarbohydrate', 'dietaryFiber', 'totalSugars', 'addedSugars', 'protein', 'vitaminD', 'calcium',
+  'iron', 'potassium'
+];
+
+// Health_Assistant's model names nutrients freely ("fat", "Total Fat", "carbs")
+const NUTRIENT_ALIASES = {
+  fat: 'totalFat',
+  satfat: 'saturatedFat',
+  carb: 'totalCarbohydrate',
+  carbs: 'totalCarbohydrate',
+  carbohydrate: 'totalCarbohydrate',
+  carbohydrates: 'totalCarbohydrate',
+  totalcarbohydrates: 'totalCarbohydrate',
+  totalcarbs: 'totalCarbohydrate',
+  fiber: 'dietaryFiber',
+  fibre: 'dietaryFiber',
+  sugar: 'totalSugars',
+  sugars: 'totalSugars',
+  proteins: 'protein'
+};
+
+// Fields worth a retake when they're unreliable, and the panel that shows them
+const KEY_FIELDS = {
+  productName: 'front',
+  ingredients: 'ingredients',
+  allergens: 'ingredients',
+  allergenStatements: 'ingredients',
+  'nutritionFacts.servingSize': 'nutrition',
+  'nutritionFacts.calories': 'nutrition',
+  'nutritionFacts.totalFat': 'nutrition',
+  'nutritionFacts.saturatedFat': 'nutrition',
+  'nutritionFacts.sodium': 'nutrition',
+  'nutritionFacts.totalCarbohydrate': 'nutrition',
+  'nutritionFacts.totalSugars': 'nutrition',
+  'nutritionFacts.protein': 'nutrition'
+};
+
+// Fields that must be on every label; missing ones score 0
+const REQUIRED_FIELDS = ['productName', 'ingredients', 'nutritionFacts.calories', 'nutritionFacts.servingSize'];
+
+const GUIDANCE = {
+  front: 'The product name on the front of the pack wasn\'t clear. Retake the front so the name and brand are sharp.',
+  ingredients: 'The ingredient list was hard to read. Retake it close up, in good light, so every line is sharp.',
+  nutrition: 'The nutrition panel was blurry or partly hidden. Retake it straight on, with the whole table in the frame.'
+};
+
+const SPOKEN_GUIDANCE = {
+  front: 'I couldn\'t read the product name clearly. Please take another photo of the front of the pack.',
+  ingredients: 'The ingredient list was hard to read. Please take another photo of it, close up and in good light.',
+  nutrition: 'The nutrition panel was blurry or partly hidden. Please take another photo of it, straight on, with the whole table in the frame.'
+};
+
+const LABELS = {
+  productName: 'product name',
+  ingredients: 'ingredients',
+  allergens: 'allergens',
+  allergenStatements: 'allergen statement',
+  servingSize: 'serving size',
+  totalFat: 'fat',
+  saturatedFat: 'saturated fat',
+  totalCarbohydrate: 'carbohydrate',
+  totalSugars: 'sugars',
+  protein: 'protein',
+  sodium: 'sodium',
+  calories: 'calories'
+};
+
+const clamp = value => Math.max(0, Math.min(1, value));
+const hasValue = value => value !== undefined && value !== null && value !== '' &&
+  !(Array.isArray(value) && value.length === 0);
+
+function canonicalNutrient(name) {
+  const compact = name.replace(/[\s_-]/g, '').toLowerCase();
+  return NUTRITION_FIELDS.find(field => field.toLowerCase() === compact) || NUTRIENT_ALIASES[compact] || null;
+}
+
+// Health_Buddy keeps nutrients flat under nutritionFacts; Health_Assistant
+// groups them under `macros` and `otherNutrients`. Returns the flat facts,
+// the analysis path of each flat field, and grouped nutrients with no
+// canonical name (scored, but not checked against the others).
+function readNutrition(analysis) {
+  const facts = analysis.nutritionFacts || {};
+  if (!facts.macros && !facts.otherNutrients) {
+    return { grouped: false, facts, paths: {}, unnamed: [] };
+  }
+
+  const flat = { servingSize: facts.servingSize, calories: facts.calories };
+  const paths = {};
+  const unnamed = [];
+  for (const group of ['macros', 'otherNutrients']) {
+    for (const [key, value] of Object.entries(facts[group] || {})) {
+      const field = canonicalNutrient(key);
+      const path = `nutritionFacts.${group}.${key}`;
+      if (field && !paths[`nutritionFacts.${field}`]) {
+        flat[field] = value;
+        paths[`nutritionFacts.${field}`] = path;
+      } else {
+        unnamed.push(path);
+      }
+    }
+  }
+  return { grouped: true, facts: flat, paths, unnamed };
+}
+
+const valueAt = (analysis, path) => path.split('.').reduce((parent, key) => parent?.[key], analysis);
+
+function fieldValue(analysis, facts, field) {
+  return field.startsWith('nutritionFacts.')
+    ? facts[field.slice('nutritionFacts.'.length)]
+    : analysis[field];
+}
+
+// The model's own score for a field; nutrients fall back to the panel-wide score
+function reportedScore(reported, field, path) {
+  const score = reported[path] ?? reported[field] ??
+    (field.startsWith('nutritionFacts.') ? reported.nutritionFacts : undefined);
+  return typeof score === 'number' ? clamp(score) : DEFAULT_SCORE;
+}
+
+// Checks on the numbers themselves. Returns { field: [{ cap, reason }] }.
+function consistencyChecks(facts, normalized) {
+  const caps = {};
+  const cap = (field, score, reason) => {
+    (caps[`nutritionFacts.${field}`] = caps[`nutritionFacts.${field}`] || []).push({ cap: score, reason });
+  };
+
+  const nutrients = normalized.nutrients || {};
+  const amount = field => nutrients[field]?.perServing ?? null;
+
+  for (const field of NUTRITION_FIELDS) {
+    if (field === 'servingSize' || field === 'servingsPerContainer') continue;
+    if (hasValue(facts[field]) && !nutrients[field]) cap(field, 0.3, 'value could not be read as a number');
+  }
+
+  if (hasValue(facts.servingSize) && parseServingSize(facts.servingSize).grams === null) {
+    cap('servingSize', 0.5, 'no weight or volume in the serving size');
+  }
+
+  // Atwater check: 9 kcal/g fat, 4 kcal/g carbohydrate and protein
+  const [calories, fat, carbs, protein] = ['calories', 'totalFat', 'totalCarbohydrate', 'protein'].map(amount);
+  if ([calories, fat, carbs, protein].every(value => value !== null)) {
+    const expected = 9 * fat + 4 * carbs + 4 * protein;
+    if (Math.abs(expected - calories) > Math.max(25, calories * 0.25)) {
+      const reason = `calories (${calories}) don't match fat, carbohydrate and protein (about ${Math.round(expected)} kcal)`;
+      ['calories', 'totalFat', 'totalCarbohydrate', 'protein'].forEach(field => cap(field, 0.5, reason));
+    }
+  }
+
+  const parts = [
+    ['saturatedFat', 'totalFat'],
+    ['transFat', 'totalFat'],
+    ['totalSugars', 'totalCarbohydrate'],
+    ['dietaryFiber', 'totalCarbohydrate'],
+    ['addedSugars', 'totalSugars']
+  ];
+  for (const [part, whole] of parts) {
+    if (amount(part) !== null && amount(whole) !== null && amount(part) > amount(whole) + 0.5) {
+      cap(part, 0.4, `more ${LABELS[part] || part} than ${LABELS[whole] || whole}`);
+      cap(whole, 0.4, `less ${LABELS[whole] || whole} than ${LABELS[part] || part}`);
+    }
+  }
+
+  return caps;
+}
+
+function labelFor(field) {
+  const name = field.split('.').pop();
+  return LABELS[canonicalNutrient(name)] || LABELS[name] || name.replace(/([A-Z])/g, ' $1').toLowerCase();
+}
+
+// ["fat", "sugars", "protein"] -> "fat, sugars and protein"
+function spokenList(names) {
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+}
+
+function guidanceMessage(panel, fields, spoken) {
+  const names = fields.map(labelFor);
+  if (!spoken) return `${GUIDANCE[panel]} (Unclear: ${names.join(', ')}.)`;
+  return panel === 'nutrition'
+    ? `${SPOKEN_GUIDANCE.nutrition} I wasn't sure about the ${spokenList(names)}.`
+    : SPOKEN_GUIDANCE[panel];
+}
+
+/**
+ * Score every extracted field. Pass `{ verified: true }` for data that didn't
+ * come off a photo (the product catalog), which is trusted as-is, and
+ * `{ spoken: true }` for guidance that is read out rather than shown.
+ * Fields are named by their path in the analysis, e.g.
+ * "nutritionFacts.totalFat" or "nutritionFacts.macros.totalFat".
+ *
+ * Returns { threshold, fields: { field: { score, reasons } }, lowConfidence,
+ * guidance: [{ panel, fields, message }] }.
+ */
+function assessConfidence(analysis, { verified = false, spoken = false } = {}) {
+  const reported = analysis.fieldConfidence || analysis.confidenceScores || {};
+  const { grouped, facts, paths, unnamed } = readNutrition(analysis);
+  const pathOf = field => paths[field] || field;
+
+  const caps = {};
+  const addCap = (path, entry) => (caps[path] = caps[path] || []).push(entry);
+  if (!verified) {
+    const normalized = (!grouped && analysis.normalizedNutrition) || normalizeNutritionFacts(facts);
+    for (const [field, entries] of Object.entries(consistencyChecks(facts, normalized))) {
+      entries.forEach(entry => addCap(pathOf(field), entry));
+    }
+    for (const path of unnamed) {
+      const value = valueAt(analysis, path);
+      if (hasValue(value) && !parseNutrientValue(value)) addCap(path, { cap: 0.3, reason: 'value could not be read as a number' });
+    }
+  }
+
+  // Panels that read a field differently (see panels.js)
+  for (const conflict of analysis.panelMerge?.conflicts || []) {
+    addCap(conflict.field, {
+      cap: 0.5,
+      reason: `photos disagree (${conflict.others.map(other => `${other.panel}: "${other.value}"`).join(', ')})`
+    });
+  }
+
+  const allFields = [
+    'productName', 'brandName', 'ingredients', grouped ? 'allergens' : 'allergenStatements', 'certifications',
+    'expiryDate', ...NUTRITION_FIELDS.map(field => `nutritionFacts.${field}`), ...unnamed
+  ];
+  const fields = {};
+  const keyPanels = {};
+
+  for (const field of allFields) {
+    const path = pathOf(field);
+    const value = unnamed.includes(field) ? valueAt(analysis, field) : fieldValue(analysis, facts, field);
+
+    // Health_Assistant fills in 0 calories when the label shows none
+    if (!hasValue(value) || (grouped && field === 'nutritionFacts.calories' && value === 0)) {
+      if (REQUIRED_FIELDS.includes(field) && !verified) {
+        fields[path] = { score: 0, reasons: ['not found on the label'] };
+        keyPanels[path] = KEY_FIELDS[field];
+      }
+      continue;
+    }
+
+    let score = verified ? 1 : reportedScore(reported, field, path);
+    const reasons = [];
+    if (!verified && score < LOW_CONFIDENCE) reasons.push('hard to read on the photo');
+    for (const { cap, reason } of caps[path] || []) {
+      score = Math.min(score, cap);
+      reasons.push(reason);
+    }
+    fields[path] = { score: Math.round(score * 100) / 100, reasons };
+    keyPanels[path] = KEY_FIELDS[field];
+  }
+
+  const lowConfidence = Object.keys(fields).filter(field => fields[field].score < LOW_CONFIDENCE);
+
+  const byPanel = {};
+  for (const field of lowConfidence) {
+    const panel = keyPanels[field];
+    if (panel) (byPanel[panel] = byPanel[panel] || []).push(field);
+  }
+  const guidance = Object.entries(byPanel).map(([panel, panelFields]) => ({
+    panel,
+    fields: panelFields,
+    message: guidanceMessage(panel, panelFields, spoken)
+  }));
+
+  return { threshold: LOW_CONFIDENCE, fields, lowConfidence, guidance };
+}
+
+module.exports = {
+  assessConfidence,
+  LOW_CONFIDENCE
+};
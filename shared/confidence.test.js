@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { assessConfidence, LOW_CONFIDENCE } = require('./confidence');
+const { normalizeNutritionFacts } = require('./nutrients');
+
+// The analysis as enrichAnalysis hands it over
+function analysisOf(label) {
+  return { ...label, normalizedNutrition: normalizeNutritionFacts(label.nutritionFacts) };
+}
+
+const granolaBar = {
+  productName: 'Oat Bar',
+  ingredients: ['oats', 'honey'],
+  nutritionFacts: { servingSize: '40g', calories: 190, totalFat: '7g', totalCarbohydrate: '29g', totalSugars: '11g', protein: '3g' },
+  fieldConfidence: { productName: 0.95, ingredients: 0.9, nutritionFacts: 0.85 }
+};
+
+test("keeps the model's score for fields that pass every check", () => {
+  const result = assessConfidence(analysisOf(granolaBar));
+
+  assert.equal(result.threshold, LOW_CONFIDENCE);
+  assert.deepEqual(result.fields.productName, { score: 0.95, reasons: [] });
+  assert.deepEqual(result.fields['nutritionFacts.calories'], { score: 0.85, reasons: [] });
+  assert.deepEqual(result.lowConfidence, []);
+  assert.deepEqual(result.guidance, []);
+});
+
+test('scores missing required fields as 0 and asks for a retake', () => {
+  const result = assessConfidence(analysisOf({ ...granolaBar, productName: '' }));
+
+  assert.deepEqual(result.fields.productName, { score: 0, reasons: ['not found on the label'] });
+  assert.deepEqual(result.lowConfidence, ['productName']);
+  assert.equal(result.guidance[0].panel, 'front');
+  assert.match(result.guidance[0].message, /Unclear: product name/);
+});
+
+test("caps calories and macros that don't add up", () => {
+  const result = assessConfidence(analysisOf({
+    ...granolaBar,
+    nutritionFacts: { ...granolaBar.nutritionFacts, calories: 450 }
+  }));
+
+  for (const field of ['calories', 'totalFat', 'totalCarbohydrate', 'protein']) {
+    assert.equal(result.fields[`nutritionFacts.${field}`].score, 0.5, field);
+  }
+  assert.match(result.fields['nutritionFacts.calories'].reasons[0], /calories \(450\) don't match/);
+  assert.deepEqual(result.guidance.map(entry => entry.panel), ['nutrition']);
+});
+
+test('caps a part that is larger than its whole, and values that do not parse', () => {
+  const result = assessConfidence(analysisOf({
+    ...granolaBar,
+    nutritionFacts: { ...granolaBar.nutritionFacts, totalSugars: '40g', sodium: 'lots', servingSize: '1 bar' }
+  }));
+
+  assert.equal(result.fields['nutritionFacts.totalSugars'].score, 0.4);
+  assert.deepEqual(result.fields['nutritionFacts.totalSugars'].reasons, ['more sugars than carbohydrate']);
+  assert.equal(result.fields['nutritionFacts.sodium'].score, 0.3);
+  assert.equal(result.fields['nutritionFacts.servingSize'].score, 0.5);
+});
+
+test('lowers fields the panels disagree on', () => {
+  const result = assessConfidence(analysisOf({
+    ...granolaBar,
+    panelMerge: { conflicts: [{ field: 'productName', chosen: { panel: 'front', value: 'Oat Bar' }, others: [{ panel: 'other', value: 'Oat Bites' }] }] }
+  }));
+
+  assert.deepEqual(result.fields.productName, { score: 0.5, reasons: ['photos disagree (other: "Oat Bites")'] });
+});
+
+test('trusts catalog data as-is', () => {
+  const result = assessConfidence(analysisOf({ ...granolaBar, fieldConfidence: {}, ingredients: [] }), { verified: true });
+
+  assert.equal(result.fields.productName.score, 1);
+  assert.equal(result.fields.ingredients, undefined);
+  assert.deepEqual(result.lowConfidence, []);
+});
+
+// Health_Assistant's shape: nutrients grouped, scores in confidenceScores
+const groupedBar = {
+  productName: 'Oat Bar',
+  ingredients: ['oats', 'honey'],
+  nutritionFacts: {
+    servingSize: '40g',
+    calories: 190,
+    macros: { totalFat: '7g', totalCarbohydrate: '29g', totalSugars: '11g', protein: '3g' },
+    otherNutrients: { sodium: '95mg' }
+  },
+  confidenceScores: { productName: 0.95, ingredients: 0.9, nutritionFacts: 0.85 }
+};
+
+test('scores grouped nutrients under their own paths', () => {
+  const result = assessConfidence(groupedBar);
+
+  assert.deepEqual(result.fields.productName, { score: 0.95, reasons: [] });
+  assert.deepEqual(result.fields['nutritionFacts.macros.totalFat'], { score: 0.85, reasons: [] });
+  assert.equal(result.fields['nutritionFacts.totalFat'], undefined);
+  assert.deepEqual(result.lowConfidence, []);
+});
+
+test('treats 0 calories in a grouped analysis as not found', () => {
+  const result = assessConfidence({ ...groupedBar, nutritionFacts: { ...groupedBar.nutritionFacts, calories: 0 } });
+  assert.equal(result.fields['nutritionFacts.calories'].score, 0);
+});
+
+test("caps grouped calories and macros that don't add up, with spoken guidance", () => {
+  const result = assessConfidence(
+    { ...groupedBar, nutritionFacts: { ...groupedBar.nutritionFacts, calories: 450 } },
+    { spoken: true }
+  );
+
+  assert.deepEqual(result.lowConfidence, [
+    'nutritionFacts.calories',
+    'nutritionFacts.macros.totalFat',
+    'nutritionFacts.macros.totalCarbohydrate',
+    'nutritionFacts.macros.protein'
+  ]);
+  assert.equal(result.guidance.length, 1);
+  assert.match(result.guidance[0].message, /^The nutrition panel .* Please take another photo/);
+  assert.match(result.guidance[0].message, /I wasn't sure about the calories, fat, carbohydrate and protein\.$/);
+});
+
+test('reads freely named grouped nutrients, and checks them like flat ones', () => {
+  const result = assessConfidence({
+    ...groupedBar,
+    nutritionFacts: {
+      ...groupedBar.nutritionFacts,
+      macros: { fat: '7g', 'Total Carbohydrate': '29g', sugars: '40g', protein: '3g', polyols: 'some' },
+      otherNutrients: { sodium: 'lots' }
+    }
+  });
+
+  assert.equal(result.fields['nutritionFacts.macros.sugars'].score, 0.4);
+  assert.equal(result.fields['nutritionFacts.macros.Total Carbohydrate'].score, 0.4);
+  assert.equal(result.fields['nutritionFacts.otherNutrients.sodium'].score, 0.3);
+  // Nutrients the checks don't know are still scored
+  assert.equal(result.fields['nutritionFacts.macros.polyols'].score, 0.3);
+});
+
+test('trusts grouped catalog data as-is', () => {
+  const result = assessConfidence({ ...groupedBar, confidenceScores: {} }, { verified: true });
+  assert.ok(Object.values(result.fields).every(field => field.score === 1));
+});
@@ -0,0 +1,340 @@
+// Label photos are cleaned up before they go to the vision model: rotated
+// upright, cropped to the printed label, corrected for low contrast and glare,
+// and scaled down to a size the model reads as well as the original. Photos
+// too blurry, dark or small to read are rejected here instead of paying for a
+// model call that can only guess.
+
+const sharp = require('sharp');
+
+// Long edge of the image sent to the model. Small label text stays legible and
+// the request stays within a few high-detail tiles.
+const TARGET_MAX_DIMENSION = 1600;
+const OUTPUT_QUALITY = 85;
+
+// Measurements are taken on a copy this wide so they don't depend on the camera
+const MEASURE_WIDTH = 640;
+
+const LIMITS = {
+  minDimension: 300, // px, short edge of the original
+  minSharpness: 25, // variance of the Laplacian
+  minBrightness: 0.15, // mean luminance, 0-1
+  maxBrightness: 0.93, // ...but only washed out if the print has faded too
+  minContrast: 0.06, // luminance standard deviation, 0-1
+  maxGlare: 0.3 // share of the frame under specular hotspots
+};
+
+// Glare is measured on blocks of the measurement copy. White paper clips to
+// 255 as readily as a reflection does, so a clipped patch only counts as glare
+// when the light paper around it is lit below clipping: a reflection on a
+// label, not the label's own white.
+const GLARE = {
+  block: 16, // px
+  clipped: 250, // luminance that counts as blown out
+  clippedShare: 0.5, // share of a block's pixels that makes it a clipped block
+  ring: 3, // blocks around a patch that show the paper it sits on
+  paperAbove: 128, // darker surroundings are print, and white on print is just white ink
+  paperBelow: 245 // brighter surroundings are white paper, clipped as well
+};
+
+// Corrections kick in before a photo is bad enough to reject
+const CORRECT = {
+  contrastBelow: 0.16, // luminance standard deviation, 0-1
+  brightnessBelow: 0.35,
+  glareAbove: 0.01
+};
+
+// Cropping only pays off if it removes a real share of the frame
+const MIN_CROP_SAVING = 0.15;
+
+/**
+ * Share of the frame under specular hotspots. Clipped blocks are grouped into
+ * patches, and a patch is glare when the median paper level (90th percentile
+ * of each block) of the unclipped blocks around it is light but not clipped.
+ */
+function measureGlare(data, width, height) {
+  const { block: size } = GLARE;
+  const columns = Math.ceil(width / size);
+  const rows = Math.ceil(height / size);
+  const clippedCount = new Float64Array(columns * rows);
+  const isClipped = new Uint8Array(columns * rows);
+  const paper = new Float64Array(columns * rows);
+
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const values = [];
+      let clipped = 0;
+      for (let y = row * size; y < Math.min(height, (row + 1) * size); y++) {
+        for (let x = column * size; x < Math.min(width, (column + 1) * size); x++) {
+          const value = data[y * width + x];
+          values.push(value);
+          if (value >= GLARE.clipped) clipped++;
+        }
+      }
+      values.sort((a, b) => a - b);
+      const index = row * columns + column;
+      clippedCount[index] = clipped;
+      isClipped[index] = clipped >= values.length * GLARE.clippedShare ? 1 : 0;
+      paper[index] = values[Math.floor(values.length * 0.9)];
+    }
+  }
+
+  const patchOf = new Int32Array(columns * rows).fill(-1);
+  const ringOf = new Int32Array(columns * rows).fill(-1);
+  let glarePixels = 0;
+  let patch = 0;
+
+  for (let start = 0; start < isClipped.length; start++) {
+    if (!isClipped[start] || patchOf[start] !== -1) continue;
+
+    // Flood-fill the patch, collecting the unclipped blocks around it
+    const queue = [start];
+    const ring = [];
+    let clipped = 0;
+    patchOf[start] = patch;
+    while (queue.length) {
+      const index = queue.pop();
+      clipped += clippedCount[index];
+      const row = Math.floor(index / columns);
+      const column = index % columns;
+      for (let y = Math.max(0, row - GLARE.ring); y <= Math.min(rows - 1, row + GLARE.ring); y++) {
+        for (let x = Math.max(0, column - GLARE.ring); x <= Math.min(columns - 1, column + GLARE.ring); x++) {
+          const neighbour = y * columns + x;
+          const adjacent = Math.abs(y - row) <= 1 && Math.abs(x - column) <= 1;
+          if (isClipped[neighbour]) {
+            if (adjacent && patchOf[neighbour] === -1) {
+              patchOf[neighbour] = patch;
+              queue.push(neighbour);
+            }
+          } else if (ringOf[neighbour] !== patch) {
+            ringOf[neighbour] = patch;
+            ring.push(paper[neighbour]);
+          }
+        }
+      }
+    }
+    patch++;
+
+    if (ring.length === 0) continue;
+    ring.sort((a, b) => a - b);
+    const level = ring[Math.floor(ring.length / 2)];
+    if (level >= GLARE.paperAbove && level < GLARE.paperBelow) glarePixels += clipped;
+  }
+
+  return glarePixels / data.length;
+}
+
+/**
+ * Sharpness, brightness, contrast and glare of a greyscale raw image.
+ * Sharpness is the variance of the Laplacian: printed text has strong edges,
+ * so a low value means the label is out of focus or blurred by motion.
+ */
+function measure(data, width, height) {
+  let sum = 0;
+  let sumSquares = 0;
+  for (const value of data) {
+    sum += value;
+    sumSquares += value * value;
+  }
+  const pixels = data.length;
+  const mean = sum / pixels;
+
+  let lapSum = 0;
+  let lapSquares = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const lap = data[i - width] + data[i + width] + data[i - 1] + data[i + 1] - 4 * data[i];
+      lapSum += lap;
+      lapSquares += lap * lap;
+    }
+  }
+  const inner = Math.max(1, (width - 2) * (height - 2));
+  const lapMean = lapSum / inner;
+
+  return {
+    sharpness: Math.round(lapSquares / inner - lapMean * lapMean),
+    brightness: round(mean / 255),
+    contrast: round(Math.sqrt(Math.max(0, sumSquares / pixels - mean * mean)) / 255),
+    glare: round(measureGlare(data, width, height))
+  };
+}
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Bounding box of the printed area, as fractions of the frame. Text and
+ * tables are dense with edges; the table or counter around a pack isn't.
+ * Returns null when the label already fills the frame.
+ */
+function findLabelRegion(data, width, height) {
+  const columns = new Float64Array(width);
+  const rows = new Float64Array(height);
+  let total = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const edge = Math.abs(data[i + 1] - data[i - 1]) + Math.abs(data[i + width] - data[i - width]);
+      // Ignore sensor noise and soft shading
+      if (edge < 40) continue;
+      columns[x] += edge;
+      rows[y] += edge;
+      total += edge;
+    }
+  }
+  if (total === 0) return null;
+
+  // Keep every row and column with a real share of the edges. Trimming by
+  // edge mass instead would clip the ends of the few longest lines of text.
+  const span = profile => {
+    const radius = Math.max(1, Math.round(profile.length * 0.01));
+    const smoothed = Array.from(profile, (value, index) => {
+      let sum = 0;
+      for (let j = Math.max(0, index - radius); j <= Math.min(profile.length - 1, index + radius); j++) sum += profile[j];
+      return sum;
+    });
+    const threshold = Math.max(...smoothed) * 0.03;
+    const start = smoothed.findIndex(value => value >= threshold);
+    const end = smoothed.length - 1 - [...smoothed].reverse().findIndex(value => value >= threshold);
+    return [start, end];
+  };
+  const [left, right] = span(columns);
+  const [top, bottom] = span(rows);
+
+  // A little margin so the crop doesn't clip the first or last character
+  const marginX = width * 0.04;
+  const marginY = height * 0.04;
+  const region = {
+    left: Math.max(0, (left - marginX) / width),
+    top: Math.max(0, (top - marginY) / height),
+    right: Math.min(1, (right + marginX) / width),
+    bottom: Math.min(1, (bottom + marginY) / height)
+  };
+
+  const kept = (region.right - region.left) * (region.bottom - region.top);
+  return kept <= 1 - MIN_CROP_SAVING ? region : null;
+}
+
+// Why a photo can't be used, or null; worded so it can also be read aloud
+function rejectionReason({ width, height }, metrics) {
+  if (Math.min(width, height) < LIMITS.minDimension) {
+    return 'The photo is too small to read. Please hold the camera closer to the label.';
+  }
+  if (metrics.brightness < LIMITS.minBrightness) {
+    return 'The photo is too dark to read. Please turn on more light or move toward a window.';
+  }
+  if (metrics.brightness > LIMITS.maxBrightness && metrics.contrast < LIMITS.minContrast) {
+    return 'The photo is overexposed and the print is washed out. Please move out of direct light and try again.';
+  }
+  if (metrics.glare > LIMITS.maxGlare) {
+    return 'Glare covers most of the label. Please tilt the package away from the light and try again.';
+  }
+  if (metrics.sharpness < LIMITS.minSharpness) {
+    return 'The photo is too blurry to read. Please hold the camera steady and let it focus on the label.';
+  }
+  return null;
+}
+
+/**
+ * Prepare one label photo for the vision model.
+ * Resolves to { usable: true, buffer, mimeType, metrics, steps, warnings } or
+ * { usable: false, reason, metrics }. `metrics` describes the photo as taken:
+ * original and output size, sharpness, brightness, contrast and glare.
+ */
+async function preprocessImage(buffer) {
+  let upright;
+  try {
+    // Bake in the EXIF orientation so every later step sees the photo the right way up
+    upright = await sharp(buffer).rotate().toBuffer({ resolveWithObject: true });
+  } catch (error) {
+    return { usable: false, reason: 'The file could not be read as an image.', metrics: null };
+  }
+  const { width, height } = upright.info;
+
+  const { data, info } = await sharp(upright.data)
+    .resize({ width: MEASURE_WIDTH, withoutEnlargement: true })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const metrics = { width, height, ...measure(data, info.width, info.height) };
+
+  const reason = rejectionReason({ width, height }, metrics);
+  if (reason) return { usable: false, reason, metrics };
+
+  const steps = ['orient'];
+  const warnings = [];
+  let image = sharp(upright.data);
+
+  const region = findLabelRegion(data, info.width, info.height);
+  if (region) {
+    const crop = {
+      left: Math.floor(region.left * width),
+      top: Math.floor(region.top * height),
+      width: Math.ceil((region.right - region.left) * width),
+      height: Math.ceil((region.bottom - region.top) * height)
+    };
+    crop.width = Math.min(crop.width, width - crop.left);
+    crop.height = Math.min(crop.height, height - crop.top);
+    if (Math.min(crop.width, crop.height) >= LIMITS.minDimension) {
+      image = image.extract(crop);
+      metrics.crop = crop;
+      steps.push('crop');
+    }
+  }
+
+  if (metrics.contrast < CORRECT.contrastBelow || metrics.brightness < CORRECT.brightnessBelow) {
+    // Stretch the luminance range: faded print and dim kitchens
+    image = image.normalise();
+    steps.push('contrast');
+  }
+
+  if (metrics.glare > CORRECT.glareAbove) {
+    // Local equalization pulls text back out of washed-out patches
+    image = image.clahe({ width: 64, height: 64, maxSlope: 3 });
+    steps.push('glare');
+    warnings.push('Part of the label was washed out by glare.');
+  }
+
+  const output = await image
+    .resize({ width: TARGET_MAX_DIMENSION, height: TARGET_MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: OUTPUT_QUALITY })
+    .toBuffer({ resolveWithObject: true });
+
+  const cropped = metrics.crop || { width, height };
+  if (Math.max(cropped.width, cropped.height) > TARGET_MAX_DIMENSION) steps.push('resize');
+  metrics.outputWidth = output.info.width;
+  metrics.outputHeight = output.info.height;
+  metrics.bytesIn = buffer.length;
+  metrics.bytesOut = output.data.length;
+
+  return { usable: true, buffer: output.data, mimeType: 'image/jpeg', metrics, steps, warnings };
+}
+
+/**
+ * Preprocess every uploaded photo ([{ panel, buffer, mimetype }]).
+ * Resolves to { images, report } with the cleaned-up photos in the same shape,
+ * or { rejected: { panel, reason, metrics }, report } for the first photo that
+ * can't be used. `report` lists { panel, steps, warnings, metrics } per photo.
+ */
+async function preprocessImages(images) {
+  const prepared = [];
+  const report = [];
+
+  for (const image of images) {
+    const result = await preprocessImage(image.buffer);
+    if (!result.usable) {
+      return { rejected: { panel: image.panel, reason: result.reason, metrics: result.metrics }, report };
+    }
+    prepared.push({ panel: image.panel, buffer: result.buffer, mimetype: result.mimeType });
+    report.push({ panel: image.panel, steps: result.steps, warnings: result.warnings, metrics: result.metrics });
+  }
+
+  return { images: prepared, report };
+}
+
+module.exports = {
+  preprocessImage,
+  preprocessImages,
+  LIMITS
+};
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+
+const { preprocessImage, preprocessImages, LIMITS } = require('./imagePreprocess');
+
+// Lines of "words" (solid glyph-height bars with gaps) in the given ink colour.
+// Bars keep the fixtures independent of the fonts installed on the machine.
+function printedText(ink, { x = 60, y = 80, lines = 10 } = {}) {
+  const words = [];
+  for (let line = 0; line < lines; line++) {
+    let left = x;
+    for (let word = 0; word < 6; word++) {
+      const length = 40 + ((line * 7 + word * 13) % 5) * 22;
+      // Glyph strokes rather than a solid block, so the bars have edges like text
+      for (let stroke = 0; stroke < length; stroke += 11) {
+        words.push(`<rect x="${left + stroke}" y="${y + line * 95}" width="4" height="30" fill="${ink}"/>`);
+      }
+      left += length + 24;
+    }
+  }
+  return words.join('');
+}
+
+// A soft reflection: solid white in the middle, fading out towards the edge
+const reflection = (cx, cy, r) =>
+  '<defs><radialGradient id="glare"><stop offset="0.55" stop-color="#fff"/><stop offset="1" stop-color="#fff" stop-opacity="0"/></radialGradient></defs>' +
+  `<circle cx="${cx}" cy="${cy}" r="${r}" fill="url(#glare)"/>`;
+
+const render = (width, height, body) =>
+  sharp(Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${body}</svg>`))
+    .jpeg({ quality: 90 })
+    .toBuffer();
+
+// A cream label on a wooden table, as a phone photographs it
+const photographed = extra => render(1200, 1400,
+  `<rect width="100%" height="100%" fill="#5a4a3a"/><rect x="150" y="150" width="900" height="1100" fill="#d8d6d0"/>${printedText('#222', { x: 210, y: 230 })}${extra}`);
+
+test('accepts a clean black-on-white label without reporting glare', async () => {
+  const label = await render(900, 1100, `<rect width="100%" height="100%" fill="#fff"/>${printedText('#000')}`);
+  const result = await preprocessImage(label);
+
+  assert.equal(result.usable, true, result.reason);
+  assert.ok(result.metrics.brightness > LIMITS.maxBrightness);
+  assert.equal(result.metrics.glare, 0);
+  assert.ok(!result.steps.includes('glare'));
+  assert.deepEqual(result.warnings, []);
+});
+
+test('ignores white ink on a dark label', async () => {
+  const label = await render(900, 1100,
+    `<rect width="100%" height="100%" fill="#14305a"/><rect x="100" y="600" width="700" height="400" fill="#fff"/>${printedText('#fff', { lines: 5 })}`);
+  const result = await preprocessImage(label);
+
+  assert.equal(result.usable, true, result.reason);
+  assert.equal(result.metrics.glare, 0);
+});
+
+test('crops a photographed label to the print and leaves it uncorrected', async () => {
+  const result = await preprocessImage(await photographed(''));
+
+  assert.equal(result.usable, true, result.reason);
+  assert.equal(result.metrics.glare, 0);
+  assert.deepEqual(result.steps, ['orient', 'crop']);
+  assert.ok(result.metrics.crop.width < 1200);
+});
+
+test('corrects a reflection on part of the label', async () => {
+  const result = await preprocessImage(await photographed(reflection(600, 500, 220)));
+
+  assert.equal(result.usable, true, result.reason);
+  assert.ok(result.metrics.glare > 0.01 && result.metrics.glare < LIMITS.maxGlare, String(result.metrics.glare));
+  assert.ok(result.steps.includes('glare'));
+  assert.deepEqual(result.warnings, ['Part of the label was washed out by glare.']);
+});
+
+test('rejects a photo where glare covers most of the label', async () => {
+  const result = await preprocessImage(await photographed(reflection(600, 700, 800)));
+
+  assert.equal(result.usable, false);
+  assert.match(result.reason, /^Glare covers most of the label/);
+});
+
+test('rejects washed-out, dark, small and unreadable photos', async () => {
+  const faded = await preprocessImage(await render(900, 1100, `<rect width="100%" height="100%" fill="#fff"/>${printedText('#f4f4f4')}`));
+  assert.match(faded.reason, /overexposed/);
+
+  const dark = await preprocessImage(await render(900, 1100, `<rect width="100%" height="100%" fill="#111"/>${printedText('#1a1a1a')}`));
+  assert.match(dark.reason, /too dark/);
+
+  const small = await preprocessImage(await render(200, 250, `<rect width="100%" height="100%" fill="#fff"/>${printedText('#000', { lines: 2 })}`));
+  assert.match(small.reason, /too small/);
+
+  assert.deepEqual(await preprocessImage(Buffer.from('not an image')),
+    { usable: false, reason: 'The file could not be read as an image.', metrics: null });
+});
+
+test('stops at the first panel that cannot be used', async () => {
+  const good = await photographed('');
+  const result = await preprocessImages([
+    { panel: 'front', buffer: good, mimetype: 'image/jpeg' },
+    { panel: 'nutrition', buffer: Buffer.from('not an image'), mimetype: 'image/jpeg' }
+  ]);
+
+  assert.equal(result.rejected.panel, 'nutrition');
+  assert.equal(result.report.length, 1);
+  assert.equal(result.report[0].panel, 'front');
+});
@@ -0,0 +1,208 @@
+// Heuristic parser for raw label text (OCR output), used when no model is
+// available to structure it. Produces the same shape as the vision model's
+// label analysis (nutrients flat under nutritionFacts, as Health_Buddy keeps
+// them); anything it can't find is left empty. Health_Assistant regroups the
+// result with groupNutritionFacts and listAllergens.
+
+// US Nutrition Facts wording; EU labels mostly use the same words
+const AMOUNT = '(\\d+(?:\\.\\d+)?\\s*(?:mcg|µg|mg|g|iu))';
+const nutrient = name => new RegExp(`\\b${name}\\b[^\\d\\n]{0,12}${AMOUNT}`, 'i');
+
+// Health_Assistant keeps these under nutritionFacts.macros, and the rest of
+// the nutrients under nutritionFacts.otherNutrients
+const MACRO_FIELDS = ['totalFat', 'saturatedFat', 'transFat', 'totalCarbohydrate', 'totalSugars', 'addedSugars', 'protein'];
+const OTHER_NUTRIENT_FIELDS = ['cholesterol', 'sodium', 'dietaryFiber', 'vitaminD', 'calcium', 'iron', 'potassium'];
+
+const NUTRIENT_PATTERNS = {
+  totalFat: nutrient('(?<!(?:saturated|sat\\.?|trans\\.?)\\s*)(?:total\\s+)?fat'),
+  saturatedFat: nutrient('sat(?:urated|\\.)?\\s*fat'),
+  transFat: nutrient('trans\\.?\\s*fat'),
+  cholesterol: nutrient('cholest(?:erol|\\.)?'),
+  sodium: nutrient('sodium'),
+  totalCarbohydrate: nutrient('(?:total\\s+)?carb(?:ohydrates?|s|\\.)?'),
+  dietaryFiber: nutrient('(?:dietary\\s+)?fib(?:er|re)'),
+  totalSugars: nutrient('(?:total\\s+)?(?<!added\\s)sugars?'),
+  addedSugars: new RegExp(`\\bincl(?:udes|\\.)?\\s*${AMOUNT}\\s*added\\s+sugars|\\badded\\s+sugars[^\\d\\n]{0,12}${AMOUNT}`, 'i'),
+  protein: nutrient('protein'),
+  vitaminD: nutrient('vit(?:amin|\\.)?\\s*d'),
+  calcium: nutrient('calcium'),
+  iron: nutrient('iron'),
+  potassium: nutrient('potas(?:sium|\\.)?')
+};
+
+// "Contains 2% or less of" is part of the ingredient list, not an allergen statement
+const ALLERGEN_STATEMENT = /\b(?:may\s+contain|contains(?!\s+\d+\s*%?\s*or\s+less)|allergens?|allergy\s+advice|(?:made|produced|manufactured)\s+in\s+a\s+facility)\b[^.]{2,200}(?:\.|$)/gi;
+const CONTAINS = /\b(may\s+contain|contains(?!\s+\d+\s*%?\s*or\s+less))\b\s*:?\s*([^.]{2,200})/gi;
+const INGREDIENTS_END = /\b(?:may\s+contain|contains(?!\s+\d+\s*%?\s*or\s+less)|allergens?|allergy\s+advice|distributed\s+by|manufactured\s+(?:by|for)|produced\s+(?:by|for)|best\s+(?:before|by)|nutrition\s+facts)\b/i;
+const EXPIRY = /\b(?:best\s+before|best\s+by|use\s+by|exp(?:iry|iration)?\.?(?:\s+date)?)\s*:?\s*(\d{1,4}[/.\- ][0-9A-Za-z]{1,9}(?:[/.\- ]\d{2,4})?)/i;
+
+const CERTIFICATIONS = [
+  [/\busda\s+organic\b/i, 'USDA Organic'],
+  [/\bcertified\s+organic\b|\borganic\s+certified\b/i, 'Certified Organic'],
+  [/\bnon[-\s]?gmo\b/i, 'Non-GMO'],
+  [/\b(?:certified\s+)?gluten[-\s]free\b/i, 'Gluten-free'],
+  [/\bkosher\b/i, 'Kosher'],
+  [/\bhalal\b/i, 'Halal'],
+  [/\bfair\s*trade\b/i, 'Fair Trade'],
+  [/\bvegan\b/i, 'Vegan'],
+  [/\bwhole\s+grain\s+(?:council|stamp)\b/i, 'Whole Grain Council stamp']
+];
+
+// Lines that are headings or panel furniture, never a product name
+const NOT_A_NAME = /nutrition|ingredient|serving|calorie|amount|daily value|contains|allergen|per \d|%|\d+\s*(?:g|mg|kcal)\b/i;
+
+// Common OCR slips in amounts: "Og" for "0g", "1Omg" for "10mg", and a "g"
+// read as "9" before the % Daily Value ("0.59 3%" for "0.5g 3%")
+function fixDigits(text) {
+  return text
+    .replace(/\b(\d*)[Oo](\d*)(?=\s?(?:mcg|mg|g|%)\b)/g, (match, before, after) => `${before}0${after}`)
+    .replace(/\b(\d+\.\d)9(?=\s+\d{1,3}\s*%)/g, '$1g');
+}
+
+const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+
+// Split an ingredient list on commas outside parentheses: "lecithin (soy,
+// sunflower)" stays whole. Open Food Facts marks allergens with underscores.
+function splitIngredients(text) {
+  const ingredients = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of String(text || '').replace(/_/g, '')) {
+    if ('([{'.includes(char)) depth++;
+    if (')]}'.includes(char)) depth = Math.max(0, depth - 1);
+    if ((char === ',' || char === ';') && depth === 0) {
+      ingredients.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  ingredients.push(current);
+
+  return ingredients
+    .map(ingredient => ingredient.trim().replace(/\.$/, '').trim())
+    .filter(Boolean);
+}
+
+function findIngredients(text) {
+  const start = text.match(/\bingredients?\s*[:;.]\s*/i);
+  if (!start) return { ingredients: [], span: null };
+
+  const from = start.index + start[0].length;
+  const rest = text.slice(from);
+  const end = rest.search(INGREDIENTS_END);
+  const block = end === -1 ? rest.split(/\n\s*\n/)[0] : rest.slice(0, end);
+
+  const joined = block.replace(/-\n/g, '').replace(/\s*\n\s*/g, ' ');
+  return {
+    ingredients: splitIngredients(joined).filter(item => /[a-z]/i.test(item)),
+    span: [start.index, from + block.length]
+  };
+}
+
+function findNutrition(text) {
+  const facts = {};
+
+  const serving = text.match(/\bserving\s+size\s*:?\s*([^\n]+)/i);
+  if (serving) facts.servingSize = serving[1].trim();
+
+  const servings = text.match(/(?:about\s+)?(\d+(?:\.\d+)?)\s+servings?\s+per\s+(?:container|package|pack)/i) ||
+    text.match(/servings?\s+per\s+(?:container|package|pack)\s*:?\s*(?:about\s+)?(\d+(?:\.\d+)?)/i);
+  if (servings) facts.servingsPerContainer = servings[1];
+
+  const calories = text.match(/\bcalories\b[^\d\n]{0,12}(\d+)/i) || text.match(/(\d+)\s*kcal\b/i);
+  if (calories) facts.calories = Number(calories[1]);
+
+  for (const [field, pattern] of Object.entries(NUTRIENT_PATTERNS)) {
+    const match = text.match(pattern);
+    const amount = match && (match[1] || match[2]);
+    if (amount) facts[field] = amount.replace(/\s+/g, '');
+  }
+
+  return facts;
+}
+
+function findProductName(text) {
+  const line = text
+    .split('\n')
+    .map(candidate => candidate.trim())
+    .find(candidate => candidate.length >= 3 &&
+      (candidate.match(/[a-z]/gi) || []).length / candidate.length >= 0.6 &&
+      !NOT_A_NAME.test(candidate));
+  return line ? line.slice(0, 80) : '';
+}
+
+/**
+ * Map raw label text to a label analysis. `nameText` is text from the front
+ * of the pack when it was photographed separately; the product name is taken
+ * from there first.
+ */
+function parseLabelText(rawText, { nameText = '' } = {}) {
+  const text = fixDigits(String(rawText || ''));
+  const { ingredients, span } = findIngredients(text);
+
+  // Certification claims count on the pack, not inside the ingredient list ("organic oats")
+  const claimsText = span ? text.slice(0, span[0]) + text.slice(span[1]) : text;
+  const flatText = text.replace(/-\n/g, '').replace(/\s*\n\s*/g, ' ');
+
+  const certifications = [];
+  for (const [pattern, name] of CERTIFICATIONS) {
+    if (pattern.test(claimsText)) certifications.push(name);
+  }
+
+  const expiry = text.match(EXPIRY);
+
+  return {
+    productName: findProductName(fixDigits(nameText)) || findProductName(claimsText),
+    brandName: '',
+    ingredients,
+    nutritionFacts: findNutrition(text),
+    allergens: [],
+    allergenStatements: [...new Set((flatText.match(ALLERGEN_STATEMENT) || []).map(statement => statement.trim()))],
+    certifications,
+    expiryDate: expiry ? expiry[1].trim() : '',
+    fieldConfidence: {},
+    isError: false
+  };
+}
+
+function pick(source, fields) {
+  const result = {};
+  for (const field of fields) {
+    if (source[field]) result[field] = source[field];
+  }
+  return result;
+}
+
+// Flat nutrition facts -> { servingSize, calories, macros, otherNutrients }
+function groupNutritionFacts(facts = {}) {
+  return {
+    servingSize: facts.servingSize || '',
+    calories: facts.calories ?? 0,
+    macros: pick(facts, MACRO_FIELDS),
+    otherNutrients: pick(facts, OTHER_NUTRIENT_FIELDS)
+  };
+}
+
+// ["Contains: milk, soy and wheat."] -> ["Milk", "Soy", "Wheat"]; precautionary
+// statements are kept as "Peanuts (may contain)"
+function listAllergens(statements = []) {
+  const allergens = [];
+  for (const [, kind, list] of statements.join(' ').matchAll(CONTAINS)) {
+    const precautionary = /may/i.test(kind);
+    for (const item of list.split(/,|\band\b|\bor\b/i).map(part => part.replace(/^\s*(?:traces\s+of|trace\s+amounts\s+of)\s+/i, '').trim())) {
+      if (!/^[a-z][a-z\s-]{1,30}$/i.test(item)) continue;
+      const name = item.split(/\s+/).map(capitalize).join(' ');
+      allergens.push(precautionary ? `${name} (may contain)` : name);
+    }
+  }
+  return [...new Set(allergens)];
+}
+
+module.exports = {
+  parseLabelText,
+  splitIngredients,
+  groupNutritionFacts,
+  listAllergens
+};
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseLabelText, splitIngredients, groupNutritionFacts, listAllergens } = require('./labelText');
+
+// OCR output of a US label, slips included: "0.59" for "0.5g", "Og", "18Omg"
+const ocrText = `CRUNCHY OAT BARS
+USDA Organic
+Nutrition Facts
+About 6 servings per container
+Serving size 2 bars (42g)
+Calories 190
+Total Fat 7g 9%
+Saturated Fat 0.59 3%
+Trans Fat Og
+Cholesterol 0mg 0%
+Sodium 18Omg 8%
+Total Carbohydrate 29g 11%
+Dietary Fiber 2g 7%
+Total Sugars 11g
+Includes 10g Added Sugars 20%
+Protein 3g
+INGREDIENTS: WHOLE GRAIN OATS, SUGAR, CANOLA OIL, RICE
+FLOUR, HONEY, SALT, SOY LECITHIN, CONTAINS 2% OR LESS OF
+NATURAL FLAVOR.
+CONTAINS: SOY. MAY CONTAIN PEANUTS AND TREE NUTS.
+Best before 12/2027`;
+
+test('reads a nutrition panel, fixing common OCR slips in amounts', () => {
+  assert.deepEqual(parseLabelText(ocrText).nutritionFacts, {
+    servingSize: '2 bars (42g)',
+    servingsPerContainer: '6',
+    calories: 190,
+    totalFat: '7g',
+    saturatedFat: '0.5g',
+    transFat: '0g',
+    cholesterol: '0mg',
+    sodium: '180mg',
+    totalCarbohydrate: '29g',
+    dietaryFiber: '2g',
+    totalSugars: '11g',
+    addedSugars: '10g',
+    protein: '3g'
+  });
+});
+
+test('reads the ingredient list across lines and stops at the allergen statement', () => {
+  const analysis = parseLabelText(ocrText);
+
+  assert.deepEqual(analysis.ingredients, [
+    'WHOLE GRAIN OATS', 'SUGAR', 'CANOLA OIL', 'RICE FLOUR', 'HONEY', 'SALT', 'SOY LECITHIN',
+    'CONTAINS 2% OR LESS OF NATURAL FLAVOR'
+  ]);
+  assert.deepEqual(analysis.allergenStatements, ['CONTAINS: SOY.', 'MAY CONTAIN PEANUTS AND TREE NUTS.']);
+});
+
+test('finds the name, claims and expiry date', () => {
+  const analysis = parseLabelText(ocrText);
+
+  assert.equal(analysis.productName, 'CRUNCHY OAT BARS');
+  assert.deepEqual(analysis.certifications, ['USDA Organic']);
+  assert.equal(analysis.expiryDate, '12/2027');
+  assert.equal(analysis.isError, false);
+});
+
+test('takes the name from the front of the pack when it was read separately', () => {
+  assert.equal(parseLabelText(ocrText, { nameText: 'Sample Foods\n' }).productName, 'Sample Foods');
+});
+
+test('does not read "organic" in the ingredient list as a claim', () => {
+  const analysis = parseLabelText('Ingredients: certified organic oats, vegan chocolate chips.');
+  assert.deepEqual(analysis.ingredients, ['certified organic oats', 'vegan chocolate chips']);
+  assert.deepEqual(analysis.certifications, []);
+});
+
+test('leaves everything empty for text that is not a label', () => {
+  const analysis = parseLabelText('');
+  assert.equal(analysis.productName, '');
+  assert.deepEqual(analysis.ingredients, []);
+  assert.deepEqual(analysis.nutritionFacts, {});
+});
+
+test('splits ingredients on top-level commas only', () => {
+  assert.deepEqual(
+    splitIngredients('Chocolate (sugar, cocoa butter); milk [whole, skimmed], _salt_.'),
+    ['Chocolate (sugar, cocoa butter)', 'milk [whole, skimmed]', 'salt']
+  );
+  assert.deepEqual(splitIngredients(''), []);
+});
+
+test('groups nutrients into macros and other nutrients', () => {
+  assert.deepEqual(groupNutritionFacts(parseLabelText(ocrText).nutritionFacts), {
+    servingSize: '2 bars (42g)',
+    calories: 190,
+    macros: {
+      totalFat: '7g',
+      saturatedFat: '0.5g',
+      transFat: '0g',
+      totalCarbohydrate: '29g',
+      totalSugars: '11g',
+      addedSugars: '10g',
+      protein: '3g'
+    },
+    otherNutrients: { cholesterol: '0mg', sodium: '180mg', dietaryFiber: '2g' }
+  });
+  assert.deepEqual(groupNutritionFacts({}), { servingSize: '', calories: 0, macros: {}, otherNutrients: {} });
+});
+
+test('lists declared and precautionary allergens from the statements', () => {
+  assert.deepEqual(
+    listAllergens(parseLabelText(ocrText).allergenStatements),
+    ['Soy', 'Peanuts (may contain)', 'Tree Nuts (may contain)']
+  );
+  assert.deepEqual(listAllergens(['Made in a facility that also processes traces of sesame.']), []);
+  assert.deepEqual(listAllergens([]), []);
+});
@@ -0,0 +1,134 @@
+// Structured logging: one JSON object per line, on stdout (warn and error on
+// stderr). Lines logged while handling a request carry its requestId, which
+// AsyncLocalStorage carries into model calls and background jobs started for it.
+//
+// LOG_LEVEL is debug, info (default), warn, error or silent. Image data, API
+// keys and tokens are always redacted. So is what users write and what the
+// model says back to them (questions, answers, profiles, label text), since it
+// is often about their health; LOG_USER_TEXT=true keeps it, for local debugging.
+
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const configuredLevel = (process.env.LOG_LEVEL || 'info').trim().toLowerCase();
+const threshold = LEVELS[configuredLevel] ?? LEVELS.info;
+const keepUserText = process.env.LOG_USER_TEXT === 'true';
+
+// Fields whose value is always hidden
+const SECRET_KEYS = /(api[-_]?key|authorization|token|secret|password|cookie)$/i;
+// Fields holding user or model text
+const USER_TEXT_KEYS = /^(question|message|messages|answer|response|reply|content|text|prompt|conversation|history|summary|facts|profile|rawResponse)$/i;
+
+const DATA_URL = /data:[\w/+.-]+;base64,[A-Za-z0-9+/=]+/g;
+const BASE64_RUN = /[A-Za-z0-9+/]{200,}={0,2}/g;
+const API_KEY = /\bsk-[A-Za-z0-9_-]{16,}/g;
+const BEARER = /\bBearer\s+[\w.~+/-]+=*/gi;
+
+const MAX_DEPTH = 6;
+const MAX_STRING = 2000;
+
+// X-Request-ID values from clients or proxies are reused when they look sane
+const REQUEST_ID_FORMAT = /^[\w.:-]{8,128}$/;
+
+const context = new AsyncLocalStorage();
+
+function redactString(value) {
+  const text = value
+    .replace(DATA_URL, '[image data]')
+    .replace(BASE64_RUN, '[base64 data]')
+    .replace(API_KEY, 'sk-[redacted]')
+    .replace(BEARER, 'Bearer [redacted]');
+  return text.length > MAX_STRING ? `${text.slice(0, MAX_STRING)}… (${text.length} chars)` : text;
+}
+
+function redact(value, key = '', depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (SECRET_KEYS.test(key)) return '[redacted]';
+  if (!keepUserText && USER_TEXT_KEYS.test(key)) {
+    return typeof value === 'string' ? `[redacted ${value.length} chars]` : '[redacted]';
+  }
+
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value !== 'object') return value;
+  if (Buffer.isBuffer(value)) return `[binary ${value.length} bytes]`;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message),
+      ...(value.code && { code: value.code }),
+      ...(value.status && { status: value.status }),
+      stack: redactString(value.stack || '')
+    };
+  }
+  if (depth >= MAX_DEPTH) return '[nested too deep]';
+  if (Array.isArray(value)) return value.map(item => redact(item, key, depth + 1));
+
+  return Object.fromEntries(
+    Object.entries(value).map(([name, item]) => [name, redact(item, name, depth + 1)])
+  );
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < threshold) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...context.getStore(),
+    ...redact(fields)
+  };
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
+
+/**
+ * Express middleware: gives each request an ID (from X-Request-ID when the
+ * client or a proxy sent a usable one), returns it in the X-Request-ID
+ * response header, and logs the request when it ends. The query string is
+ * left out, since it can hold tokens and client IDs.
+ */
+function requestLogging(req, res, next) {
+  const given = req.get('X-Request-ID');
+  const requestId = given && REQUEST_ID_FORMAT.test(given) ? given : crypto.randomUUID();
+  const startedAt = Date.now();
+
+  req.id = requestId;
+  res.setHeader('X-Request-ID', requestId);
+  res.once('close', () => {
+    context.run({ requestId }, () => {
+      const level = res.statusCode >= 500 ? 'error' : 'info';
+      write(level, 'Request finished', {
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Date.now() - startedAt,
+        ...(!res.writableFinished && { aborted: true })
+      });
+    });
+  });
+
+  context.run({ requestId }, next);
+}
+
+// Middleware that calls `next` from stream events (multer) would lose the
+// request's context; this wrapper carries it over
+function keepRequestContext(middleware) {
+  return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+}
+
+module.exports = {
+  logger,
+  requestLogging,
+  keepRequestContext
+};
@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+delete process.env.LOG_USER_TEXT;
+process.env.LOG_LEVEL = 'info';
+
+const { logger, requestLogging, keepRequestContext } = require('./logger');
+
+// Runs `fn` and returns the log entries it wrote to stdout and stderr
+function captureLogs(fn) {
+  const entries = [];
+  const originals = { stdout: process.stdout.write, stderr: process.stderr.write };
+  const collect = chunk => {
+    entries.push(JSON.parse(chunk));
+    return true;
+  };
+  process.stdout.write = collect;
+  process.stderr.write = collect;
+  try {
+    fn();
+  } finally {
+    process.stdout.write = originals.stdout;
+    process.stderr.write = originals.stderr;
+  }
+  return entries;
+}
+
+function fakeRequest(headers = {}) {
+  return { method: 'POST', path: '/api/chat', get: name => headers[name] };
+}
+
+function fakeResponse() {
+  const res = new EventEmitter();
+  res.headers = {};
+  res.statusCode = 200;
+  res.writableFinished = true;
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  return res;
+}
+
+test('drops entries below LOG_LEVEL', () => {
+  const entries = captureLogs(() => {
+    logger.debug('Too detailed');
+    logger.info('Kept');
+  });
+  assert.deepEqual(entries.map(entry => entry.msg), ['Kept']);
+});
+
+test('redacts secrets, image data and user text', () => {
+  const [entry] = captureLogs(() => logger.info('Model call', {
+    apiKey: 'sk-live-abcdefghijklmnopqrstuvwxyz',
+    headers: { authorization: 'Bearer abc.def' },
+    image: `data:image/jpeg;base64,${'A'.repeat(300)}`,
+    note: 'key sk-abcdefghijklmnopqrstuv in text',
+    question: 'Is this safe with my diabetes?',
+    messages: [{ role: 'user', content: 'private' }],
+    promptTokens: 120
+  }));
+
+  assert.equal(entry.apiKey, '[redacted]');
+  assert.equal(entry.headers.authorization, '[redacted]');
+  assert.equal(entry.image, '[image data]');
+  assert.equal(entry.note, 'key sk-[redacted] in text');
+  assert.equal(entry.question, '[redacted 30 chars]');
+  assert.equal(entry.messages, '[redacted]');
+  assert.equal(entry.promptTokens, 120);
+});
+
+test('writes errors with their message and stack, warnings and errors to stderr', () => {
+  const written = [];
+  const original = process.stderr.write;
+  process.stderr.write = chunk => written.push(JSON.parse(chunk));
+  try {
+    logger.error('Analysis failed', { error: Object.assign(new Error('Vision call failed'), { status: 502 }) });
+  } finally {
+    process.stderr.write = original;
+  }
+
+  assert.equal(written.length, 1);
+  assert.equal(written[0].error.message, 'Vision call failed');
+  assert.equal(written[0].error.status, 502);
+  assert.match(written[0].error.stack, /logger\.test\.js/);
+});
+
+test('tags lines logged during a request with its ID and logs the finished request', () => {
+  const req = fakeRequest({ 'X-Request-ID': 'client-req-0001' });
+  const res = fakeResponse();
+
+  const entries = captureLogs(() => {
+    requestLogging(req, res, () => logger.info('Handling'));
+    res.emit('close');
+  });
+
+  assert.equal(req.id, 'client-req-0001');
+  assert.equal(res.headers['X-Request-ID'], 'client-req-0001');
+  assert.deepEqual(entries.map(entry => [entry.msg, entry.requestId]), [
+    ['Handling', 'client-req-0001'],
+    ['Request finished', 'client-req-0001']
+  ]);
+  assert.equal(entries[1].status, 200);
+  assert.equal(entries[1].path, '/api/chat');
+});
+
+test('replaces request IDs that are malformed', () => {
+  const req = fakeRequest({ 'X-Request-ID': 'bad id\n{"level":"error"}' });
+  requestLogging(req, fakeResponse(), () => {});
+  assert.match(req.id, /^[0-9a-f-]{36}$/);
+});
+
+test('keepRequestContext keeps the request ID for callbacks fired from elsewhere', () => {
+  // Stands in for multer, whose callbacks come from stream events
+  const uploads = new EventEmitter();
+  const upload = (req, res, next) => uploads.once('done', next);
+
+  const entries = captureLogs(() => {
+    requestLogging(fakeRequest({ 'X-Request-ID': 'lost-context-1' }), fakeResponse(), () => {
+      upload({}, {}, () => logger.info('Without wrapper'));
+    });
+    uploads.emit('done');
+
+    requestLogging(fakeRequest({ 'X-Request-ID': 'kept-context-1' }), fakeResponse(), () => {
+      keepRequestContext(upload)({}, {}, () => logger.info('With wrapper'));
+    });
+    uploads.emit('done');
+  });
+
+  assert.equal(entries[0].requestId, undefined);
+  assert.equal(entries[1].requestId, 'kept-context-1');
+});
+
+test('keeps the request ID across awaits, as model calls made for the request do', async () => {
+  const entries = [];
+  const original = process.stdout.write;
+  // The test runner may write its own output while this test awaits
+  process.stdout.write = function (chunk, ...rest) {
+    if (!String(chunk).startsWith('{"time"')) return original.call(this, chunk, ...rest);
+    entries.push(JSON.parse(chunk));
+    return true;
+  };
+  try {
+    await new Promise(resolve => {
+      requestLogging(fakeRequest({ 'X-Request-ID': 'async-req-0001' }), fakeResponse(), async () => {
+        await new Promise(done => setTimeout(done, 5));
+        logger.info('Model call finished', { task: 'followUp' });
+        resolve();
+      });
+    });
+    logger.info('Outside any request');
+  } finally {
+    process.stdout.write = original;
+  }
+
+  assert.deepEqual(entries.map(entry => [entry.msg, entry.requestId]), [
+    ['Model call finished', 'async-req-0001'],
+    ['Outside any request', undefined]
+  ]);
+});
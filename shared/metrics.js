@@ -0,0 +1,157 @@
+// Prometheus metrics for model calls and HTTP routes, served in the text
+// exposition format from GET /metrics. Values live in memory and start from
+// zero when the process starts, so scrape every instance on its own.
+
+const crypto = require('crypto');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const MODEL_DURATION_BUCKETS = [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60, 120];
+const HTTP_DURATION_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// Pipeline stage of each provider task, so cost and latency add up per step
+const TASK_STAGES = {
+  extract: 'extract',
+  extractText: 'extract',
+  research: 'research',
+  summarize: 'summarize',
+  summary: 'summarize',
+  summarizeConversation: 'summarize',
+  compare: 'compare',
+  followUp: 'follow-up',
+  followUpStream: 'follow-up',
+  copilot: 'follow-up',
+  tts: 'tts'
+};
+
+const stageOf = task => TASK_STAGES[task] || task || 'unknown';
+
+const metrics = [];
+
+// One series per distinct label set, keyed by the labels' JSON
+function defineMetric(type, name, help, buckets) {
+  const metric = { type, name, help, buckets, series: new Map() };
+  metrics.push(metric);
+  return metric;
+}
+
+function seriesOf(metric, labels) {
+  const key = JSON.stringify(labels);
+  let series = metric.series.get(key);
+  if (!series) {
+    series = metric.type === 'histogram'
+      ? { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+      : { labels, value: 0 };
+    metric.series.set(key, series);
+  }
+  return series;
+}
+
+function increment(metric, labels, amount = 1) {
+  seriesOf(metric, labels).value += amount;
+}
+
+function observe(metric, labels, value) {
+  const series = seriesOf(metric, labels);
+  metric.buckets.forEach((bound, index) => {
+    if (value <= bound) series.counts[index]++;
+  });
+  series.sum += value;
+  series.count++;
+}
+
+const modelCalls = defineMetric('counter', 'model_calls_total', 'Model calls by pipeline stage, task, provider, model and outcome');
+const modelDuration = defineMetric('histogram', 'model_call_duration_seconds', 'Model call latency in seconds', MODEL_DURATION_BUCKETS);
+const modelTokens = defineMetric('counter', 'model_tokens_total', 'Prompt and completion tokens (reported by the API or estimated)');
+const modelCharacters = defineMetric('counter', 'model_tts_characters_total', 'Characters sent for text to speech');
+const modelCost = defineMetric('counter', 'model_estimated_cost_usd_total', 'Estimated model cost in US dollars');
+const httpRequests = defineMetric('counter', 'http_requests_total', 'HTTP requests by method, route and status code');
+const httpErrors = defineMetric('counter', 'http_request_errors_total', 'HTTP requests answered with a 5xx status');
+const httpDuration = defineMetric('histogram', 'http_request_duration_seconds', 'HTTP request duration in seconds', HTTP_DURATION_BUCKETS);
+
+// Takes the usage reports of the provider layer (see onUsage in providers/index.js)
+function recordModelCall({ task, provider, model, outcome, latencyMs, promptTokens, completionTokens, characters, cost }) {
+  const stage = stageOf(task);
+  const labels = { stage, provider, model: model || 'unknown' };
+
+  increment(modelCalls, { ...labels, task: task || 'unknown', outcome });
+  observe(modelDuration, { ...labels, outcome }, latencyMs / 1000);
+  if (promptTokens) increment(modelTokens, { ...labels, type: 'prompt' }, promptTokens);
+  if (completionTokens) increment(modelTokens, { ...labels, type: 'completion' }, completionTokens);
+  if (characters) increment(modelCharacters, labels, characters);
+  if (cost) increment(modelCost, labels, cost);
+}
+
+// Express middleware. Routes are labelled by their pattern (/api/session/:sessionId)
+// so IDs don't create a series each; requests no route matched share one label.
+function trackRequests(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+
+  res.once('close', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    const labels = { method: req.method, route };
+
+    increment(httpRequests, { ...labels, status: String(res.statusCode) });
+    if (res.statusCode >= 500) increment(httpErrors, labels);
+    observe(httpDuration, labels, seconds);
+  });
+  next();
+}
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function renderMetrics() {
+  const lines = [];
+
+  for (const metric of metrics) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+
+    for (const series of metric.series.values()) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+        continue;
+      }
+      metric.buckets.forEach((bound, index) => {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+      });
+      lines.push(
+        `${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`,
+        `${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`,
+        `${metric.name}_count${formatLabels(series.labels)} ${series.count}`
+      );
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+const LOOPBACK = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+// With METRICS_TOKEN set, scrapers must send Authorization: Bearer <METRICS_TOKEN>.
+// Without it, only requests made on this machine are served: req.ip is a
+// loopback address and nothing forwarded them, so a reverse proxy on the same
+// host doesn't expose the metrics.
+function canReadMetrics(req) {
+  const metricsToken = process.env.METRICS_TOKEN;
+  if (!metricsToken) {
+    const forwarded = req.headers['x-forwarded-for'] || req.headers.forwarded;
+    return LOOPBACK.includes(req.ip) && !forwarded;
+  }
+  const given = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(metricsToken));
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  canReadMetrics,
+  recordModelCall,
+  trackRequests,
+  renderMetrics
+};
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const { CONTENT_TYPE, canReadMetrics, recordModelCall, trackRequests, renderMetrics } = require('./metrics');
+
+const request = (ip, headers = {}) => ({ ip, headers });
+
+test('without METRICS_TOKEN, serves only direct requests from this machine', () => {
+  delete process.env.METRICS_TOKEN;
+
+  assert.equal(canReadMetrics(request('127.0.0.1')), true);
+  assert.equal(canReadMetrics(request('::1')), true);
+  assert.equal(canReadMetrics(request('::ffff:127.0.0.1')), true);
+  assert.equal(canReadMetrics(request('203.0.113.5')), false);
+  assert.equal(canReadMetrics(request('10.0.0.2')), false);
+  // A reverse proxy on the same host forwards other people's requests
+  assert.equal(canReadMetrics(request('127.0.0.1', { 'x-forwarded-for': '203.0.113.5' })), false);
+  assert.equal(canReadMetrics(request('127.0.0.1', { forwarded: 'for=203.0.113.5' })), false);
+});
+
+test('with METRICS_TOKEN, requires it as a bearer token, even locally', () => {
+  process.env.METRICS_TOKEN = 'scrape-secret';
+  try {
+    assert.equal(canReadMetrics(request('203.0.113.5', { authorization: 'Bearer scrape-secret' })), true);
+    assert.equal(canReadMetrics(request('203.0.113.5', { authorization: 'bearer scrape-secret' })), true);
+    assert.equal(canReadMetrics(request('203.0.113.5', { authorization: 'Bearer wrong' })), false);
+    assert.equal(canReadMetrics(request('127.0.0.1')), false);
+  } finally {
+    delete process.env.METRICS_TOKEN;
+  }
+});
+
+test('counts model calls by stage with tokens and cost', () => {
+  recordModelCall({ task: 'followUpStream', provider: 'openai', model: 'gpt-4o-mini', outcome: 'aborted', latencyMs: 1500, promptTokens: 300, completionTokens: 40, cost: 0.0001 });
+  recordModelCall({ task: 'tts', provider: 'openai', model: 'tts-1', outcome: 'ok', latencyMs: 200, characters: 120, cost: 0.0018 });
+
+  const text = renderMetrics();
+  assert.match(text, /# TYPE model_calls_total counter/);
+  assert.match(text, /model_calls_total\{stage="follow-up",provider="openai",model="gpt-4o-mini",task="followUpStream",outcome="aborted"\} 1/);
+  assert.match(text, /model_tokens_total\{stage="follow-up",provider="openai",model="gpt-4o-mini",type="prompt"\} 300/);
+  assert.match(text, /model_tts_characters_total\{stage="tts",provider="openai",model="tts-1"\} 120/);
+  assert.match(text, /model_call_duration_seconds_bucket\{stage="follow-up",provider="openai",model="gpt-4o-mini",outcome="aborted",le="1"\} 0/);
+  assert.match(text, /model_call_duration_seconds_bucket\{stage="follow-up",provider="openai",model="gpt-4o-mini",outcome="aborted",le="2"\} 1/);
+  assert.match(text, /model_call_duration_seconds_count\{stage="tts",provider="openai",model="tts-1",outcome="ok"\} 1/);
+  assert.match(CONTENT_TYPE, /^text\/plain; version=0\.0\.4/);
+});
+
+test('labels requests by route pattern and counts server errors', () => {
+  const finish = (route, statusCode) => {
+    const res = Object.assign(new EventEmitter(), { statusCode });
+    const req = { method: 'GET', baseUrl: '', route: route && { path: route } };
+    trackRequests(req, res, () => {});
+    res.emit('close');
+  };
+  finish('/api/session/:sessionId', 200);
+  finish('/api/session/:sessionId', 500);
+  finish(null, 404);
+
+  const text = renderMetrics();
+  assert.match(text, /http_requests_total\{method="GET",route="\/api\/session\/:sessionId",status="200"\} 1/);
+  assert.match(text, /http_request_errors_total\{method="GET",route="\/api\/session\/:sessionId"\} 1/);
+  assert.match(text, /http_requests_total\{method="GET",route="unmatched",status="404"\} 1/);
+  assert.match(text, /http_request_duration_seconds_count\{method="GET",route="\/api\/session\/:sessionId"\} 2/);
+});
+
+test('escapes label values', () => {
+  recordModelCall({ task: 'extract', provider: 'local', model: 'my "model"\nv2', outcome: 'ok', latencyMs: 10 });
+  assert.match(renderMetrics(), /model="my \\"model\\"\\nv2"/);
+});
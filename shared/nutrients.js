@@ -0,0 +1,213 @@
+// Turns the free-text nutrient values read off a label ("12g", "350 mg",
+// "<1g", "15%", "2.5 g (4% DV)") into numbers in one canonical unit per
+// nutrient, per serving and per 100 g. Everything downstream (health score,
+// macro split, comparisons) works from this structure, never the raw strings.
+
+const KJ_PER_KCAL = 4.184;
+const GRAMS_PER_OUNCE = 28.35;
+// Vitamin D: 1 mcg = 40 IU
+const IU_PER_MCG_VITAMIN_D = 40;
+
+const MASS_IN_GRAMS = { g: 1, mg: 0.001, mcg: 0.000001 };
+
+const MACRO_FIELDS = { fat: 'totalFat', carbs: 'totalCarbohydrate', protein: 'protein' };
+
+// Canonical unit for each nutrient field in the label analysis
+const NUTRIENT_UNITS = {
+  calories: 'kcal',
+  totalFat: 'g',
+  saturatedFat: 'g',
+  transFat: 'g',
+  cholesterol: 'mg',
+  sodium: 'mg',
+  totalCarbohydrate: 'g',
+  dietaryFiber: 'g',
+  totalSugars: 'g',
+  addedSugars: 'g',
+  protein: 'g',
+  vitaminD: 'mcg',
+  calcium: 'mg',
+  iron: 'mg',
+  potassium: 'mg'
+};
+
+// FDA Daily Values (21 CFR 101.9), used to turn a bare "15%" into an amount
+const DAILY_VALUES = {
+  totalFat: 78,
+  saturatedFat: 20,
+  cholesterol: 300,
+  sodium: 2300,
+  totalCarbohydrate: 275,
+  dietaryFiber: 28,
+  addedSugars: 50,
+  protein: 50,
+  vitaminD: 20,
+  calcium: 1300,
+  iron: 18,
+  potassium: 4700
+};
+
+const UNIT_ALIASES = {
+  g: 'g', gm: 'g', gms: 'g', gram: 'g', grams: 'g',
+  mg: 'mg', milligram: 'mg', milligrams: 'mg',
+  mcg: 'mcg', 'µg': 'mcg', ug: 'mcg', microgram: 'mcg', micrograms: 'mcg',
+  kcal: 'kcal', cal: 'kcal', calories: 'kcal', kj: 'kJ',
+  iu: 'IU',
+  ml: 'ml', l: 'l', oz: 'oz'
+};
+
+const round = value => (value === null ? null : Math.round(value * 100) / 100);
+
+// "1,200" is a thousands separator; "2,5" is a decimal comma
+function toNumber(text) {
+  return /^\d{1,3}(,\d{3})+$/.test(text)
+    ? parseFloat(text.replace(/,/g, ''))
+    : parseFloat(text.replace(',', '.'));
+}
+
+/**
+ * Parse one label value. Returns null for empty or unreadable input.
+ * The qualifier records "<" / ">" bounds; `value` is the bound itself.
+ */
+function parseNutrientValue(raw) {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw === 'number') {
+    return { raw, value: raw, unit: null, qualifier: null, dailyValuePercent: null };
+  }
+
+  const text = String(raw).trim().toLowerCase();
+  if (!text || /^(n\/?a|none|-|—)$/.test(text)) return null;
+
+  const percentMatch = text.match(/(\d+(?:[.,]\d+)*)\s*%/);
+  const dailyValuePercent = percentMatch ? toNumber(percentMatch[1]) : null;
+
+  // Drop the %DV part so its number isn't mistaken for the amount
+  const amountText = text.replace(/\(?\s*\d+(?:[.,]\d+)?\s*%\s*(?:dv|daily value|rda)?\s*\)?/g, ' ');
+  const amountMatch = amountText.match(/(<|>|less than|under|about|~)?\s*(\d+(?:[.,]\d+)*)\s*(µg|[a-z]+)?/);
+
+  if (!amountMatch) {
+    return dailyValuePercent === null
+      ? null
+      : { raw, value: null, unit: null, qualifier: null, dailyValuePercent };
+  }
+
+  const qualifiers = { '<': '<', 'less than': '<', under: '<', '>': '>', about: '~', '~': '~' };
+
+  return {
+    raw,
+    value: toNumber(amountMatch[2]),
+    unit: UNIT_ALIASES[amountMatch[3]] || null,
+    qualifier: qualifiers[amountMatch[1]] || null,
+    dailyValuePercent
+  };
+}
+
+// Convert a parsed value into the nutrient's canonical unit
+function toCanonical(field, parsed) {
+  const unit = NUTRIENT_UNITS[field];
+
+  if (parsed.value === null) {
+    // Only a %DV was printed: derive the amount from the reference intake
+    if (parsed.dailyValuePercent !== null && DAILY_VALUES[field]) {
+      return { value: DAILY_VALUES[field] * parsed.dailyValuePercent / 100, derivedFromDailyValue: true };
+    }
+    return { value: null };
+  }
+
+  if (unit === 'kcal') {
+    return { value: parsed.unit === 'kJ' ? parsed.value / KJ_PER_KCAL : parsed.value };
+  }
+
+  if (parsed.unit === 'IU' && field === 'vitaminD') {
+    return { value: parsed.value / IU_PER_MCG_VITAMIN_D };
+  }
+
+  const sourceUnit = MASS_IN_GRAMS[parsed.unit] ? parsed.unit : unit;
+  return { value: parsed.value * MASS_IN_GRAMS[sourceUnit] / MASS_IN_GRAMS[unit] };
+}
+
+/**
+ * Parse a serving size such as "2 bars (42g)", "1 cup (240 mL)" or "1 oz".
+ * Volumes are converted at 1 g/ml and flagged as approximate.
+ */
+function parseServingSize(raw) {
+  const text = String(raw || '').toLowerCase();
+  const match = text.match(/(\d+(?:[.,]\d+)?)\s*(g|gm|gms|grams?|ml|l|oz)\b/);
+  if (!match) {
+    return { raw: raw || '', amount: null, unit: null, grams: null, isVolume: false, approximate: false };
+  }
+
+  const amount = toNumber(match[1]);
+  const unit = UNIT_ALIASES[match[2]];
+  const isVolume = unit === 'ml' || unit === 'l';
+  const grams = {
+    g: amount,
+    ml: amount,
+    l: amount * 1000,
+    oz: amount * GRAMS_PER_OUNCE
+  }[unit];
+
+  return { raw, amount, unit, grams: round(grams), isVolume, approximate: isVolume };
+}
+
+/**
+ * Normalize the analysis' `nutritionFacts` block. Each nutrient becomes
+ * { raw, unit, perServing, per100g, qualifier, dailyValuePercent }.
+ */
+function normalizeNutritionFacts(nutritionFacts = {}) {
+  const servingSize = parseServingSize(nutritionFacts.servingSize);
+  const servings = parseNutrientValue(nutritionFacts.servingsPerContainer);
+  const nutrients = {};
+
+  for (const field of Object.keys(NUTRIENT_UNITS)) {
+    const parsed = parseNutrientValue(nutritionFacts[field]);
+    if (!parsed) continue;
+
+    const canonical = toCanonical(field, parsed);
+    nutrients[field] = {
+      raw: nutritionFacts[field],
+      unit: NUTRIENT_UNITS[field],
+      perServing: round(canonical.value),
+      per100g: canonical.value !== null && servingSize.grams
+        ? round(canonical.value * 100 / servingSize.grams)
+        : null,
+      qualifier: parsed.qualifier,
+      dailyValuePercent: parsed.dailyValuePercent,
+      ...(canonical.derivedFromDailyValue && { derivedFromDailyValue: true })
+    };
+  }
+
+  return {
+    servingSize,
+    servingsPerContainer: servings ? servings.value : null,
+    // Per 100 ml for drinks, but keyed per100g throughout for simplicity
+    per100Basis: servingSize.isVolume ? '100 ml' : '100 g',
+    nutrients
+  };
+}
+
+// Share of energy from fat, carbohydrate and protein (Atwater factors)
+function macroEnergySplit(normalized) {
+  const kcalPerGram = { fat: 9, carbs: 4, protein: 4 };
+  const nutrients = normalized?.nutrients || {};
+
+  const kcal = Object.fromEntries(Object.entries(MACRO_FIELDS).map(([key, field]) =>
+    [key, (nutrients[field]?.perServing || 0) * kcalPerGram[key]]
+  ));
+  const total = kcal.fat + kcal.carbs + kcal.protein;
+
+  return Object.fromEntries(Object.entries(MACRO_FIELDS).map(([key, field]) => [key, {
+    amount: nutrients[field]?.raw ?? '',
+    grams: nutrients[field]?.perServing ?? null,
+    per100g: nutrients[field]?.per100g ?? null,
+    percentage: total > 0 ? Math.round(kcal[key] / total * 100) : 0
+  }]));
+}
+
+module.exports = {
+  parseNutrientValue,
+  parseServingSize,
+  normalizeNutritionFacts,
+  macroEnergySplit,
+  NUTRIENT_UNITS
+};
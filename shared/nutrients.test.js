@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseNutrientValue, parseServingSize, normalizeNutritionFacts, macroEnergySplit } = require('./nutrients');
+
+test('parses label values with units, bounds and %DV', () => {
+  const cases = [
+    ['12g', { value: 12, unit: 'g', qualifier: null, dailyValuePercent: null }],
+    ['2.5 g (4% DV)', { value: 2.5, unit: 'g', qualifier: null, dailyValuePercent: 4 }],
+    ['<1g', { value: 1, unit: 'g', qualifier: '<', dailyValuePercent: null }],
+    ['less than 5 mg', { value: 5, unit: 'mg', qualifier: '<', dailyValuePercent: null }],
+    ['1,200 mg', { value: 1200, unit: 'mg', qualifier: null, dailyValuePercent: null }],
+    ['2,5 g', { value: 2.5, unit: 'g', qualifier: null, dailyValuePercent: null }],
+    ['15%', { value: null, unit: null, qualifier: null, dailyValuePercent: 15 }],
+    ['10 µg', { value: 10, unit: 'mcg', qualifier: null, dailyValuePercent: null }],
+    ['840 kJ', { value: 840, unit: 'kJ', qualifier: null, dailyValuePercent: null }]
+  ];
+
+  for (const [raw, expected] of cases) {
+    const { raw: _, ...parsed } = parseNutrientValue(raw);
+    assert.deepEqual(parsed, expected, raw);
+  }
+});
+
+test('treats empty and "not applicable" values as missing', () => {
+  for (const raw of [undefined, null, '', '  ', 'N/A', 'none', '-']) {
+    assert.equal(parseNutrientValue(raw), null, String(raw));
+  }
+});
+
+test('parses serving sizes in grams, millilitres and ounces', () => {
+  assert.equal(parseServingSize('2 bars (42g)').grams, 42);
+
+  const cup = parseServingSize('1 cup (240 mL)');
+  assert.equal(cup.grams, 240);
+  assert.equal(cup.isVolume, true);
+  assert.equal(cup.approximate, true);
+
+  assert.equal(parseServingSize('1 oz').grams, 28.35);
+  assert.equal(parseServingSize('1 bar').grams, null);
+});
+
+test('normalizes each nutrient to its canonical unit, per serving and per 100 g', () => {
+  const { nutrients, servingsPerContainer, per100Basis } = normalizeNutritionFacts({
+    servingSize: '50g',
+    servingsPerContainer: 'about 4',
+    calories: '840 kJ',
+    sodium: '0.5 g',
+    vitaminD: '400 IU',
+    calcium: '10%',
+    totalSugars: '<1g'
+  });
+
+  assert.equal(servingsPerContainer, 4);
+  assert.equal(per100Basis, '100 g');
+  assert.equal(nutrients.calories.perServing, 200.76);
+  assert.equal(nutrients.calories.per100g, 401.53);
+  assert.equal(nutrients.sodium.perServing, 500);
+  assert.equal(nutrients.sodium.per100g, 1000);
+  assert.equal(nutrients.vitaminD.perServing, 10);
+  assert.equal(nutrients.calcium.perServing, 130);
+  assert.equal(nutrients.calcium.derivedFromDailyValue, true);
+  assert.equal(nutrients.totalSugars.qualifier, '<');
+});
+
+test('leaves per 100 g empty when the serving has no weight', () => {
+  const { nutrients } = normalizeNutritionFacts({ servingSize: '1 bar', protein: '4g' });
+  assert.equal(nutrients.protein.perServing, 4);
+  assert.equal(nutrients.protein.per100g, null);
+});
+
+test('splits energy between fat, carbohydrate and protein', () => {
+  const split = macroEnergySplit(normalizeNutritionFacts({
+    servingSize: '40g',
+    totalFat: '10g',
+    totalCarbohydrate: '20g',
+    protein: '5g'
+  }));
+
+  assert.equal(split.fat.percentage, 47);
+  assert.equal(split.carbs.percentage, 42);
+  assert.equal(split.protein.percentage, 11);
+  assert.equal(split.fat.per100g, 25);
+});
@@ -0,0 +1,48 @@
+// Offline text recognition for when the vision model is down or can't read a
+// label. Tesseract runs in-process with the English model from npm, so it
+// needs no network; the worker is started on first use and then reused.
+
+const { createWorker } = require('tesseract.js');
+const englishData = require('@tesseract.js-data/eng');
+const { logger } = require('@health/shared/logger');
+
+let workerPromise = null;
+
+function getWorker() {
+  if (!workerPromise) {
+    logger.info('Starting OCR worker');
+    workerPromise = createWorker(englishData.code, 1, {
+      langPath: englishData.langPath,
+      gzip: englishData.gzip,
+      cacheMethod: 'none'
+    }).catch(error => {
+      // Let the next request try again rather than caching the failure
+      workerPromise = null;
+      throw error;
+    });
+  }
+  return workerPromise;
+}
+
+/**
+ * Read the text off an image buffer.
+ * Resolves to { text, confidence } with confidence from 0 to 1.
+ */
+async function recognizeText(imageBuffer) {
+  const worker = await getWorker();
+  const { data } = await worker.recognize(imageBuffer);
+  return { text: data.text || '', confidence: (data.confidence || 0) / 100 };
+}
+
+// Stops the worker thread so scripts can exit
+async function closeOcr() {
+  if (!workerPromise) return;
+  const worker = await workerPromise.catch(() => null);
+  workerPromise = null;
+  if (worker) await worker.terminate();
+}
+
+module.exports = {
+  recognizeText,
+  closeOcr
+};
@@ -0,0 +1,78 @@
+// Local product catalog keyed by barcode (GTIN). Catalog records use the
+// Health_Buddy analyzeImage shape, so a hit can skip the vision model
+// entirely. The bundled JSON catalog is checked first, then the app's own
+// `fallback` (Health_Buddy's Open Food Facts import, see productStore.js).
+
+const path = require('path');
+const fs = require('fs');
+const { normalizeBarcode } = require('@health/shared/barcode');
+const { logger } = require('@health/shared/logger');
+
+const CATALOG_PATH = process.env.PRODUCT_CATALOG_PATH || path.join(__dirname, 'data', 'productCatalog.json');
+
+let catalog = null;
+
+function loadCatalog() {
+  if (catalog) return catalog;
+
+  const data = JSON.parse(fs.readFileSync(CATALOG_PATH, 'utf8'));
+  const products = new Map();
+
+  for (const product of data.products) {
+    const normalized = normalizeBarcode(product.barcode);
+    if (!normalized.valid) {
+      logger.warn('Skipping catalog product', { productName: product.productName, reason: normalized.error });
+      continue;
+    }
+    products.set(normalized.gtin, product);
+  }
+
+  catalog = { version: data.version, path: CATALOG_PATH, products };
+  logger.info('Product catalog loaded', { version: data.version, products: products.size });
+  return catalog;
+}
+
+// A fresh copy in the analyzeImage shape, so session changes never touch the catalog
+function toAnalysis(product, gtin) {
+  return {
+    productName: product.productName || '',
+    brandName: product.brandName || '',
+    ingredients: [...(product.ingredients || [])],
+    nutritionFacts: { ...(product.nutritionFacts || {}) },
+    allergens: [...(product.allergens || [])],
+    allergenStatements: [...(product.allergenStatements || [])],
+    certifications: [...(product.certifications || [])],
+    expiryDate: '',
+    barcode: gtin,
+    isError: false
+  };
+}
+
+/**
+ * Find a product by barcode. Resolves to { found: true, analysis, catalog }
+ * or { found: false }, where `catalog` says which source matched.
+ * `fallback(gtin)` returns { analysis, source, importedAt } or null.
+ */
+async function lookupProduct(gtin, { fallback } = {}) {
+  const { version, products } = loadCatalog();
+  const product = products.get(gtin);
+
+  if (product) {
+    return { found: true, analysis: toAnalysis(product, gtin), catalog: { name: 'sample', version } };
+  }
+
+  const stored = fallback ? await fallback(gtin) : null;
+  if (stored) {
+    return {
+      found: true,
+      analysis: toAnalysis(stored.analysis, gtin),
+      catalog: { name: stored.source, importedAt: stored.importedAt }
+    };
+  }
+
+  return { found: false };
+}
+
+module.exports = {
+  lookupProduct
+};
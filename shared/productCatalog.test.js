@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+
+const { lookupProduct } = require('./productCatalog');
+
+// Shaped like Health_Buddy's productStore.getProduct
+const imported = {
+  analysis: {
+    productName: 'Rice Crackers',
+    brandName: 'Imported Foods',
+    ingredients: ['rice', 'salt'],
+    nutritionFacts: { servingSize: '30g', calories: 120 },
+    allergens: []
+  },
+  source: 'openfoodfacts',
+  importedAt: '2026-10-01T00:00:00.000Z'
+};
+
+test('finds sample catalog products in the analyzeImage shape', async () => {
+  const result = await lookupProduct('2000000000015');
+  assert.equal(result.found, true);
+  assert.deepEqual(result.catalog, { name: 'sample', version: '2026.10.1' });
+  assert.equal(result.analysis.productName, 'Oat & Honey Granola Bar');
+  assert.equal(result.analysis.barcode, '2000000000015');
+  assert.equal(result.analysis.isError, false);
+  assert.deepEqual(result.analysis.allergens, ['Soy']);
+});
+
+test('hands out copies, so changing a result leaves the catalog alone', async () => {
+  const first = await lookupProduct('2000000000015');
+  first.analysis.ingredients.push('Chocolate');
+  first.analysis.nutritionFacts.calories = 0;
+
+  const second = await lookupProduct('2000000000015');
+  assert.ok(!second.analysis.ingredients.includes('Chocolate'));
+  assert.equal(second.analysis.nutritionFacts.calories, 190);
+});
+
+test('reports unknown barcodes as not found', async () => {
+  assert.deepEqual(await lookupProduct('4006381333931'), { found: false });
+  assert.deepEqual(await lookupProduct('4006381333931', { fallback: () => null }), { found: false });
+});
+
+test('falls back to the products the app supplies', async () => {
+  const asked = [];
+  const fallback = gtin => {
+    asked.push(gtin);
+    return gtin === '4006381333931' ? imported : null;
+  };
+
+  const result = await lookupProduct('4006381333931', { fallback });
+  assert.equal(result.found, true);
+  assert.deepEqual(result.catalog, { name: 'openfoodfacts', importedAt: '2026-10-01T00:00:00.000Z' });
+  assert.equal(result.analysis.productName, 'Rice Crackers');
+  assert.equal(result.analysis.barcode, '4006381333931');
+  assert.deepEqual(result.analysis.allergenStatements, []);
+
+  // The bundled catalog wins, so the fallback isn't asked about its products
+  await lookupProduct('2000000000015', { fallback });
+  assert.deepEqual(asked, ['4006381333931']);
+});
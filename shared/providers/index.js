@@ -0,0 +1,113 @@
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createLocalProvider } = require('./localProvider');
+const { createStubProvider } = require('./stubProvider');
+const { meterProvider } = require('./pricing');
+const { logger } = require('../logger');
+
+const PROVIDERS = ['openai', 'local', 'stub'];
+
+// Drop unset variables so they don't override a provider's own defaults
+function definedOnly(values) {
+  return Object.fromEntries(
+    Object.entries(values).filter(([, value]) => value !== undefined && value !== '')
+  );
+}
+
+function resolveProviderName() {
+  const configured = (process.env.MODEL_PROVIDER || '').trim().toLowerCase();
+
+  if (configured) {
+    if (!PROVIDERS.includes(configured)) {
+      throw new Error(`Unknown MODEL_PROVIDER "${configured}". Must be one of: ${PROVIDERS.join(', ')}`);
+    }
+    return configured;
+  }
+
+  // Canned answers must never stand in for a real model by accident, so the
+  // stub provider is only used when asked for by name
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error('OPENAI_API_KEY is not set. Set it, or set MODEL_PROVIDER=stub to run on canned responses (or local for a local model server)');
+  }
+
+  return 'openai';
+}
+
+/**
+ * The model provider of one app. `options.openAIModels` are the app's default
+ * OpenAI models and `options.fixturesDir` holds its stub provider's fixtures;
+ * CHAT_MODEL, VISION_MODEL, TTS_MODEL and STUB_FIXTURES_DIR override them.
+ */
+function createProviderRegistry(options = {}) {
+  let activeProvider = null;
+  const usageListeners = new Set();
+
+  // Call `listener(usage)` after every model call, failed ones included (see meterProvider in pricing.js)
+  function onUsage(listener) {
+    usageListeners.add(listener);
+    return () => usageListeners.delete(listener);
+  }
+
+  function reportUsage(usage) {
+    for (const listener of usageListeners) {
+      try {
+        listener(usage);
+      } catch (error) {
+        logger.error('Usage listener failed', { error });
+      }
+    }
+  }
+
+  function createProvider(name = resolveProviderName()) {
+    const models = definedOnly({
+      chat: process.env.CHAT_MODEL,
+      vision: process.env.VISION_MODEL,
+      tts: process.env.TTS_MODEL
+    });
+
+    switch (name) {
+      case 'openai':
+        return createOpenAIProvider({
+          apiKey: process.env.OPENAI_API_KEY,
+          models: { ...options.openAIModels, ...models }
+        });
+      case 'local':
+        return createLocalProvider({
+          baseURL: process.env.LOCAL_MODEL_BASE_URL,
+          apiKey: process.env.LOCAL_MODEL_API_KEY,
+          models
+        });
+      case 'stub':
+        return createStubProvider({
+          fixturesDir: process.env.STUB_FIXTURES_DIR || options.fixturesDir
+        });
+      default:
+        throw new Error(`Unknown model provider "${name}"`);
+    }
+  }
+
+  // Created on first use; the servers call this at startup so a missing or
+  // wrong configuration stops them before they accept requests
+  function getProvider() {
+    if (!activeProvider) {
+      activeProvider = meterProvider(createProvider(), reportUsage);
+      logger.info('Model provider ready', { provider: activeProvider.name, models: { ...activeProvider.models, tts: activeProvider.models.tts || 'disabled' } });
+    }
+    return activeProvider;
+  }
+
+  function setProvider(provider) {
+    activeProvider = meterProvider(provider, reportUsage);
+  }
+
+  return {
+    getProvider,
+    setProvider,
+    createProvider,
+    onUsage
+  };
+}
+
+module.exports = {
+  createProviderRegistry,
+  PROVIDERS
+};
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'silent';
+
+const { createProviderRegistry } = require('./index');
+
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'provider-fixtures-'));
+fs.writeFileSync(path.join(fixturesDir, 'followUp.txt'), 'Canned follow-up answer\n');
+fs.writeFileSync(path.join(fixturesDir, 'extract.json'), '{"productName":"Oat Bar"}');
+test.after(() => fs.rmSync(fixturesDir, { recursive: true, force: true }));
+
+const PROVIDER_ENV = ['MODEL_PROVIDER', 'OPENAI_API_KEY', 'CHAT_MODEL', 'VISION_MODEL', 'TTS_MODEL', 'STUB_FIXTURES_DIR'];
+
+// Runs `fn` with the given provider settings and the rest cleared
+async function withEnv(values, fn) {
+  const saved = Object.fromEntries(PROVIDER_ENV.map(name => [name, process.env[name]]));
+  for (const name of PROVIDER_ENV) delete process.env[name];
+  Object.assign(process.env, values);
+  try {
+    return await fn();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+}
+
+test('refuses to start without an API key unless the stub is asked for', async () => {
+  await withEnv({}, () => {
+    const registry = createProviderRegistry({ fixturesDir });
+    assert.throws(() => registry.getProvider(), /OPENAI_API_KEY is not set.*MODEL_PROVIDER=stub/);
+  });
+});
+
+test('uses the stub provider when MODEL_PROVIDER=stub, with no key', async () => {
+  await withEnv({ MODEL_PROVIDER: 'stub' }, async () => {
+    const provider = createProviderRegistry({ fixturesDir }).getProvider();
+    assert.equal(provider.name, 'stub');
+
+    const reply = await provider.chat({ task: 'followUp', messages: [{ role: 'user', content: 'Is it healthy?' }] });
+    assert.equal(reply.content, 'Canned follow-up answer');
+
+    const extraction = await provider.vision({ task: 'extract', prompt: 'Read the label', images: [] });
+    assert.deepEqual(JSON.parse(extraction.content), { productName: 'Oat Bar' });
+  });
+});
+
+test('rejects an unknown MODEL_PROVIDER', async () => {
+  await withEnv({ MODEL_PROVIDER: 'gemini', OPENAI_API_KEY: 'sk-test' }, () => {
+    assert.throws(() => createProviderRegistry({ fixturesDir }).getProvider(), /Unknown MODEL_PROVIDER "gemini"/);
+  });
+});
+
+test("uses OpenAI when a key is set, with the app's default models and env overrides", async () => {
+  await withEnv({ OPENAI_API_KEY: 'sk-test', VISION_MODEL: 'gpt-4o' }, () => {
+    const registry = createProviderRegistry({ openAIModels: { chat: 'gpt-3.5-turbo', vision: 'gpt-4.1-mini' }, fixturesDir });
+    const provider = registry.getProvider();
+    assert.equal(provider.name, 'openai');
+    assert.deepEqual(provider.models, { chat: 'gpt-3.5-turbo', vision: 'gpt-4o', tts: 'tts-1' });
+  });
+});
+
+test("the app's OpenAI models don't apply to a local server", async () => {
+  await withEnv({ MODEL_PROVIDER: 'local' }, () => {
+    const provider = createProviderRegistry({ openAIModels: { chat: 'gpt-3.5-turbo' }, fixturesDir }).getProvider();
+    assert.equal(provider.name, 'local');
+    assert.deepEqual(provider.models, { chat: 'llama3.1', vision: 'llava', tts: null });
+  });
+});
+
+test('reports every call to usage listeners, failed calls included', async () => {
+  const registry = createProviderRegistry({ fixturesDir });
+  const reports = [];
+  registry.onUsage(usage => reports.push(usage));
+  registry.setProvider({
+    name: 'openai',
+    models: { chat: 'gpt-4o-mini', vision: 'gpt-4o-mini', tts: 'tts-1' },
+    chat: async () => ({ content: 'ok', model: 'gpt-4o-mini', usage: { promptTokens: 1000, completionTokens: 500 } }),
+    vision: async () => { throw new Error('Vision model is down'); },
+    speech: async () => Buffer.alloc(0)
+  });
+
+  const provider = registry.getProvider();
+  await provider.chat({ task: 'followUp', messages: [] });
+  await assert.rejects(provider.vision({ task: 'extract', prompt: '', images: [] }), /Vision model is down/);
+
+  assert.deepEqual(reports.map(report => [report.task, report.outcome]), [['followUp', 'ok'], ['extract', 'error']]);
+  assert.equal(reports[0].promptTokens, 1000);
+  assert.ok(reports[0].cost > 0);
+  assert.equal(reports[1].cost, 0);
+});
+
+test('a failing usage listener does not break the model call', async () => {
+  await withEnv({ MODEL_PROVIDER: 'stub' }, async () => {
+    const registry = createProviderRegistry({ fixturesDir });
+    registry.onUsage(() => { throw new Error('listener bug'); });
+    const reply = await registry.getProvider().chat({ task: 'followUp', messages: [] });
+    assert.equal(reply.content, 'Canned follow-up answer');
+  });
+});
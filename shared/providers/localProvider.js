@@ -0,0 +1,27 @@
+const { createOpenAIProvider } = require('./openaiProvider');
+
+// Defaults match a stock Ollama install; LM Studio, vLLM and llama.cpp's
+// server expose the same OpenAI-compatible routes under a different port.
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+const DEFAULT_MODELS = {
+  chat: 'llama3.1',
+  vision: 'llava',
+  // Most local servers have no speech route, so TTS is opt-in
+  tts: null
+};
+
+function createLocalProvider(options = {}) {
+  return createOpenAIProvider({
+    name: 'local',
+    baseURL: options.baseURL || DEFAULT_BASE_URL,
+    // The SDK refuses to start without a key; local servers ignore it
+    apiKey: options.apiKey || 'local',
+    models: { ...DEFAULT_MODELS, ...options.models }
+  });
+}
+
+module.exports = {
+  createLocalProvider,
+  DEFAULT_MODELS
+};
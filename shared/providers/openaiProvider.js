@@ -0,0 +1,116 @@
+const { OpenAI } = require('openai');
+
+const DEFAULT_MODELS = {
+  chat: 'gpt-4o-mini',
+  vision: 'gpt-4o-mini',
+  tts: 'tts-1'
+};
+
+/**
+ * Provider backed by the OpenAI API, or by any server that speaks the same
+ * protocol when `baseURL` is given (see localProvider.js).
+ */
+function createOpenAIProvider(options = {}) {
+  const name = options.name || 'openai';
+  const models = { ...DEFAULT_MODELS, ...options.models };
+
+  const client = new OpenAI({
+    apiKey: options.apiKey,
+    baseURL: options.baseURL
+  });
+
+  function toResult(response) {
+    if (!response.choices || !Array.isArray(response.choices) || response.choices.length === 0) {
+      throw new Error('No choices in API response');
+    }
+
+    const message = response.choices[0].message;
+    if (!message || typeof message.content !== 'string') {
+      throw new Error('Invalid message format in API response');
+    }
+
+    return {
+      content: message.content,
+      model: response.model,
+      usage: {
+        promptTokens: response.usage?.prompt_tokens || 0,
+        completionTokens: response.usage?.completion_tokens || 0
+      }
+    };
+  }
+
+  async function chat({ messages, maxTokens, temperature }) {
+    const response = await client.chat.completions.create({
+      model: models.chat,
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    });
+
+    return toResult(response);
+  }
+
+  // Yields the reply text as it is generated. `signal` aborts the request.
+  async function* chatStream({ messages, maxTokens, temperature, signal }) {
+    const stream = await client.chat.completions.create({
+      model: models.chat,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      stream: true
+    }, { signal });
+
+    for await (const chunk of stream) {
+      const text = chunk.choices?.[0]?.delta?.content;
+      if (text) yield text;
+    }
+  }
+
+  async function vision({ prompt, images, detail = 'high', maxTokens, temperature }) {
+    const response = await client.chat.completions.create({
+      model: models.vision,
+      messages: [
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: prompt },
+            ...images.map(image => ({
+              type: 'image_url',
+              image_url: {
+                url: `data:${image.mimeType};base64,${image.base64}`,
+                detail
+              }
+            }))
+          ]
+        }
+      ],
+      max_tokens: maxTokens,
+      temperature
+    });
+
+    return toResult(response);
+  }
+
+  async function speech({ text, voice = 'alloy', speed = 1.0 }) {
+    if (!models.tts) {
+      throw new Error(`Text-to-speech is not configured for the ${name} provider`);
+    }
+
+    const response = await client.audio.speech.create({
+      model: models.tts,
+      voice,
+      input: text,
+      response_format: 'mp3',
+      speed
+    });
+
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  return { name, models, chat, chatStream, vision, speech };
+}
+
+module.exports = {
+  createOpenAIProvider,
+  DEFAULT_MODELS
+};
@@ -0,0 +1,131 @@
+// Estimated cost of model calls, for the daily spend budget. Prices are US
+// dollars per million tokens (chat and vision) or per million characters
+// (speech), matched by model name prefix so dated names like
+// gpt-4o-mini-2024-07-18 are found. MODEL_PRICES (JSON in the same shape)
+// adds or overrides entries.
+
+const PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'tts-1-hd': { characters: 30 },
+  'tts-1': { characters: 15 },
+  ...JSON.parse(process.env.MODEL_PRICES || '{}')
+};
+
+// A model missing from the table is priced high rather than treated as free
+const UNKNOWN_PRICE = { input: 5, output: 15, characters: 30 };
+
+// Local models and the stub cost nothing
+const FREE_PROVIDERS = ['local', 'stub'];
+
+const estimateTokens = text => Math.ceil(String(text || '').length / 4);
+// About what one high-detail label photo costs in input tokens
+const IMAGE_TOKENS = 1000;
+
+// Longest matching prefix, so gpt-4o-mini isn't priced as gpt-4o
+function priceOf(model) {
+  const name = String(model || '').toLowerCase();
+  const prefix = Object.keys(PRICES)
+    .filter(key => name.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? PRICES[prefix] : UNKNOWN_PRICE;
+}
+
+function estimateCost(providerName, { model, promptTokens = 0, completionTokens = 0, characters = 0 }) {
+  if (FREE_PROVIDERS.includes(providerName)) return 0;
+  const price = priceOf(model);
+  return ((price.input || 0) * promptTokens + (price.output || 0) * completionTokens + (price.characters || 0) * characters) / 1e6;
+}
+
+const messagesText = messages => (messages || [])
+  .map(message => (typeof message.content === 'string' ? message.content : JSON.stringify(message.content)))
+  .join('\n');
+
+/**
+ * Wrap a provider so every call reports its usage to `report({ task, kind,
+ * provider, model, outcome, latencyMs, promptTokens, completionTokens,
+ * characters, cost })`. `outcome` is 'ok', 'error' or, for streams, 'aborted'.
+ * Token counts come from the API when it reports them and are estimated
+ * otherwise (streamed replies, providers without usage data); failed calls
+ * count none.
+ */
+function meterProvider(provider, report) {
+  const send = (kind, task, usage) => {
+    const entry = { task, kind, provider: provider.name, promptTokens: 0, completionTokens: 0, characters: 0, ...usage };
+    report({ ...entry, cost: estimateCost(provider.name, entry) });
+  };
+
+  async function measure(kind, options, model, call, usageOf) {
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = await call(options);
+    } catch (error) {
+      send(kind, options.task, { model, outcome: 'error', latencyMs: Date.now() - startedAt });
+      throw error;
+    }
+    send(kind, options.task, { model, ...usageOf(result), outcome: 'ok', latencyMs: Date.now() - startedAt });
+    return result;
+  }
+
+  return {
+    ...provider,
+
+    chat(options) {
+      return measure('chat', options, provider.models.chat, provider.chat, result => ({
+        model: result.model || provider.models.chat,
+        promptTokens: result.usage?.promptTokens || estimateTokens(messagesText(options.messages)),
+        completionTokens: result.usage?.completionTokens || estimateTokens(result.content)
+      }));
+    },
+
+    // Reported when the stream ends, including when it is aborted part way
+    async* chatStream(options) {
+      const startedAt = Date.now();
+      let text = '';
+      // Stays 'aborted' if the caller stops reading before the end
+      let outcome = 'aborted';
+      try {
+        for await (const piece of provider.chatStream(options)) {
+          text += piece;
+          yield piece;
+        }
+        outcome = 'ok';
+      } catch (error) {
+        outcome = options.signal?.aborted ? 'aborted' : 'error';
+        throw error;
+      } finally {
+        send('chat', options.task, {
+          model: provider.models.chat,
+          outcome,
+          latencyMs: Date.now() - startedAt,
+          promptTokens: estimateTokens(messagesText(options.messages)),
+          completionTokens: estimateTokens(text)
+        });
+      }
+    },
+
+    vision(options) {
+      return measure('vision', options, provider.models.vision, provider.vision, result => ({
+        model: result.model || provider.models.vision,
+        promptTokens: result.usage?.promptTokens || estimateTokens(options.prompt) + (options.images?.length || 0) * IMAGE_TOKENS,
+        completionTokens: result.usage?.completionTokens || estimateTokens(result.content)
+      }));
+    },
+
+    speech(options) {
+      return measure('speech', options, provider.models.tts, provider.speech, () => ({
+        characters: String(options.text || '').length
+      }));
+    }
+  };
+}
+
+module.exports = {
+  estimateCost,
+  meterProvider
+};
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.MODEL_PRICES = JSON.stringify({ 'my-model': { input: 1, output: 2 } });
+
+const { estimateCost, meterProvider } = require('./pricing');
+
+const MILLION = 1e6;
+
+test('prices calls by the longest matching model name', () => {
+  assert.equal(estimateCost('openai', { model: 'gpt-4o-mini-2024-07-18', promptTokens: MILLION, completionTokens: MILLION }), 0.75);
+  assert.equal(estimateCost('openai', { model: 'gpt-4o', promptTokens: MILLION }), 2.5);
+  assert.equal(estimateCost('openai', { model: 'tts-1-hd', characters: MILLION }), 30);
+  assert.equal(estimateCost('openai', { model: 'tts-1', characters: MILLION }), 15);
+  assert.equal(estimateCost('openai', { model: 'my-model-v2', promptTokens: MILLION, completionTokens: MILLION }), 3);
+});
+
+test('prices unknown models high and local models at nothing', () => {
+  assert.equal(estimateCost('openai', { model: 'mystery', promptTokens: MILLION, completionTokens: MILLION }), 20);
+  assert.equal(estimateCost('local', { model: 'gpt-4o', promptTokens: MILLION }), 0);
+  assert.equal(estimateCost('stub', { model: 'gpt-4o', promptTokens: MILLION }), 0);
+});
+
+// A provider whose calls report no usage, so the meter has to estimate
+const quietProvider = {
+  name: 'openai',
+  models: { chat: 'gpt-4o', vision: 'gpt-4o', tts: 'tts-1' },
+  chat: async () => ({ content: 'x'.repeat(400) }),
+  chatStream: async function* () {
+    yield 'x'.repeat(200);
+    yield 'x'.repeat(200);
+  },
+  vision: async () => ({ content: '{}' }),
+  speech: async () => Buffer.alloc(0)
+};
+
+test('estimates tokens when the provider does not report them', async () => {
+  const reports = [];
+  const provider = meterProvider(quietProvider, usage => reports.push(usage));
+  const messages = [{ role: 'user', content: 'x'.repeat(800) }];
+
+  await provider.chat({ task: 'followUp', messages });
+  await provider.vision({ task: 'extract', prompt: 'x'.repeat(40), images: [Buffer.alloc(1), Buffer.alloc(1)] });
+  await provider.speech({ task: 'tts', text: 'Hello there' });
+
+  assert.deepEqual(reports.map(({ kind, promptTokens, completionTokens, characters }) => [kind, promptTokens, completionTokens, characters]), [
+    ['chat', 200, 100, 0],
+    ['vision', 2010, 1, 0],
+    ['speech', 0, 0, 11]
+  ]);
+  assert.equal(reports[0].cost, (2.5 * 200 + 10 * 100) / MILLION);
+  assert.equal(reports[0].model, 'gpt-4o');
+});
+
+test('reports a stream when it ends, or as aborted when the reader stops early', async () => {
+  const reports = [];
+  const provider = meterProvider(quietProvider, usage => reports.push(usage));
+
+  let text = '';
+  for await (const piece of provider.chatStream({ task: 'followUp', messages: [] })) text += piece;
+  for await (const piece of provider.chatStream({ task: 'followUp', messages: [] })) {
+    assert.ok(piece);
+    break;
+  }
+
+  assert.equal(text.length, 400);
+  assert.deepEqual(reports.map(({ outcome, completionTokens }) => [outcome, completionTokens]), [['ok', 100], ['aborted', 50]]);
+});
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+
+// One silent MPEG-1 Layer III frame (128 kbps, 44.1 kHz, mono). A run of these
+// is a valid MP3 that players accept, which is all the TTS stub needs.
+const SILENT_MP3_FRAME = Buffer.concat([
+  Buffer.from([0xff, 0xfb, 0x90, 0xc4]),
+  Buffer.alloc(413)
+]);
+
+const STREAM_DELAY_MS = 15;
+
+const estimateTokens = text => Math.ceil(String(text || '').length / 4);
+
+/**
+ * Deterministic provider for development and demos without an API key or
+ * network. Every call returns the fixture named after the calling task
+ * (`<task>.json` or `<task>.txt` in `options.fixturesDir`), whatever the input.
+ */
+function createStubProvider(options = {}) {
+  const fixturesDir = options.fixturesDir;
+  if (!fixturesDir) {
+    throw new Error('The stub provider needs a fixtures directory');
+  }
+  const models = { chat: 'stub', vision: 'stub', tts: 'stub' };
+
+  function loadFixture(task) {
+    const jsonPath = path.join(fixturesDir, `${task}.json`);
+    if (fs.existsSync(jsonPath)) {
+      // Round-trip so the output is formatted the same way whatever the file looks like
+      return JSON.stringify(JSON.parse(fs.readFileSync(jsonPath, 'utf8')), null, 2);
+    }
+
+    const textPath = path.join(fixturesDir, `${task}.txt`);
+    if (fs.existsSync(textPath)) {
+      return fs.readFileSync(textPath, 'utf8').trim();
+    }
+
+    throw new Error(`No stub fixture for task "${task}" in ${fixturesDir}`);
+  }
+
+  function respond(task, promptText) {
+    const content = loadFixture(task);
+    return {
+      content,
+      model: 'stub',
+      usage: {
+        promptTokens: estimateTokens(promptText),
+        completionTokens: estimateTokens(content)
+      }
+    };
+  }
+
+  async function chat({ task, messages }) {
+    const promptText = messages
+      .map(message => (typeof message.content === 'string' ? message.content : ''))
+      .join('\n');
+    return respond(task, promptText);
+  }
+
+  // Replays the fixture a word at a time, paced like a real model
+  async function* chatStream({ task, signal }) {
+    const content = loadFixture(task);
+    for (const word of content.match(/\S+\s*|\s+/g) || []) {
+      await new Promise(resolve => setTimeout(resolve, STREAM_DELAY_MS));
+      if (signal?.aborted) {
+        throw Object.assign(new Error('Request was aborted'), { name: 'AbortError' });
+      }
+      yield word;
+    }
+  }
+
+  async function vision({ task, prompt }) {
+    return respond(task, prompt);
+  }
+
+  async function speech({ text }) {
+    if (!text) {
+      throw new Error('No text provided for TTS');
+    }
+
+    // Roughly one frame per word keeps the clip length proportional to the text
+    const frameCount = Math.max(1, Math.min(text.split(/\s+/).length, 400));
+    return Buffer.concat(Array(frameCount).fill(SILENT_MP3_FRAME));
+  }
+
+  return { name: 'stub', models, chat, chatStream, vision, speech };
+}
+
+module.exports = {
+  createStubProvider
+};
@@ -0,0 +1,289 @@
+// Where sessions live, picked with SESSION_STORE:
+// - memory (default): a Map in this process, lost on restart
+// - sqlite: a SQLite file (SESSION_DB_PATH, or the app's `dbPath`), shared by
+//   processes on one machine
+// - redis: any server speaking the Redis protocol (SESSION_REDIS_URL), shared
+//   by every instance behind a load balancer; keys start with SESSION_REDIS_PREFIX
+//   or the app's `redisPrefix`
+// Every backend has the same async interface and the same expiry rule: a
+// session expires SESSION_TTL_SECONDS after it was last read or written.
+// update(id, change) is the way to change a stored session: `change` gets the
+// current session and returns the new one, and no other write can land in
+// between, even from another process or instance.
+// Sessions are stored as JSON everywhere, so nothing can come to rely on the
+// memory backend handing back the very object that was stored.
+
+const path = require('path');
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const TTL_MS = Number(process.env.SESSION_TTL_SECONDS || 30 * 60) * 1000;
+const CLEANUP_INTERVAL = 5 * 60 * 1000;
+
+// Entries are { data: <session JSON>, expiresAt }
+function createMemoryStore() {
+  const entries = new Map();
+
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [id, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        entries.delete(id);
+        logger.debug('Session expired and removed', { sessionId: id });
+      }
+    }
+  }, CLEANUP_INTERVAL);
+  cleanup.unref();
+
+  const live = id => {
+    const entry = entries.get(id);
+    return entry && entry.expiresAt > Date.now() ? entry : null;
+  };
+
+  return {
+    name: 'memory',
+    async get(id) {
+      const entry = live(id);
+      if (!entry) return null;
+      entry.expiresAt = Date.now() + TTL_MS;
+      return { id, session: JSON.parse(entry.data), expiresAt: entry.expiresAt };
+    },
+    async set(id, session) {
+      entries.set(id, { data: JSON.stringify(session), expiresAt: Date.now() + TTL_MS });
+    },
+    async update(id, change) {
+      const entry = live(id);
+      if (!entry) return null;
+      const data = JSON.stringify(change(JSON.parse(entry.data)));
+      const expiresAt = Date.now() + TTL_MS;
+      entries.set(id, { data, expiresAt });
+      return { id, session: JSON.parse(data), expiresAt };
+    },
+    async has(id) {
+      return Boolean(live(id));
+    },
+    async delete(id) {
+      return Boolean(live(id)) && entries.delete(id);
+    },
+    async count() {
+      return [...entries.keys()].filter(live).length;
+    },
+    async list() {
+      return [...entries.keys()].filter(live).map(id => {
+        const entry = entries.get(id);
+        return { id, session: JSON.parse(entry.data), expiresAt: entry.expiresAt };
+      });
+    },
+    async close() {
+      clearInterval(cleanup);
+    }
+  };
+}
+
+function createSqliteStore(options) {
+  const Database = require('better-sqlite3');
+  const dbPath = process.env.SESSION_DB_PATH || options.dbPath;
+  if (!dbPath) {
+    throw new Error('SESSION_STORE=sqlite needs SESSION_DB_PATH');
+  }
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const table = options.namespace || 'sessions';
+
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  // Several processes may share the file; wait for each other's writes
+  db.pragma('busy_timeout = 5000');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ${table} (
+      id TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      expires_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS ${table}_expiry ON ${table} (expires_at);
+  `);
+
+  const statements = {
+    touch: db.prepare(`UPDATE ${table} SET expires_at = ? WHERE id = ? AND expires_at > ? RETURNING data, expires_at`),
+    set: db.prepare(`
+      INSERT INTO ${table} (id, data, expires_at) VALUES (?, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET data = excluded.data, expires_at = excluded.expires_at
+    `),
+    has: db.prepare(`SELECT 1 FROM ${table} WHERE id = ? AND expires_at > ?`),
+    delete: db.prepare(`DELETE FROM ${table} WHERE id = ? AND expires_at > ?`),
+    count: db.prepare(`SELECT COUNT(*) AS count FROM ${table} WHERE expires_at > ?`),
+    list: db.prepare(`SELECT id, data, expires_at FROM ${table} WHERE expires_at > ?`),
+    expire: db.prepare(`DELETE FROM ${table} WHERE expires_at <= ?`)
+  };
+
+  // IMMEDIATE takes the write lock before reading, so other processes wait
+  const updateRow = db.transaction((id, change) => {
+    const now = Date.now();
+    const row = statements.touch.get(now + TTL_MS, id, now);
+    if (!row) return null;
+    const data = JSON.stringify(change(JSON.parse(row.data)));
+    statements.set.run(id, data, now + TTL_MS);
+    return { id, session: JSON.parse(data), expiresAt: now + TTL_MS };
+  });
+
+  const cleanup = setInterval(() => {
+    const { changes } = statements.expire.run(Date.now());
+    if (changes > 0) logger.debug('Expired sessions removed', { table, count: changes });
+  }, CLEANUP_INTERVAL);
+  cleanup.unref();
+
+  return {
+    name: 'sqlite',
+    async get(id) {
+      const now = Date.now();
+      const row = statements.touch.get(now + TTL_MS, id, now);
+      return row ? { id, session: JSON.parse(row.data), expiresAt: row.expires_at } : null;
+    },
+    async set(id, session) {
+      statements.set.run(id, JSON.stringify(session), Date.now() + TTL_MS);
+    },
+    async update(id, change) {
+      return updateRow.immediate(id, change);
+    },
+    async has(id) {
+      return Boolean(statements.has.get(id, Date.now()));
+    },
+    async delete(id) {
+      return statements.delete.run(id, Date.now()).changes > 0;
+    },
+    async count() {
+      return statements.count.get(Date.now()).count;
+    },
+    async list() {
+      return statements.list.all(Date.now()).map(row => ({ id: row.id, session: JSON.parse(row.data), expiresAt: row.expires_at }));
+    },
+    async close() {
+      clearInterval(cleanup);
+      db.close();
+    }
+  };
+}
+
+// Writes the new value only if the key still holds the value it was computed from
+const COMPARE_AND_SET = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])
+  return 1
+end
+return 0
+`;
+const UPDATE_ATTEMPTS = 10;
+
+// Expiry is the server's own key TTL, refreshed on every read
+function createRedisStore(options) {
+  const { createClient } = require('redis');
+  const basePrefix = process.env.SESSION_REDIS_PREFIX || options.redisPrefix || 'session:';
+  // In front of the prefix, so a SCAN for the sessions never matches these keys
+  const prefix = options.namespace ? `${options.namespace}:${basePrefix}` : basePrefix;
+  const client = createClient({
+    url: process.env.SESSION_REDIS_URL || 'redis://localhost:6379',
+    // Give up after a few tries so requests fail instead of waiting forever
+    socket: { connectTimeout: 5000, reconnectStrategy: retries => (retries >= 5 ? false : Math.min(retries * 200, 2000)) }
+  });
+  client.on('error', error => logger.error('Session store (redis) error', { error: error.message }));
+
+  let connecting = null;
+  // Connected on first use, so the server starts even if Redis is still coming up
+  const command = async args => {
+    if (!client.isOpen) {
+      connecting = connecting || client.connect().finally(() => { connecting = null; });
+      await connecting;
+    }
+    return client.sendCommand(args.map(String));
+  };
+
+  // Every key with the prefix, a SCAN page at a time
+  const scan = async onKeys => {
+    let cursor = '0';
+    do {
+      const [next, keys] = await command(['SCAN', cursor, 'MATCH', `${prefix}*`, 'COUNT', 100]);
+      cursor = next;
+      await onKeys(keys);
+    } while (cursor !== '0');
+  };
+
+  return {
+    name: 'redis',
+    async get(id) {
+      // GETEX reads and refreshes the TTL in one step (Redis 6.2+)
+      const data = await command(['GETEX', prefix + id, 'PX', TTL_MS]);
+      return data === null ? null : { id, session: JSON.parse(data), expiresAt: Date.now() + TTL_MS };
+    },
+    async set(id, session) {
+      await command(['SET', prefix + id, JSON.stringify(session), 'PX', TTL_MS]);
+    },
+    // Optimistic: read, change, and write back only if nobody wrote meanwhile; else retry
+    async update(id, change) {
+      for (let attempt = 0; attempt < UPDATE_ATTEMPTS; attempt++) {
+        const current = await command(['GET', prefix + id]);
+        if (current === null) return null;
+        const data = JSON.stringify(change(JSON.parse(current)));
+        if (await command(['EVAL', COMPARE_AND_SET, 1, prefix + id, current, data, TTL_MS]) === 1) {
+          return { id, session: JSON.parse(data), expiresAt: Date.now() + TTL_MS };
+        }
+      }
+      throw new Error(`Session ${id} kept changing; gave up updating it`);
+    },
+    async has(id) {
+      return (await command(['EXISTS', prefix + id])) === 1;
+    },
+    async delete(id) {
+      return (await command(['DEL', prefix + id])) === 1;
+    },
+    async count() {
+      let count = 0;
+      await scan(keys => { count += keys.length; });
+      return count;
+    },
+    async list() {
+      const entries = [];
+      await scan(async keys => {
+        for (const key of keys) {
+          const [data, ttl] = await Promise.all([command(['GET', key]), command(['PTTL', key])]);
+          if (data !== null && ttl > 0) {
+            entries.push({ id: key.slice(prefix.length), session: JSON.parse(data), expiresAt: Date.now() + ttl });
+          }
+        }
+      });
+      return entries;
+    },
+    async close() {
+      if (client.isOpen) await client.quit();
+    }
+  };
+}
+
+const BACKENDS = {
+  memory: createMemoryStore,
+  sqlite: createSqliteStore,
+  redis: createRedisStore
+};
+
+/**
+ * `options.store` overrides SESSION_STORE; `options.dbPath` and
+ * `options.redisPrefix` are the app's defaults for the SQLite file and Redis keys.
+ * `options.namespace` keeps other records that should be shared and expire
+ * like sessions (e.g. 'jobs') apart from the sessions in the same store: their
+ * own SQLite table, and Redis keys starting `<namespace>:`.
+ */
+function createSessionStore(options = {}) {
+  const name = options.store || process.env.SESSION_STORE || 'memory';
+  if (options.namespace && !/^[a-z_]+$/.test(options.namespace)) {
+    throw new Error(`Invalid session store namespace "${options.namespace}"`);
+  }
+  const create = BACKENDS[name];
+  if (!create) {
+    throw new Error(`Unknown SESSION_STORE "${name}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  logger.info('Session store ready', { store: name, namespace: options.namespace, ttlSeconds: TTL_MS / 1000 });
+  return create(options);
+}
+
+module.exports = {
+  TTL_MS,
+  createSessionStore
+};
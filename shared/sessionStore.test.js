@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'silent';
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const { TTL_MS, createSessionStore } = require('./sessionStore');
+
+const BACKENDS = {
+  memory: () => createSessionStore({ store: 'memory' }),
+  sqlite: () => createSessionStore({ store: 'sqlite', dbPath: path.join(tmpDir, 'sessions.db') }),
+  redis: () => createSessionStore({ store: 'redis', redisPrefix: `test:${process.pid}:` })
+};
+
+// Every backend must behave the same; Redis only runs against a real server
+for (const [name, create] of Object.entries(BACKENDS)) {
+  const skip = name === 'redis' && !process.env.SESSION_REDIS_URL && 'set SESSION_REDIS_URL to test the redis store';
+
+  test(`${name}: stores, reads, lists and deletes sessions`, { skip }, async () => {
+    const store = create();
+    try {
+      const session = { analysis: { productName: 'Oat Bar' }, conversationHistory: [] };
+      await store.set('session-1', session);
+
+      const entry = await store.get('session-1');
+      assert.deepEqual(entry.session, session);
+      // A copy, never the stored object itself
+      assert.notEqual(entry.session, session);
+      assert.ok(entry.expiresAt > Date.now());
+
+      assert.equal(await store.has('session-1'), true);
+      assert.equal(await store.get('missing'), null);
+      assert.equal(await store.count(), 1);
+      assert.deepEqual((await store.list()).map(item => item.id), ['session-1']);
+
+      assert.equal(await store.delete('session-1'), true);
+      assert.equal(await store.delete('session-1'), false);
+      assert.equal(await store.has('session-1'), false);
+    } finally {
+      await store.close();
+    }
+  });
+
+  test(`${name}: updates a session from its current value`, { skip }, async () => {
+    const store = create();
+    try {
+      await store.set('counter', { count: 0, history: [] });
+      // Started together, so a read-then-write would lose all but one
+      await Promise.all(Array.from({ length: 5 }, (_, i) => store.update('counter', session => ({
+        count: session.count + 1,
+        history: [...session.history, i]
+      }))));
+
+      const { session } = await store.get('counter');
+      assert.equal(session.count, 5);
+      assert.deepEqual([...session.history].sort(), [0, 1, 2, 3, 4]);
+      assert.equal(await store.update('missing', () => ({ count: 1 })), null);
+      assert.equal(await store.has('missing'), false);
+    } finally {
+      await store.delete('counter');
+      await store.close();
+    }
+  });
+}
+
+for (const name of ['memory', 'sqlite']) {
+  test(`${name}: a session expires after the TTL unless it is read`, async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const store = BACKENDS[name]();
+    try {
+      await store.set('idle', { n: 1 });
+      await store.set('busy', { n: 2 });
+
+      t.mock.timers.tick(TTL_MS - 1000);
+      // Reading pushes the expiry back; has() doesn't
+      assert.ok(await store.get('busy'));
+      assert.equal(await store.has('idle'), true);
+
+      t.mock.timers.tick(2000);
+      assert.equal(await store.get('idle'), null);
+      assert.equal(await store.has('idle'), false);
+      assert.equal(await store.delete('idle'), false);
+      assert.equal(await store.count(), 1);
+      assert.deepEqual((await store.list()).map(item => item.id), ['busy']);
+    } finally {
+      await store.delete('busy');
+      await store.close();
+    }
+  });
+}
+
+test('sqlite: processes sharing the file see each other\'s sessions', async () => {
+  const first = BACKENDS.sqlite();
+  const second = BACKENDS.sqlite();
+  try {
+    await first.set('shared', { owner: 'first' });
+    assert.deepEqual((await second.get('shared')).session, { owner: 'first' });
+    await second.update('shared', session => ({ ...session, editor: 'second' }));
+    assert.deepEqual((await first.get('shared')).session, { owner: 'first', editor: 'second' });
+    assert.equal(await second.delete('shared'), true);
+    assert.equal(await first.get('shared'), null);
+  } finally {
+    await first.close();
+    await second.close();
+  }
+});
+
+test('sqlite: a namespace keeps its records apart from the sessions in the file', async () => {
+  const sessions = BACKENDS.sqlite();
+  const jobs = createSessionStore({ store: 'sqlite', dbPath: path.join(tmpDir, 'sessions.db'), namespace: 'jobs' });
+  try {
+    const sessionCount = await sessions.count();
+    await sessions.set('same-id', { kind: 'session' });
+    await jobs.set('same-id', { kind: 'job' });
+    assert.deepEqual((await sessions.get('same-id')).session, { kind: 'session' });
+    assert.deepEqual((await jobs.get('same-id')).session, { kind: 'job' });
+    assert.equal(await sessions.count(), sessionCount + 1);
+    assert.equal(await jobs.count(), 1);
+  } finally {
+    await sessions.delete('same-id');
+    await jobs.delete('same-id');
+    await sessions.close();
+    await jobs.close();
+  }
+});
+
+test('rejects an unknown store, sqlite without a file and odd namespaces', () => {
+  assert.throws(() => createSessionStore({ store: 'mongo' }), /Unknown SESSION_STORE "mongo"/);
+  assert.throws(() => createSessionStore({ store: 'sqlite' }), /needs SESSION_DB_PATH/);
+  assert.throws(() => createSessionStore({ namespace: 'jobs; DROP TABLE sessions' }), /Invalid session store namespace/);
+});
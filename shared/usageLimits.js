@@ -0,0 +1,182 @@
+// Limits on how much each client, and everyone together, can ask of the API,
+// plus a daily budget for model spend. Counts are kept in memory per fixed
+// window, so each instance behind a load balancer enforces its own share.
+//
+// Per RATE_LIMIT_WINDOW_SECONDS (default 60), with 0 turning a limit off:
+// - requests: RATE_LIMIT_REQUESTS per client (30), RATE_LIMIT_IP_REQUESTS per
+//   IP address (120), RATE_LIMIT_GLOBAL_REQUESTS (300)
+// - images:   RATE_LIMIT_IMAGES (20), RATE_LIMIT_IP_IMAGES (60), RATE_LIMIT_GLOBAL_IMAGES (200)
+// - ttsChars: RATE_LIMIT_TTS_CHARS (5000), RATE_LIMIT_IP_TTS_CHARS (20000),
+//   RATE_LIMIT_GLOBAL_TTS_CHARS (50000)
+// The per-IP limits add up every client behind one address, so a caller can't
+// get more by minting new client IDs; they're set higher than the per-client
+// ones to leave room for households and offices sharing an address.
+// Spend: DAILY_SPEND_LIMIT_USD (default 5, 0 for none) of estimated model
+// costs (see providers/pricing.js), reset at midnight UTC.
+
+const WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_SECONDS || 60) * 1000;
+const CLEANUP_INTERVAL = 5 * 60 * 1000;
+
+const envNumber = (name, fallback) => Number(process.env[name] ?? fallback);
+
+const LIMITS = {
+  requests: {
+    client: envNumber('RATE_LIMIT_REQUESTS', 30),
+    ip: envNumber('RATE_LIMIT_IP_REQUESTS', 120),
+    global: envNumber('RATE_LIMIT_GLOBAL_REQUESTS', 300)
+  },
+  images: {
+    client: envNumber('RATE_LIMIT_IMAGES', 20),
+    ip: envNumber('RATE_LIMIT_IP_IMAGES', 60),
+    global: envNumber('RATE_LIMIT_GLOBAL_IMAGES', 200)
+  },
+  ttsChars: {
+    client: envNumber('RATE_LIMIT_TTS_CHARS', 5000),
+    ip: envNumber('RATE_LIMIT_IP_TTS_CHARS', 20000),
+    global: envNumber('RATE_LIMIT_GLOBAL_TTS_CHARS', 50000)
+  }
+};
+
+const DAILY_SPEND_LIMIT = envNumber('DAILY_SPEND_LIMIT_USD', 5);
+
+// `${limit}:${scope}:${client key, IP or *}` → { start, used } for the current window
+const windows = new Map();
+const CLIENT_WINDOW = /^\w+:client:(.+)$/;
+const today = () => new Date().toISOString().slice(0, 10);
+let spend = { day: today(), cost: 0, calls: 0 };
+
+const cleanup = setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of windows) {
+    if (now - entry.start >= WINDOW_MS) windows.delete(key);
+  }
+}, CLEANUP_INTERVAL);
+cleanup.unref();
+
+function currentWindow(key, now) {
+  const entry = windows.get(key);
+  return entry && now - entry.start < WINDOW_MS ? entry : null;
+}
+
+/**
+ * Count `amounts` ({ requests, images, ttsChars }) against the client's, its
+ * IP address's and the global limits; `keys` is { client, ip }, and without
+ * `ip` only the client and global limits apply. Either all of it is counted
+ * and { allowed: true } comes back, or none of it is and the result names the
+ * limit that was hit: { allowed: false, limit, scope: 'client' | 'ip' | 'global',
+ * max, retryAfter } with `retryAfter` in seconds.
+ */
+function takeAllowance({ client, ip }, amounts) {
+  const now = Date.now();
+  const counted = [];
+  const scopeKeys = { client, ip, global: '*' };
+
+  for (const [limit, amount] of Object.entries(amounts)) {
+    if (!amount) continue;
+    for (const scope of ['client', 'ip', 'global']) {
+      const max = LIMITS[limit][scope];
+      if (!max || !scopeKeys[scope]) continue;
+
+      const key = `${limit}:${scope}:${scopeKeys[scope]}`;
+      const entry = currentWindow(key, now);
+      if ((entry?.used || 0) + amount > max) {
+        const retryAfter = Math.max(1, Math.ceil(((entry?.start ?? now) + WINDOW_MS - now) / 1000));
+        return { allowed: false, limit, scope, max, retryAfter };
+      }
+      counted.push({ key, entry, amount });
+    }
+  }
+
+  for (const { key, entry, amount } of counted) {
+    if (entry) {
+      entry.used += amount;
+    } else {
+      windows.set(key, { start: now, used: amount });
+    }
+  }
+  return { allowed: true };
+}
+
+function rollOver() {
+  if (spend.day !== today()) spend = { day: today(), cost: 0, calls: 0 };
+}
+
+// Add the estimated cost of one model call to today's spend
+function recordSpend(cost) {
+  rollOver();
+  spend.cost += cost;
+  spend.calls++;
+}
+
+// Whether today's budget still has room, in the same shape as takeAllowance
+function checkSpendBudget() {
+  rollOver();
+  if (!DAILY_SPEND_LIMIT || spend.cost < DAILY_SPEND_LIMIT) return { allowed: true };
+
+  const midnight = new Date();
+  midnight.setUTCHours(24, 0, 0, 0);
+  return {
+    allowed: false,
+    limit: 'spend',
+    scope: 'global',
+    max: DAILY_SPEND_LIMIT,
+    retryAfter: Math.ceil((midnight - Date.now()) / 1000)
+  };
+}
+
+function formatWait(seconds) {
+  if (seconds < 90) return `${seconds} seconds`;
+  if (seconds < 90 * 60) return `${Math.ceil(seconds / 60)} minutes`;
+  return `${Math.round(seconds / 3600)} hours`;
+}
+
+// What to tell the user about a limit they hit
+function describeLimit({ limit, scope, max, retryAfter }) {
+  const wait = formatWait(retryAfter);
+  if (limit === 'spend') {
+    return `Today's budget for AI analysis has been used up. Please try again in ${wait}.`;
+  }
+  if (scope === 'global') {
+    return `The service is very busy right now. Please try again in ${wait}.`;
+  }
+  if (scope === 'ip') {
+    return `Too many requests are coming from your network. Please try again in ${wait}.`;
+  }
+  const window = WINDOW_MS === 60 * 1000 ? 'minute' : formatWait(WINDOW_MS / 1000);
+  switch (limit) {
+    case 'images':
+      return `You can analyze up to ${max} photos per ${window}. Please try again in ${wait}.`;
+    case 'ttsChars':
+      return `You've reached the read-aloud limit of ${max} characters per ${window}. Please try again in ${wait}.`;
+    default:
+      return `You're sending requests too quickly. Please wait ${wait} and try again.`;
+  }
+}
+
+function getUsageStats() {
+  rollOver();
+  const now = Date.now();
+  const clients = [...windows.keys()]
+    .filter(key => currentWindow(key, now))
+    .map(key => CLIENT_WINDOW.exec(key)?.[1])
+    .filter(Boolean);
+  return {
+    windowSeconds: WINDOW_MS / 1000,
+    limits: LIMITS,
+    activeClients: new Set(clients).size,
+    spend: {
+      day: spend.day,
+      estimatedCostUsd: Math.round(spend.cost * 10000) / 10000,
+      limitUsd: DAILY_SPEND_LIMIT || null,
+      modelCalls: spend.calls
+    }
+  };
+}
+
+module.exports = {
+  takeAllowance,
+  recordSpend,
+  checkSpendBudget,
+  describeLimit,
+  getUsageStats
+};
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.RATE_LIMIT_WINDOW_SECONDS = '60';
+process.env.RATE_LIMIT_REQUESTS = '3';
+process.env.RATE_LIMIT_IP_REQUESTS = '5';
+process.env.RATE_LIMIT_GLOBAL_REQUESTS = '8';
+process.env.RATE_LIMIT_IMAGES = '4';
+process.env.RATE_LIMIT_IP_IMAGES = '0';
+process.env.RATE_LIMIT_GLOBAL_IMAGES = '0';
+process.env.DAILY_SPEND_LIMIT_USD = '1';
+
+const { takeAllowance, recordSpend, checkSpendBudget, describeLimit, getUsageStats } = require('./usageLimits');
+
+const device = (id, ip = '203.0.113.1') => ({ client: `device:${id}`, ip });
+
+// Each test starts on a fresh window an hour after the last
+let clock = Date.parse('2026-01-01T10:00:00Z');
+test.beforeEach(t => {
+  clock += 60 * 60 * 1000;
+  t.mock.timers.enable({ apis: ['Date'], now: clock });
+});
+
+test('limits each client per window and starts over in the next', t => {
+  for (let i = 0; i < 3; i++) assert.equal(takeAllowance(device('a'), { requests: 1 }).allowed, true);
+
+  const refused = takeAllowance(device('a'), { requests: 1 });
+  assert.deepEqual(refused, { allowed: false, limit: 'requests', scope: 'client', max: 3, retryAfter: 60 });
+
+  t.mock.timers.tick(45 * 1000);
+  assert.equal(takeAllowance(device('a'), { requests: 1 }).retryAfter, 15);
+  t.mock.timers.tick(15 * 1000);
+  assert.equal(takeAllowance(device('a'), { requests: 1 }).allowed, true);
+});
+
+test('new client IDs from the same IP share its limit', () => {
+  for (const id of ['a', 'b', 'c', 'd', 'e']) {
+    assert.equal(takeAllowance(device(id), { requests: 1 }).allowed, true, id);
+  }
+  const refused = takeAllowance(device('f'), { requests: 1 });
+  assert.equal(refused.scope, 'ip');
+  assert.equal(refused.max, 5);
+
+  // Another address is unaffected, and clients without an IP only have their own limit
+  assert.equal(takeAllowance(device('f', '198.51.100.7'), { requests: 1 }).allowed, true);
+  assert.equal(takeAllowance({ client: 'ip:198.51.100.8' }, { requests: 1 }).allowed, true);
+});
+
+test('caps everyone together', () => {
+  for (let i = 0; i < 8; i++) {
+    assert.equal(takeAllowance(device(`g${i}`, `192.0.2.${i}`), { requests: 1 }).allowed, true);
+  }
+  const refused = takeAllowance(device('late', '192.0.2.99'), { requests: 1 });
+  assert.equal(refused.scope, 'global');
+});
+
+test('counts all of a request or none of it', () => {
+  assert.equal(takeAllowance(device('h'), { requests: 1, images: 3 }).allowed, true);
+
+  const refused = takeAllowance(device('h'), { requests: 1, images: 2 });
+  assert.equal(refused.limit, 'images');
+  // The refused request's own count wasn't kept: two more requests still fit
+  assert.equal(takeAllowance(device('h'), { requests: 1, images: 1 }).allowed, true);
+  assert.equal(takeAllowance(device('h'), { requests: 1 }).allowed, true);
+  assert.equal(takeAllowance(device('h'), { requests: 1 }).scope, 'client');
+
+  // Zero amounts and limits set to 0 count nothing
+  assert.equal(takeAllowance(device('h'), { requests: 0, ttsChars: 0 }).allowed, true);
+});
+
+test('refuses model work once the daily budget is spent, until midnight UTC', t => {
+  t.mock.timers.setTime(Date.parse('2026-03-01T22:00:00Z'));
+  recordSpend(0.4);
+  assert.deepEqual(checkSpendBudget(), { allowed: true });
+  recordSpend(0.6);
+
+  const refused = checkSpendBudget();
+  assert.deepEqual(refused, { allowed: false, limit: 'spend', scope: 'global', max: 1, retryAfter: 2 * 60 * 60 });
+  assert.equal(getUsageStats().spend.estimatedCostUsd, 1);
+  assert.equal(getUsageStats().spend.modelCalls, 2);
+
+  t.mock.timers.setTime(Date.parse('2026-03-02T00:00:01Z'));
+  assert.deepEqual(checkSpendBudget(), { allowed: true });
+  assert.equal(getUsageStats().spend.modelCalls, 0);
+});
+
+test('describes each limit for the user', () => {
+  assert.equal(describeLimit({ limit: 'requests', scope: 'client', max: 3, retryAfter: 20 }), "You're sending requests too quickly. Please wait 20 seconds and try again.");
+  assert.equal(describeLimit({ limit: 'images', scope: 'client', max: 4, retryAfter: 120 }), 'You can analyze up to 4 photos per minute. Please try again in 2 minutes.');
+  assert.equal(describeLimit({ limit: 'requests', scope: 'ip', max: 5, retryAfter: 30 }), 'Too many requests are coming from your network. Please try again in 30 seconds.');
+  assert.equal(describeLimit({ limit: 'requests', scope: 'global', max: 8, retryAfter: 30 }), 'The service is very busy right now. Please try again in 30 seconds.');
+  assert.match(describeLimit({ limit: 'spend', scope: 'global', max: 1, retryAfter: 7200 }), /budget .* 2 hours/);
+});
+
+test('reports active clients, not IPs or the global count', () => {
+  takeAllowance(device('i'), { requests: 1 });
+  takeAllowance(device('j'), { requests: 1 });
+  takeAllowance({ client: 'ip:203.0.113.9' }, { requests: 1 });
+
+  const stats = getUsageStats();
+  // Clients from earlier windows are no longer active
+  assert.equal(stats.activeClients, 3);
+  assert.equal(stats.windowSeconds, 60);
+  assert.equal(stats.limits.requests.ip, 5);
+});